@@ -1,29 +1,50 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { ArrowUp, LogIn, Sparkles, AlertTriangle, Loader2, Database, Plus, X, User } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Routes, Route, Link as RouterLink, useNavigate } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { ArrowUp, ArrowDown, LogIn, LogOut, Sparkles, AlertTriangle, Loader2, Database, Plus, X, User, Search, Tag, CheckCircle, MessageSquare, Monitor, Mail, Bookmark, BookmarkCheck, Bell, Users, Shield, Flag, ClipboardList } from 'lucide-react';
+import { useAuth } from './context/AuthContext';
+import Login from './pages/Login';
+import Register from './pages/Register';
+import Sessions from './pages/Sessions';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import OAuthCallback from './pages/OAuthCallback';
+import Profile from './pages/Profile';
+import Saved from './pages/Saved';
+import Notifications from './pages/Notifications';
+import Following from './pages/Following';
+import Admin from './pages/Admin';
+import Reports from './pages/Reports';
+import LinkThread from './pages/LinkThread';
 
-// --- FIREBASE IMPORTS & SETUP (MANDATORY GLOBALS) ---
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, runTransaction, doc, arrayUnion, query, addDoc, Timestamp } from 'firebase/firestore';
+// Number of links requested per page of the infinite scroll feed
+const FEED_PAGE_SIZE = 25;
 
-// Parse global environment variables
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Logged-in users choose between their home feed (what they follow) and everything
+const FEED_MODES = [
+  { value: 'home', label: 'Home' },
+  { value: 'all', label: 'All' },
+];
 
-// Firestore public collection path for shared data
-const LINKS_COLLECTION_PATH = `artifacts/${appId}/public/data/links`;
+// Feed orderings supported by GET /api/links?sort=
+const SORT_OPTIONS = [
+  { value: 'hot', label: 'Hot' },
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+  { value: 'rising', label: 'Rising' },
+];
 
 // --- UTILITY FUNCTIONS ---
 
 /**
- * Formats a Firestore Timestamp object into a simple human-readable string.
- * @param {object} timestamp - The Firestore Timestamp object.
+ * Formats an ISO date string from the API into a simple human-readable string.
+ * @param {string} timestamp - ISO date string.
  * @returns {string} Formatted date string or empty string if invalid.
  */
 const formatTimestamp = (timestamp) => {
-  if (timestamp && timestamp.toDate) {
-    const date = timestamp.toDate();
+  const date = timestamp ? new Date(timestamp) : null;
+  if (date && !Number.isNaN(date.getTime())) {
     // Using simple format: "Month Day, Year"
     return date.toLocaleDateString('en-US', {
       year: 'numeric',
@@ -34,36 +55,243 @@ const formatTimestamp = (timestamp) => {
   return '';
 };
 
+
+// --- SEARCH ---
+
+/**
+ * Renders text with the given [start, end) ranges wrapped in <mark>.
+ * The server returns ranges rather than HTML so nothing needs to be sanitized here.
+ */
+const HighlightedText = ({ text, highlights = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(text.substring(cursor, start));
+    parts.push(<mark key={index} className="bg-indigo-500/40 text-white rounded px-0.5">{text.substring(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.substring(cursor));
+  return <>{parts}</>;
+};
+
+const SearchBar = ({ onSearch, onClear, isSearching }) => {
+  const [query, setQuery] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (query.trim()) {
+      onSearch(query.trim());
+    }
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    onClear();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative flex items-center" role="search">
+      <Search className="absolute left-3 w-4 h-4 text-gray-400" />
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search links… (site:, by:, after:)"
+        aria-label="Search links and comments"
+        className="w-56 pl-9 pr-8 py-2 bg-gray-800 border border-gray-700 rounded-full text-sm text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+      />
+      {isSearching ? (
+        <Loader2 className="absolute right-3 w-4 h-4 text-gray-400 animate-spin" />
+      ) : query && (
+        <button type="button" onClick={handleClear} className="absolute right-3 text-gray-400 hover:text-white" aria-label="Clear search">
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </form>
+  );
+};
+
+
+// --- INFINITE SCROLL ---
+
+/**
+ * Calls onLoadMore whenever the returned sentinel element scrolls into view.
+ * @param {function} onLoadMore - Loads the next page.
+ * @param {boolean} hasMore - Whether there is anything left to load.
+ * @returns {object} A ref to attach to an element placed after the list.
+ */
+const useInfiniteScroll = (onLoadMore, hasMore) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return;
+
+    // Start loading a little before the user actually reaches the bottom
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore]);
+
+  return sentinelRef;
+};
+
+
+// --- LIVE UPDATES ---
+
+// Same origin by default (the dev server proxies to Express); set REACT_APP_API_URL when the API lives elsewhere
+const SOCKET_URL = process.env.REACT_APP_API_URL || undefined;
+
+// Server events and the handler each one is passed to
+const LIVE_EVENTS = {
+  'link:approved': 'onLinkApproved',
+  'link:votes': 'onLinkVotes',
+  'link:comments': 'onLinkComments',
+};
+
 /**
- * Truncates a long user ID for display purposes.
- * @param {string} id - The full user ID string.
- * @returns {string} The truncated ID (first 4 and last 4 chars).
+ * Keeps a socket.io connection subscribed to `rooms` and forwards live events to `handlers`.
+ * socket.io reconnects on its own; a short drop is recovered with the missed events replayed,
+ * after a longer one the rooms are joined again and `handlers.onResync` is called so the caller can refetch.
+ * @param {string[]} rooms - e.g. ['links'] or ['tag:llm'].
+ * @param {object} handlers - onLinkApproved, onLinkVotes, onLinkComments, onResync.
  */
-const truncateId = (id) => {
-  if (!id || id.length < 8) return id;
-  return `${id.substring(0, 4)}...${id.substring(id.length - 4)}`;
+const useLiveUpdates = (rooms, handlers) => {
+  const socketRef = useRef(null);
+  const roomsRef = useRef(rooms);
+  const joinedRef = useRef([]);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  // Joins/leaves rooms so the server's set matches roomsRef
+  const syncRooms = useCallback(() => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) return;
+    const wanted = roomsRef.current;
+    const leaving = joinedRef.current.filter(room => !wanted.includes(room));
+    const joining = wanted.filter(room => !joinedRef.current.includes(room));
+    if (leaving.length > 0) socket.emit('unsubscribe', leaving);
+    if (joining.length > 0) socket.emit('subscribe', joining);
+    joinedRef.current = wanted;
+  }, []);
+
+  useEffect(() => {
+    const socket = io(SOCKET_URL);
+    socketRef.current = socket;
+    let hasConnected = false;
+
+    socket.on('connect', () => {
+      // A recovered connection kept its rooms; otherwise the server has forgotten them
+      if (!socket.recovered) {
+        joinedRef.current = [];
+        if (hasConnected && handlersRef.current.onResync) handlersRef.current.onResync();
+      }
+      hasConnected = true;
+      syncRooms();
+    });
+
+    Object.entries(LIVE_EVENTS).forEach(([event, handlerName]) => {
+      socket.on(event, (payload) => {
+        const handler = handlersRef.current[handlerName];
+        if (handler) handler(payload);
+      });
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+      joinedRef.current = [];
+    };
+  }, [syncRooms]);
+
+  const roomKey = rooms.join(' ');
+  useEffect(() => {
+    roomsRef.current = roomKey.split(' ').filter(Boolean);
+    syncRooms();
+  }, [roomKey, syncRooms]);
 };
 
 
 // --- LINK CARD COMPONENT ---
 
-const LinkCard = React.memo(({ link, userId, isAuthenticated, handleVote, isVotingState }) => {
-  // Check if the link object contains a document reference. If not, we can't vote on it.
-  const canVote = link.ref && userId; 
-  const isVoted = link.voterIds.includes(userId);
+// Matches REPORT_REASONS.Link in the API (utils/reports.js)
+const LINK_REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'broken', label: 'Broken link' },
+  { value: 'off_topic', label: 'Off-topic' },
+  { value: 'other', label: 'Something else' },
+];
+
+// Flag button with a menu of report reasons
+const ReportButton = ({ link, onReport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (link.reported) {
+    return (
+      <span className="text-rose-400" title="Reported">
+        <Flag className="w-4 h-4 fill-current" />
+      </span>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="text-gray-500 hover:text-rose-400"
+        aria-label="Report link"
+        aria-expanded={isOpen}
+        title="Report"
+      >
+        <Flag className="w-4 h-4" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-40 bg-gray-800 border border-gray-600 rounded-lg shadow-xl z-10 py-1">
+          {LINK_REPORT_REASONS.map(reason => (
+            <button
+              key={reason.value}
+              onClick={() => { setIsOpen(false); onReport(link.id, reason.value); }}
+              className="block w-full text-left px-3 py-1.5 text-sm text-gray-200 hover:bg-gray-700"
+            >
+              {reason.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LinkCard = React.memo(({ link, isAuthenticated, handleVote, isVotingState, snippet, onTagClick, onToggleSave, onReport }) => {
+  // userVote is 1 (up), -1 (down) or 0 (none); the API only sends it to logged-in users
+  const userVote = link.userVote || 0;
   const isVoting = isVotingState[link.id];
   
-  // Dynamic button state and classes
-  const voteButtonClasses = `
+  // Dynamic button state and classes. `active` is the colour used when this arrow is the user's vote.
+  const voteButtonClasses = (active, activeClasses) => `
     flex items-center justify-center w-8 h-8 rounded-full transition duration-150 ease-in-out
-    ${isVoted 
-      ? 'bg-indigo-600 text-white cursor-default shadow-md' 
+    ${active 
+      ? `${activeClasses} text-white shadow-md` 
       : isVoting 
         ? 'bg-indigo-400 text-white animate-pulse'
         : 'bg-gray-700 text-gray-300 hover:bg-indigo-500 hover:text-white shadow-lg transform hover:scale-110'
     }
   `;
 
+  // Clicking the arrow you already chose clears the vote
+  const onUpvote = () => handleVote(link.id, userVote === 1 ? 0 : 1);
+  const onDownvote = () => handleVote(link.id, userVote === -1 ? 0 : -1);
+
+  const scoreClasses = userVote === 1 ? 'text-indigo-400' : userVote === -1 ? 'text-rose-400' : 'text-white';
+
   let hostname = '';
   try {
     hostname = new URL(link.url).hostname;
@@ -72,19 +300,19 @@ const LinkCard = React.memo(({ link, userId, isAuthenticated, handleVote, isVoti
   }
   
   const formattedDate = formatTimestamp(link.createdAt);
-  const displayAuthorId = truncateId(link.authorId);
 
   return (
     <div className="flex items-center bg-gray-700 p-4 rounded-xl shadow-lg hover:shadow-xl transition duration-300 space-x-4 border border-gray-600">
       
-      {/* 1. Score and Vote Button */}
+      {/* 1. Score and Vote Buttons */}
       <div className="flex flex-col items-center min-w-[50px]">
         {isAuthenticated ? (
           <button 
-            onClick={() => handleVote(link.id, link.ref)}
-            disabled={isVoted || isVoting || !canVote}
-            className={voteButtonClasses}
-            aria-label={isVoted ? 'You already voted' : 'Upvote link'}
+            onClick={onUpvote}
+            disabled={isVoting}
+            className={voteButtonClasses(userVote === 1, 'bg-indigo-600')}
+            aria-label={userVote === 1 ? 'Remove upvote' : 'Upvote link'}
+            aria-pressed={userVote === 1}
           >
             {isVoting ? (
               <Loader2 className="w-4 h-4 animate-spin" />
@@ -93,13 +321,24 @@ const LinkCard = React.memo(({ link, userId, isAuthenticated, handleVote, isVoti
             )}
           </button>
         ) : (
-          <div className="flex items-center justify-center w-8 h-8 text-indigo-400" title="Log in to vote">
+          <RouterLink to="/login" className="flex items-center justify-center w-8 h-8 text-indigo-400" title="Log in to vote">
             <LogIn className="w-4 h-4 opacity-75" />
-          </div>
+          </RouterLink>
         )}
-        <span className={`text-xl font-bold mt-1 ${isVoted ? 'text-indigo-400' : 'text-white'}`}>
+        <span className={`text-xl font-bold my-1 ${scoreClasses}`}>
           {link.score}
         </span>
+        {isAuthenticated && (
+          <button 
+            onClick={onDownvote}
+            disabled={isVoting}
+            className={voteButtonClasses(userVote === -1, 'bg-rose-600')}
+            aria-label={userVote === -1 ? 'Remove downvote' : 'Downvote link'}
+            aria-pressed={userVote === -1}
+          >
+            <ArrowDown className="w-4 h-4" />
+          </button>
+        )}
       </div>
 
       {/* 2. Link Details */}
@@ -115,20 +354,72 @@ const LinkCard = React.memo(({ link, userId, isAuthenticated, handleVote, isVoti
         <p className="text-sm text-gray-400 truncate">
           <span className="opacity-70">({hostname})</span>
         </p>
+
+        {/* Search result excerpt with matched terms highlighted */}
+        {snippet && snippet.text && (
+          <p className="text-sm text-gray-300 mt-1">
+            <HighlightedText text={snippet.text} highlights={snippet.highlights} />
+          </p>
+        )}
         
         {/* New Metadata Display */}
         <div className="flex items-center text-xs text-gray-500 mt-1 space-x-2">
-            <span className="flex items-center" title={`Submitted by user ID: ${link.authorId}`}>
+            <span className="flex items-center">
                 <User className="w-3 h-3 mr-1" />
-                Submitted by {displayAuthorId}
+                Submitted by{' '}
+                {link.username ? (
+                  <RouterLink to={`/u/${encodeURIComponent(link.username)}`} className="ml-1 text-gray-400 hover:text-indigo-400">
+                    {link.username}
+                  </RouterLink>
+                ) : 'unknown'}
             </span>
             <span>|</span>
             <span title={`Posted on: ${formattedDate}`}>
                 {formattedDate}
             </span>
+            <span>|</span>
+            <RouterLink to={`/links/${link.id}`} className="flex items-center hover:text-indigo-400" title="Discussion">
+                <MessageSquare className="w-3 h-3 mr-1" />
+                {link.commentsCount || 0}
+            </RouterLink>
         </div>
+
+        {/* Tag chips: clicking one filters the feed to that topic */}
+        {link.tags && link.tags.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {link.tags.map((tag) => (
+              <button
+                key={tag}
+                onClick={() => onTagClick && onTagClick(tag)}
+                className="flex items-center px-2 py-0.5 text-xs rounded-full bg-gray-800 text-teal-300 border border-gray-600 hover:border-teal-400 transition"
+                aria-label={`Show links tagged ${tag}`}
+              >
+                <Tag className="w-3 h-3 mr-1" />
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
         
       </div>
+
+      {/* 3. Save for later (only logged-in users get `saved` from the API), and report */}
+      {isAuthenticated && (onToggleSave || onReport) && (
+        <div className="flex flex-col items-center flex-shrink-0 space-y-3">
+          {onToggleSave && (
+            <button
+              onClick={() => onToggleSave(link.id, !link.saved)}
+              className={link.saved ? 'text-amber-400 hover:text-amber-300' : 'text-gray-400 hover:text-white'}
+              aria-label={link.saved ? 'Remove from saved' : 'Save link'}
+              aria-pressed={!!link.saved}
+              title={link.saved ? 'Saved' : 'Save for later'}
+            >
+              {link.saved ? <BookmarkCheck className="w-5 h-5" /> : <Bookmark className="w-5 h-5" />}
+            </button>
+          )}
+          {onReport && <ReportButton link={link} onReport={onReport} />}
+        </div>
+      )}
     </div>
   );
 });
@@ -136,17 +427,43 @@ const LinkCard = React.memo(({ link, userId, isAuthenticated, handleVote, isVoti
 
 // --- LINK SUBMISSION FORM COMPONENT ---
 
-const LinkSubmissionForm = ({ onSubmit, onClose, disabled }) => {
+const MAX_TAGS_PER_LINK = 5;
+
+const LinkSubmissionForm = ({ onSubmit, onClose, disabled, availableTags }) => {
+  const { fetchApi } = useAuth();
   const [title, setTitle] = useState('');
   const [url, setUrl] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [suggestedTags, setSuggestedTags] = useState([]);
   const [validationError, setValidationError] = useState('');
 
+  const toggleTag = (slug) => {
+    setSelectedTags(prev => prev.includes(slug)
+      ? prev.filter(tag => tag !== slug)
+      : prev.length < MAX_TAGS_PER_LINK ? [...prev, slug] : prev);
+  };
+
+  // Ask the server which tags match the title once the user has typed it
+  const fetchSuggestions = async () => {
+    if (!title.trim()) return;
+    try {
+      const data = await fetchApi('/api/tags/suggest', {
+        method: 'POST',
+        body: JSON.stringify({ title: title.trim() }),
+      });
+      setSuggestedTags(data.tags || []);
+    } catch (e) {
+      // Suggestions are a convenience; ignore failures
+      console.error("Tag suggestion error:", e);
+    }
+  };
+
   const handleFormSubmit = (e) => {
     e.preventDefault();
     setValidationError('');
 
-    if (!title.trim() || !url.trim()) {
-      setValidationError("Both Title and URL are required.");
+    if (!url.trim()) {
+      setValidationError("URL is required.");
       return;
     }
 
@@ -158,9 +475,11 @@ const LinkSubmissionForm = ({ onSubmit, onClose, disabled }) => {
       return;
     }
 
-    onSubmit({ title: title.trim(), url: url.trim() });
+    onSubmit({ title: title.trim() || undefined, url: url.trim(), tags: selectedTags });
     setTitle('');
     setUrl('');
+    setSelectedTags([]);
+    setSuggestedTags([]);
   };
 
   return (
@@ -186,16 +505,16 @@ const LinkSubmissionForm = ({ onSubmit, onClose, disabled }) => {
         <form onSubmit={handleFormSubmit}>
           <div className="mb-4">
             <label htmlFor="title" className="block text-sm font-medium text-gray-300 mb-1">
-              Title
+              Title <span className="text-gray-500">(optional, fetched from the page when left empty)</span>
             </label>
             <input
               id="title"
               type="text"
               value={title}
               onChange={(e) => setTitle(e.target.value)}
+              onBlur={fetchSuggestions}
               className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
               placeholder="e.g., GPT-5 Launch Details"
-              required
               disabled={disabled}
             />
           </div>
@@ -216,6 +535,39 @@ const LinkSubmissionForm = ({ onSubmit, onClose, disabled }) => {
             />
           </div>
 
+          {availableTags.length > 0 && (
+            <div className="mb-6">
+              <span className="block text-sm font-medium text-gray-300 mb-1">
+                Tags <span className="text-gray-500">({selectedTags.length}/{MAX_TAGS_PER_LINK})</span>
+              </span>
+              <div className="flex flex-wrap gap-2">
+                {availableTags.map((tag) => {
+                  const isSelected = selectedTags.includes(tag.slug);
+                  const isSuggested = suggestedTags.includes(tag.slug);
+                  return (
+                    <button
+                      key={tag.slug}
+                      type="button"
+                      onClick={() => toggleTag(tag.slug)}
+                      disabled={disabled}
+                      aria-pressed={isSelected}
+                      title={isSuggested ? 'Suggested from the title' : tag.description}
+                      className={`px-3 py-1 text-xs rounded-full border transition ${
+                        isSelected
+                          ? 'bg-teal-600 border-teal-500 text-white'
+                          : isSuggested
+                            ? 'bg-gray-700 border-teal-400 text-teal-300 border-dashed'
+                            : 'bg-gray-700 border-gray-600 text-gray-300 hover:border-gray-400'
+                      }`}
+                    >
+                      {tag.name}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {validationError && (
             <p className="text-sm text-red-400 mb-4 flex items-center">
               <AlertTriangle className="w-4 h-4 mr-1" /> {validationError}
@@ -237,125 +589,327 @@ const LinkSubmissionForm = ({ onSubmit, onClose, disabled }) => {
 };
 
 
-// --- MAIN APPLICATION COMPONENT (HOME) ---
+// --- NOTIFICATIONS ---
+
+// How often the bell checks for new notifications
+const NOTIFICATION_POLL_MS = 60 * 1000;
+const BELL_PAGE_SIZE = 8;
+
+/**
+ * Header bell with the unread count. Opening it shows the latest notifications;
+ * the full list and preferences are at /notifications.
+ */
+const NotificationBell = () => {
+  const { fetchApi } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState(null);
+
+  const refreshCount = useCallback(() => {
+    fetchApi('/api/notifications/unread-count')
+      .then(data => setUnreadCount(data.unreadCount))
+      .catch(() => {}); // The bell just keeps its last count
+  }, [fetchApi]);
+
+  useEffect(() => {
+    refreshCount();
+    const handle = setInterval(() => {
+      if (document.visibilityState === 'visible') refreshCount();
+    }, NOTIFICATION_POLL_MS);
+    return () => clearInterval(handle);
+  }, [refreshCount]);
+
+  const toggle = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+    setIsOpen(true);
+    try {
+      const data = await fetchApi(`/api/notifications?limit=${BELL_PAGE_SIZE}`);
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (e) {
+      setNotifications([]);
+    }
+  };
+
+  const markRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      const updated = await fetchApi(`/api/notifications/${notification.id}`, { method: 'PATCH', body: JSON.stringify({ read: true }) });
+      setNotifications(prev => prev.map(item => (item.id === updated.id ? { ...item, readAt: updated.readAt } : item)));
+      setUnreadCount(updated.unreadCount);
+    } catch (e) {
+      console.error('Failed to mark notification read:', e);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await fetchApi('/api/notifications/read-all', { method: 'POST' });
+      const now = new Date().toISOString();
+      setNotifications(prev => (prev || []).map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (e) {
+      console.error('Failed to mark notifications read:', e);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggle}
+        className="relative flex items-center text-gray-400 hover:text-white"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1.5 -right-2 min-w-[1.1rem] px-1 text-[10px] leading-4 text-center font-bold text-white bg-rose-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-gray-800 border border-gray-700 rounded-xl shadow-xl z-20">
+          <div className="flex justify-between items-center px-4 py-2 border-b border-gray-700 text-sm">
+            <span className="font-semibold text-white">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-indigo-400 hover:text-indigo-300">Mark all read</button>
+            )}
+          </div>
+          {notifications === null ? (
+            <div className="flex justify-center py-4 text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+            </div>
+          ) : notifications.length === 0 ? (
+            <p className="px-4 py-4 text-sm text-gray-400">Nothing yet.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-700">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <a
+                    href={notification.link?.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={() => markRead(notification)}
+                    className={`block px-4 py-2 text-sm hover:bg-gray-700 ${notification.readAt ? 'text-gray-400' : 'text-gray-100'}`}
+                  >
+                    {!notification.readAt && <span className="inline-block w-2 h-2 mr-2 bg-indigo-400 rounded-full" />}
+                    {notification.message}
+                    <span className="block text-xs text-gray-500 mt-0.5">{formatTimestamp(notification.createdAt)}</span>
+                  </a>
+                </li>
+              ))}
+            </ul>
+          )}
+          <RouterLink to="/notifications" className="block px-4 py-2 text-center text-sm text-indigo-400 hover:text-indigo-300 border-t border-gray-700">
+            See all and settings
+          </RouterLink>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+// --- FEED PAGE (HOME) ---
+
+/**
+ * Returns `list` with `changes` merged into the link whose id is `id`.
+ */
+const updateLink = (list, id, changes) => list.map(link => (link.id === id ? { ...link, ...changes } : link));
 
-const App = () => {
-  // Firebase State
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+const Feed = () => {
+  const { user, isAuthenticated, logout, fetchApi } = useAuth();
+  const navigate = useNavigate();
 
   // Application State
   const [links, setLinks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [sort, setSort] = useState('hot');
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   
   // UI State for Submission Form
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Set when a submitted URL is already in the feed, so we can offer an upvote instead
+  const [duplicateLink, setDuplicateLink] = useState(null);
   
   // State to track which link is currently being voted on (to disable the button)
   const [isVotingState, setIsVotingState] = useState({}); 
 
-  // 1. Initialize Firebase and Auth
+  // Tag State: the taxonomy and the tag currently filtering the feed
+  const [availableTags, setAvailableTags] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+
+  // Search State
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  // Links approved since the feed was loaded, shown behind a banner instead of shifting the list
+  const [newLinks, setNewLinks] = useState([]);
+
+  // Home feed State: the chosen mode (remembered between visits), whether the home feed
+  // is really personalized (false until the user follows something) and what they follow
+  const [feedMode, setFeedMode] = useState(() => localStorage.getItem('feedMode') || 'home');
+  const [personalized, setPersonalized] = useState(true);
+  const [follows, setFollows] = useState([]);
+  // A topic feed is the same for everyone, so a selected tag wins over the home feed
+  const isHomeFeed = isAuthenticated && feedMode === 'home' && !activeTag;
+
+  // Incremented whenever the feed is reset, so responses for an older sort/tag are ignored
+  const feedVersion = useRef(0);
+
+  // Topic feeds include subtopics and use the same cursor pagination as the main feed
+  const feedUrl = useCallback((cursor) => {
+    const params = new URLSearchParams({ sort, limit: String(FEED_PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
+    if (isHomeFeed) return `/api/feed/home?${params}`;
+    return activeTag
+      ? `/api/tags/${encodeURIComponent(activeTag)}/links?${params}`
+      : `/api/links?${params}`;
+  }, [sort, activeTag, isHomeFeed]);
+
+  // 1. Load the first page whenever the sort, tag or login state changes (userVote depends on the user)
+  const [reloadCount, setReloadCount] = useState(0);
   useEffect(() => {
+    const version = ++feedVersion.current;
+    setIsLoading(true);
+    setError(null);
+    setNewLinks([]);
+
+    fetchApi(feedUrl(null))
+      .then((data) => {
+        if (version !== feedVersion.current) return;
+        setLinks(data.links || []);
+        setNextCursor(data.nextCursor || null);
+        setPersonalized(data.personalized !== false);
+      })
+      .catch((e) => {
+        if (version !== feedVersion.current) return;
+        console.error("Feed Fetch Error:", e);
+        setError(e.message || "Failed to load links.");
+        setLinks([]);
+        setNextCursor(null);
+      })
+      .finally(() => {
+        if (version === feedVersion.current) setIsLoading(false);
+      });
+  }, [fetchApi, feedUrl, isAuthenticated, reloadCount]);
+
+  // 2. Infinite scroll: fetch the page after nextCursor
+  const loadMoreLinks = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const version = feedVersion.current;
+    setIsLoadingMore(true);
     try {
-      if (Object.keys(firebaseConfig).length > 0) {
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authInstance = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(authInstance);
-
-        // Listen for auth state changes
-        const unsubscribeAuth = onAuthStateChanged(authInstance, (user) => {
-          if (user) {
-            setUserId(user.uid);
-          } else {
-            setUserId(null); // User is logged out
-          }
-          setIsAuthReady(true);
-        });
-
-        // Sign in using the custom token or anonymously
-        const signIn = async () => {
-          try {
-            if (initialAuthToken) {
-              await signInWithCustomToken(authInstance, initialAuthToken);
-              console.log("Signed in with custom token.");
-            } else {
-              await signInAnonymously(authInstance);
-              console.log("Signed in anonymously.");
-            }
-          } catch (e) {
-            console.error("Firebase Auth Error:", e);
-            setError("Could not establish user session.");
-          }
-        };
-
-        signIn();
-        
-        return () => unsubscribeAuth();
-      } else {
-        setError("Firebase configuration is missing.");
-        setIsAuthReady(true);
-      }
+      const data = await fetchApi(feedUrl(nextCursor));
+      if (version !== feedVersion.current) return;
+      // Scores change between pages, so a link can show up twice; keep the first copy
+      setLinks(prev => {
+        const seen = new Set(prev.map(link => link.id));
+        return [...prev, ...(data.links || []).filter(link => !seen.has(link.id))];
+      });
+      setNextCursor(data.nextCursor || null);
     } catch (e) {
-      console.error("Firebase Initialization Error:", e);
-      setError("Failed to initialize Firebase services.");
-      setIsAuthReady(true);
+      console.error("Feed Fetch Error:", e);
+      setError(e.message || "Failed to load more links.");
+      setNextCursor(null);
+    } finally {
+      setIsLoadingMore(false);
     }
+  }, [fetchApi, feedUrl, nextCursor, isLoadingMore]);
+  const sentinelRef = useInfiniteScroll(loadMoreLinks, !!nextCursor && !isLoading);
+
+  // Load the tag taxonomy for the submission form
+  useEffect(() => {
+    fetchApi('/api/tags')
+      .then(tags => setAvailableTags(Array.isArray(tags) ? tags : []))
+      .catch(e => console.error("Tag load error:", e));
+  }, [fetchApi]);
+
+  const handleTagClick = useCallback((tag) => {
+    setActiveTag(tag);
+    setSearchResults(null);
+  }, []);
+
+  const selectFeedMode = useCallback((mode) => {
+    setFeedMode(mode);
+    localStorage.setItem('feedMode', mode);
   }, []);
 
-  // 2. Real-time Data Fetching
+  // What the user follows, for the follow buttons (managed in full at /following)
   useEffect(() => {
-    // Only attempt to attach listener once we know the authentication state (userId)
-    // The userId being present is the final confirmation the user is logged in (even anonymously)
-    if (!db || !isAuthReady || !userId) {
-        if (isAuthReady && !userId) {
-            console.log("Not fetching data: Auth is ready but userId is null (maybe user is unauthenticated).");
-        }
-        return;
+    if (!isAuthenticated) {
+      setFollows([]);
+      return;
     }
+    fetchApi('/api/follows')
+      .then(data => setFollows(Array.isArray(data) ? data : []))
+      .catch(e => console.error("Follows load error:", e));
+  }, [fetchApi, isAuthenticated]);
 
-    const linksRef = collection(db, LINKS_COLLECTION_PATH);
-    const q = query(linksRef); 
-    
-    // Set up real-time listener
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedLinks = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ref: doc.ref, // Store reference for voting updates
-        ...doc.data(),
-      }));
-
-      // Sort by score (client-side sort to avoid requiring Firestore indexes)
-      fetchedLinks.sort((a, b) => b.score - a.score); 
-      setLinks(fetchedLinks);
-      setIsLoading(false);
-      setError(null);
-
-      if (fetchedLinks.length === 0) {
-          console.log("Links collection is empty.");
+  const isFollowing = (type, target) => follows.some(follow => follow.type === type && follow.target === target);
+
+  const toggleFollow = useCallback(async (type, target) => {
+    setError(null);
+    const following = follows.some(follow => follow.type === type && follow.target === target);
+    try {
+      if (following) {
+        await fetchApi(`/api/follows/${type}/${encodeURIComponent(target)}`, { method: 'DELETE' });
+        setFollows(prev => prev.filter(follow => !(follow.type === type && follow.target === target)));
+      } else {
+        const follow = await fetchApi('/api/follows', { method: 'POST', body: JSON.stringify({ type, target }) });
+        setFollows(prev => [follow, ...prev]);
       }
+      // The home feed is built from the follows, so it's out of date now
+      if (feedMode === 'home') setReloadCount(count => count + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to update what you follow.');
+    }
+  }, [fetchApi, follows, feedMode]);
 
-    }, (e) => {
-      console.error("Firestore Fetch Error:", e);
-      // This is often where permission errors land if the rules are too strict
-      setError("Failed to load links in real-time. Check console for details.");
-      setIsLoading(false);
-    });
 
-    return () => unsubscribe();
-  }, [db, isAuthReady, userId]);
+  // Live updates for the feed being viewed
+  const applyLinkChanges = useCallback((id, changes) => {
+    setLinks(prev => updateLink(prev, id, changes));
+    setNewLinks(prev => updateLink(prev, id, changes));
+    setSearchResults(prev => (prev ? { ...prev, links: updateLink(prev.links, id, changes) } : prev));
+  }, []);
+
+  useLiveUpdates(activeTag ? [`tag:${activeTag}`] : ['links'], {
+    onLinkApproved: ({ link }) => {
+      // The 'links' room carries every new link; the home feed only wants followed ones, so it waits for a reload
+      if (isHomeFeed && personalized) return;
+      setNewLinks(prev => (prev.some(item => item.id === link.id) ? prev : [link, ...prev]));
+    },
+    onLinkVotes: ({ id, score, upvotes, downvotes }) => applyLinkChanges(id, { score, upvotes, downvotes }),
+    onLinkComments: ({ id, commentsCount }) => applyLinkChanges(id, { commentsCount }),
+    // Disconnected too long to replay what was missed: start the feed over
+    onResync: () => setReloadCount(count => count + 1),
+  });
+
+  const showNewLinks = useCallback(() => {
+    setLinks(prev => {
+      const seen = new Set(prev.map(link => link.id));
+      return [...newLinks.filter(link => !seen.has(link.id)), ...prev];
+    });
+    setNewLinks([]);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }, [newLinks]);
 
 
-  // 3. Handle Voting Logic (Firestore Transaction)
-  const handleVote = useCallback(async (linkId, linkRef) => {
-    if (!userId || !db) {
-      setError("You must be logged in to vote.");
+  // 3. Handle Voting
+  // value: 1 = upvote, -1 = downvote, 0 = clear the current vote
+  const handleVote = useCallback(async (linkId, value) => {
+    if (!isAuthenticated) {
+      navigate('/login');
       return;
     }
     
@@ -363,94 +917,169 @@ const App = () => {
     setIsVotingState(prev => ({ ...prev, [linkId]: true }));
 
     try {
-      await runTransaction(db, async (transaction) => {
-        const linkDoc = await transaction.get(linkRef);
-
-        if (!linkDoc.exists()) {
-          throw new Error("Link does not exist.");
-        }
-
-        const data = linkDoc.data();
-        const voterIds = data.voterIds || [];
-
-        // Check if user has already voted
-        if (voterIds.includes(userId)) {
-          throw new Error("You have already voted on this link.");
-        }
-
-        // Perform the update: increment score and add userId to voterIds array
-        transaction.update(linkRef, {
-          score: (data.score || 0) + 1,
-          voterIds: arrayUnion(userId) // Atomically adds userId if not present
-        });
+      const result = await fetchApi(`/api/links/${linkId}/vote`, {
+        method: 'PATCH',
+        body: JSON.stringify({ value }),
       });
-      
-      console.log(`Vote recorded successfully for link ${linkId}`);
-
+      const { score, upvotes, downvotes, userVote } = result;
+      applyLinkChanges(result.id, { score, upvotes, downvotes, userVote });
+      return result;
     } catch (err) {
       console.error("Voting error:", err);
-      // Check for the specific 'already voted' message to display to the user
-      if (err.message.includes("already voted")) {
-          setError(err.message);
-      } else {
-          setError("Failed to record vote due to an unexpected error.");
-      }
+      setError(err.message || "Failed to record vote due to an unexpected error.");
     } finally {
       setIsVotingState(prev => ({ ...prev, [linkId]: false }));
     }
-  }, [db, userId]);
+  }, [fetchApi, isAuthenticated, navigate, applyLinkChanges]);
+
+
+  // Save or unsave a link (see /saved for reading lists, notes and export)
+  const handleSave = useCallback(async (linkId, save) => {
+    setError(null);
+    try {
+      const result = save
+        ? await fetchApi('/api/users/me/saved', { method: 'POST', body: JSON.stringify({ linkId }) })
+        : await fetchApi(`/api/users/me/saved/${linkId}`, { method: 'DELETE' });
+      applyLinkChanges(linkId, { saved: result.saved });
+    } catch (err) {
+      // Unsaving something that's already gone from the saved list still leaves it unsaved
+      if (!save && err.status === 404) {
+        applyLinkChanges(linkId, { saved: false });
+        return;
+      }
+      setError(err.message || 'Failed to update your saved links.');
+    }
+  }, [fetchApi, applyLinkChanges]);
+
+
+  // Report a link to the curators
+  const handleReport = useCallback(async (linkId, reason) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await fetchApi(`/api/links/${linkId}/report`, { method: 'POST', body: JSON.stringify({ reason }) });
+      applyLinkChanges(linkId, { reported: true });
+      setNotice(result.hidden ? 'Thanks for the report. The link is hidden until a curator reviews it.' : result.msg);
+    } catch (err) {
+      if (err.code === 'already_reported') {
+        applyLinkChanges(linkId, { reported: true });
+      }
+      setError(err.message || 'Failed to report the link.');
+    }
+  }, [fetchApi, applyLinkChanges]);
   
   
-  // 4. Handle Link Submission Logic (Firestore addDoc)
-  const handleSubmitLink = useCallback(async ({ title, url }) => {
-    if (!userId || !db) {
-      setError("You must be logged in to submit a link.");
-      return;
-    }
-    
+  // 4. Handle Link Submission (the server fetches the page metadata and checks for duplicates)
+  const handleSubmitLink = useCallback(async ({ title, url, tags }) => {
     setError(null);
+    setNotice(null);
+    setDuplicateLink(null);
     setIsSubmitting(true);
     
-    const newLink = {
-      title,
-      url,
-      score: 1, // Start with a score of 1 (implicitly voted by creator)
-      voterIds: [userId], // Creator votes automatically
-      createdAt: Timestamp.now(),
-      authorId: userId, // Track the author
-    };
-    
     try {
-      const linksRef = collection(db, LINKS_COLLECTION_PATH);
-      await addDoc(linksRef, newLink);
-      console.log("Link submitted successfully.");
+      await fetchApi('/api/links', {
+        method: 'POST',
+        body: JSON.stringify({ url, title, tags }),
+      });
       setIsFormOpen(false); // Close the form on success
-      
+      setNotice("Link submitted! It will appear in the feed once a curator approves it.");
     } catch (e) {
-      console.error("Submission Error:", e);
-      setError("Failed to submit link. Please try again.");
+      if (e.status === 409 && e.body && e.body.existing) {
+        setDuplicateLink(e.body.existing);
+        setIsFormOpen(false);
+      } else {
+        console.error("Submission Error:", e);
+        setError(e.message || "Failed to submit link. Please try again.");
+      }
     } finally {
       setIsSubmitting(false);
     }
-  }, [db, userId]);
+  }, [fetchApi]);
 
+  const upvoteDuplicate = useCallback(async () => {
+    if (!duplicateLink) return;
+    const result = await handleVote(duplicateLink.id, 1);
+    if (result) setDuplicateLink(null);
+  }, [duplicateLink, handleVote]);
 
-  // Link to display current user and status
-  const AuthStatus = () => {
-    if (!isAuthReady) {
-      return <span className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Authenticating...</span>;
+
+  // 5. Handle Search
+  const handleSearch = useCallback(async (query) => {
+    setError(null);
+    setIsSearching(true);
+    try {
+      const data = await fetchApi(`/api/search?type=links&q=${encodeURIComponent(query)}`);
+      setSearchResults({ query, links: data.links, total: data.linksTotal });
+    } catch (e) {
+      console.error("Search Error:", e);
+      setError(e.message || "Search failed. Please try again.");
+    } finally {
+      setIsSearching(false);
     }
-    
-    if (userId) {
-      // Show the complete userId as required for multi-user apps
+  }, [fetchApi]);
+
+  const clearSearch = useCallback(() => setSearchResults(null), []);
+
+
+  // 6. Email verification: unverified accounts can browse but not submit or vote
+  const needsVerification = isAuthenticated && user.emailVerified === false;
+  const [verificationNotice, setVerificationNotice] = useState(null);
+  const resendVerification = useCallback(async () => {
+    setVerificationNotice(null);
+    try {
+      const data = await fetchApi('/api/users/verify-email/resend', { method: 'POST' });
+      setVerificationNotice(data.msg);
+    } catch (e) {
+      setVerificationNotice(e.message || "Couldn't send the email. Please try again.");
+    }
+  }, [fetchApi]);
+
+
+  // Current user and login/logout controls
+  const AuthStatus = () => {
+    if (isAuthenticated) {
       return (
-        <span className="text-sm text-indigo-400" title={`User ID: ${userId}`}>
-          Signed in: <span className="font-mono text-xs">{userId}</span>
+        <span className="flex items-center text-sm text-indigo-400">
+          <User className="w-4 h-4 mr-1" />
+          {user.username ? (
+            <RouterLink to={`/u/${encodeURIComponent(user.username)}`} className="hover:text-indigo-300" title="Your profile">
+              {user.username}
+            </RouterLink>
+          ) : 'Signed in'}
+          {(user.role === 'curator' || user.role === 'admin') && (
+            <RouterLink to="/reports" className="ml-3 text-gray-400 hover:text-white" aria-label="Report queue" title="Report queue">
+              <ClipboardList className="w-4 h-4" />
+            </RouterLink>
+          )}
+          {user.role === 'admin' && (
+            <RouterLink to="/admin" className="ml-3 text-gray-400 hover:text-white" aria-label="Admin" title="Admin">
+              <Shield className="w-4 h-4" />
+            </RouterLink>
+          )}
+          <RouterLink to="/following" className="ml-3 text-gray-400 hover:text-white" aria-label="Following" title="Following">
+            <Users className="w-4 h-4" />
+          </RouterLink>
+          <RouterLink to="/saved" className="ml-3 text-gray-400 hover:text-white" aria-label="Saved links" title="Saved links">
+            <Bookmark className="w-4 h-4" />
+          </RouterLink>
+          <RouterLink to="/sessions" className="ml-3 text-gray-400 hover:text-white" aria-label="Manage sessions" title="Sessions">
+            <Monitor className="w-4 h-4" />
+          </RouterLink>
+          <button onClick={logout} className="ml-3 text-gray-400 hover:text-white" aria-label="Log out" title="Log out">
+            <LogOut className="w-4 h-4" />
+          </button>
         </span>
       );
     }
     
-    return <span className="text-sm text-red-400">Not authenticated.</span>;
+    return (
+      <span className="flex items-center text-sm space-x-3">
+        <RouterLink to="/login" className="flex items-center text-indigo-400 hover:text-indigo-300">
+          <LogIn className="w-4 h-4 mr-1" /> Log in
+        </RouterLink>
+        <RouterLink to="/register" className="text-gray-400 hover:text-white">Register</RouterLink>
+      </span>
+    );
   };
   
   return (
@@ -464,29 +1093,72 @@ const App = () => {
             AI Tech Aggregator
           </h1>
           <div className="flex items-center space-x-4 mt-2 sm:mt-0">
+            <SearchBar onSearch={handleSearch} onClear={clearSearch} isSearching={isSearching} />
             {/* Submission button is only visible if authenticated */}
-            {userId && (
+            {isAuthenticated && (
               <button 
                 onClick={() => setIsFormOpen(true)}
                 className="flex items-center px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-full hover:bg-indigo-700 transition duration-150 shadow-md"
-                disabled={!isAuthReady || !userId}
               >
                 <Plus className="w-4 h-4 mr-1" />
                 Submit Link
               </button>
             )}
+            {/* Outside AuthStatus, which is redefined on every render and would reset the bell */}
+            {isAuthenticated && <NotificationBell />}
             <AuthStatus />
           </div>
         </header>
         
+        {needsVerification && (
+          <div className="mb-4 p-3 bg-amber-900/30 text-amber-200 border border-amber-700 rounded-lg flex items-center justify-between shadow-lg">
+            <p className="font-medium text-sm flex items-center">
+              <Mail className="w-5 h-5 mr-2 shrink-0" />
+              {verificationNotice || 'Check your inbox to verify your email before submitting or voting.'}
+            </p>
+            <button onClick={resendVerification} className="ml-4 shrink-0 text-sm text-amber-300 hover:text-white">
+              Resend email
+            </button>
+          </div>
+        )}
+
         {/* Loading/Error Message Display */}
         {isLoading && (
           <div className="mb-4 p-3 bg-gray-800 text-gray-300 border border-gray-700 rounded-lg flex items-center justify-center shadow-lg">
             <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-            <p className="font-medium text-sm">Loading links from Firestore...</p>
+            <p className="font-medium text-sm">Loading links...</p>
+          </div>
+        )}
+
+        {notice && (
+          <div className="mb-4 p-3 bg-teal-900/30 text-teal-200 border border-teal-700 rounded-lg flex items-center justify-between shadow-lg">
+            <p className="font-medium text-sm flex items-center">
+              <CheckCircle className="w-5 h-5 mr-2" /> {notice}
+            </p>
+            <button onClick={() => setNotice(null)} className="text-teal-300 hover:text-white" aria-label="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
           </div>
         )}
         
+        {duplicateLink && (
+          <div className="mb-4 p-3 bg-indigo-900/40 text-indigo-200 border border-indigo-700 rounded-lg flex items-center justify-between shadow-lg">
+            <p className="font-medium text-sm min-w-0 truncate">
+              Already submitted: <span className="text-white">{duplicateLink.title}</span>
+            </p>
+            <div className="flex items-center space-x-3 ml-4 shrink-0">
+              {duplicateLink.status === 'approved' && (
+                <button onClick={upvoteDuplicate} className="flex items-center px-3 py-1 bg-indigo-600 text-white text-sm rounded-full hover:bg-indigo-700">
+                  <ArrowUp className="w-4 h-4 mr-1" /> Upvote it instead
+                </button>
+              )}
+              <button onClick={() => setDuplicateLink(null)} className="text-indigo-300 hover:text-white" aria-label="Dismiss">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
         {error && (
           <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center shadow-lg">
             <AlertTriangle className="w-5 h-5 mr-2" />
@@ -494,17 +1166,121 @@ const App = () => {
           </div>
         )}
 
+        {/* Search Results (replace the feed while a search is active) */}
+        {searchResults && (
+          <section className="space-y-4 mb-6" aria-label="Search results">
+            <div className="flex justify-between items-center text-sm text-gray-400">
+              <p>
+                {searchResults.total} result{searchResults.total === 1 ? '' : 's'} for <span className="text-white font-medium">"{searchResults.query}"</span>
+              </p>
+              <button onClick={clearSearch} className="text-indigo-400 hover:text-indigo-300">Back to feed</button>
+            </div>
+            {searchResults.links.map((link) => (
+              <LinkCard
+                key={link.id}
+                link={link}
+                isAuthenticated={isAuthenticated}
+                handleVote={handleVote}
+                isVotingState={isVotingState}
+                snippet={link.snippets.description}
+                onTagClick={handleTagClick}
+                onToggleSave={handleSave}
+                onReport={handleReport}
+              />
+            ))}
+          </section>
+        )}
+
+        {/* Sort Selector and Active Tag Filter */}
+        {!searchResults && (
+          <div className="mb-4 flex items-center justify-between text-sm text-gray-400">
+            {isAuthenticated && !activeTag && (
+              <div className="flex mr-3 p-0.5 bg-gray-800 rounded-full" role="tablist" aria-label="Feed">
+                {FEED_MODES.map(option => (
+                  <button
+                    key={option.value}
+                    role="tab"
+                    aria-selected={feedMode === option.value}
+                    onClick={() => selectFeedMode(option.value)}
+                    className={`px-3 py-1 rounded-full transition ${
+                      feedMode === option.value ? 'bg-teal-600 text-white' : 'hover:text-white'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-1 mr-auto" role="tablist" aria-label="Sort links">
+              {SORT_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  role="tab"
+                  aria-selected={sort === option.value}
+                  onClick={() => setSort(option.value)}
+                  className={`px-3 py-1 rounded-full transition ${
+                    sort === option.value ? 'bg-indigo-600 text-white' : 'hover:text-white'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {activeTag && (
+              <div className="flex items-center">
+                <Tag className="w-4 h-4 mr-2 text-teal-300" />
+                Showing links tagged <span className="text-white font-medium mx-1">{activeTag}</span>
+                {isAuthenticated && (
+                  <button
+                    onClick={() => toggleFollow('tag', activeTag)}
+                    className={`ml-2 px-2 py-0.5 rounded-full border transition ${
+                      isFollowing('tag', activeTag) ? 'border-teal-500 text-teal-300' : 'border-gray-600 hover:text-white'
+                    }`}
+                    aria-pressed={isFollowing('tag', activeTag)}
+                  >
+                    {isFollowing('tag', activeTag) ? 'Following' : 'Follow'}
+                  </button>
+                )}
+                <button onClick={() => handleTagClick(null)} className="ml-2 text-indigo-400 hover:text-indigo-300" aria-label="Clear tag filter">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* The home feed falls back to everything until the user follows something */}
+        {isHomeFeed && !personalized && !searchResults && !isLoading && (
+          <div className="mb-4 p-3 bg-gray-800 text-gray-300 border border-gray-700 rounded-lg text-sm">
+            You aren't following anything yet, so this is everything. Follow users, tags or domains to build
+            your home feed: use <span className="text-white">Follow</span> on a tag or a profile,
+            or <RouterLink to="/following" className="text-indigo-400 hover:text-indigo-300">manage what you follow</RouterLink>.
+          </div>
+        )}
+
+        {/* Newly approved links, added to the top of the list on request */}
+        {newLinks.length > 0 && !searchResults && (
+          <button
+            onClick={showNewLinks}
+            className="w-full mb-4 p-2 bg-indigo-900/40 text-indigo-200 border border-indigo-700 rounded-lg text-sm font-medium hover:bg-indigo-900/60 transition"
+          >
+            Show {newLinks.length} new link{newLinks.length === 1 ? '' : 's'}
+          </button>
+        )}
+
         {/* Links List */}
-        <main className="space-y-4">
+        <main className={`space-y-4 ${searchResults ? 'hidden' : ''}`}>
           {links.length > 0 ? (
             links.map((link) => (
               <LinkCard 
                 key={link.id} 
                 link={link} 
-                userId={userId}
-                isAuthenticated={!!userId} 
+                isAuthenticated={isAuthenticated} 
                 handleVote={handleVote} 
                 isVotingState={isVotingState}
+                onTagClick={handleTagClick}
+                onToggleSave={handleSave}
+                onReport={handleReport}
               />
             ))
           ) : !isLoading && (
@@ -514,6 +1290,13 @@ const App = () => {
               <p className="text-sm">Be the first to post! Click "Submit Link" above.</p>
             </div>
           )}
+
+          {/* Infinite scroll sentinel: loads the next page when it scrolls into view */}
+          {nextCursor && !isLoading && (
+            <div ref={sentinelRef} className="flex justify-center py-4 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin" />
+            </div>
+          )}
         </main>
         
         {/* Submission Form Modal */}
@@ -522,16 +1305,41 @@ const App = () => {
             onSubmit={handleSubmitLink}
             onClose={() => setIsFormOpen(false)}
             disabled={isSubmitting}
+            availableTags={availableTags}
           />
         )}
         
         {/* Footer */}
         <footer className="mt-10 text-center text-sm text-gray-500 pt-4 border-t border-gray-800">
-          <p>Data is now fetched and updated in real-time using Firestore.</p>
+          <p>Submitted links appear here once a curator approves them.</p>
         </footer>
       </div>
     </div>
   );
 };
 
-export default App;
\ No newline at end of file
+
+// --- ROUTES ---
+
+const App = () => (
+  <Routes>
+    <Route path="/" element={<Feed />} />
+    <Route path="/login" element={<Login />} />
+    <Route path="/register" element={<Register />} />
+    <Route path="/sessions" element={<Sessions />} />
+    <Route path="/verify-email" element={<VerifyEmail />} />
+    <Route path="/forgot-password" element={<ForgotPassword />} />
+    <Route path="/reset-password" element={<ResetPassword />} />
+    <Route path="/oauth/callback" element={<OAuthCallback />} />
+    <Route path="/u/:username" element={<Profile />} />
+    <Route path="/links/:id" element={<LinkThread />} />
+    <Route path="/saved" element={<Saved />} />
+    <Route path="/notifications" element={<Notifications />} />
+    <Route path="/following" element={<Following />} />
+    <Route path="/admin" element={<Admin />} />
+    <Route path="/reports" element={<Reports />} />
+    <Route path="*" element={<Feed />} />
+  </Routes>
+);
+
+export default App;
@@ -1,8 +1,74 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import { useAuth } from './context/AuthContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The real provider talks to the API and localStorage; each test decides what useAuth returns
+jest.mock('./context/AuthContext', () => ({ useAuth: jest.fn() }));
+jest.mock('socket.io-client', () => ({
+  io: () => ({ on: jest.fn(), emit: jest.fn(), disconnect: jest.fn(), connected: false }),
+}));
+
+const LINK = {
+  id: '6710a1b2c3d4e5f6a7b8c9d0',
+  url: 'https://blog.example.com/sparse-moe-inference',
+  title: 'Scaling Sparse Mixture-of-Experts Inference',
+  username: 'alice',
+  score: 12,
+  commentsCount: 1,
+  tags: ['llm'],
+  createdAt: '2024-10-15T09:00:00.000Z',
+};
+
+const COMMENT = {
+  id: '6710a1b2c3d4e5f6a7b8c9d1',
+  content: 'Batching by expert is a neat trick.',
+  author: { id: '6710a1b2c3d4e5f6a7b8c9d2', username: 'bob' },
+  depth: 0,
+  isDeleted: false,
+  votes: 2,
+  repliesCount: 0,
+  replies: [],
+  moreReplies: 0,
+  createdAt: '2024-10-15T10:00:00.000Z',
+};
+
+// Answers the GETs the pages make on load
+const respond = async (url) => {
+  if (url.startsWith('/api/links?')) return { links: [LINK], nextCursor: null, totalEstimate: 1 };
+  if (url === `/api/links/${LINK.id}`) return LINK;
+  if (url.startsWith(`/api/comments/link/${LINK.id}`)) return { comments: [COMMENT], page: 1, limit: 20, totalTopLevel: 1, totalPages: 1 };
+  if (url === '/api/tags') return [];
+  throw new Error(`Unexpected request: ${url}`);
+};
+const fetchApi = jest.fn();
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+// react-scripts resets mocks before every test, so implementations are set here
+beforeEach(() => {
+  fetchApi.mockImplementation(respond);
+  useAuth.mockReturnValue({ user: null, isAuthenticated: false, role: null, logout: jest.fn(), fetchApi });
+});
+
+test('shows the public feed with a link to each discussion', async () => {
+  renderAt('/');
+
+  expect(await screen.findByText(LINK.title)).toHaveAttribute('href', LINK.url);
+  expect(screen.getByTitle('Discussion')).toHaveAttribute('href', `/links/${LINK.id}`);
+  expect(screen.getByRole('link', { name: /register/i })).toHaveAttribute('href', '/register');
+  expect(fetchApi).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/links\?/));
+});
+
+test('shows a link and its comments at /links/:id', async () => {
+  renderAt(`/links/${LINK.id}`);
+
+  expect(await screen.findByText(LINK.title)).toHaveAttribute('href', LINK.url);
+  expect(await screen.findByText(COMMENT.content)).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'bob' })).toHaveAttribute('href', '/u/bob');
+  expect(screen.getByText(/to join the discussion/)).toBeInTheDocument();
 });
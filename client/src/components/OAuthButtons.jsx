@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// OAuth sign-in is a full-page redirect, which the dev server's proxy doesn't forward,
+// so these links go to the API directly in development
+const API_ORIGIN = process.env.REACT_APP_API_URL
+  || (process.env.NODE_ENV === 'development' ? 'http://localhost:5000' : '');
+
+// "Continue with ..." links for the sign-in providers the server has configured
+const OAuthButtons = () => {
+  const { fetchApi } = useAuth();
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    fetchApi('/api/users/oauth/providers')
+      .then(list => setProviders(Array.isArray(list) ? list : []))
+      .catch(e => console.error("Provider load error:", e));
+  }, [fetchApi]);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center text-xs text-gray-500 mb-3">
+        <span className="flex-grow border-t border-gray-700" />
+        <span className="mx-3">or</span>
+        <span className="flex-grow border-t border-gray-700" />
+      </div>
+      <div className="space-y-2">
+        {providers.map(provider => (
+          <a
+            key={provider.id}
+            href={`${API_ORIGIN}/api/users/oauth/${provider.id}`}
+            className="w-full flex items-center justify-center px-4 py-2 text-sm font-medium rounded-lg border border-gray-600 text-white bg-gray-700 hover:bg-gray-600 transition"
+          >
+            Continue with {provider.name}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
@@ -0,0 +1,312 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+
+// 1. Create the Context object
+export const AuthContext = createContext();
+
+const REFRESH_URL = '/api/users/refresh';
+
+/**
+ * Reads the payload of a JWT without verifying it (the server does that).
+ * @returns {object|null}
+ */
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Treat tokens as expired a little early so a request doesn't race the expiry
+const isExpired = (token) => {
+  const payload = decodeToken(token);
+  return !payload || (payload.exp && payload.exp * 1000 < Date.now() + 10000);
+};
+
+// The provider subscribes here so tokens replaced or cleared inside fetchApi update React state
+const tokenListeners = new Set();
+
+const storeToken = (token) => {
+  if (token) {
+    localStorage.setItem('token', token);
+  } else {
+    localStorage.removeItem('token');
+  }
+  tokenListeners.forEach(listener => listener(token));
+};
+
+// Concurrent requests that need a refresh share one call, since each call rotates the refresh token
+let refreshPromise = null;
+
+/**
+ * Gets a new access token using the httpOnly refresh token cookie.
+ * @returns {Promise<string|null>} The new token, or null if the session is over (the stored token is cleared).
+ *          Network failures resolve to null without logging the user out.
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = fetch(REFRESH_URL, { method: 'POST', credentials: 'include' })
+      .then(async (response) => {
+        const data = response.ok ? await response.json() : {};
+        storeToken(data.token || null);
+        return data.token || null;
+      })
+      .catch((e) => {
+        console.error('Token refresh failed:', e);
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Utility for fetching with error handling and automatic bearer token setup.
+// An expired or rejected access token is refreshed silently and the request retried once.
+const fetchApi = async (url, options = {}, isRetry = false) => {
+  // Use 'localStorage' for token management
+  let token = localStorage.getItem('token');
+  if (token && isExpired(token)) {
+    token = await refreshAccessToken();
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...options.headers,
+  };
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  // --- Implement Exponential Backoff for API Calls ---
+  const MAX_RETRIES = 3;
+  const MAX_RETRY_AFTER_SECONDS = 10;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+        // credentials: the refresh token cookie is set by login/register and read by /api/users/*
+        const response = await fetch(url, { credentials: 'include', ...options, headers });
+        
+        // Custom error handling based on status codes
+        if (!response.ok) {
+            // The access token was rejected (expired early, or its session was revoked): refresh and retry once
+            if (response.status === 401 && token && !isRetry) {
+                const refreshed = await refreshAccessToken();
+                if (refreshed) {
+                    return fetchApi(url, options, true);
+                }
+            }
+
+            // API errors come as { error: { code, message, details? } } (see server/utils/errors.js).
+            // Anything else (a proxy's HTML page, an older server's { msg }) is reduced to a message.
+            const text = await response.text();
+            let errorBody;
+            try {
+                const parsed = JSON.parse(text);
+                errorBody = parsed.error && typeof parsed.error === 'object' ? parsed.error : { message: parsed.msg };
+            } catch (e) {
+                // Take a snippet of the text response for the error message
+                errorBody = { message: text.substring(0, 100) };
+            }
+
+            if (response.status === 401 && token) {
+                // Still unauthorized after a refresh attempt: the session is over
+                storeToken(null);
+            }
+            lastError = new Error(errorBody.message || `API Request Failed with status ${response.status}`);
+            // Callers can branch on the status or code, show per-field `details` next to
+            // form inputs, and read extra fields (e.g. `existing` on a 409) from `body`
+            lastError.status = response.status;
+            lastError.code = errorBody.code;
+            lastError.details = errorBody.details || [];
+            lastError.body = errorBody;
+            
+            // If it's a 5xx error or rate limiting (429), retry after a delay
+            if (response.status >= 500 || response.status === 429) {
+                // The server's Retry-After (seconds) wins over our own backoff. A long wait
+                // (e.g. an hourly submission limit) isn't worth blocking on; let the caller show it.
+                const retryAfter = parseInt(response.headers.get("retry-after"), 10);
+                if (retryAfter > MAX_RETRY_AFTER_SECONDS) {
+                    lastError.retryAfter = retryAfter;
+                    throw lastError;
+                }
+                const delay = retryAfter >= 0
+                    ? retryAfter * 1000
+                    : Math.pow(2, attempt) * 1000 + Math.random() * 1000; // 1s, 2s, 4s + jitter
+                await new Promise(res => setTimeout(res, delay));
+                continue; // Retry the request
+            }
+            // For other client errors (4xx, excluding 401 which reloads), don't retry, just throw
+            throw lastError; 
+        }
+
+        // Handle successful empty response (e.g., status 204 No Content)
+        if (response.status === 204 || response.headers.get("content-length") === "0") {
+            return {};
+        }
+
+        // File downloads (e.g. the saved links export) ask for the raw body
+        return options.asBlob ? response.blob() : response.json();
+
+    } catch (e) {
+      // HTTP errors thrown above already have a status; only network errors are retried
+      if (e.status) {
+          throw e;
+      }
+      // Catch network errors (e.g., fetch failed) and retry if applicable
+      lastError = e;
+      const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+      await new Promise(res => setTimeout(res, delay));
+      if (attempt === MAX_RETRIES - 1) {
+          throw new Error("Network request failed after multiple retries: " + lastError.message);
+      }
+    }
+  }
+  // If we exit the loop due to max retries
+  throw lastError || new Error("API call failed mysteriously."); 
+};
+
+
+export const AuthProvider = ({ children }) => {
+  // user stores { id, username, role, sid } extracted from the token payload
+  const [user, setUser] = useState(null); 
+  const [loading, setLoading] = useState(true);
+  const [token, setToken] = useState(localStorage.getItem('token'));
+
+  // Follow token changes made by fetchApi (silent refresh, or a session that ended)
+  useEffect(() => {
+    tokenListeners.add(setToken);
+    return () => tokenListeners.delete(setToken);
+  }, []);
+
+
+  // --- Check the token's validity and get user info, whenever the token changes ---
+  useEffect(() => {
+    const loadUser = async () => {
+      if (token && isExpired(token)) {
+          // Access tokens are short-lived; the refresh token cookie usually still holds a session.
+          // refreshAccessToken stores the result, which re-runs this effect with the new token.
+          const refreshed = await refreshAccessToken();
+          if (!refreshed) {
+              setUser(null);
+              setLoading(false);
+          }
+          return;
+      }
+
+      if (token) {
+          // NOTE: Decoding locally is for UX/data extraction, security check happens on the backend
+          const tokenPayload = decodeToken(token);
+          if (tokenPayload && tokenPayload.user) {
+              setUser(tokenPayload.user);
+          } else {
+              console.error('Token handling failed. Clearing token.');
+              storeToken(null);
+              setUser(null);
+          }
+      } else {
+          setUser(null);
+      }
+      setLoading(false);
+    };
+
+    loadUser();
+  }, [token]);
+
+
+  // --- Auth Actions (Register / Login / Logout) ---
+
+  const login = async (email, password) => {
+    setLoading(true);
+    try {
+      // Note: This API call relies on the backend being available at /api/users/login
+      const data = await fetchApi('/api/users/login', {
+        method: 'POST',
+        body: JSON.stringify({ email, password }),
+      });
+
+      storeToken(data.token); // Updates local state, triggers useEffect -> loadUser
+      setLoading(false); 
+      return true;
+    } catch (error) {
+      setLoading(false);
+      throw error;
+    }
+  };
+
+  const register = async (username, email, password) => {
+    setLoading(true);
+    try {
+      const data = await fetchApi('/api/users/register', {
+        method: 'POST',
+        body: JSON.stringify({ username, email, password }),
+      });
+
+      // After successful registration, log the user in immediately
+      storeToken(data.token);
+      setLoading(false);
+      return true;
+    } catch (error) {
+      setLoading(false);
+      throw error;
+    }
+  };
+
+  // Ends this session on the server too, so its refresh token can't be used again
+  const logout = async () => {
+    try {
+      await fetch('/api/users/logout', { method: 'POST', credentials: 'include' });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    storeToken(null);
+  };
+
+  // Revokes every session of this user, on all devices
+  const logoutEverywhere = async () => {
+    await fetchApi('/api/users/sessions', { method: 'DELETE' });
+    storeToken(null);
+  };
+
+  const value = {
+    user,
+    token,
+    loading,
+    isAuthenticated: !!user,
+    role: user ? user.role : null,
+    login,
+    register,
+    logout,
+    logoutEverywhere,
+    refreshSession: refreshAccessToken, // Picks up account changes such as a verified email
+    fetchApi, // Export the utility for protected fetches
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {!loading && children} 
+      {/* Show a full-page loader while checking token/auth state */}
+      {loading && <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center p-8 text-xl font-semibold text-blue-700">
+            <svg className="animate-spin h-8 w-8 text-blue-500 mx-auto mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            Loading authentication status...
+        </div>
+      </div>}
+    </AuthContext.Provider>
+  );
+};
+
+// Custom hook for easy access to auth context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
\ No newline at end of file
@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, Navigate } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, Shield, Search, Trash2, RotateCcw, Ban } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 25;
+
+const TABS = [
+  { key: 'stats', label: 'Stats' },
+  { key: 'users', label: 'Users' },
+  { key: 'content', label: 'Content' },
+  { key: 'audit', label: 'Audit log' },
+];
+
+const ROLES = ['member', 'curator', 'admin'];
+
+// How long a suspension or ban lasts; null = until lifted
+const DURATIONS = [
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: 'Until lifted', days: null },
+];
+
+// Matches the action enum of the audit log
+const AUDIT_ACTIONS = {
+  'user.role': 'Changed role',
+  'user.suspend': 'Suspended user',
+  'user.ban': 'Banned user',
+  'user.unsuspend': 'Lifted suspension',
+  'link.remove': 'Removed link',
+  'link.restore': 'Restored link',
+  'comment.remove': 'Removed comment',
+  'comment.restore': 'Restored comment',
+};
+
+const STAT_COLUMNS = [
+  { key: 'signups', label: 'Signups' },
+  { key: 'submissions', label: 'Submissions' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'votes', label: 'Votes' },
+];
+
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const inputClass = 'p-2 text-sm bg-gray-800 text-white border border-gray-700 rounded-lg focus:ring-indigo-500 focus:border-indigo-500';
+
+const ErrorNotice = ({ message }) => (
+  <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+    <AlertTriangle className="w-5 h-5 mr-2" />
+    <p className="font-medium text-sm">{message}</p>
+  </div>
+);
+
+// Previous/next for the page-based admin lists
+const Pager = ({ data, onPage }) => {
+  if (!data || data.totalPages <= 1) return null;
+  return (
+    <div className="flex justify-between items-center mt-4 text-sm text-gray-400">
+      <button disabled={data.page <= 1} onClick={() => onPage(data.page - 1)} className="hover:text-white disabled:opacity-40">Previous</button>
+      <span>Page {data.page} of {data.totalPages} ({data.total})</span>
+      <button disabled={data.page >= data.totalPages} onClick={() => onPage(data.page + 1)} className="hover:text-white disabled:opacity-40">Next</button>
+    </div>
+  );
+};
+
+/**
+ * Loads one page of an admin list whenever the query changes.
+ * Returns the response, a loading flag, and `replace` to swap in an updated item.
+ */
+const useAdminList = (path, query, key) => {
+  const { fetchApi } = useAuth();
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const queryString = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== '' && value != null)).toString();
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    fetchApi(`${path}?${queryString}`)
+      .then(result => !cancelled && setData(result))
+      .catch(e => !cancelled && setError(e.message || 'Failed to load.'))
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => { cancelled = true; };
+  }, [fetchApi, path, queryString]);
+
+  const replace = useCallback((item) => {
+    setData(prev => prev && { ...prev, [key]: prev[key].map(other => (other.id === item.id ? item : other)) });
+  }, [key]);
+
+  return { data, isLoading, error, setError, replace };
+};
+
+// Totals and a table of daily activity
+const StatsTab = () => {
+  const { fetchApi } = useAuth();
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    fetchApi(`/api/admin/stats?days=${days}`)
+      .then(setStats)
+      .catch(e => setError(e.message || 'Failed to load stats.'));
+  }, [fetchApi, days]);
+
+  if (error) return <ErrorNotice message={error} />;
+  if (!stats) return <div className="flex justify-center py-8 text-gray-400"><Loader2 className="w-6 h-6 animate-spin" /></div>;
+
+  const { totals } = stats;
+  const max = Object.fromEntries(STAT_COLUMNS.map(({ key }) => [key, Math.max(1, ...stats.daily.map(day => day[key]))]));
+  const cards = [
+    { label: 'Users', value: totals.users },
+    { label: 'Approved links', value: totals.links.approved },
+    { label: 'Pending links', value: totals.links.pending },
+    { label: 'Comments', value: totals.comments },
+    { label: 'Votes', value: totals.votes },
+  ];
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-6">
+        {cards.map(card => (
+          <div key={card.label} className="bg-gray-800 border border-gray-700 rounded-xl p-3">
+            <p className="text-xs text-gray-400">{card.label}</p>
+            <p className="text-xl font-bold text-white">{card.value.toLocaleString()}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold text-gray-300">Per day (UTC)</h3>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={inputClass} aria-label="Period">
+          {[7, 30, 90, 365].map(value => <option key={value} value={value}>Last {value} days</option>)}
+        </select>
+      </div>
+      <table className="w-full text-sm text-gray-300">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="py-1 font-medium">Date</th>
+            {STAT_COLUMNS.map(column => <th key={column.key} className="py-1 font-medium">{column.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {[...stats.daily].reverse().map(day => (
+            <tr key={day.date} className="border-t border-gray-800">
+              <td className="py-1 text-gray-400">{day.date}</td>
+              {STAT_COLUMNS.map(({ key }) => (
+                <td key={key} className="py-1 pr-2">
+                  <div className="flex items-center">
+                    <div className="h-2 bg-indigo-500 rounded mr-2" style={{ width: `${(day[key] / max[key]) * 60}px` }} />
+                    {day[key]}
+                  </div>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Suspend/ban form and the current suspension for one user
+const SuspensionControls = ({ account, onChange, onError }) => {
+  const { fetchApi } = useAuth();
+  const [kind, setKind] = useState('suspended');
+  const [days, setDays] = useState(7);
+  const [reason, setReason] = useState('');
+
+  const suspend = async () => {
+    onError('');
+    try {
+      const until = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+      onChange(await fetchApi(`/api/admin/users/${account.id}/suspension`, {
+        method: 'POST',
+        body: JSON.stringify({ kind, reason, until }),
+      }));
+      setReason('');
+    } catch (e) {
+      onError(e.message || 'Failed to suspend the user.');
+    }
+  };
+
+  const lift = async () => {
+    onError('');
+    try {
+      onChange(await fetchApi(`/api/admin/users/${account.id}/suspension`, { method: 'DELETE' }));
+    } catch (e) {
+      onError(e.message || 'Failed to lift the suspension.');
+    }
+  };
+
+  if (account.suspension) {
+    const { suspension } = account;
+    return (
+      <div className="flex items-center text-xs text-rose-300">
+        <Ban className="w-3 h-3 mr-1" />
+        {suspension.kind === 'banned' ? 'Banned' : 'Suspended'} {suspension.until ? `until ${formatDateTime(suspension.until)}` : 'until lifted'}
+        {suspension.reason && <span className="ml-1 text-gray-400">({suspension.reason})</span>}
+        <button onClick={lift} className="ml-2 text-indigo-400 hover:text-indigo-300">Lift</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <select value={kind} onChange={(e) => setKind(e.target.value)} className="p-1 bg-gray-900 text-white border border-gray-700 rounded" aria-label="Suspend or ban">
+        <option value="suspended">Suspend</option>
+        <option value="banned">Ban</option>
+      </select>
+      <select
+        value={days ?? ''}
+        onChange={(e) => setDays(e.target.value ? Number(e.target.value) : null)}
+        className="p-1 bg-gray-900 text-white border border-gray-700 rounded"
+        aria-label="For how long"
+      >
+        {DURATIONS.map(option => <option key={option.label} value={option.days ?? ''}>{option.label}</option>)}
+      </select>
+      <input
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason"
+        maxLength={500}
+        className="p-1 bg-gray-900 text-white border border-gray-700 rounded flex-grow min-w-0"
+      />
+      <button onClick={suspend} className="px-2 py-1 bg-rose-700 text-white rounded hover:bg-rose-600">Apply</button>
+    </div>
+  );
+};
+
+// User search with role changes, suspensions and bans
+const UsersTab = () => {
+  const { user, fetchApi } = useAuth();
+  const [q, setQ] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error, setError, replace } = useAdminList('/api/admin/users', { q: search, role, status, page, limit: PAGE_SIZE }, 'users');
+
+  const changeRole = async (account, newRole) => {
+    setError('');
+    try {
+      replace(await fetchApi(`/api/admin/users/${account.id}/role`, { method: 'PATCH', body: JSON.stringify({ role: newRole }) }));
+    } catch (e) {
+      setError(e.message || 'Failed to change the role.');
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={(e) => { e.preventDefault(); setSearch(q.trim()); setPage(1); }} className="flex flex-wrap items-center gap-2 mb-4">
+        <input value={q} onChange={(e) => setQ(e.target.value)} placeholder="Username or email" className={`${inputClass} flex-grow`} />
+        <select value={role} onChange={(e) => { setRole(e.target.value); setPage(1); }} className={inputClass} aria-label="Role">
+          <option value="">Any role</option>
+          {ROLES.map(value => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }} className={inputClass} aria-label="Status">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+          <option value="banned">Banned</option>
+        </select>
+        <button type="submit" className="p-2 text-gray-400 hover:text-white" aria-label="Search"><Search className="w-4 h-4" /></button>
+      </form>
+
+      {error && <ErrorNotice message={error} />}
+      {isLoading && !data && <div className="flex justify-center py-8 text-gray-400"><Loader2 className="w-6 h-6 animate-spin" /></div>}
+
+      <ul className="space-y-2">
+        {data?.users.map(account => (
+          <li key={account.id} className="bg-gray-800 border border-gray-700 rounded-xl p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="min-w-0">
+                <RouterLink to={`/u/${encodeURIComponent(account.username)}`} className="text-white hover:text-indigo-400 font-medium">{account.username}</RouterLink>
+                <span className="ml-2 text-xs text-gray-400">{account.email}{account.emailVerified ? '' : ' (unverified)'}</span>
+                <p className="text-xs text-gray-500">Joined {formatDateTime(account.createdAt)}</p>
+              </div>
+              <select
+                value={account.role}
+                disabled={account.id === user.id}
+                onChange={(e) => changeRole(account, e.target.value)}
+                className="p-1 text-xs bg-gray-900 text-white border border-gray-700 rounded disabled:opacity-50"
+                aria-label={`Role of ${account.username}`}
+              >
+                {ROLES.map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </div>
+            {account.id !== user.id && account.role !== 'admin' && (
+              <SuspensionControls account={account} onChange={replace} onError={setError} />
+            )}
+          </li>
+        ))}
+      </ul>
+      {data && data.users.length === 0 && <p className="text-gray-400 text-sm py-4">No users match.</p>}
+      <Pager data={data} onPage={setPage} />
+    </div>
+  );
+};
+
+// Links and comments, with removal and restore
+const ContentTab = () => {
+  const { fetchApi } = useAuth();
+  const [kind, setKind] = useState('links');
+  const [q, setQ] = useState('');
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error, setError, replace } = useAdminList(`/api/admin/${kind}`, { q: search, status, page, limit: PAGE_SIZE }, kind);
+
+  const statuses = kind === 'links' ? ['pending', 'approved', 'rejected', 'hidden', 'removed'] : ['live', 'deleted', 'hidden', 'removed'];
+
+  const switchKind = (value) => {
+    setKind(value);
+    setStatus('');
+    setPage(1);
+  };
+
+  const remove = async (item) => {
+    const reason = window.prompt('Reason for removing this (optional):', '');
+    if (reason === null) return;
+    setError('');
+    try {
+      replace(await fetchApi(`/api/admin/${kind}/${item.id}`, { method: 'DELETE', body: JSON.stringify({ reason }) }));
+    } catch (e) {
+      setError(e.message || 'Failed to remove.');
+    }
+  };
+
+  const restore = async (item) => {
+    setError('');
+    try {
+      replace(await fetchApi(`/api/admin/${kind}/${item.id}/restore`, { method: 'POST' }));
+    } catch (e) {
+      setError(e.message || 'Failed to restore.');
+    }
+  };
+
+  const items = data?.[kind] || [];
+
+  return (
+    <div>
+      <div className="flex space-x-2 mb-3">
+        {['links', 'comments'].map(value => (
+          <button
+            key={value}
+            onClick={() => switchKind(value)}
+            className={`px-3 py-1 text-sm rounded-full ${kind === value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            {value === 'links' ? 'Links' : 'Comments'}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={(e) => { e.preventDefault(); setSearch(q.trim()); setPage(1); }} className="flex items-center gap-2 mb-4">
+        <input value={q} onChange={(e) => setQ(e.target.value)} placeholder={kind === 'links' ? 'Title or URL' : 'Text'} className={`${inputClass} flex-grow`} />
+        <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }} className={inputClass} aria-label="Status">
+          <option value="">Any status</option>
+          {statuses.map(value => <option key={value} value={value}>{value}</option>)}
+        </select>
+        <button type="submit" className="p-2 text-gray-400 hover:text-white" aria-label="Search"><Search className="w-4 h-4" /></button>
+      </form>
+
+      {error && <ErrorNotice message={error} />}
+      {isLoading && !data && <div className="flex justify-center py-8 text-gray-400"><Loader2 className="w-6 h-6 animate-spin" /></div>}
+
+      <ul className="space-y-2">
+        {items.map(item => (
+          <li key={item.id} className={`flex items-start justify-between bg-gray-800 border border-gray-700 rounded-xl p-3 ${item.status === 'removed' ? 'opacity-70' : ''}`}>
+            <div className="min-w-0">
+              {kind === 'links' ? (
+                <a href={item.url} target="_blank" rel="noopener noreferrer" className="text-white hover:text-indigo-400 break-words">{item.title || item.url}</a>
+              ) : (
+                <p className="text-gray-100 text-sm whitespace-pre-wrap break-words">{item.content}</p>
+              )}
+              <p className="text-xs text-gray-400 mt-1">
+                <span className="uppercase">{item.status}</span>
+                {' · '}{(kind === 'links' ? item.submittedBy : item.postedBy)?.username || 'deleted user'}
+                {kind === 'comments' && item.link?.title && <> on “{item.link.title}”</>}
+                {' · '}{formatDateTime(item.createdAt)}
+              </p>
+              {item.removedAt && (
+                <p className="text-xs text-rose-300 mt-1">
+                  Removed by {item.removedBy?.username || 'an admin'} {formatDateTime(item.removedAt)}
+                  {item.removalReason && `: ${item.removalReason}`}
+                </p>
+              )}
+            </div>
+            {item.status === 'removed' ? (
+              <button onClick={() => restore(item)} className="ml-3 text-gray-400 hover:text-teal-400" aria-label="Restore" title="Restore">
+                <RotateCcw className="w-4 h-4" />
+              </button>
+            ) : item.status !== 'deleted' && (
+              <button onClick={() => remove(item)} className="ml-3 text-gray-400 hover:text-rose-400" aria-label="Remove" title="Remove">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {data && items.length === 0 && <p className="text-gray-400 text-sm py-4">Nothing matches.</p>}
+      <Pager data={data} onPage={setPage} />
+    </div>
+  );
+};
+
+// What each admin did, newest first
+const AuditTab = () => {
+  const [action, setAction] = useState('');
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error } = useAdminList('/api/admin/audit-log', { action, page, limit: PAGE_SIZE }, 'entries');
+
+  return (
+    <div>
+      <select value={action} onChange={(e) => { setAction(e.target.value); setPage(1); }} className={`${inputClass} mb-4`} aria-label="Action">
+        <option value="">All actions</option>
+        {Object.entries(AUDIT_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+
+      {error && <ErrorNotice message={error} />}
+      {isLoading && !data && <div className="flex justify-center py-8 text-gray-400"><Loader2 className="w-6 h-6 animate-spin" /></div>}
+
+      <ul className="space-y-2">
+        {data?.entries.map(entry => (
+          <li key={entry.id} className="bg-gray-800 border border-gray-700 rounded-xl p-3 text-sm">
+            <p className="text-gray-100">
+              <span className="font-medium">{entry.actor?.username || 'Deleted admin'}</span>
+              {' '}{(AUDIT_ACTIONS[entry.action] || entry.action).toLowerCase()}
+              <span className="ml-1 text-gray-400 font-mono text-xs">{entry.targetType} {entry.target}</span>
+            </p>
+            {entry.details && Object.keys(entry.details).length > 0 && (
+              <p className="text-xs text-gray-400 mt-1 break-words">
+                {Object.entries(entry.details)
+                  .filter(([, value]) => value !== '' && value != null)
+                  .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                  .join(' · ')}
+              </p>
+            )}
+            <p className="text-xs text-gray-500 mt-1">{formatDateTime(entry.createdAt)}{entry.ip && ` · ${entry.ip}`}</p>
+          </li>
+        ))}
+      </ul>
+      {data && data.entries.length === 0 && <p className="text-gray-400 text-sm py-4">No admin actions yet.</p>}
+      <Pager data={data} onPage={setPage} />
+    </div>
+  );
+};
+
+// Admin area: site stats, user management, content removal and the audit log
+const Admin = () => {
+  const { isAuthenticated, user } = useAuth();
+  const [tab, setTab] = useState('stats');
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+  if (user.role !== 'admin') {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-4xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <h2 className="text-xl font-bold text-white flex items-center mb-4">
+          <Shield className="w-5 h-5 mr-2 text-indigo-400" />
+          Admin
+        </h2>
+
+        <nav className="flex space-x-4 border-b border-gray-700 mb-6 text-sm">
+          {TABS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setTab(option.key)}
+              className={`pb-2 -mb-px border-b-2 ${tab === option.key ? 'border-indigo-500 text-white' : 'border-transparent text-gray-400 hover:text-white'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </nav>
+
+        {tab === 'stats' && <StatsTab />}
+        {tab === 'users' && <UsersTab />}
+        {tab === 'content' && <ContentTab />}
+        {tab === 'audit' && <AuditTab />}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink, Navigate } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, Users, User, Tag, Globe, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Matches the follow types of the API, with what to type for each
+const FOLLOW_TYPES = [
+  { value: 'user', label: 'Users', placeholder: 'username', icon: User },
+  { value: 'tag', label: 'Tags', placeholder: 'tag, e.g. llm', icon: Tag },
+  { value: 'domain', label: 'Domains', placeholder: 'domain, e.g. arxiv.org', icon: Globe },
+];
+
+// The users, tags and domains that make up the current user's home feed
+const Following = () => {
+  const { isAuthenticated, fetchApi } = useAuth();
+  const [follows, setFollows] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [type, setType] = useState('user');
+  const [target, setTarget] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    fetchApi('/api/follows')
+      .then(setFollows)
+      .catch(e => setError(e.message || 'Failed to load what you follow.'))
+      .finally(() => setIsLoading(false));
+  }, [isAuthenticated, fetchApi]);
+
+  const follow = async (e) => {
+    e.preventDefault();
+    if (!target.trim()) return;
+    setError('');
+    setIsAdding(true);
+    try {
+      const added = await fetchApi('/api/follows', { method: 'POST', body: JSON.stringify({ type, target: target.trim() }) });
+      setFollows(prev => [added, ...prev.filter(item => !(item.type === added.type && item.target === added.target))]);
+      setTarget('');
+    } catch (e) {
+      setError(e.message || 'Failed to follow.');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const unfollow = async (item) => {
+    setError('');
+    try {
+      await fetchApi(`/api/follows/${item.type}/${encodeURIComponent(item.target)}`, { method: 'DELETE' });
+      setFollows(prev => prev.filter(other => !(other.type === item.type && other.target === item.target)));
+    } catch (e) {
+      setError(e.message || 'Failed to unfollow.');
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const selectedType = FOLLOW_TYPES.find(option => option.value === type);
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <h2 className="text-xl font-bold text-white flex items-center mb-4">
+          <Users className="w-5 h-5 mr-2 text-teal-400" />
+          Following
+        </h2>
+        <p className="text-sm text-gray-400 mb-4">
+          Your home feed shows links from these users, tags (with their subtopics) and domains (with their subdomains).
+        </p>
+
+        <form onSubmit={follow} className="flex items-center space-x-2 mb-6">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="p-2 text-sm bg-gray-800 text-white border border-gray-700 rounded-lg"
+            aria-label="What to follow"
+          >
+            {FOLLOW_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <input
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder={selectedType.placeholder}
+            maxLength={2048}
+            className="flex-grow p-2 text-sm bg-gray-800 text-white border border-gray-700 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            type="submit"
+            disabled={isAdding}
+            className="flex items-center px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-full hover:bg-indigo-700 disabled:bg-indigo-400 transition"
+          >
+            {isAdding && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            Follow
+          </button>
+        </form>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-8 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : follows.length === 0 ? (
+          <p className="text-gray-400 text-sm py-4">You don't follow anything yet, so your home feed shows everything.</p>
+        ) : (
+          FOLLOW_TYPES.map(option => {
+            const items = follows.filter(item => item.type === option.value);
+            if (items.length === 0) return null;
+            const Icon = option.icon;
+            return (
+              <section key={option.value} className="mb-6">
+                <h3 className="text-sm font-semibold text-gray-300 mb-2">{option.label}</h3>
+                <ul className="space-y-2">
+                  {items.map(item => (
+                    <li key={item.target} className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-xl px-4 py-2">
+                      <span className="flex items-center text-white min-w-0 truncate">
+                        <Icon className="w-4 h-4 mr-2 text-gray-400 shrink-0" />
+                        {item.type === 'user' && item.name ? (
+                          <RouterLink to={`/u/${encodeURIComponent(item.name)}`} className="hover:text-indigo-400">{item.name}</RouterLink>
+                        ) : (
+                          item.name || <span className="text-gray-500">(deleted)</span>
+                        )}
+                      </span>
+                      <button
+                        onClick={() => unfollow(item)}
+                        className="ml-4 text-gray-400 hover:text-rose-400"
+                        aria-label={`Unfollow ${item.name || item.target}`}
+                        title="Unfollow"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Following;
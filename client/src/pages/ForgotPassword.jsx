@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { KeyRound, AlertTriangle, Loader2, Sparkles, CheckCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const ForgotPassword = () => {
+  const { fetchApi } = useAuth();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const data = await fetchApi('/api/users/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email: email.trim() }),
+      });
+      setSentMessage(data.msg);
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans flex items-center justify-center p-4">
+      <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md">
+        <RouterLink to="/" className="block text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500 mb-6">
+          <Sparkles className="inline w-5 h-5 mr-2 mb-1 text-teal-400" />
+          AI Tech Aggregator
+        </RouterLink>
+        <h2 className="text-xl font-bold text-white flex items-center mb-4">
+          <KeyRound className="w-5 h-5 mr-2 text-indigo-400" />
+          Reset your password
+        </h2>
+
+        {sentMessage ? (
+          <p className="text-sm text-teal-300 flex items-start">
+            <CheckCircle className="w-4 h-4 mr-2 mt-0.5 shrink-0" /> {sentMessage}
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="text-sm text-gray-400 mb-4">Enter your account's email and we'll send you a link to choose a new password.</p>
+            <div className="mb-6">
+              <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">Email</label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+                autoComplete="email"
+                required
+                disabled={isSubmitting}
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-400 mb-4 flex items-center">
+                <AlertTriangle className="w-4 h-4 mr-1" /> {error}
+              </p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full flex items-center justify-center px-4 py-2 text-base font-medium rounded-lg shadow-lg text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 transition duration-300"
+              disabled={isSubmitting}
+            >
+              {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Send reset link
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-sm text-gray-400 text-center">
+          <RouterLink to="/login" className="text-indigo-400 hover:text-indigo-300">Back to log in</RouterLink>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
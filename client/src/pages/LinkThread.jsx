@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, MessageSquare, ArrowUp, Reply, Tag } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Top-level comments per page, and how many replies GET /api/comments/:id/replies returns at once
+const PAGE_SIZE = 20;
+const REPLIES_PAGE_SIZE = 50;
+
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+};
+
+// Returns the tree with `id` replaced by update(comment)
+const updateComment = (comments, id, update) => comments.map(comment => (comment.id === id
+  ? update(comment)
+  : { ...comment, replies: updateComment(comment.replies, id, update) }));
+
+const CommentForm = ({ onSubmit, onCancel, placeholder, submitLabel }) => {
+  const [content, setContent] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    setError('');
+    setIsPosting(true);
+    try {
+      await onSubmit(content);
+      setContent('');
+    } catch (err) {
+      setError(err.message || 'Failed to post your comment.');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={placeholder}
+        maxLength={10000}
+        rows={3}
+        className="w-full p-2 bg-gray-900 text-white border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      {error && <p className="text-sm text-red-300">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isPosting || !content.trim()}
+          className="flex items-center px-4 py-1.5 bg-indigo-600 text-white text-sm font-medium rounded-full hover:bg-indigo-700 disabled:bg-indigo-400 transition"
+        >
+          {isPosting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-1.5 text-sm text-gray-400 hover:text-white">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// One comment and, recursively, the replies loaded under it
+const CommentNode = ({ comment, isAuthenticated, onReply, onLoadReplies }) => {
+  const [isReplying, setIsReplying] = useState(false);
+  const [isLoadingReplies, setIsLoadingReplies] = useState(false);
+
+  const loadReplies = async () => {
+    setIsLoadingReplies(true);
+    try {
+      await onLoadReplies(comment.id);
+    } finally {
+      setIsLoadingReplies(false);
+    }
+  };
+
+  return (
+    <li>
+      <div className="bg-gray-800 border border-gray-700 rounded-xl p-3">
+        <p className="text-xs text-gray-400 mb-1">
+          {comment.author ? (
+            <RouterLink to={`/u/${encodeURIComponent(comment.author.username)}`} className="text-gray-300 hover:text-indigo-400">
+              {comment.author.username}
+            </RouterLink>
+          ) : <span className="italic">deleted</span>}
+          {' '}· {comment.votes} points · {formatDateTime(comment.createdAt)}
+          {comment.editedAt && ' · edited'}
+        </p>
+        <p className={`text-sm whitespace-pre-wrap break-words ${comment.isDeleted ? 'text-gray-500 italic' : 'text-gray-200'}`}>
+          {comment.content}
+        </p>
+        {isAuthenticated && !comment.isDeleted && !isReplying && (
+          <button onClick={() => setIsReplying(true)} className="flex items-center mt-2 text-xs text-gray-400 hover:text-white">
+            <Reply className="w-3 h-3 mr-1" />
+            Reply
+          </button>
+        )}
+        {isReplying && (
+          <div className="mt-2">
+            <CommentForm
+              placeholder={`Reply to ${comment.author?.username || 'this comment'}`}
+              submitLabel="Reply"
+              onSubmit={async (content) => {
+                await onReply(content, comment.id);
+                setIsReplying(false);
+              }}
+              onCancel={() => setIsReplying(false)}
+            />
+          </div>
+        )}
+      </div>
+
+      {(comment.replies.length > 0 || comment.moreReplies > 0) && (
+        <ul className="mt-2 ml-4 pl-3 border-l border-gray-700 space-y-2">
+          {comment.replies.map(reply => (
+            <CommentNode
+              key={reply.id}
+              comment={reply}
+              isAuthenticated={isAuthenticated}
+              onReply={onReply}
+              onLoadReplies={onLoadReplies}
+            />
+          ))}
+          {comment.moreReplies > 0 && (
+            <li>
+              <button onClick={loadReplies} disabled={isLoadingReplies} className="flex items-center text-xs text-indigo-400 hover:text-indigo-300">
+                {isLoadingReplies && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                {comment.moreReplies} more {comment.moreReplies === 1 ? 'reply' : 'replies'}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// A link and its comment thread at /links/:id (also where the RSS/Atom/JSON feeds link to)
+const LinkThread = () => {
+  const { id } = useParams();
+  const { isAuthenticated, fetchApi } = useAuth();
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState('');
+  const [comments, setComments] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [isLoadingComments, setIsLoadingComments] = useState(false);
+  const [commentsError, setCommentsError] = useState('');
+
+  const loadComments = useCallback(async (pageToLoad) => {
+    setIsLoadingComments(true);
+    setCommentsError('');
+    try {
+      const params = new URLSearchParams({ page: pageToLoad, limit: PAGE_SIZE });
+      const data = await fetchApi(`/api/comments/link/${id}?${params}`);
+      setComments(prev => (pageToLoad > 1 ? [...prev, ...data.comments] : data.comments));
+      setPage(data.page);
+      setTotalPages(data.totalPages);
+    } catch (e) {
+      setCommentsError(e.message || 'Failed to load comments.');
+    } finally {
+      setIsLoadingComments(false);
+    }
+  }, [id, fetchApi]);
+
+  useEffect(() => {
+    setLink(null);
+    setError('');
+    setComments([]);
+    fetchApi(`/api/links/${id}`)
+      .then((data) => {
+        setLink(data);
+        loadComments(1);
+      })
+      .catch(e => setError(e.status === 404 ? 'This link does not exist or is not public.' : e.message || 'Failed to load the link.'));
+  }, [id, fetchApi, loadComments]);
+
+  const postComment = async (content, parentComment) => {
+    const comment = await fetchApi(`/api/comments/link/${id}`, {
+      method: 'POST',
+      body: JSON.stringify(parentComment ? { content, parentComment } : { content }),
+    });
+    if (parentComment) {
+      setComments(prev => updateComment(prev, parentComment, parent => ({
+        ...parent,
+        repliesCount: parent.repliesCount + 1,
+        replies: [...parent.replies, comment],
+      })));
+    } else {
+      setComments(prev => [...prev, comment]);
+    }
+    setLink(prev => ({ ...prev, commentsCount: (prev.commentsCount || 0) + 1 }));
+  };
+
+  // Replaces the first few replies that came with the tree by the full list
+  const loadReplies = async (commentId) => {
+    try {
+      const data = await fetchApi(`/api/comments/${commentId}/replies?limit=${REPLIES_PAGE_SIZE}`);
+      setComments(prev => updateComment(prev, commentId, parent => ({
+        ...parent,
+        replies: data.comments,
+        moreReplies: Math.max(data.total - data.comments.length, 0),
+      })));
+    } catch (e) {
+      setCommentsError(e.message || 'Failed to load replies.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        {!link && !error && (
+          <div className="flex justify-center py-8 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        )}
+
+        {link && (
+          <>
+            <section className="bg-gray-800 border border-gray-700 rounded-xl p-4 mb-6">
+              <a
+                href={link.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xl font-semibold text-white hover:text-indigo-400 transition break-words"
+              >
+                {link.title}
+              </a>
+              <p className="text-sm text-gray-400 mt-1">({hostnameOf(link.url)})</p>
+              {link.description && <p className="text-gray-300 mt-2 break-words">{link.description}</p>}
+              <div className="flex items-center text-xs text-gray-400 mt-3 space-x-3">
+                <span className="flex items-center">
+                  <ArrowUp className="w-3 h-3 mr-1 text-indigo-400" />
+                  {link.score} points
+                </span>
+                <span className="flex items-center">
+                  <MessageSquare className="w-3 h-3 mr-1 text-teal-400" />
+                  {link.commentsCount || 0} comments
+                </span>
+                {link.username && (
+                  <span>
+                    by{' '}
+                    <RouterLink to={`/u/${encodeURIComponent(link.username)}`} className="text-gray-300 hover:text-indigo-400">
+                      {link.username}
+                    </RouterLink>
+                  </span>
+                )}
+                <span>{formatDateTime(link.createdAt)}</span>
+              </div>
+              {link.tags && link.tags.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-3">
+                  {link.tags.map(tag => (
+                    <span key={tag} className="flex items-center px-2 py-0.5 text-xs rounded-full bg-gray-900 text-teal-300 border border-gray-600">
+                      <Tag className="w-3 h-3 mr-1" />
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            <div className="mb-6">
+              {isAuthenticated ? (
+                <CommentForm placeholder="Add a comment" submitLabel="Comment" onSubmit={(content) => postComment(content)} />
+              ) : (
+                <p className="text-sm text-gray-400">
+                  <RouterLink to="/login" className="text-indigo-400 hover:text-indigo-300">Log in</RouterLink> to join the discussion.
+                </p>
+              )}
+            </div>
+
+            {commentsError && <p className="text-sm text-red-300 mb-3">{commentsError}</p>}
+            <ul className="space-y-3">
+              {comments.map(comment => (
+                <CommentNode
+                  key={comment.id}
+                  comment={comment}
+                  isAuthenticated={isAuthenticated}
+                  onReply={postComment}
+                  onLoadReplies={loadReplies}
+                />
+              ))}
+            </ul>
+            {!isLoadingComments && comments.length === 0 && !commentsError && (
+              <p className="text-gray-400 text-sm py-4">No comments yet.</p>
+            )}
+            {isLoadingComments && (
+              <div className="flex justify-center py-4 text-gray-400">
+                <Loader2 className="w-5 h-5 animate-spin" />
+              </div>
+            )}
+            {page < totalPages && !isLoadingComments && (
+              <button
+                onClick={() => loadComments(page + 1)}
+                className="mt-4 w-full py-2 text-sm text-gray-300 bg-gray-800 rounded-lg hover:bg-gray-700 transition"
+              >
+                Load more comments
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinkThread;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import { LogIn, AlertTriangle, Loader2, Sparkles } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import OAuthButtons from '../components/OAuthButtons';
+
+const Login = () => {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await login(email.trim(), password);
+      navigate('/');
+    } catch (err) {
+      setError(err.message || 'Login failed. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans flex items-center justify-center p-4">
+      <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md">
+        <RouterLink to="/" className="block text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500 mb-6">
+          <Sparkles className="inline w-5 h-5 mr-2 mb-1 text-teal-400" />
+          AI Tech Aggregator
+        </RouterLink>
+        <h2 className="text-xl font-bold text-white flex items-center mb-4">
+          <LogIn className="w-5 h-5 mr-2 text-indigo-400" />
+          Log in
+        </h2>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">Email</label>
+            <input
+              id="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+              autoComplete="email"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+          <div className="mb-6">
+            <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-1">Password</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition"
+              autoComplete="current-password"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-400 mb-4 flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-1" /> {error}
+            </p>
+          )}
+
+          <button
+            type="submit"
+            className="w-full flex items-center justify-center px-4 py-2 text-base font-medium rounded-lg shadow-lg text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 transition duration-300"
+            disabled={isSubmitting}
+          >
+            {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Log in
+          </button>
+        </form>
+
+        <OAuthButtons />
+
+        <p className="mt-4 text-sm text-center">
+          <RouterLink to="/forgot-password" className="text-gray-400 hover:text-white">Forgot your password?</RouterLink>
+        </p>
+
+        <p className="mt-2 text-sm text-gray-400 text-center">
+          No account yet? <RouterLink to="/register" className="text-indigo-400 hover:text-indigo-300">Register</RouterLink>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, Navigate } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, Bell, Check, Circle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 20;
+
+// Matches the NotificationPreferences fields of the API
+const PREFERENCES = [
+  { key: 'moderation', label: 'My links are approved or rejected' },
+  { key: 'replies', label: 'Someone replies to my comment' },
+  { key: 'mentions', label: 'Someone @mentions me' },
+  { key: 'emailDigest', label: 'Email me a daily digest of unread notifications' },
+];
+
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// All of the current user's notifications, and which ones they get
+const Notifications = () => {
+  const { isAuthenticated, fetchApi } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadNotifications = useCallback(async (cursor) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set('cursor', cursor);
+      const data = await fetchApi(`/api/notifications?${params}`);
+      setNotifications(prev => (cursor ? [...prev, ...data.notifications] : data.notifications));
+      setNextCursor(data.nextCursor);
+      setUnreadCount(data.unreadCount);
+    } catch (e) {
+      setError(e.message || 'Failed to load notifications.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchApi]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    loadNotifications(null);
+    fetchApi('/api/notifications/preferences')
+      .then(setPreferences)
+      .catch(e => setError(e.message || 'Failed to load notification settings.'));
+  }, [isAuthenticated, fetchApi, loadNotifications]);
+
+  const setRead = async (notification, read) => {
+    setError('');
+    try {
+      const updated = await fetchApi(`/api/notifications/${notification.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ read }),
+      });
+      setNotifications(prev => prev.map(item => (item.id === updated.id ? { ...item, readAt: updated.readAt } : item)));
+      setUnreadCount(updated.unreadCount);
+    } catch (e) {
+      setError(e.message || 'Failed to update the notification.');
+    }
+  };
+
+  const markAllRead = async () => {
+    setError('');
+    try {
+      await fetchApi('/api/notifications/read-all', { method: 'POST' });
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (e) {
+      setError(e.message || 'Failed to mark notifications read.');
+    }
+  };
+
+  const togglePreference = async (key, value) => {
+    setError('');
+    try {
+      setPreferences(await fetchApi('/api/notifications/preferences', {
+        method: 'PATCH',
+        body: JSON.stringify({ [key]: value }),
+      }));
+    } catch (e) {
+      setError(e.message || 'Failed to save notification settings.');
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-white flex items-center">
+            <Bell className="w-5 h-5 mr-2 text-indigo-400" />
+            Notifications
+            {unreadCount > 0 && <span className="ml-2 text-sm font-normal text-gray-400">{unreadCount} unread</span>}
+          </h2>
+          {unreadCount > 0 && (
+            <button onClick={markAllRead} className="text-sm text-indigo-400 hover:text-indigo-300">Mark all read</button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        {preferences && (
+          <section className="bg-gray-800 border border-gray-700 rounded-xl p-4 mb-6 space-y-2" aria-label="Notification settings">
+            <p className="text-sm font-semibold text-white">Notify me when</p>
+            {PREFERENCES.map(option => (
+              <label key={option.key} className="flex items-center text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={preferences[option.key]}
+                  onChange={(e) => togglePreference(option.key, e.target.checked)}
+                  className="mr-2"
+                />
+                {option.label}
+              </label>
+            ))}
+          </section>
+        )}
+
+        <ul className="space-y-3">
+          {notifications.map(notification => (
+            <li
+              key={notification.id}
+              className={`flex items-start bg-gray-800 border border-gray-700 rounded-xl p-4 ${notification.readAt ? 'opacity-70' : ''}`}
+            >
+              <button
+                onClick={() => setRead(notification, !notification.readAt)}
+                className={`mt-0.5 mr-3 flex-shrink-0 ${notification.readAt ? 'text-gray-500 hover:text-white' : 'text-indigo-400 hover:text-indigo-300'}`}
+                aria-label={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+              >
+                {notification.readAt ? <Check className="w-4 h-4" /> : <Circle className="w-4 h-4 fill-current" />}
+              </button>
+              <div className="min-w-0">
+                {notification.link ? (
+                  <a
+                    href={notification.link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={() => !notification.readAt && setRead(notification, true)}
+                    className="text-gray-100 hover:text-indigo-400"
+                  >
+                    {notification.message}
+                  </a>
+                ) : (
+                  <p className="text-gray-100">{notification.message}</p>
+                )}
+                <p className="text-xs text-gray-400 mt-1">{formatDateTime(notification.createdAt)}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+        {!isLoading && notifications.length === 0 && !error && (
+          <p className="text-gray-400 text-sm py-4">No notifications yet.</p>
+        )}
+        {isLoading && (
+          <div className="flex justify-center py-4 text-gray-400">
+            <Loader2 className="w-5 h-5 animate-spin" />
+          </div>
+        )}
+        {nextCursor && !isLoading && (
+          <button
+            onClick={() => loadNotifications(nextCursor)}
+            className="mt-4 w-full py-2 text-sm text-gray-300 bg-gray-800 rounded-lg hover:bg-gray-700 transition"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
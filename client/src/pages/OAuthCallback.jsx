@@ -0,0 +1,53 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Where the server sends the browser after an OAuth sign-in. The session is already in the
+// refresh token cookie; exchanging it for an access token completes the login.
+const OAuthCallback = () => {
+  const { refreshSession } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(searchParams.get('error') || '');
+  // Each refresh rotates the token, so StrictMode's double effect must not run it twice
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (error || startedRef.current) return;
+    startedRef.current = true;
+
+    refreshSession().then((token) => {
+      if (token) {
+        navigate('/', { replace: true });
+      } else {
+        setError('Sign-in could not be completed. Please try again.');
+      }
+    });
+  }, [error, refreshSession, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans flex items-center justify-center p-4">
+      <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md text-center">
+        <RouterLink to="/" className="block text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500 mb-6">
+          <Sparkles className="inline w-5 h-5 mr-2 mb-1 text-teal-400" />
+          AI Tech Aggregator
+        </RouterLink>
+        {error ? (
+          <>
+            <p className="text-red-400 flex items-center justify-center">
+              <AlertTriangle className="w-5 h-5 mr-2 shrink-0" /> {error}
+            </p>
+            <RouterLink to="/login" className="inline-block mt-6 text-indigo-400 hover:text-indigo-300 text-sm">Back to log in</RouterLink>
+          </>
+        ) : (
+          <p className="text-gray-300 flex items-center justify-center">
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" /> Signing you in...
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
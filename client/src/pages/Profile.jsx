@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, User, Award, MessageSquare, ArrowUp, Pencil, Rss, Users } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 25;
+
+const TABS = [
+  { value: 'submissions', label: 'Submissions' },
+  { value: 'comments', label: 'Comments' },
+  { value: 'upvotes', label: 'Upvotes' },
+];
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+};
+
+// Owner-only form for bio, avatar and upvote privacy
+const ProfileEditor = ({ profile, onSaved, onCancel }) => {
+  const { fetchApi } = useAuth();
+  const [bio, setBio] = useState(profile.bio);
+  const [avatarUrl, setAvatarUrl] = useState(profile.avatarUrl);
+  const [showUpvotes, setShowUpvotes] = useState(profile.showUpvotes);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSaving(true);
+    try {
+      const updated = await fetchApi('/api/users/profile', {
+        method: 'PATCH',
+        body: JSON.stringify({ bio: bio || null, avatarUrl: avatarUrl || null, showUpvotes }),
+      });
+      onSaved(updated);
+    } catch (err) {
+      setError(err.message || 'Failed to save your profile.');
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 border border-gray-700 rounded-xl p-4 mb-6 space-y-3">
+      <label className="block text-sm text-gray-300">
+        Bio
+        <textarea
+          value={bio}
+          onChange={(e) => setBio(e.target.value)}
+          maxLength={500}
+          rows={3}
+          className="mt-1 w-full p-2 bg-gray-900 text-white border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </label>
+      <label className="block text-sm text-gray-300">
+        Avatar URL
+        <input
+          type="url"
+          value={avatarUrl}
+          onChange={(e) => setAvatarUrl(e.target.value)}
+          placeholder="https://..."
+          className="mt-1 w-full p-2 bg-gray-900 text-white border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </label>
+      <label className="flex items-center text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={showUpvotes}
+          onChange={(e) => setShowUpvotes(e.target.checked)}
+          className="mr-2"
+        />
+        Show the links I upvote on my profile
+      </label>
+      {error && <p className="text-sm text-red-300">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-full hover:bg-indigo-700 disabled:bg-indigo-400 transition"
+        >
+          {isSaving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+          Save
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-gray-400 hover:text-white">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const LinkItem = ({ link }) => (
+  <li className="bg-gray-800 border border-gray-700 rounded-xl p-4">
+    <a
+      href={link.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-white font-semibold hover:text-indigo-400 transition truncate block"
+    >
+      {link.title}
+    </a>
+    <p className="text-xs text-gray-400 mt-1">
+      {hostnameOf(link.url)} · {link.score} points · {link.commentsCount || 0} comments · {formatDate(link.upvotedAt || link.createdAt)}
+      {link.username && link.upvotedAt && <> · by <RouterLink to={`/u/${encodeURIComponent(link.username)}`} className="hover:text-indigo-400">{link.username}</RouterLink></>}
+    </p>
+  </li>
+);
+
+const CommentItem = ({ comment }) => (
+  <li className="bg-gray-800 border border-gray-700 rounded-xl p-4">
+    <p className="text-gray-200 text-sm whitespace-pre-wrap break-words">{comment.content}</p>
+    <p className="text-xs text-gray-400 mt-2">
+      {comment.votes} points · {formatDate(comment.createdAt)} · on{' '}
+      <a href={comment.link.url} target="_blank" rel="noopener noreferrer" className="text-indigo-400 hover:text-indigo-300">
+        {comment.link.title}
+      </a>
+    </p>
+  </li>
+);
+
+// Public profile at /u/:username: bio, karma and the user's activity
+const Profile = () => {
+  const { username } = useParams();
+  const { user, isAuthenticated, fetchApi } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [tab, setTab] = useState('submissions');
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingItems, setIsLoadingItems] = useState(false);
+  const [itemsError, setItemsError] = useState('');
+  const [isTogglingFollow, setIsTogglingFollow] = useState(false);
+
+  const isOwnProfile = isAuthenticated && user?.username === username;
+  const canSeeUpvotes = profile && (profile.showUpvotes || isOwnProfile);
+
+  useEffect(() => {
+    setProfile(null);
+    setError('');
+    setIsEditing(false);
+    setItems([]);
+    setNextCursor(null);
+    setTab('submissions');
+    fetchApi(`/api/users/${encodeURIComponent(username)}`)
+      .then(setProfile)
+      .catch(e => setError(e.status === 404 ? 'No such user.' : e.message || 'Failed to load profile.'));
+  }, [username, fetchApi]);
+
+  const loadItems = useCallback(async (cursor) => {
+    setIsLoadingItems(true);
+    setItemsError('');
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set('cursor', cursor);
+      const data = await fetchApi(`/api/users/${encodeURIComponent(username)}/${tab}?${params}`);
+      const page = tab === 'comments' ? data.comments : data.links;
+      setItems(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(data.nextCursor);
+    } catch (e) {
+      setItemsError(e.message || 'Failed to load activity.');
+    } finally {
+      setIsLoadingItems(false);
+    }
+  }, [username, tab, fetchApi]);
+
+  const toggleFollow = async () => {
+    setIsTogglingFollow(true);
+    setError('');
+    try {
+      if (profile.isFollowing) {
+        await fetchApi(`/api/follows/user/${profile.id}`, { method: 'DELETE' });
+      } else {
+        await fetchApi('/api/follows', { method: 'POST', body: JSON.stringify({ type: 'user', target: profile.id }) });
+      }
+      setProfile(prev => ({
+        ...prev,
+        isFollowing: !prev.isFollowing,
+        followersCount: prev.followersCount + (prev.isFollowing ? -1 : 1),
+      }));
+    } catch (e) {
+      setError(e.message || 'Failed to update what you follow.');
+    } finally {
+      setIsTogglingFollow(false);
+    }
+  };
+
+  // Cleared in the same render as the tab change, so one tab's items never render as another's
+  const selectTab = (value) => {
+    setItems([]);
+    setNextCursor(null);
+    setTab(value);
+  };
+
+  useEffect(() => {
+    if (profile && (tab !== 'upvotes' || canSeeUpvotes)) loadItems(null);
+  }, [profile, tab, canSeeUpvotes, loadItems]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        {!profile && !error && (
+          <div className="flex justify-center py-8 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        )}
+
+        {profile && (
+          <>
+            <section className="flex items-start space-x-4 mb-6">
+              {profile.avatarUrl ? (
+                <img src={profile.avatarUrl} alt="" className="w-20 h-20 rounded-full object-cover bg-gray-700" />
+              ) : (
+                <div className="w-20 h-20 rounded-full bg-gray-700 flex items-center justify-center text-gray-400">
+                  <User className="w-10 h-10" />
+                </div>
+              )}
+              <div className="min-w-0 flex-grow">
+                <h2 className="text-2xl font-bold text-white flex items-center">
+                  {profile.username}
+                  {profile.role !== 'member' && (
+                    <span className="ml-2 text-xs font-medium text-teal-300 border border-teal-700 rounded-full px-2 py-0.5">{profile.role}</span>
+                  )}
+                  <a
+                    href={`/feeds/users/${encodeURIComponent(profile.username)}.rss`}
+                    className="ml-3 text-gray-500 hover:text-orange-400"
+                    title="RSS feed of their submissions"
+                    aria-label="RSS feed"
+                  >
+                    <Rss className="w-4 h-4" />
+                  </a>
+                  {isAuthenticated && !isOwnProfile && (
+                    <button
+                      onClick={toggleFollow}
+                      disabled={isTogglingFollow}
+                      aria-pressed={!!profile.isFollowing}
+                      className={`ml-3 px-3 py-0.5 text-sm font-medium rounded-full border transition disabled:opacity-50 ${
+                        profile.isFollowing ? 'border-teal-500 text-teal-300 hover:border-rose-400 hover:text-rose-300' : 'border-indigo-500 text-indigo-300 hover:bg-indigo-600 hover:text-white'
+                      }`}
+                    >
+                      {profile.isFollowing ? 'Following' : 'Follow'}
+                    </button>
+                  )}
+                  {isOwnProfile && !isEditing && (
+                    <button onClick={() => setIsEditing(true)} className="ml-3 text-gray-400 hover:text-white" aria-label="Edit profile" title="Edit profile">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                </h2>
+                <p className="text-sm text-gray-400">Joined {formatDate(profile.joinedAt)}</p>
+                {profile.bio && <p className="text-gray-300 mt-2 whitespace-pre-wrap break-words">{profile.bio}</p>}
+                <div className="flex items-center space-x-4 mt-3 text-sm text-gray-300">
+                  <span className="flex items-center" title={`${profile.karma.links} from links, ${profile.karma.comments} from comments`}>
+                    <Award className="w-4 h-4 mr-1 text-amber-400" />
+                    {profile.karma.total} karma
+                  </span>
+                  <span className="flex items-center">
+                    <ArrowUp className="w-4 h-4 mr-1 text-indigo-400" />
+                    {profile.submissionsCount} links
+                  </span>
+                  <span className="flex items-center">
+                    <MessageSquare className="w-4 h-4 mr-1 text-teal-400" />
+                    {profile.commentsCount} comments
+                  </span>
+                  <span className="flex items-center">
+                    <Users className="w-4 h-4 mr-1 text-sky-400" />
+                    {profile.followersCount} followers
+                  </span>
+                </div>
+              </div>
+            </section>
+
+            {isEditing && (
+              <ProfileEditor
+                profile={profile}
+                onSaved={(updated) => { setProfile(updated); setIsEditing(false); }}
+                onCancel={() => setIsEditing(false)}
+              />
+            )}
+
+            <nav className="flex space-x-2 mb-4" aria-label="Activity">
+              {TABS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => selectTab(option.value)}
+                  aria-pressed={tab === option.value}
+                  className={`px-4 py-1.5 text-sm rounded-full transition ${tab === option.value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </nav>
+
+            {tab === 'upvotes' && !canSeeUpvotes ? (
+              <p className="text-gray-400 text-sm py-4">{profile.username} keeps their upvotes private.</p>
+            ) : (
+              <>
+                {itemsError && <p className="text-sm text-red-300 mb-3">{itemsError}</p>}
+                <ul className="space-y-3">
+                  {items.map(item => (tab === 'comments'
+                    ? <CommentItem key={item.id} comment={item} />
+                    : <LinkItem key={item.id} link={item} />))}
+                </ul>
+                {!isLoadingItems && items.length === 0 && !itemsError && (
+                  <p className="text-gray-400 text-sm py-4">Nothing here yet.</p>
+                )}
+                {isLoadingItems && (
+                  <div className="flex justify-center py-4 text-gray-400">
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                  </div>
+                )}
+                {nextCursor && !isLoadingItems && (
+                  <button
+                    onClick={() => loadItems(nextCursor)}
+                    className="mt-4 w-full py-2 text-sm text-gray-300 bg-gray-800 rounded-lg hover:bg-gray-700 transition"
+                  >
+                    Load more
+                  </button>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
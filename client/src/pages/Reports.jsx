@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, Navigate } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, ClipboardList, EyeOff } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const TYPES = [
+  { value: '', label: 'All' },
+  { value: 'link', label: 'Links' },
+  { value: 'comment', label: 'Comments' },
+];
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  broken: 'Broken link',
+  off_topic: 'Off-topic',
+  abusive: 'Abusive',
+  other: 'Other',
+};
+
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// One reported link or comment with its reports and the curator's options
+const ReportItem = ({ item, onResolve }) => {
+  const [note, setNote] = useState('');
+  const [warn, setWarn] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const { target } = item;
+
+  const resolve = async (action) => {
+    setIsResolving(true);
+    const done = await onResolve(item, { action, note: note.trim() || undefined, warn: action === 'remove' ? warn : undefined });
+    if (!done) setIsResolving(false);
+  };
+
+  return (
+    <li className="bg-gray-800 border border-gray-700 rounded-xl p-4 space-y-3">
+      <div className="flex items-start justify-between">
+        <div className="min-w-0">
+          {item.type === 'link' ? (
+            <a href={target.url} target="_blank" rel="noopener noreferrer" className="text-white font-medium hover:text-indigo-400 break-words">
+              {target.title || target.url || '(deleted link)'}
+            </a>
+          ) : (
+            <>
+              <p className="text-gray-100 text-sm whitespace-pre-wrap break-words">{target.content || '(deleted comment)'}</p>
+              {target.link && <p className="text-xs text-gray-400 mt-1">On “{target.link.title}”</p>}
+            </>
+          )}
+          <p className="text-xs text-gray-400 mt-1">
+            {item.type === 'link' ? 'Link' : 'Comment'} by{' '}
+            {target.author?.username ? (
+              <RouterLink to={`/u/${encodeURIComponent(target.author.username)}`} className="hover:text-indigo-400">{target.author.username}</RouterLink>
+            ) : 'a deleted user'}
+            {' · '}{target.status}
+          </p>
+        </div>
+        <div className="ml-3 text-right flex-shrink-0">
+          <p className="text-lg font-bold text-rose-400">{item.count}</p>
+          <p className="text-xs text-gray-400">report{item.count === 1 ? '' : 's'}</p>
+          {target.hidden && (
+            <p className="flex items-center text-xs text-amber-400 mt-1"><EyeOff className="w-3 h-3 mr-1" />Hidden</p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(item.reasons).map(([reason, count]) => (
+          <span key={reason} className="px-2 py-0.5 text-xs rounded-full bg-gray-900 text-gray-300 border border-gray-700">
+            {REASON_LABELS[reason] || reason} × {count}
+          </span>
+        ))}
+      </div>
+
+      <ul className="text-xs text-gray-400 space-y-1">
+        {item.reports.map(report => (
+          <li key={`${report.reporter.id}-${report.createdAt}`}>
+            <span className="text-gray-300">{report.reporter.username || 'deleted user'}</span>
+            {' · '}{REASON_LABELS[report.reason] || report.reason}
+            {report.note && <>: “{report.note}”</>}
+            {' · '}{formatDateTime(report.createdAt)}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-700">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note to the author (warnings) or removal reason"
+          maxLength={500}
+          className="flex-grow min-w-0 p-2 text-sm bg-gray-900 text-white border border-gray-700 rounded-lg"
+        />
+        <label className="flex items-center text-xs text-gray-300">
+          <input type="checkbox" checked={warn} onChange={(e) => setWarn(e.target.checked)} className="mr-1" />
+          Warn when removing
+        </label>
+        <button disabled={isResolving} onClick={() => resolve('dismiss')} className="px-3 py-1 text-sm bg-gray-700 text-white rounded-full hover:bg-gray-600 disabled:opacity-50">Dismiss</button>
+        <button disabled={isResolving} onClick={() => resolve('warn')} className="px-3 py-1 text-sm bg-amber-600 text-white rounded-full hover:bg-amber-500 disabled:opacity-50">Warn</button>
+        <button disabled={isResolving} onClick={() => resolve('remove')} className="px-3 py-1 text-sm bg-rose-700 text-white rounded-full hover:bg-rose-600 disabled:opacity-50">Remove</button>
+      </div>
+    </li>
+  );
+};
+
+// Curators' queue of reported links and comments, most reported first
+const Reports = () => {
+  const { isAuthenticated, user, fetchApi } = useAuth();
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const canReview = isAuthenticated && (user.role === 'curator' || user.role === 'admin');
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (type) params.set('type', type);
+      setData(await fetchApi(`/api/reports?${params}`));
+    } catch (e) {
+      setError(e.message || 'Failed to load the report queue.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchApi, type, page]);
+
+  useEffect(() => {
+    if (canReview) load();
+  }, [canReview, load]);
+
+  const resolve = async (item, body) => {
+    setError('');
+    setNotice('');
+    try {
+      const result = await fetchApi(`/api/reports/${item.type}/${item.target.id}/resolve`, { method: 'POST', body: JSON.stringify(body) });
+      setData(prev => ({ ...prev, items: prev.items.filter(other => other !== item), total: prev.total - 1 }));
+      setNotice(`Resolved ${result.resolved} report${result.resolved === 1 ? '' : 's'}.`);
+      return true;
+    } catch (e) {
+      setError(e.message || 'Failed to resolve the reports.');
+      return false;
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+  if (!canReview) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-white flex items-center">
+            <ClipboardList className="w-5 h-5 mr-2 text-indigo-400" />
+            Report queue
+            {data && <span className="ml-2 text-sm font-normal text-gray-400">{data.total} open</span>}
+          </h2>
+          <div className="flex space-x-2">
+            {TYPES.map(option => (
+              <button
+                key={option.value}
+                onClick={() => { setType(option.value); setPage(1); }}
+                className={`px-3 py-1 text-sm rounded-full ${type === option.value ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+        {notice && <p className="mb-4 text-sm text-teal-300">{notice}</p>}
+
+        {isLoading && !data ? (
+          <div className="flex justify-center py-8 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {data?.items.map(item => (
+              <ReportItem key={`${item.type}-${item.target.id}`} item={item} onResolve={resolve} />
+            ))}
+          </ul>
+        )}
+        {data && data.items.length === 0 && !isLoading && (
+          <p className="text-gray-400 text-sm py-4">Nothing to review.</p>
+        )}
+
+        {data && data.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-400">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)} className="hover:text-white disabled:opacity-40">Previous</button>
+            <span>Page {data.page} of {data.totalPages}</span>
+            <button disabled={page >= data.totalPages} onClick={() => setPage(page + 1)} className="hover:text-white disabled:opacity-40">Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Reports;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { KeyRound, AlertTriangle, Loader2, Sparkles, CheckCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Landing page for the link in the reset email: /reset-password?token=...
+const ResetPassword = () => {
+  const { fetchApi, logout, isAuthenticated } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is missing its token.');
+  const [doneMessage, setDoneMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const data = await fetchApi('/api/users/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password }),
+      });
+      // The reset revoked every session, including this browser's
+      if (isAuthenticated) await logout();
+      setDoneMessage(data.msg);
+    } catch (err) {
+      setError(err.message || 'Password reset failed.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClasses = "w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-indigo-500 focus:border-indigo-500 transition";
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans flex items-center justify-center p-4">
+      <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md">
+        <RouterLink to="/" className="block text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500 mb-6">
+          <Sparkles className="inline w-5 h-5 mr-2 mb-1 text-teal-400" />
+          AI Tech Aggregator
+        </RouterLink>
+        <h2 className="text-xl font-bold text-white flex items-center mb-4">
+          <KeyRound className="w-5 h-5 mr-2 text-indigo-400" />
+          Choose a new password
+        </h2>
+
+        {doneMessage ? (
+          <>
+            <p className="text-sm text-teal-300 flex items-start">
+              <CheckCircle className="w-4 h-4 mr-2 mt-0.5 shrink-0" /> {doneMessage}
+            </p>
+            <p className="mt-6 text-sm text-center">
+              <RouterLink to="/login" className="text-indigo-400 hover:text-indigo-300">Log in</RouterLink>
+            </p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-1">New password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClasses}
+                autoComplete="new-password"
+                minLength={8}
+                required
+                disabled={isSubmitting || !token}
+              />
+            </div>
+            <div className="mb-6">
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-300 mb-1">Confirm new password</label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={inputClasses}
+                autoComplete="new-password"
+                minLength={8}
+                required
+                disabled={isSubmitting || !token}
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-400 mb-4 flex items-center">
+                <AlertTriangle className="w-4 h-4 mr-1" /> {error}
+              </p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full flex items-center justify-center px-4 py-2 text-base font-medium rounded-lg shadow-lg text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 transition duration-300"
+              disabled={isSubmitting || !token}
+            >
+              {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Set new password
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
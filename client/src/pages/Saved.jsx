@@ -0,0 +1,416 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, Navigate } from 'react-router-dom';
+import { AlertTriangle, Loader2, Sparkles, Bookmark, BookmarkX, Check, Circle, Download, Pencil, Plus, Trash2, StickyNote } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 25;
+
+const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'html', label: 'Bookmarks HTML' },
+];
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+};
+
+// One saved link: read state, note and the lists it's filed under
+const SavedItem = ({ link, lists, onUpdate, onUnsave }) => {
+  const { bookmark } = link;
+  const [isEditingNote, setIsEditingNote] = useState(false);
+  const [note, setNote] = useState(bookmark.note);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleList = (listId) => {
+    const next = bookmark.lists.includes(listId)
+      ? bookmark.lists.filter(id => id !== listId)
+      : [...bookmark.lists, listId];
+    run(() => onUpdate(link.id, { lists: next }));
+  };
+
+  const saveNote = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (await onUpdate(link.id, { note: note || null })) setIsEditingNote(false);
+    });
+  };
+
+  return (
+    <li className={`bg-gray-800 border border-gray-700 rounded-xl p-4 ${bookmark.readAt ? 'opacity-70' : ''}`}>
+      <div className="flex items-start">
+        <button
+          onClick={() => run(() => onUpdate(link.id, { read: !bookmark.readAt }))}
+          disabled={isBusy}
+          className={`mt-1 mr-3 flex-shrink-0 ${bookmark.readAt ? 'text-teal-400' : 'text-gray-500 hover:text-white'}`}
+          aria-label={bookmark.readAt ? 'Mark as unread' : 'Mark as read'}
+          title={bookmark.readAt ? `Read ${formatDate(bookmark.readAt)}` : 'Mark as read'}
+        >
+          {bookmark.readAt ? <Check className="w-4 h-4" /> : <Circle className="w-4 h-4" />}
+        </button>
+        <div className="min-w-0 flex-grow">
+          <a
+            href={link.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-white font-semibold hover:text-indigo-400 transition truncate block"
+          >
+            {link.title}
+          </a>
+          <p className="text-xs text-gray-400 mt-1">
+            {hostnameOf(link.url)} · {link.score} points · saved {formatDate(bookmark.savedAt)}
+            {link.username && <> · by <RouterLink to={`/u/${encodeURIComponent(link.username)}`} className="hover:text-indigo-400">{link.username}</RouterLink></>}
+          </p>
+
+          {isEditingNote ? (
+            <form onSubmit={saveNote} className="mt-2 space-y-2">
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={1000}
+                rows={2}
+                autoFocus
+                className="w-full p-2 text-sm bg-gray-900 text-white border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <div className="flex space-x-2 text-sm">
+                <button type="submit" disabled={isBusy} className="px-3 py-1 bg-indigo-600 text-white rounded-full hover:bg-indigo-700 disabled:bg-indigo-400">Save</button>
+                <button type="button" onClick={() => { setNote(bookmark.note); setIsEditingNote(false); }} className="px-3 py-1 text-gray-400 hover:text-white">Cancel</button>
+              </div>
+            </form>
+          ) : bookmark.note && (
+            <p className="mt-2 text-sm text-gray-300 whitespace-pre-wrap break-words">{bookmark.note}</p>
+          )}
+
+          {lists.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {lists.map(list => (
+                <button
+                  key={list.id}
+                  onClick={() => toggleList(list.id)}
+                  disabled={isBusy}
+                  aria-pressed={bookmark.lists.includes(list.id)}
+                  className={`px-2 py-0.5 text-xs rounded-full border transition ${
+                    bookmark.lists.includes(list.id)
+                      ? 'bg-indigo-600/40 text-indigo-200 border-indigo-500'
+                      : 'text-gray-500 border-gray-700 hover:text-gray-300'
+                  }`}
+                >
+                  {list.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 ml-3 flex-shrink-0">
+          {!isEditingNote && (
+            <button onClick={() => setIsEditingNote(true)} className="text-gray-400 hover:text-white" aria-label="Edit note" title="Note">
+              <StickyNote className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={() => run(() => onUnsave(link.id))}
+            disabled={isBusy}
+            className="text-gray-400 hover:text-rose-400 disabled:opacity-50"
+            aria-label="Remove from saved"
+            title="Remove from saved"
+          >
+            <BookmarkX className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+};
+
+// The current user's saved links at /saved, filterable by reading list and read state
+const Saved = () => {
+  const { isAuthenticated, fetchApi } = useAuth();
+  const [lists, setLists] = useState([]);
+  const [activeList, setActiveList] = useState(null);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [links, setLinks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newListName, setNewListName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+
+  const loadLists = useCallback(async () => {
+    try {
+      setLists(await fetchApi('/api/users/me/lists'));
+    } catch (e) {
+      setError(e.message || 'Failed to load your reading lists.');
+    }
+  }, [fetchApi]);
+
+  const loadLinks = useCallback(async (cursor) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (activeList) params.set('list', activeList);
+      if (unreadOnly) params.set('unread', 'true');
+      if (cursor) params.set('cursor', cursor);
+      const data = await fetchApi(`/api/users/me/saved?${params}`);
+      setLinks(prev => (cursor ? [...prev, ...data.links] : data.links));
+      setNextCursor(data.nextCursor);
+    } catch (e) {
+      setError(e.message || 'Failed to load saved links.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchApi, activeList, unreadOnly]);
+
+  useEffect(() => {
+    if (isAuthenticated) loadLists();
+  }, [isAuthenticated, loadLists]);
+
+  useEffect(() => {
+    if (isAuthenticated) loadLinks(null);
+  }, [isAuthenticated, loadLinks]);
+
+  // Returns whether the change was saved, so a form can stay open on failure
+  const updateLink = async (linkId, changes) => {
+    setError('');
+    try {
+      const { bookmark } = await fetchApi(`/api/users/me/saved/${linkId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes),
+      });
+      setLinks(prev => prev.map(link => (link.id === linkId ? { ...link, bookmark } : link)));
+      if (changes.lists) loadLists();
+      return true;
+    } catch (e) {
+      setError(e.message || 'Failed to update the saved link.');
+      return false;
+    }
+  };
+
+  const unsave = async (linkId) => {
+    setError('');
+    try {
+      await fetchApi(`/api/users/me/saved/${linkId}`, { method: 'DELETE' });
+      setLinks(prev => prev.filter(link => link.id !== linkId));
+      loadLists();
+    } catch (e) {
+      setError(e.message || 'Failed to remove the saved link.');
+    }
+  };
+
+  const createList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    setError('');
+    try {
+      const list = await fetchApi('/api/users/me/lists', {
+        method: 'POST',
+        body: JSON.stringify({ name: newListName.trim() }),
+      });
+      setLists(prev => [...prev, list].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewListName('');
+    } catch (e) {
+      setError(e.message || 'Failed to create the list.');
+    }
+  };
+
+  const renameList = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const list = await fetchApi(`/api/users/me/lists/${renaming.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ name: renaming.name.trim() }),
+      });
+      setLists(prev => prev.map(item => (item.id === list.id ? list : item)).sort((a, b) => a.name.localeCompare(b.name)));
+      setRenaming(null);
+    } catch (e) {
+      setError(e.message || 'Failed to rename the list.');
+    }
+  };
+
+  const deleteList = async (list) => {
+    if (!window.confirm(`Delete the list "${list.name}"? Its links stay saved.`)) return;
+    setError('');
+    try {
+      await fetchApi(`/api/users/me/lists/${list.id}`, { method: 'DELETE' });
+      setLists(prev => prev.filter(item => item.id !== list.id));
+      setLinks(prev => prev.map(link => ({
+        ...link,
+        bookmark: { ...link.bookmark, lists: link.bookmark.lists.filter(id => id !== list.id) },
+      })));
+      if (activeList === list.id) setActiveList(null);
+    } catch (e) {
+      setError(e.message || 'Failed to delete the list.');
+    }
+  };
+
+  // The export needs the access token, so it's fetched here and handed to the browser as a file
+  const exportSaved = async (format) => {
+    setError('');
+    try {
+      const params = new URLSearchParams({ format });
+      if (activeList) params.set('list', activeList);
+      const blob = await fetchApi(`/api/users/me/saved/export?${params}`, { asBlob: true });
+      const url = URL.createObjectURL(blob);
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = `saved-links.${format}`;
+      anchor.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setError(e.message || 'Failed to export saved links.');
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const currentList = lists.find(list => list.id === activeList);
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-white flex items-center">
+            <Bookmark className="w-5 h-5 mr-2 text-amber-400" />
+            Saved links
+          </h2>
+          <div className="flex items-center space-x-2">
+            {EXPORT_FORMATS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => exportSaved(option.value)}
+                className="flex items-center px-3 py-1.5 text-sm text-gray-300 bg-gray-800 rounded-full hover:bg-gray-700 transition"
+                title={`Export ${currentList ? `"${currentList.name}"` : 'all saved links'} as ${option.label}`}
+              >
+                <Download className="w-4 h-4 mr-1" />
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Reading lists: pick one to filter, or manage the current one */}
+        <nav className="flex flex-wrap gap-2 mb-3" aria-label="Reading lists">
+          <button
+            onClick={() => setActiveList(null)}
+            aria-pressed={activeList === null}
+            className={`px-4 py-1.5 text-sm rounded-full transition ${activeList === null ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            All
+          </button>
+          {lists.map(list => (
+            <button
+              key={list.id}
+              onClick={() => setActiveList(list.id)}
+              aria-pressed={activeList === list.id}
+              className={`px-4 py-1.5 text-sm rounded-full transition ${activeList === list.id ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+            >
+              {list.name} <span className="opacity-60">{list.count}</span>
+            </button>
+          ))}
+          <form onSubmit={createList} className="flex items-center">
+            <input
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              maxLength={100}
+              placeholder="New list"
+              className="w-28 px-3 py-1 text-sm bg-gray-800 text-white border border-gray-700 rounded-full focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button type="submit" className="ml-1 text-gray-400 hover:text-white" aria-label="Create list" title="Create list">
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </nav>
+
+        <div className="flex justify-between items-center mb-4 text-sm text-gray-400">
+          <label className="flex items-center">
+            <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} className="mr-2" />
+            Unread only
+          </label>
+          {currentList && (renaming ? (
+            <form onSubmit={renameList} className="flex items-center space-x-2">
+              <input
+                value={renaming.name}
+                onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                maxLength={100}
+                autoFocus
+                className="px-3 py-1 text-sm bg-gray-800 text-white border border-gray-700 rounded-full focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button type="submit" className="text-indigo-400 hover:text-indigo-300">Rename</button>
+              <button type="button" onClick={() => setRenaming(null)} className="hover:text-white">Cancel</button>
+            </form>
+          ) : (
+            <span className="flex items-center space-x-3">
+              <button onClick={() => setRenaming({ id: currentList.id, name: currentList.name })} className="flex items-center hover:text-white">
+                <Pencil className="w-4 h-4 mr-1" /> Rename
+              </button>
+              <button onClick={() => deleteList(currentList)} className="flex items-center hover:text-rose-400">
+                <Trash2 className="w-4 h-4 mr-1" /> Delete list
+              </button>
+            </span>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        <ul className="space-y-3">
+          {links.map(link => (
+            <SavedItem key={link.id} link={link} lists={lists} onUpdate={updateLink} onUnsave={unsave} />
+          ))}
+        </ul>
+        {!isLoading && links.length === 0 && !error && (
+          <p className="text-gray-400 text-sm py-4">
+            {unreadOnly || activeList ? 'Nothing matches this filter.' : 'Nothing saved yet. Use the bookmark on any link in the feed.'}
+          </p>
+        )}
+        {isLoading && (
+          <div className="flex justify-center py-4 text-gray-400">
+            <Loader2 className="w-5 h-5 animate-spin" />
+          </div>
+        )}
+        {nextCursor && !isLoading && (
+          <button
+            onClick={() => loadLinks(nextCursor)}
+            className="mt-4 w-full py-2 text-sm text-gray-300 bg-gray-800 rounded-lg hover:bg-gray-700 transition"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Saved;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink, Navigate, useNavigate } from 'react-router-dom';
+import { Monitor, AlertTriangle, Loader2, Sparkles, LogOut, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// Devices signed in to the current account, with per-session and all-session revocation
+const Sessions = () => {
+  const { isAuthenticated, fetchApi, logout, logoutEverywhere } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await fetchApi('/api/users/sessions'));
+    } catch (e) {
+      setError(e.message || 'Failed to load sessions.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchApi]);
+
+  useEffect(() => {
+    if (isAuthenticated) loadSessions();
+  }, [isAuthenticated, loadSessions]);
+
+  const revokeSession = async (session) => {
+    setError('');
+    setRevoking(session.id);
+    try {
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+      await fetchApi(`/api/users/sessions/${session.id}`, { method: 'DELETE' });
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (e) {
+      setError(e.message || 'Failed to revoke session.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeAll = async () => {
+    setError('');
+    setRevoking('all');
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (e) {
+      setError(e.message || 'Failed to log out everywhere.');
+      setRevoking(null);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto">
+        <header className="flex justify-between items-center py-6 border-b border-gray-700 mb-6">
+          <RouterLink to="/" className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500">
+            <Sparkles className="inline w-6 h-6 mr-2 mb-1 text-teal-400" />
+            AI Tech Aggregator
+          </RouterLink>
+        </header>
+
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-white flex items-center">
+            <Monitor className="w-5 h-5 mr-2 text-indigo-400" />
+            Active sessions
+          </h2>
+          <button
+            onClick={revokeAll}
+            disabled={revoking !== null}
+            className="flex items-center px-4 py-2 bg-rose-600 text-white text-sm font-medium rounded-full hover:bg-rose-700 disabled:bg-rose-400 transition"
+          >
+            {revoking === 'all' ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <LogOut className="w-4 h-4 mr-1" />}
+            Log out everywhere
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-800/30 text-red-300 border border-red-700 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <p className="font-medium text-sm">{error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-8 text-gray-400">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center justify-between bg-gray-800 border border-gray-700 rounded-xl p-4">
+                <div className="min-w-0">
+                  <p className="text-white font-medium">
+                    {session.device}
+                    {session.current && <span className="ml-2 text-xs text-teal-300">This device</span>}
+                  </p>
+                  <p className="text-xs text-gray-400 truncate" title={session.userAgent}>
+                    {session.ip} · last active {formatDateTime(session.lastUsedAt)} · signed in {formatDateTime(session.createdAt)}
+                  </p>
+                </div>
+                <button
+                  onClick={() => revokeSession(session)}
+                  disabled={revoking !== null}
+                  className="ml-4 text-gray-400 hover:text-rose-400 disabled:opacity-50"
+                  aria-label={session.current ? 'Log out of this device' : `Revoke session on ${session.device}`}
+                  title={session.current ? 'Log out' : 'Revoke'}
+                >
+                  {revoking === session.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <X className="w-4 h-4" />}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { MailCheck, AlertTriangle, Loader2, Sparkles } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Landing page for the link in the verification email: /verify-email?token=...
+const VerifyEmail = () => {
+  const { isAuthenticated, fetchApi, refreshSession } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  // Tokens are single-use, so StrictMode's double effect must not send it twice
+  const sentRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || sentRef.current) return;
+    sentRef.current = true;
+
+    fetchApi('/api/users/verify-email', { method: 'POST', body: JSON.stringify({ token }) })
+      .then(async (data) => {
+        // The access token carries emailVerified; get a new one so the app sees the change
+        if (isAuthenticated) await refreshSession();
+        setStatus('done');
+        setMessage(data.msg || 'Email verified');
+      })
+      .catch((e) => {
+        setStatus('error');
+        setMessage(e.message || 'Verification failed.');
+      });
+  }, [token, fetchApi, refreshSession, isAuthenticated]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 font-sans flex items-center justify-center p-4">
+      <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md text-center">
+        <RouterLink to="/" className="block text-2xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-sky-500 mb-6">
+          <Sparkles className="inline w-5 h-5 mr-2 mb-1 text-teal-400" />
+          AI Tech Aggregator
+        </RouterLink>
+
+        {status === 'verifying' && (
+          <p className="text-gray-300 flex items-center justify-center">
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" /> Verifying your email...
+          </p>
+        )}
+        {status === 'done' && (
+          <p className="text-teal-300 flex items-center justify-center">
+            <MailCheck className="w-5 h-5 mr-2" /> {message}. You can now submit and vote on links.
+          </p>
+        )}
+        {status === 'error' && (
+          <p className="text-red-400 flex items-center justify-center">
+            <AlertTriangle className="w-5 h-5 mr-2" /> {message}
+          </p>
+        )}
+
+        {status !== 'verifying' && (
+          <RouterLink to="/" className="inline-block mt-6 text-indigo-400 hover:text-indigo-300 text-sm">Back to the feed</RouterLink>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,67 @@
+// server/app.js
+
+// The Express app: middleware, API docs and routes. server.js connects the
+// database, starts the schedulers and listens; tests mount the app on their own.
+
+const express = require('express');
+const cors = require('cors');
+
+// Route files (routes/index.js lists them with their mount paths)
+const routes = require('./routes');
+const swaggerUi = require('swagger-ui-express');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const responseContract = require('./middleware/responseContract');
+const { buildOpenApiSpec } = require('./docs/openapi');
+
+// Initialize Express App
+const app = express();
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip, which rate
+// limits count by, is the client's address rather than the proxy's.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+// Enables cross-origin requests. Set CLIENT_ORIGIN (comma-separated) when the client is served
+// from another origin, so the refresh token cookie can be sent with credentials.
+app.use(cors(process.env.CLIENT_ORIGIN
+    ? { origin: process.env.CLIENT_ORIGIN.split(',').map(origin => origin.trim()), credentials: true }
+    : undefined));
+app.use(express.json()); // Allows parsing of JSON request bodies 
+                         // IMPORTANT: This must be before any route handlers!
+
+// --- API Docs ---
+// The OpenAPI document is built from the routes themselves (see docs/openapi.js)
+const { spec: openApiSpec, problems: openApiProblems } = buildOpenApiSpec(routes);
+openApiProblems.forEach(problem => console.warn(`OpenAPI: ${problem}`));
+
+// OPENAPI_CONTRACT=warn|strict checks every JSON response against the spec
+if (process.env.OPENAPI_CONTRACT) {
+    const strict = process.env.OPENAPI_CONTRACT === 'strict';
+    if (strict && openApiProblems.length > 0) {
+        throw new Error('OPENAPI_CONTRACT=strict: every route needs docs in docs/operations.js');
+    }
+    app.use(responseContract(openApiSpec, { strict }));
+}
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec, { customSiteTitle: 'AITechAggregator API' }));
+
+// Use the imported routers at their base paths
+routes.forEach(({ path, router }) => app.use(path, router));
+
+// --- Basic Route ---
+app.get('/', (req, res) => {
+    res.send('AITechAggregator Backend Active');
+});
+
+// --- Error Handling ---
+// Unknown API routes, then every error, answered as { error: { code, message, details? } }
+app.use('/api', notFound);
+app.use(errorHandler);
+
+module.exports = app;
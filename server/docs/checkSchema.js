@@ -0,0 +1,75 @@
+// A small JSON Schema checker for the subset docs/components.js and
+// docs/operations.js use: type, enum, const, pattern, required, properties,
+// items, allOf, anyOf/oneOf and local $refs. Formats and length limits
+// aren't checked.
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+};
+
+/**
+ * Checks `value` (plain JSON) against `schema`.
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} root - The document `$ref`s point into, e.g. the OpenAPI spec.
+ * @param {string} [path] - Where `value` is, for messages.
+ * @returns {string[]} One message per problem; empty if it matches.
+ */
+const checkSchema = (schema, value, root, path = 'body') => {
+    if (!schema) return [];
+
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+        if (!target) return [`${path}: unknown $ref ${schema.$ref}`];
+        return checkSchema(target, value, root, path);
+    }
+
+    const problems = [];
+
+    for (const part of schema.allOf || []) {
+        problems.push(...checkSchema(part, value, root, path));
+    }
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives && !alternatives.some(option => checkSchema(option, value, root, path).length === 0)) {
+        problems.push(`${path} matches none of the allowed shapes`);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [...problems, `${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        problems.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        problems.push(`${path} doesn't match ${schema.pattern}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${path}.${key} is missing`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) problems.push(...checkSchema(propertySchema, value[key], root, `${path}.${key}`));
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => problems.push(...checkSchema(schema.items, item, root, `${path}[${index}]`)));
+    }
+
+    return problems;
+};
+
+module.exports = checkSchema;
@@ -0,0 +1,613 @@
+// Shared schemas for the OpenAPI document (docs/openapi.js), in JSON Schema
+// as used by OpenAPI 3.1. They describe what the route handlers send, so keep
+// them in step with the toClient... helpers in routes/ and utils/.
+//
+// Only fields every response has are `required`; older documents can lack
+// newer fields, and undefined values are left out of the JSON entirely.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const id = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'MongoDB ObjectId' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const stringList = { type: 'array', items: { type: 'string' } };
+const voteValue = { type: 'integer', enum: [-1, 0, 1] };
+const snippet = {
+    type: 'object',
+    required: ['text', 'highlights'],
+    description: 'Excerpt with [start, end) offsets of the matched terms in `text`',
+    properties: {
+        text: { type: 'string' },
+        highlights: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+    },
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                description: 'Some errors carry extra fields, e.g. `existing` on duplicate_link or `retryAfter` on rate_limited.',
+                properties: {
+                    code: { type: 'string', examples: ['validation_failed', 'not_found', 'rate_limited'] },
+                    message: { type: 'string' },
+                    details: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['in', 'field', 'message'],
+                            properties: {
+                                in: { type: 'string', enum: ['params', 'query', 'body'] },
+                                field: { type: 'string' },
+                                message: { type: 'string' },
+                            },
+                        },
+                    },
+                    retryAfter: { type: 'integer', description: 'Seconds to wait, on rate_limited errors' },
+                    until: { ...nullable(dateTime), description: 'When the suspension ends, on account_suspended and account_banned (null: no end set)' },
+                },
+            },
+        },
+    },
+
+    Message: {
+        type: 'object',
+        required: ['msg'],
+        properties: { msg: { type: 'string' } },
+    },
+
+    AuthSession: {
+        type: 'object',
+        required: ['token', 'role', 'username', 'emailVerified'],
+        description: 'The refresh token is set as an httpOnly cookie alongside this body.',
+        properties: {
+            token: { type: 'string', description: 'Short-lived access token, sent as `Authorization: Bearer <token>`' },
+            role: { type: 'string', enum: ['member', 'curator', 'admin'] },
+            username: { type: 'string' },
+            emailVerified: { type: 'boolean' },
+        },
+    },
+
+    Session: {
+        type: 'object',
+        required: ['id', 'current'],
+        properties: {
+            id,
+            device: { type: 'string', examples: ['Firefox on Windows'] },
+            userAgent: { type: 'string' },
+            ip: { type: 'string' },
+            createdAt: dateTime,
+            lastUsedAt: dateTime,
+            current: { type: 'boolean', description: 'Whether this is the session making the request' },
+        },
+    },
+
+    Profile: {
+        type: 'object',
+        required: ['id', 'username', 'joinedAt', 'karma', 'showUpvotes'],
+        properties: {
+            id,
+            username: { type: 'string' },
+            role: { type: 'string', enum: ['member', 'curator', 'admin'] },
+            bio: { type: 'string' },
+            avatarUrl: { type: 'string', description: "Empty when the user hasn't set one" },
+            joinedAt: dateTime,
+            karma: {
+                type: 'object',
+                required: ['links', 'comments', 'total'],
+                description: 'Net votes on their approved links and their comments',
+                properties: { links: { type: 'integer' }, comments: { type: 'integer' }, total: { type: 'integer' } },
+            },
+            submissionsCount: { type: 'integer' },
+            commentsCount: { type: 'integer' },
+            showUpvotes: { type: 'boolean', description: 'Whether their upvoted links are public' },
+            followersCount: { type: 'integer' },
+            isFollowing: { type: 'boolean', description: 'Whether you follow them; only when logged in' },
+        },
+    },
+
+    ProfileComment: {
+        type: 'object',
+        required: ['id', 'link', 'content'],
+        properties: {
+            id,
+            link: {
+                type: 'object',
+                required: ['id', 'title', 'url'],
+                properties: { id, title: { type: 'string' }, url: { type: 'string' } },
+            },
+            parentComment: nullable(id),
+            content: { type: 'string' },
+            votes: { type: 'integer' },
+            editedAt: nullable(dateTime),
+            createdAt: dateTime,
+        },
+    },
+
+    OAuthProvider: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', examples: ['github'] },
+            name: { type: 'string', examples: ['GitHub'] },
+        },
+    },
+
+    FeedLink: {
+        type: 'object',
+        required: ['id', 'url', 'title'],
+        properties: {
+            id,
+            url: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            imageUrl: { type: 'string' },
+            siteName: { type: 'string' },
+            domain: { type: 'string' },
+            tags: stringList,
+            username: { type: 'string', description: 'Submitter' },
+            submittedBy: id,
+            score: { type: 'integer' },
+            upvotes: { type: 'integer' },
+            downvotes: { type: 'integer' },
+            commentsCount: { type: 'integer' },
+            createdAt: dateTime,
+            userVote: { ...voteValue, description: 'Only when the request is authenticated' },
+            saved: { type: 'boolean', description: 'Whether the user saved it; only when the request is authenticated' },
+        },
+    },
+
+    FeedPage: {
+        type: 'object',
+        required: ['links', 'nextCursor', 'totalEstimate'],
+        properties: {
+            links: { type: 'array', items: ref('FeedLink') },
+            nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` for the next page; null on the last page' },
+            totalEstimate: { type: 'integer' },
+        },
+    },
+
+    HomeFeedPage: {
+        allOf: [ref('FeedPage')],
+        required: ['personalized'],
+        properties: {
+            personalized: { type: 'boolean', description: 'false when you follow nothing yet and this is the global feed' },
+        },
+    },
+
+    Follow: {
+        type: 'object',
+        required: ['type', 'target', 'name'],
+        properties: {
+            type: { type: 'string', enum: ['user', 'tag', 'domain'] },
+            target: { type: 'string', description: "The user's id, the tag's slug or the domain" },
+            name: { type: ['string', 'null'], description: 'Username, tag name or domain; null if the user or tag was deleted' },
+            createdAt: dateTime,
+        },
+    },
+
+    SubmittedLink: {
+        type: 'object',
+        required: ['id', 'url', 'title', 'status'],
+        properties: {
+            id,
+            url: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            imageUrl: { type: 'string' },
+            siteName: { type: 'string' },
+            tags: stringList,
+            suggestedTags: { ...stringList, description: 'Tags suggested from the page metadata' },
+            status: { type: 'string', enum: ['pending'] },
+            username: { type: 'string' },
+        },
+    },
+
+    VoteResult: {
+        type: 'object',
+        required: ['id', 'upvotes', 'downvotes', 'userVote', 'msg'],
+        properties: {
+            id,
+            score: { type: 'integer', description: 'Links only' },
+            votes: { type: 'integer', description: 'Comments only' },
+            upvotes: { type: 'integer' },
+            downvotes: { type: 'integer' },
+            userVote: voteValue,
+            msg: { type: 'string' },
+        },
+    },
+
+    Author: nullable({
+        type: 'object',
+        required: ['id', 'username'],
+        description: 'null for deleted comments and removed accounts',
+        properties: { id, username: { type: 'string' } },
+    }),
+
+    Comment: {
+        type: 'object',
+        required: ['id', 'link', 'content', 'author', 'replies', 'moreReplies'],
+        properties: {
+            id,
+            link: id,
+            parentComment: nullable(id),
+            content: { type: 'string', description: "'[deleted]' for deleted comments" },
+            author: ref('Author'),
+            depth: { type: 'integer' },
+            isDeleted: { type: 'boolean' },
+            editedAt: nullable(dateTime),
+            createdAt: dateTime,
+            votes: { type: 'integer' },
+            upvotes: { type: 'integer' },
+            downvotes: { type: 'integer' },
+            repliesCount: { type: 'integer' },
+            replies: { type: 'array', items: ref('Comment') },
+            moreReplies: { type: 'integer', description: 'Replies not included in `replies`' },
+            userVote: { ...voteValue, description: 'Only when the request is authenticated' },
+        },
+    },
+
+    Tag: {
+        type: 'object',
+        required: ['id', 'slug', 'name'],
+        properties: {
+            id,
+            slug: { type: 'string', examples: ['llm'] },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            aliases: stringList,
+            keywords: stringList,
+            parent: { type: ['string', 'null'], description: 'Parent tag slug (or id), null at the top level' },
+            createdAt: dateTime,
+        },
+    },
+
+    Bookmark: {
+        type: 'object',
+        required: ['note', 'readAt', 'lists', 'savedAt'],
+        description: "The user's saved state of a link",
+        properties: {
+            note: { type: 'string' },
+            readAt: { ...nullable(dateTime), description: 'null while unread' },
+            lists: { type: 'array', items: id, description: 'Reading lists the link is filed under' },
+            savedAt: dateTime,
+        },
+    },
+
+    SavedLinkResult: {
+        type: 'object',
+        required: ['linkId', 'saved', 'bookmark'],
+        properties: { linkId: id, saved: { type: 'boolean' }, bookmark: ref('Bookmark') },
+    },
+
+    ReadingList: {
+        type: 'object',
+        required: ['id', 'name', 'count'],
+        properties: {
+            id,
+            name: { type: 'string' },
+            count: { type: 'integer', description: 'Saved links in the list' },
+            createdAt: dateTime,
+        },
+    },
+
+    Notification: {
+        type: 'object',
+        required: ['id', 'type', 'message', 'readAt', 'createdAt'],
+        properties: {
+            id,
+            type: { type: 'string', enum: ['link_approved', 'link_rejected', 'comment_reply', 'mention', 'content_warning'] },
+            message: { type: 'string', description: 'Ready-to-show description, e.g. "alice replied to your comment on ..."' },
+            actor: { ...nullable({ type: 'object', required: ['id', 'username'], properties: { id, username: { type: 'string' } } }), description: 'The curator, or the author of the reply/mention' },
+            link: nullable({ type: 'object', required: ['id', 'title', 'url'], properties: { id, title: { type: 'string' }, url: { type: 'string' } } }),
+            comment: { ...nullable(id), description: 'The reply, the comment with the mention, or the comment warned about' },
+            reason: { type: 'string', description: "The curator's reason, for link_rejected and content_warning" },
+            readAt: { ...nullable(dateTime), description: 'null while unread' },
+            createdAt: dateTime,
+        },
+    },
+
+    NotificationPreferences: {
+        type: 'object',
+        required: ['moderation', 'replies', 'mentions', 'emailDigest'],
+        properties: {
+            moderation: { type: 'boolean', description: 'Your links approved or rejected' },
+            replies: { type: 'boolean', description: 'Replies to your comments' },
+            mentions: { type: 'boolean', description: '@mentions of your username' },
+            emailDigest: { type: 'boolean', description: 'Email unread notifications once a day (verified emails only)' },
+        },
+    },
+
+    ModerationLink: {
+        type: 'object',
+        required: ['id', 'url', 'status'],
+        properties: {
+            id,
+            url: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            imageUrl: { type: 'string' },
+            siteName: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+            submittedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } when the account exists' },
+            createdAt: dateTime,
+            moderatedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } once moderated' },
+            moderatedAt: nullable(dateTime),
+            rejectionReason: { type: 'string' },
+        },
+    },
+
+    ReportResult: {
+        type: 'object',
+        required: ['msg', 'hidden'],
+        properties: {
+            msg: { type: 'string' },
+            hidden: { type: 'boolean', description: 'Whether the item is now hidden pending review' },
+        },
+    },
+
+    ReportGroup: {
+        type: 'object',
+        required: ['type', 'target', 'count', 'reasons', 'reports'],
+        properties: {
+            type: { type: 'string', enum: ['link', 'comment'] },
+            target: {
+                type: 'object',
+                required: ['id', 'status', 'hidden'],
+                description: 'The reported link (url, title) or comment (content, link)',
+                properties: {
+                    id,
+                    url: { type: 'string' },
+                    title: { type: 'string' },
+                    content: { type: 'string' },
+                    link: { type: ['object', 'null'], description: '{ _id, title, url } of the commented link' },
+                    status: { type: 'string', description: "The link's status, or live/hidden/deleted/removed for a comment" },
+                    author: { type: ['object', 'null'], description: '{ _id, username } when the account exists' },
+                    hidden: { type: 'boolean', description: 'Hidden after reports, pending this review' },
+                },
+            },
+            count: { type: 'integer', description: 'Open reports, one per member' },
+            reasons: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Report count per reason, e.g. { spam: 2 }' },
+            firstReportedAt: dateTime,
+            lastReportedAt: dateTime,
+            reports: {
+                type: 'array',
+                description: 'The most recent reports, newest first',
+                items: {
+                    type: 'object',
+                    required: ['reporter', 'reason'],
+                    properties: {
+                        reporter: { type: 'object', properties: { id, username: nullable({ type: 'string' }) } },
+                        reason: { type: 'string', enum: ['spam', 'broken', 'off_topic', 'abusive', 'other'] },
+                        note: { type: 'string' },
+                        createdAt: dateTime,
+                    },
+                },
+            },
+        },
+    },
+
+    Suspension: {
+        type: 'object',
+        required: ['kind', 'until'],
+        properties: {
+            kind: { type: 'string', enum: ['suspended', 'banned'], description: 'Suspended users can read but not post, comment or vote; banned users cannot log in' },
+            reason: { type: 'string' },
+            until: { ...nullable(dateTime), description: 'null: until an admin lifts it' },
+            by: { ...id, description: 'The admin who set it' },
+            at: dateTime,
+        },
+    },
+
+    AdminUser: {
+        type: 'object',
+        required: ['id', 'username', 'email', 'role', 'suspension'],
+        properties: {
+            id,
+            username: { type: 'string' },
+            email: { type: 'string' },
+            role: { type: 'string', enum: ['member', 'curator', 'admin'] },
+            emailVerified: { type: 'boolean' },
+            suspension: { anyOf: [ref('Suspension'), { type: 'null' }], description: 'The suspension or ban in effect, if any' },
+            createdAt: dateTime,
+        },
+    },
+
+    AdminLink: {
+        type: 'object',
+        required: ['id', 'url', 'status'],
+        properties: {
+            id,
+            url: { type: 'string' },
+            title: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'hidden', 'removed'] },
+            submittedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } when the account exists' },
+            votes: { type: 'integer' },
+            commentsCount: { type: 'integer' },
+            createdAt: dateTime,
+            removedAt: nullable(dateTime),
+            removedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } of the admin who removed it' },
+            removalReason: { type: 'string' },
+        },
+    },
+
+    AdminComment: {
+        type: 'object',
+        required: ['id', 'content', 'status'],
+        properties: {
+            id,
+            content: { type: 'string', description: "Kept for removed comments; '[deleted]' when the author deleted it" },
+            status: { type: 'string', enum: ['live', 'deleted', 'hidden', 'removed'] },
+            link: { type: ['object', 'string', 'null'], description: '{ _id, title } when the link exists' },
+            postedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } when the account exists' },
+            votes: { type: 'integer' },
+            createdAt: dateTime,
+            removedAt: nullable(dateTime),
+            removedBy: { type: ['object', 'string', 'null'], description: '{ _id, username } of the admin who removed it' },
+            removalReason: { type: 'string' },
+        },
+    },
+
+    AuditLogEntry: {
+        type: 'object',
+        required: ['id', 'action', 'targetType', 'target', 'createdAt'],
+        properties: {
+            id,
+            actor: { type: ['object', 'string', 'null'], description: '{ _id, username } of the admin' },
+            action: {
+                type: 'string',
+                enum: ['user.role', 'user.suspend', 'user.ban', 'user.unsuspend', 'link.remove', 'link.restore', 'comment.remove', 'comment.restore'],
+            },
+            targetType: { type: 'string', enum: ['User', 'Link', 'Comment'] },
+            target: id,
+            details: { type: 'object', description: 'What changed, e.g. { from, to } for a role or { reason, until } for a suspension' },
+            ip: { type: 'string' },
+            createdAt: dateTime,
+        },
+    },
+
+    SiteStats: {
+        type: 'object',
+        required: ['days', 'totals', 'daily'],
+        properties: {
+            days: { type: 'integer' },
+            totals: {
+                type: 'object',
+                required: ['users', 'links', 'comments', 'votes'],
+                properties: {
+                    users: { type: 'integer' },
+                    links: {
+                        type: 'object',
+                        description: 'Links by status',
+                        properties: Object.fromEntries(['pending', 'approved', 'rejected', 'hidden', 'removed'].map(status => [status, { type: 'integer' }])),
+                    },
+                    comments: { type: 'integer', description: 'Not deleted or removed' },
+                    votes: { type: 'integer', description: 'Current votes on links and comments' },
+                },
+            },
+            daily: {
+                type: 'array',
+                description: 'One entry per UTC day, oldest first, including today',
+                items: {
+                    type: 'object',
+                    required: ['date', 'signups', 'submissions', 'comments', 'votes'],
+                    properties: {
+                        date: { type: 'string', format: 'date' },
+                        signups: { type: 'integer' },
+                        submissions: { type: 'integer' },
+                        comments: { type: 'integer' },
+                        votes: { type: 'integer', description: 'Votes first cast that day' },
+                    },
+                },
+            },
+        },
+    },
+
+    BlockedDomain: {
+        type: 'object',
+        required: ['domain'],
+        properties: {
+            domain: { type: 'string', examples: ['spam.example'] },
+            reason: { type: 'string' },
+            createdBy: { type: 'string', description: 'Username of the curator who blocked it' },
+            createdAt: dateTime,
+        },
+    },
+
+    IngestSource: {
+        type: 'object',
+        required: ['id', 'name', 'type', 'health'],
+        properties: {
+            id,
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['rss', 'arxiv', 'github'] },
+            url: { type: 'string' },
+            category: { type: 'string' },
+            repo: { type: 'string' },
+            feedUrl: { type: 'string' },
+            tags: stringList,
+            enabled: { type: 'boolean' },
+            intervalMinutes: { type: 'integer' },
+            maxItemsPerRun: { type: 'integer' },
+            health: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['never', 'ok', 'error'] },
+                    lastRunAt: nullable(dateTime),
+                    lastSuccessAt: nullable(dateTime),
+                    lastError: { type: 'string' },
+                    lastItemsSeen: { type: 'integer' },
+                    lastItemsCreated: { type: 'integer' },
+                    totalItemsCreated: { type: 'integer' },
+                    consecutiveFailures: { type: 'integer' },
+                    nextRunAt: nullable(dateTime),
+                },
+            },
+        },
+    },
+
+    SearchResults: {
+        type: 'object',
+        required: ['query', 'page', 'limit'],
+        description: '`links`/`comments` are present unless `type` excludes them.',
+        properties: {
+            query: { type: 'string' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            links: {
+                type: 'array',
+                items: {
+                    allOf: [ref('FeedLink')],
+                    properties: {
+                        relevance: { type: 'number' },
+                        snippets: {
+                            type: 'object',
+                            properties: { title: snippet, description: snippet },
+                        },
+                    },
+                },
+            },
+            linksTotal: { type: 'integer' },
+            comments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'link', 'snippet'],
+                    properties: {
+                        id,
+                        link: {
+                            type: 'object',
+                            properties: { id, title: { type: 'string' }, url: { type: 'string' } },
+                        },
+                        parentComment: nullable(id),
+                        author: ref('Author'),
+                        createdAt: dateTime,
+                        relevance: { type: 'number' },
+                        snippet,
+                    },
+                },
+            },
+            commentsTotal: { type: 'integer' },
+        },
+    },
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from /api/users/login, /register or /refresh',
+    },
+    refreshCookie: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'refreshToken',
+        description: 'httpOnly refresh token cookie set on login',
+    },
+};
+
+module.exports = { schemas, securitySchemes, ref };
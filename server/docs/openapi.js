@@ -0,0 +1,238 @@
+// Builds the OpenAPI 3.1 document served at /api/openapi.json.
+//
+// The routes themselves are the source of truth: every router from
+// routes/index.js is walked, and each route's middleware says most of what
+// there is to say about it:
+//
+//   validate(schema)      -> path/query parameters and the JSON request body
+//   auth / optionalAuth   -> bearer token security, 401
+//   requireRole(...)      -> 403, and the roles in the description
+//   requireVerified       -> 403 email_not_verified
+//   requireActive         -> 403 account_suspended / account_banned
+//   rateLimit(...)        -> 429, and the limits as `x-rate-limits`
+//
+// The rest (summary, success response, route-specific errors) comes from
+// docs/operations.js, and shared schemas from docs/components.js.
+//
+// Run `npm run openapi` to print the document, or `npm run check:openapi` to
+// list routes whose docs are missing or point at routes that no longer exist.
+
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const requireActive = require('../middleware/requireActive');
+const { schemas, securitySchemes } = require('./components');
+const operations = require('./operations');
+const { version } = require('../package.json');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * '/api/links/:id/vote' -> '/api/links/{id}/vote'. Drops a trailing slash ('/api/links/').
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+/**
+ * Every route of the mounted routers, with all the middleware that runs for it
+ * (router.use() middleware declared before the route, then the route's own).
+ * @param {Array<{ path: string, router: object }>} mounts
+ * @returns {Array<{ method: string, path: string, handlers: function[] }>}
+ */
+const listRoutes = (mounts) => mounts.flatMap(({ path: base, router }) => {
+    const routes = [];
+    let shared = [];
+    for (const layer of router.stack) {
+        if (!layer.route) {
+            shared = [...shared, layer.handle];
+            continue;
+        }
+        const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+        for (const method of METHODS.filter(method => layer.route.methods[method])) {
+            routes.push({ method: method.toUpperCase(), path: toOpenApiPath(base + layer.route.path), handlers });
+        }
+    }
+    return routes;
+});
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const formatWindow = (seconds) => {
+    if (seconds % 3600 === 0) return seconds === 3600 ? 'hour' : `${seconds / 3600} hours`;
+    if (seconds % 60 === 0) return seconds === 60 ? 'minute' : `${seconds / 60} minutes`;
+    return `${seconds} seconds`;
+};
+
+/**
+ * Parameters, request body, security and generic error responses for one route,
+ * read off its middleware.
+ */
+const describeMiddleware = (path, handlers) => {
+    const parameters = [];
+    let requestBody;
+    let security;
+    const errors = {};
+    // `code` lets mergeResponses skip errors the documented description already names
+    const addError = (status, description, code) => { (errors[status] = errors[status] || []).push({ description, code }); };
+    const rateLimits = [];
+    let roles;
+
+    for (const handler of handlers) {
+        if (handler === auth) {
+            security = [{ bearerAuth: [] }];
+            addError(401, 'unauthorized or invalid_token: missing or invalid access token', 'unauthorized');
+        } else if (handler === optionalAuth) {
+            security = [{}, { bearerAuth: [] }];
+        } else if (handler === requireVerified) {
+            addError(403, 'email_not_verified', 'email_not_verified');
+        } else if (handler === requireActive) {
+            addError(403, 'account_suspended or account_banned: the account is suspended (see `until`)', 'account_suspended');
+        } else if (handler.roles) {
+            roles = handler.roles;
+            addError(403, `forbidden: requires the ${handler.roles.join(' or ')} role`);
+        } else if (handler.rateLimit) {
+            rateLimits.push(handler.rateLimit);
+        } else if (handler.schema) {
+            const { params = {}, query = {}, body } = handler.schema;
+            for (const [name, check] of Object.entries(params)) {
+                parameters.push({ name, in: 'path', required: true, schema: check.jsonSchema });
+            }
+            for (const [name, check] of Object.entries(query)) {
+                parameters.push({ name, in: 'query', required: check.required, schema: check.jsonSchema });
+            }
+            if (body) {
+                const required = Object.keys(body).filter(name => body[name].required);
+                requestBody = {
+                    required: required.length > 0,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: Object.fromEntries(Object.entries(body).map(([name, check]) => [name, check.jsonSchema])),
+                                ...(required.length > 0 ? { required } : {}),
+                            },
+                        },
+                    },
+                };
+            }
+            addError(400, 'validation_failed: see `details`', 'validation_failed');
+        }
+    }
+
+    // Path params that no schema mentions are still required strings
+    for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+        if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        }
+    }
+
+    for (const { name, max, windowSeconds } of rateLimits) {
+        if (max) addError(429, `rate_limited: ${max} per ${formatWindow(windowSeconds)} (${name})`);
+    }
+    addError(500, 'internal_error', 'internal_error');
+
+    return { parameters, requestBody, security, errors, rateLimits, roles };
+};
+
+/**
+ * Combines the documented responses with the ones implied by the middleware.
+ * A generic error already named in the documented description isn't repeated.
+ */
+const mergeResponses = (documented = {}, errors) => {
+    const responses = {};
+    for (const [status, response] of Object.entries(documented)) {
+        responses[status] = typeof response === 'string' ? errorResponse(response) : response;
+    }
+    for (const [status, descriptions] of Object.entries(errors)) {
+        const existing = responses[status];
+        const extra = descriptions
+            .filter(({ code }) => !(existing && code && existing.description.includes(code)))
+            .map(({ description }) => description);
+        if (extra.length === 0) continue;
+        responses[status] = existing
+            ? { ...existing, description: [existing.description, ...extra].join('; ') }
+            : errorResponse(extra.join('; '));
+    }
+    return responses;
+};
+
+// 'PATCH /api/links/{id}/vote' -> 'patchApiLinksIdVote'
+const toOperationId = (method, path) => method.toLowerCase()
+    + path.replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+
+const tagFor = (path) => {
+    const segment = path.startsWith('/api/') ? path.split('/')[2] : path.split('/')[1];
+    return segment.charAt(0).toUpperCase() + segment.slice(1);
+};
+
+/**
+ * Builds the OpenAPI document for the mounted routers.
+ * @param {Array<{ path: string, router: object }>} mounts - See routes/index.js.
+ * @returns {{ spec: object, problems: string[] }} `problems` lists routes without
+ * docs in docs/operations.js and docs for routes that don't exist.
+ */
+const buildOpenApiSpec = (mounts) => {
+    const paths = {};
+    const problems = [];
+    const seen = new Set();
+
+    for (const { method, path, handlers } of listRoutes(mounts)) {
+        const key = `${method} ${path}`;
+        seen.add(key);
+        const doc = operations[key];
+        if (!doc) problems.push(`${key} has no entry in docs/operations.js`);
+
+        const { parameters, requestBody, security, errors, rateLimits, roles } = describeMiddleware(path, handlers);
+        const { responses, ...rest } = doc || { summary: key, responses: { 200: { description: 'OK' } } };
+        const description = [rest.description, roles && `Requires the ${roles.join(' or ')} role.`]
+            .filter(Boolean)
+            .join('\n\n');
+
+        paths[path] = paths[path] || {};
+        paths[path][method.toLowerCase()] = {
+            tags: [tagFor(path)],
+            ...rest,
+            ...(description ? { description } : {}),
+            operationId: toOperationId(method, path),
+            ...(parameters.length > 0 ? { parameters } : {}),
+            ...(requestBody ? { requestBody } : {}),
+            ...(rest.security || security ? { security: rest.security || security } : {}),
+            responses: mergeResponses(responses, errors),
+            ...(rateLimits.length > 0 ? { 'x-rate-limits': rateLimits } : {}),
+        };
+    }
+
+    for (const key of Object.keys(operations)) {
+        if (!seen.has(key)) problems.push(`docs/operations.js documents ${key}, which no router defines`);
+    }
+
+    const spec = {
+        openapi: '3.1.0',
+        info: {
+            title: 'AITechAggregator API',
+            version,
+            description: 'Errors always have the body `{ error: { code, message, details? } }`. '
+                + 'Send the access token as `Authorization: Bearer <token>`.',
+        },
+        paths,
+        components: { schemas, securitySchemes },
+    };
+    return { spec, problems };
+};
+
+module.exports = { buildOpenApiSpec, toOpenApiPath };
+
+// npm run openapi / npm run check:openapi
+if (require.main === module) {
+    require('dotenv').config();
+    const { spec, problems } = buildOpenApiSpec(require('../routes'));
+    if (process.argv.includes('--check')) {
+        problems.forEach(problem => console.error(problem));
+        console.log(problems.length === 0 ? 'OpenAPI docs cover every route' : `${problems.length} problem(s)`);
+        process.exit(problems.length === 0 ? 0 : 1);
+    }
+    console.log(JSON.stringify(spec, null, 2));
+    process.exit(0);
+}
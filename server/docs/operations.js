@@ -0,0 +1,707 @@
+// Per-route documentation for the OpenAPI document, keyed by
+// 'METHOD /path' as it appears in the spec (`:id` becomes `{id}`).
+//
+// Parameters, request bodies, auth and the generic error responses (400, 401,
+// 403, 429, 500) are worked out from each route's middleware by docs/openapi.js.
+// What's written here is what the middleware can't tell: a summary, the
+// success response, and route-specific errors. Error responses are given as
+// their description; their body is always the Error schema.
+//
+// Every route needs an entry: docs/openapi.js reports routes without one.
+
+const { ref } = require('./components');
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const listOf = (name, description) => json({ type: 'array', items: ref(name) }, description);
+const message = (properties = {}, description = 'OK') => json({
+    type: 'object',
+    required: ['msg'],
+    properties: { msg: { type: 'string' }, ...properties },
+}, description);
+const redirect = (description) => ({ description, headers: { Location: { schema: { type: 'string' } } } });
+
+const id = { type: 'string' };
+const count = { type: 'integer' };
+const paging = { page: count, limit: count, totalPages: count };
+
+const feedDocument = {
+    description: 'The feed, as RSS 2.0, Atom 1.0 or JSON Feed 1.1 depending on the extension',
+    content: {
+        'application/rss+xml': { schema: { type: 'string' } },
+        'application/atom+xml': { schema: { type: 'string' } },
+        'application/feed+json': { schema: { type: 'object' } },
+    },
+};
+const notModified = 'Not modified since If-None-Match / If-Modified-Since';
+const unknownFormat = 'unknown_format: the extension is not .rss, .atom or .json';
+
+const operations = {
+    // --- Users & sessions ---
+    'POST /api/users/register': {
+        summary: 'Register a new account',
+        description: 'Starts a session (see login) and emails a verification link.',
+        responses: { 200: json(ref('AuthSession')), 400: 'validation_failed, email_taken if the email already has an account, or username_reserved' },
+    },
+    'POST /api/users/login': {
+        summary: 'Log in with email and password',
+        description: 'Returns an access token and sets the refresh token cookie.',
+        responses: { 200: json(ref('AuthSession')), 400: 'invalid_credentials', 403: 'account_banned' },
+    },
+    'POST /api/users/refresh': {
+        summary: 'Get a new access token',
+        description: 'Exchanges the refresh token cookie for a new access token and rotates the cookie. '
+            + 'Reusing an already rotated refresh token revokes the whole session.',
+        security: [{ refreshCookie: [] }],
+        responses: {
+            200: json(ref('AuthSession')),
+            401: 'invalid_refresh_token or refresh_token_reused',
+            403: 'account_banned: the session is ended',
+        },
+    },
+    'POST /api/users/logout': {
+        summary: 'End the current session',
+        description: 'Revokes the session only when the cookie holds its current refresh token. Always clears the cookie.',
+        security: [{ refreshCookie: [] }],
+        responses: { 200: json(ref('Message')) },
+    },
+    'GET /api/users/sessions': {
+        summary: "List the current user's active sessions",
+        responses: { 200: listOf('Session') },
+    },
+    'DELETE /api/users/sessions/{id}': {
+        summary: 'Revoke one session',
+        responses: { 200: message({ id }), 404: 'Session not found' },
+    },
+    'DELETE /api/users/sessions': {
+        summary: 'Log out everywhere',
+        responses: { 200: message({ revoked: count }) },
+    },
+    'POST /api/users/verify-email': {
+        summary: 'Confirm an email address',
+        responses: { 200: json(ref('Message')), 400: 'invalid_token: the link is invalid or has expired' },
+    },
+    'POST /api/users/verify-email/resend': {
+        summary: 'Send a new verification email',
+        responses: {
+            200: json(ref('Message')),
+            400: 'already_verified',
+            404: 'User not found',
+            429: 'rate_limited: one email a minute',
+        },
+    },
+    'POST /api/users/forgot-password': {
+        summary: 'Email a password reset link',
+        description: 'Answers the same whether or not the email has an account.',
+        responses: { 200: json(ref('Message')) },
+    },
+    'POST /api/users/reset-password': {
+        summary: 'Set a new password with a reset token',
+        description: "Revokes all of the user's sessions.",
+        responses: { 200: json(ref('Message')), 400: 'invalid_token: the link is invalid or has expired', 404: 'User not found' },
+    },
+    'GET /api/users/oauth/providers': {
+        summary: 'List the configured sign-in providers',
+        responses: { 200: listOf('OAuthProvider') },
+    },
+    'GET /api/users/oauth/{provider}': {
+        summary: 'Start signing in with a provider',
+        description: 'For browsers: redirects to the provider.',
+        responses: { 302: redirect("Redirect to the provider's sign-in page"), 404: 'Unknown or unconfigured sign-in provider' },
+    },
+    'GET /api/users/oauth/{provider}/callback': {
+        summary: 'Sign-in provider callback',
+        description: 'For browsers: redirects to the client at /oauth/callback with an access token, or with an error.',
+        responses: { 302: redirect('Redirect back to the client'), 404: 'Unknown or unconfigured sign-in provider' },
+    },
+
+    // --- Saved links ---
+    'GET /api/users/me/saved': {
+        summary: 'Your saved links',
+        description: 'Most recently saved first, cursor-paged like GET /api/links.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['links', 'nextCursor', 'totalEstimate'],
+                properties: {
+                    links: { type: 'array', items: { allOf: [ref('FeedLink')], required: ['bookmark'], properties: { bookmark: ref('Bookmark') } } },
+                    nextCursor: { type: ['string', 'null'] },
+                    totalEstimate: count,
+                },
+            }),
+            400: 'validation_failed or invalid_cursor',
+        },
+    },
+    'GET /api/users/me/saved/export': {
+        summary: 'Export your saved links',
+        description: 'Sent as a file download. The HTML format is a Netscape bookmark file, with a folder per reading list.',
+        responses: {
+            200: {
+                description: 'The export file',
+                content: {
+                    'application/json': { schema: { type: 'object' } },
+                    'text/html': { schema: { type: 'string' } },
+                },
+            },
+        },
+    },
+    'POST /api/users/me/saved': {
+        summary: 'Save a link',
+        description: 'Saving an already saved link updates its note and lists (200).',
+        responses: {
+            200: json(ref('SavedLinkResult'), 'Already saved; updated'),
+            201: json(ref('SavedLinkResult'), 'Saved'),
+            400: 'validation_failed or unknown_lists',
+            403: 'Only approved links can be saved',
+            404: 'Link not found',
+        },
+    },
+    'PATCH /api/users/me/saved/{linkId}': {
+        summary: 'Update a saved link',
+        description: '`read: true` marks it read, `false` unread. `lists` replaces the lists it is filed under.',
+        responses: { 200: json(ref('SavedLinkResult')), 400: 'validation_failed or unknown_lists', 404: 'Link is not saved' },
+    },
+    'DELETE /api/users/me/saved/{linkId}': {
+        summary: 'Unsave a link',
+        responses: { 200: message({ linkId: id, saved: { type: 'boolean', const: false } }), 404: 'Link is not saved' },
+    },
+    'GET /api/users/me/lists': {
+        summary: 'Your reading lists',
+        responses: { 200: listOf('ReadingList') },
+    },
+    'POST /api/users/me/lists': {
+        summary: 'Create a reading list',
+        responses: { 201: json(ref('ReadingList'), 'Created'), 400: 'validation_failed or too_many_lists', 409: 'list_exists' },
+    },
+    'PATCH /api/users/me/lists/{id}': {
+        summary: 'Rename a reading list',
+        responses: { 200: json(ref('ReadingList')), 404: 'Reading list not found', 409: 'list_exists' },
+    },
+    'DELETE /api/users/me/lists/{id}': {
+        summary: 'Delete a reading list',
+        description: 'Its links stay saved.',
+        responses: { 200: message({ id }), 404: 'Reading list not found' },
+    },
+
+    // --- Profiles ---
+    'PATCH /api/users/profile': {
+        summary: 'Update your profile',
+        responses: { 200: json(ref('Profile')), 404: 'User not found' },
+    },
+    'GET /api/users/{username}': {
+        summary: "A user's public profile",
+        responses: { 200: json(ref('Profile')), 404: 'User not found' },
+    },
+    'GET /api/users/{username}/submissions': {
+        summary: "A user's approved links",
+        responses: { 200: json(ref('FeedPage')), 400: 'validation_failed or invalid_cursor', 404: 'User not found' },
+    },
+    'GET /api/users/{username}/comments': {
+        summary: "A user's comments",
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['comments', 'nextCursor'],
+                properties: {
+                    comments: { type: 'array', items: ref('ProfileComment') },
+                    nextCursor: { type: ['string', 'null'] },
+                },
+            }),
+            400: 'validation_failed or invalid_cursor',
+            404: 'User not found',
+        },
+    },
+    'GET /api/users/{username}/upvotes': {
+        summary: 'Links a user upvoted',
+        description: 'Only visible to others when the user has turned on `showUpvotes`.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['links', 'nextCursor'],
+                properties: {
+                    links: {
+                        type: 'array',
+                        items: { allOf: [ref('FeedLink')], properties: { upvotedAt: { type: 'string', format: 'date-time' } } },
+                    },
+                    nextCursor: { type: ['string', 'null'] },
+                },
+            }),
+            400: 'validation_failed or invalid_cursor',
+            403: 'upvotes_private',
+            404: 'User not found',
+        },
+    },
+
+    // --- Links ---
+    'GET /api/links': {
+        summary: 'Public feed of approved links',
+        description: 'Cursor-paged. Pass the previous page\'s `nextCursor` as `cursor` with the same sort and window.',
+        responses: { 200: json(ref('FeedPage')), 400: 'validation_failed or invalid_cursor' },
+    },
+    'GET /api/links/{id}': {
+        summary: 'One approved link',
+        description: 'What the client shows above the comment thread at /links/{id}.',
+        responses: { 200: json(ref('FeedLink')), 404: 'Link not found' },
+    },
+    'GET /api/feed/home': {
+        summary: 'Your personalized home feed',
+        description: 'Links from the users, tags (with subtopics) and domains (with subdomains) you follow, '
+            + 'ranked and paged like GET /api/links. If you follow nothing yet this is the global feed. '
+            + 'Pages are cached for up to 30 seconds; your votes and saved state are always current.',
+        responses: { 200: json(ref('HomeFeedPage')), 400: 'validation_failed or invalid_cursor' },
+    },
+    'POST /api/links': {
+        summary: 'Submit a link',
+        description: 'The page is fetched for its title, description, image and canonical URL. '
+            + 'New links wait in the moderation queue.',
+        responses: {
+            200: json(ref('SubmittedLink')),
+            400: 'validation_failed or unknown_tags (listed in `tags`)',
+            403: 'domain_blocked',
+            409: 'duplicate_link: already submitted; the existing link is in `existing`',
+            429: 'rate_limited, or new_account_quota for accounts under a few days old',
+        },
+    },
+    'PATCH /api/links/{id}/vote': {
+        summary: 'Vote on a link',
+        responses: { 200: json(ref('VoteResult')), 403: 'Only approved links can be voted on', 404: 'Link not found' },
+    },
+    'POST /api/links/{id}/report': {
+        summary: 'Report a link',
+        description: 'Once enough different members have reported it, the link is hidden until a curator reviews it.',
+        responses: {
+            201: json(ref('ReportResult'), 'Created'),
+            400: 'validation_failed or cannot_report_own',
+            404: 'Link not found',
+            409: 'already_reported, also once a curator dismissed your report on it',
+        },
+    },
+
+    // --- Moderation ---
+    'GET /api/moderation/links': {
+        summary: 'Moderation queue',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['links', 'page', 'limit', 'total', 'totalPages'],
+                properties: { links: { type: 'array', items: ref('ModerationLink') }, total: count, ...paging },
+            }),
+        },
+    },
+    'PATCH /api/moderation/links/{id}/approve': {
+        summary: 'Approve a pending link',
+        responses: { 200: json(ref('ModerationLink')), 404: 'Link not found', 409: 'already_moderated' },
+    },
+    'PATCH /api/moderation/links/{id}/reject': {
+        summary: 'Reject a pending link',
+        responses: {
+            200: json(ref('ModerationLink')),
+            400: 'validation_failed or reason_required',
+            404: 'Link not found',
+            409: 'already_moderated',
+        },
+    },
+    'POST /api/moderation/links/bulk': {
+        summary: 'Approve or reject many links',
+        description: 'Links that are no longer pending are skipped.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['action', 'updated', 'updatedIds', 'skippedIds'],
+                properties: {
+                    action: { type: 'string', enum: ['approve', 'reject'] },
+                    updated: count,
+                    updatedIds: { type: 'array', items: id },
+                    skippedIds: { type: 'array', items: id },
+                },
+            }),
+            400: 'validation_failed or reason_required',
+        },
+    },
+    'GET /api/moderation/blocked-domains': {
+        summary: 'List blocked domains',
+        responses: { 200: listOf('BlockedDomain') },
+    },
+    'POST /api/moderation/blocked-domains': {
+        summary: 'Block a domain and its subdomains',
+        responses: { 201: json(ref('BlockedDomain'), 'Created'), 400: 'validation_failed or invalid_domain', 409: 'already_blocked' },
+    },
+    'DELETE /api/moderation/blocked-domains/{domain}': {
+        summary: 'Unblock a domain',
+        responses: { 200: message({ domain: { type: 'string' } }), 404: 'Domain is not blocked' },
+    },
+
+    // --- Reports ---
+    'GET /api/reports': {
+        summary: 'Report queue',
+        description: 'Open reports grouped by the link or comment reported, most reported first.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['items', 'page', 'limit', 'total', 'totalPages'],
+                properties: { items: { type: 'array', items: ref('ReportGroup') }, total: count, ...paging },
+            }),
+        },
+    },
+    'POST /api/reports/{type}/{id}/resolve': {
+        summary: 'Resolve the reports on a link or comment',
+        description: 'Closes every open report on it. dismiss and warn put a hidden item back; '
+            + 'remove takes it down (admins can restore it). warn, and remove with `warn`, notify the author.',
+        responses: {
+            200: message({ action: { type: 'string', enum: ['dismiss', 'remove', 'warn'] }, resolved: count }),
+            404: 'no_open_reports',
+        },
+    },
+
+    // --- Admin ---
+    'GET /api/admin/stats': {
+        summary: 'Site stats',
+        responses: { 200: json(ref('SiteStats')) },
+    },
+    'GET /api/admin/users': {
+        summary: 'Search users',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['users', 'page', 'limit', 'total', 'totalPages'],
+                properties: { users: { type: 'array', items: ref('AdminUser') }, total: count, ...paging },
+            }),
+        },
+    },
+    'PATCH /api/admin/users/{id}/role': {
+        summary: "Change a user's role",
+        description: 'Their access token keeps the old role until it is next refreshed (at most 15 minutes).',
+        responses: { 200: json(ref('AdminUser')), 400: 'validation_failed or cannot_change_own_role', 404: 'User not found' },
+    },
+    'POST /api/admin/users/{id}/suspension': {
+        summary: 'Suspend or ban a user',
+        description: 'Replaces any current suspension. Banning also ends all of the user\'s sessions.',
+        responses: {
+            200: json(ref('AdminUser')),
+            400: 'validation_failed, cannot_suspend_self, cannot_suspend_admin or invalid_until',
+            404: 'User not found',
+        },
+    },
+    'DELETE /api/admin/users/{id}/suspension': {
+        summary: "Lift a user's suspension or ban",
+        responses: { 200: json(ref('AdminUser')), 404: 'User not found', 409: 'not_suspended' },
+    },
+    'GET /api/admin/links': {
+        summary: 'All links, including removed ones',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['links', 'page', 'limit', 'total', 'totalPages'],
+                properties: { links: { type: 'array', items: ref('AdminLink') }, total: count, ...paging },
+            }),
+        },
+    },
+    'DELETE /api/admin/links/{id}': {
+        summary: 'Remove a link',
+        description: 'Hides it everywhere, including saved links. POST .../restore puts it back with its previous status.',
+        responses: { 200: json(ref('AdminLink')), 404: 'Link not found', 409: 'already_removed, or the link changed meanwhile' },
+    },
+    'POST /api/admin/links/{id}/restore': {
+        summary: 'Restore a removed link',
+        responses: { 200: json(ref('AdminLink')), 404: 'Link not found', 409: 'not_removed' },
+    },
+    'GET /api/admin/comments': {
+        summary: 'All comments, including deleted and removed ones',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['comments', 'page', 'limit', 'total', 'totalPages'],
+                properties: { comments: { type: 'array', items: ref('AdminComment') }, total: count, ...paging },
+            }),
+        },
+    },
+    'DELETE /api/admin/comments/{id}': {
+        summary: 'Remove a comment',
+        description: 'It stays in its thread as "[removed]" and keeps its content, so it can be restored.',
+        responses: { 200: json(ref('AdminComment')), 404: 'Comment not found', 409: 'already_removed' },
+    },
+    'POST /api/admin/comments/{id}/restore': {
+        summary: 'Restore a removed comment',
+        responses: { 200: json(ref('AdminComment')), 404: 'Comment not found', 409: 'not_removed: only comments removed by an admin can be restored' },
+    },
+    'GET /api/admin/audit-log': {
+        summary: 'Admin actions, newest first',
+        description: 'Every change made through /api/admin is recorded here. Entries cannot be changed or deleted.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['entries', 'page', 'limit', 'total', 'totalPages'],
+                properties: { entries: { type: 'array', items: ref('AuditLogEntry') }, total: count, ...paging },
+            }),
+        },
+    },
+
+    // --- Comments ---
+    'GET /api/comments/link/{linkId}': {
+        summary: "A link's comment tree",
+        description: 'Top-level comments are paged; replies are nested up to `depth` levels, `replyLimit` per comment.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['comments', 'page', 'limit', 'totalTopLevel', 'totalPages'],
+                properties: {
+                    comments: { type: 'array', items: ref('Comment') },
+                    totalTopLevel: count,
+                    commentsCount: count,
+                    ...paging,
+                },
+            }),
+            404: 'Link not found',
+        },
+    },
+    'GET /api/comments/{id}/replies': {
+        summary: 'Replies to one comment',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['comments', 'page', 'limit', 'total', 'totalPages'],
+                properties: { comments: { type: 'array', items: ref('Comment') }, total: count, ...paging },
+            }),
+            404: 'Comment not found',
+        },
+    },
+    'POST /api/comments/link/{linkId}': {
+        summary: 'Comment on a link',
+        responses: {
+            201: json(ref('Comment'), 'Created'),
+            400: 'validation_failed, or the thread is nested too deeply',
+            403: 'Only approved links can be commented on',
+            404: 'Link or parent comment not found',
+        },
+    },
+    'PATCH /api/comments/{id}': {
+        summary: 'Edit your comment',
+        responses: { 200: json(ref('Comment')), 403: 'You can only edit your own comments', 404: 'Comment not found, deleted, or on a link that is not approved' },
+    },
+    'DELETE /api/comments/{id}': {
+        summary: 'Delete your comment',
+        description: 'The comment stays in the thread as a "[deleted]" tombstone.',
+        responses: {
+            200: message({ id, isDeleted: { type: 'boolean', const: true } }),
+            403: 'You can only delete your own comments',
+            404: 'Comment not found',
+        },
+    },
+    'PATCH /api/comments/{id}/vote': {
+        summary: 'Vote on a comment',
+        responses: { 200: json(ref('VoteResult')), 404: 'Comment not found, deleted, or on a link that is not approved' },
+    },
+    'POST /api/comments/{id}/report': {
+        summary: 'Report a comment',
+        description: 'Once enough different members have reported it, the comment is hidden until a curator reviews it.',
+        responses: {
+            201: json(ref('ReportResult'), 'Created'),
+            400: 'validation_failed or cannot_report_own',
+            404: 'Comment not found',
+            409: 'already_reported, also once a curator dismissed your report on it',
+        },
+    },
+
+    // --- Follows ---
+    'GET /api/follows': {
+        summary: 'Everything you follow',
+        responses: { 200: listOf('Follow') },
+    },
+    'POST /api/follows': {
+        summary: 'Follow a user, tag or domain',
+        description: 'Following something you already follow returns it with 200.',
+        responses: {
+            200: json(ref('Follow'), 'Already followed'),
+            201: json(ref('Follow'), 'Followed'),
+            400: 'validation_failed, invalid_domain, cannot_follow_self or too_many_follows',
+            404: 'User not found or Tag not found',
+        },
+    },
+    'DELETE /api/follows/{type}/{target}': {
+        summary: 'Unfollow a user, tag or domain',
+        responses: { 200: message({ type: { type: 'string' }, target: { type: 'string' } }), 400: 'validation_failed or invalid_domain', 404: "You don't follow it" },
+    },
+
+    // --- Notifications ---
+    'GET /api/notifications': {
+        summary: 'Your notifications',
+        description: 'Newest first, cursor-paged. Notifications are kept for 90 days.',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['notifications', 'nextCursor', 'unreadCount'],
+                properties: {
+                    notifications: { type: 'array', items: ref('Notification') },
+                    nextCursor: { type: ['string', 'null'] },
+                    unreadCount: count,
+                },
+            }),
+            400: 'validation_failed or invalid_cursor',
+        },
+    },
+    'GET /api/notifications/unread-count': {
+        summary: 'How many notifications are unread',
+        responses: { 200: json({ type: 'object', required: ['unreadCount'], properties: { unreadCount: count } }) },
+    },
+    'POST /api/notifications/read-all': {
+        summary: 'Mark every notification read',
+        responses: { 200: message({ updated: count, unreadCount: count }) },
+    },
+    'GET /api/notifications/preferences': {
+        summary: 'Your notification preferences',
+        responses: { 200: json(ref('NotificationPreferences')), 404: 'User not found' },
+    },
+    'PATCH /api/notifications/preferences': {
+        summary: 'Change your notification preferences',
+        description: 'Turning a type off stops new notifications of that type. '
+            + 'With emailDigest on, unread notifications are emailed once a day to a verified address.',
+        responses: { 200: json(ref('NotificationPreferences')), 404: 'User not found' },
+    },
+    'PATCH /api/notifications/{id}': {
+        summary: 'Mark a notification read or unread',
+        responses: {
+            200: json({ allOf: [ref('Notification')], required: ['unreadCount'], properties: { unreadCount: count } }),
+            404: 'Notification not found',
+        },
+    },
+
+    // --- Search ---
+    'GET /api/search': {
+        summary: 'Search links and comments',
+        description: 'Besides free text, `q` understands `site:`, `by:`, `after:` and `before:` filters and "quoted phrases".',
+        responses: { 200: json(ref('SearchResults')), 400: 'validation_failed or invalid_query' },
+    },
+
+    // --- Tags ---
+    'GET /api/tags': {
+        summary: 'The tag taxonomy',
+        responses: { 200: listOf('Tag') },
+    },
+    'POST /api/tags/suggest': {
+        summary: 'Suggest tags for page metadata',
+        responses: { 200: json({ type: 'object', required: ['tags'], properties: { tags: { type: 'array', items: { type: 'string' } } } }) },
+    },
+    'GET /api/tags/{slug}': {
+        summary: 'One tag and its subtopics',
+        description: 'Aliases resolve to the canonical tag.',
+        responses: {
+            200: json({
+                allOf: [ref('Tag')],
+                required: ['children'],
+                properties: {
+                    children: {
+                        type: 'array',
+                        items: { type: 'object', properties: { slug: { type: 'string' }, name: { type: 'string' } } },
+                    },
+                },
+            }),
+            404: 'Tag not found',
+        },
+    },
+    'GET /api/tags/{slug}/links': {
+        summary: 'Topic feed',
+        description: 'Approved links tagged with this tag or any of its subtopics. Paged like GET /api/links.',
+        responses: {
+            200: json({
+                allOf: [ref('FeedPage')],
+                required: ['tag'],
+                properties: {
+                    tag: { type: 'object', properties: { slug: { type: 'string' }, name: { type: 'string' } } },
+                },
+            }),
+            400: 'validation_failed or invalid_cursor',
+            404: 'Tag not found',
+        },
+    },
+    'POST /api/tags': {
+        summary: 'Create a tag',
+        responses: {
+            201: json(ref('Tag'), 'Created'),
+            400: 'validation_failed or unknown_parent',
+            409: 'tag_exists or alias_taken',
+        },
+    },
+    'PATCH /api/tags/{slug}': {
+        summary: 'Update a tag',
+        description: 'The slug itself is permanent.',
+        responses: {
+            200: json(ref('Tag')),
+            400: 'validation_failed, unknown_parent, or a parent that would create a cycle',
+            404: 'Tag not found',
+            409: 'alias_taken',
+        },
+    },
+    'DELETE /api/tags/{slug}': {
+        summary: 'Delete a tag',
+        description: 'Removes it from every link and moves its subtopics up to its parent.',
+        responses: { 200: message({ slug: { type: 'string' }, linksUpdated: count }), 404: 'Tag not found' },
+    },
+    'PUT /api/tags/link/{linkId}': {
+        summary: "Replace a link's tags",
+        responses: {
+            200: json({ type: 'object', required: ['id', 'tags'], properties: { id, tags: { type: 'array', items: { type: 'string' } } } }),
+            400: 'validation_failed or unknown_tags (listed in `tags`)',
+            404: 'Link not found',
+        },
+    },
+
+    // --- Ingestion ---
+    'GET /api/ingest/sources': {
+        summary: 'List ingestion sources',
+        responses: { 200: listOf('IngestSource') },
+    },
+    'GET /api/ingest/sources/{id}': {
+        summary: 'One ingestion source',
+        responses: { 200: json(ref('IngestSource')), 404: 'Source not found' },
+    },
+    'POST /api/ingest/sources': {
+        summary: 'Add an ingestion source',
+        responses: { 201: json(ref('IngestSource'), 'Created'), 400: 'validation_failed, invalid_source or unknown_tags' },
+    },
+    'PATCH /api/ingest/sources/{id}': {
+        summary: 'Update an ingestion source',
+        responses: {
+            200: json(ref('IngestSource')),
+            400: 'validation_failed, invalid_source or unknown_tags',
+            404: 'Source not found',
+        },
+    },
+    'DELETE /api/ingest/sources/{id}': {
+        summary: 'Remove an ingestion source',
+        description: 'Links it already created are kept.',
+        responses: { 200: message({ id }), 404: 'Source not found' },
+    },
+    'POST /api/ingest/sources/{id}/run': {
+        summary: 'Run a source now',
+        responses: {
+            200: json({
+                type: 'object',
+                required: ['result', 'source'],
+                properties: {
+                    result: {
+                        type: 'object',
+                        required: ['seen', 'created'],
+                        properties: { seen: count, created: count, error: { type: 'string' } },
+                    },
+                    source: ref('IngestSource'),
+                },
+            }),
+            404: 'Source not found',
+        },
+    },
+
+    // --- Syndication feeds ---
+    'GET /feeds/links.{format}': {
+        summary: 'Newest approved links as a feed',
+        responses: { 200: feedDocument, 304: { description: notModified }, 404: unknownFormat },
+    },
+    'GET /feeds/tags/{slug}.{format}': {
+        summary: 'Newest approved links for a topic as a feed',
+        responses: { 200: feedDocument, 304: { description: notModified }, 404: `Tag not found, or ${unknownFormat}` },
+    },
+    'GET /feeds/users/{username}.{format}': {
+        summary: "A user's newest approved links as a feed",
+        responses: { 200: feedDocument, 304: { description: notModified }, 404: `User not found, or ${unknownFormat}` },
+    },
+};
+
+module.exports = operations;
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { ApiError } = require('../utils/errors');
 
 // Middleware function to protect routes
 function auth(req, res, next) {
@@ -9,13 +10,17 @@ function auth(req, res, next) {
     // 2. Check if no token exists
     if (!token) {
         // 401: Unauthorized - Access denied
-        return res.status(401).json({ msg: 'No token, authorization denied' });
+        return next(new ApiError(401, 'No token, authorization denied'));
     }
 
     try {
         // 3. Verify token
         // The JWT_SECRET is used to check if the token is valid and hasn't been tampered with
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Other tokens signed with the same secret (e.g. OAuth state) carry no user
+        if (!decoded.user?.id) {
+            return next(new ApiError(401, 'Token is not valid', { code: 'invalid_token' }));
+        }
 
         // 4. Attach user payload to the request object
         // The token payload usually contains { user: { id: '...' } }
@@ -25,7 +30,7 @@ function auth(req, res, next) {
         next();
     } catch (e) {
         // If verification fails (e.g., expired, wrong secret)
-        res.status(401).json({ msg: 'Token is not valid' });
+        next(new ApiError(401, 'Token is not valid', { code: 'invalid_token' }));
     }
 }
 
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Maps errors that aren't ApiErrors (body parsing, Mongoose, anything unexpected)
+ * onto the API's error format.
+ */
+const toApiError = (err) => {
+    if (err instanceof ApiError) return err;
+
+    // express.json()
+    if (err.type === 'entity.parse.failed') {
+        return new ApiError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+    }
+    if (err.type === 'entity.too.large') {
+        return new ApiError(413, 'Request body is too large');
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const details = Object.values(err.errors).map(fieldError => ({
+            in: 'body',
+            field: fieldError.path,
+            message: fieldError.message,
+        }));
+        return new ApiError(400, details[0]?.message || 'Invalid data', { code: 'validation_failed', details });
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(400, `Invalid ${err.path}`, { code: 'invalid_id' });
+    }
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || {})[0];
+        return new ApiError(409, field ? `That ${field} is already taken` : 'Already exists');
+    }
+
+    return new ApiError(500, 'Server error');
+};
+
+// Last middleware in the app: every error passed to next(), or thrown by a
+// route handler, ends up here and is answered in the format described in
+// utils/errors.js. Unexpected errors are logged and reported as a plain 500.
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const apiError = toApiError(err);
+    if (apiError.status >= 500) {
+        console.error(`${req.method} ${req.originalUrl}:`, err.stack || err.message);
+    }
+    res.status(apiError.status).json(apiError);
+}
+
+// Answers requests under /api that no route matched
+function notFound(req, res, next) {
+    next(new ApiError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`, { code: 'route_not_found' }));
+}
+
+module.exports = { errorHandler, notFound };
@@ -0,0 +1,22 @@
+const jwt = require('jsonwebtoken');
+
+// Like auth, but for public routes that personalize their response when a user
+// is logged in (e.g. showing your own votes). Never rejects the request:
+// a missing or invalid token just leaves req.user undefined.
+function optionalAuth(req, res, next) {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Only access tokens carry a user (see auth.js)
+            req.user = decoded.user?.id ? decoded.user : undefined;
+        } catch (e) {
+            req.user = undefined;
+        }
+    }
+
+    next();
+}
+
+module.exports = optionalAuth;
@@ -0,0 +1,73 @@
+const { getStore } = require('../utils/rateLimitStore');
+const { ApiError } = require('../utils/errors');
+
+// Middleware factory limiting how often a client can hit a route.
+//
+// Usage: router.post('/login', rateLimit({ name: 'login-ip', max: 20, windowSeconds: 900 }), handler)
+//
+// `by` picks what is counted: 'ip' (default), 'user' (needs auth to run first;
+// falls back to the IP), or a function (req) => string. Requests without a key
+// aren't limited.
+//
+// Every limit can be changed without code changes through an environment
+// variable named after it, e.g. RATE_LIMIT_LOGIN_IP=10/600 (max/windowSeconds)
+// or RATE_LIMIT_LOGIN_IP=off. RATE_LIMIT_ENABLED=false turns all limits off.
+//
+// Over the limit the response is a 429 'rate_limited' error with `retryAfter`
+// and a Retry-After header (seconds). If the store fails, requests are let
+// through rather than locking everyone out.
+function rateLimit({ name, max, windowSeconds, by = 'ip', message = 'Too many requests. Please try again later.' }) {
+    const envName = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const override = process.env[envName];
+    let limit = max;
+    let windowMs = windowSeconds * 1000;
+    if (override === 'off') {
+        limit = 0;
+    } else if (override) {
+        const [overrideMax, overrideWindow] = override.split('/').map(Number);
+        if (overrideMax > 0) limit = overrideMax;
+        if (overrideWindow > 0) windowMs = overrideWindow * 1000;
+    }
+
+    const keyFor = typeof by === 'function'
+        ? by
+        : by === 'user'
+            ? (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`)
+            : (req) => `ip:${req.ip}`;
+
+    const middleware = async function (req, res, next) {
+        if (process.env.RATE_LIMIT_ENABLED === 'false' || !limit) {
+            return next();
+        }
+
+        const key = keyFor(req);
+        if (!key) {
+            return next();
+        }
+
+        let hit;
+        try {
+            hit = await getStore().increment(`${name}:${key}`, windowMs);
+        } catch (err) {
+            console.error(`Rate limit store error (${name}):`, err.message);
+            return next();
+        }
+
+        const retryAfterSeconds = Math.max(Math.ceil((hit.resetAt - Date.now()) / 1000), 1);
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(Math.max(limit - hit.count, 0)));
+        res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+        if (hit.count > limit) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return next(new ApiError(429, message, { code: 'rate_limited', retryAfter: retryAfterSeconds }));
+        }
+
+        next();
+    };
+    // Read by docs/openapi.js
+    middleware.rateLimit = { name, max: limit, windowSeconds: windowMs / 1000 };
+    return middleware;
+}
+
+module.exports = rateLimit;
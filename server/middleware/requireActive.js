@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { ApiError } = require('../utils/errors');
+const { activeSuspension, suspensionError } = require('../utils/suspensions');
+
+// Use after auth on actions a suspended or banned account can't take
+// (submitting, commenting, voting). Checks the database rather than the token,
+// so a suspension takes effect at once instead of when the token expires.
+async function requireActive(req, res, next) {
+    if (!req.user) {
+        return next(new ApiError(401, 'No token, authorization denied'));
+    }
+
+    const user = await User.findById(req.user.id).select('suspension');
+    if (!user) {
+        return next(new ApiError(401, 'User not found'));
+    }
+    const suspension = activeSuspension(user);
+    if (suspension) {
+        return next(suspensionError(suspension));
+    }
+    next();
+}
+
+module.exports = requireActive;
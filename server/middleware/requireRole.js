@@ -0,0 +1,27 @@
+const { ApiError } = require('../utils/errors');
+
+// Middleware factory to restrict a route to certain roles.
+// Must run AFTER the auth middleware, which attaches req.user = { id, role } from the JWT.
+//
+// Usage: router.get('/pending', auth, requireRole('curator', 'admin'), handler)
+function requireRole(...roles) {
+    const middleware = function (req, res, next) {
+        // 1. auth should have run first; without a user there is nothing to check
+        if (!req.user) {
+            return next(new ApiError(401, 'No token, authorization denied'));
+        }
+
+        // 2. Check the role carried in the token payload
+        if (!roles.includes(req.user.role)) {
+            // 403: Forbidden - authenticated, but not allowed
+            return next(new ApiError(403, 'You do not have permission to perform this action'));
+        }
+
+        next();
+    };
+    // Read by docs/openapi.js
+    middleware.roles = roles;
+    return middleware;
+}
+
+module.exports = requireRole;
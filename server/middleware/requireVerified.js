@@ -0,0 +1,27 @@
+const User = require('../models/User');
+const { ApiError } = require('../utils/errors');
+
+// Use after auth on actions reserved for verified accounts (submitting, voting).
+// Checks the database rather than the token, so verifying takes effect at once.
+// Set REQUIRE_EMAIL_VERIFICATION=false to turn the check off, e.g. for
+// deployments whose existing accounts were created before verification existed.
+async function requireVerified(req, res, next) {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+        return next();
+    }
+
+    if (!req.user) {
+        return next(new ApiError(401, 'No token, authorization denied'));
+    }
+
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (!user) {
+        return next(new ApiError(401, 'User not found'));
+    }
+    if (!user.emailVerified) {
+        return next(new ApiError(403, 'Please verify your email address first', { code: 'email_not_verified' }));
+    }
+    next();
+}
+
+module.exports = requireVerified;
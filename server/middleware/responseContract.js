@@ -0,0 +1,54 @@
+const checkSchema = require('../docs/checkSchema');
+const { toOpenApiPath } = require('../docs/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Middleware factory checking every JSON response against the OpenAPI spec
+// (docs/openapi.js), so a handler whose output drifts from its docs is caught
+// the first time it runs. Turned on with OPENAPI_CONTRACT in server.js:
+//
+//   OPENAPI_CONTRACT=warn    log mismatches and send the response anyway
+//   OPENAPI_CONTRACT=strict  answer mismatches with a 500 'contract_violation'
+//                            error instead (for development and CI)
+//
+// Only res.json() responses from documented routes are checked; feeds,
+// redirects and unmatched URLs are left alone.
+function responseContract(spec, { strict = false } = {}) {
+    return function (req, res, next) {
+        const json = res.json;
+
+        res.json = function (body) {
+            // Set once the router has matched, which it has by the time anything responds
+            const operation = req.route && spec.paths[toOpenApiPath(req.baseUrl + req.route.path)]?.[req.method.toLowerCase()];
+            if (!operation) {
+                return json.call(this, body);
+            }
+
+            const where = `${req.method} ${req.baseUrl}${req.route.path} ${res.statusCode}`;
+            const response = operation.responses[res.statusCode] || operation.responses.default;
+            const schema = response?.content?.['application/json']?.schema;
+            const problems = !response
+                ? ['status is not documented']
+                : !schema
+                    ? ['no JSON body is documented']
+                    : checkSchema(schema, JSON.parse(JSON.stringify(body)), spec);
+
+            if (problems.length === 0) {
+                return json.call(this, body);
+            }
+
+            console.warn(`Response contract: ${where}: ${problems.slice(0, 5).join('; ')}`);
+            if (!strict) {
+                return json.call(this, body);
+            }
+            res.status(500);
+            return json.call(this, new ApiError(500, `Response doesn't match the API spec (${where})`, {
+                code: 'contract_violation',
+                problems,
+            }));
+        };
+
+        next();
+    };
+}
+
+module.exports = responseContract;
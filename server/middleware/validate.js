@@ -0,0 +1,52 @@
+const { ApiError } = require('../utils/errors');
+const { FieldError } = require('../utils/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Middleware factory checking req.params, req.query and req.body against a
+// schema of rules from utils/validation.js.
+//
+// Usage: router.post('/', validate({ body: { url: string({ max: 2048 }) } }), handler)
+//
+// Each listed location is replaced by its parsed values, so handlers get
+// trimmed strings, real numbers and dates, and defaults filled in. Fields the
+// schema doesn't mention are dropped. Every problem is reported at once as a
+// 400 'validation_failed' error with per-field details.
+//
+// The schema is kept on the middleware (`.schema`) so docs/openapi.js can
+// document the route's parameters and body from it.
+function validate(schema) {
+    const middleware = function (req, res, next) {
+        const details = [];
+
+        for (const location of LOCATIONS) {
+            if (!schema[location]) continue;
+
+            const input = req[location] && typeof req[location] === 'object' ? req[location] : {};
+            const parsed = {};
+            for (const [field, check] of Object.entries(schema[location])) {
+                try {
+                    const value = check(input[field]);
+                    if (value !== undefined) parsed[field] = value;
+                } catch (err) {
+                    if (!(err instanceof FieldError)) throw err;
+                    const path = `${field}${err.subpath}`;
+                    details.push({ in: location, field: path, message: `${path} ${err.message}` });
+                }
+            }
+
+            // req.query is a getter in Express 5, so it's shadowed rather than assigned
+            Object.defineProperty(req, location, { value: parsed, writable: true, configurable: true, enumerable: true });
+        }
+
+        if (details.length > 0) {
+            const message = details.length === 1 ? details[0].message : `Invalid request: ${details.map(detail => detail.message).join('; ')}`;
+            return next(new ApiError(400, message, { code: 'validation_failed', details }));
+        }
+        next();
+    };
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = validate;
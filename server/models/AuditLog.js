@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One admin action (routes/adminRoutes.js): a role change, suspension or ban,
+// or a link or comment removed or restored.
+// Append-only: entries are created and never changed or deleted, which the
+// hooks below enforce for anything going through this model.
+const AuditLogSchema = new mongoose.Schema({
+    // The admin who did it
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: [
+            'user.role',
+            'user.suspend',
+            'user.ban',
+            'user.unsuspend',
+            'link.remove',
+            'link.restore',
+            'comment.remove',
+            'comment.restore',
+        ]
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: ['User', 'Link', 'Comment']
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'targetType'
+    },
+    // What changed, e.g. { from: 'member', to: 'curator' } or { reason, until }
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: { type: String, default: '' },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+// GET /api/admin/audit-log, newest first, optionally by action or actor
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+// The history of one user, link or comment
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+
+const refuse = function () {
+    throw new Error('Audit log entries cannot be changed or deleted');
+};
+AuditLogSchema.pre('save', function () {
+    if (!this.isNew) refuse();
+});
+AuditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: true, query: true },
+    refuse
+);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
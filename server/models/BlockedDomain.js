@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A site links can't be submitted from (utils/blocklist.js).
+// Blocking 'example.com' also blocks its subdomains.
+const BlockedDomainSchema = new mongoose.Schema({
+    domain: {
+        type: String,
+        required: [true, 'Domain is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^([a-z0-9-]+\.)+[a-z0-9-]+$/, 'Domain must look like example.com']
+    },
+    reason: { type: String, default: '', maxlength: 500 },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('BlockedDomain', BlockedDomainSchema);
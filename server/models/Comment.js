@@ -21,10 +21,72 @@ const CommentSchema = new mongoose.Schema({
         ref: 'Comment', 
         default: null 
     },
+    // 0 for top-level comments, parent's depth + 1 for replies
+    depth: {
+        type: Number,
+        default: 0
+    },
+    // Number of direct replies (including deleted ones, which stay in the thread as tombstones)
+    repliesCount: {
+        type: Number,
+        default: 0
+    },
+    // Net score and breakdown, maintained from the Vote collection (see utils/votes.js)
+    votes: {
+        type: Number,
+        default: 0
+    },
+    upvotes: {
+        type: Number,
+        default: 0
+    },
+    downvotes: {
+        type: Number,
+        default: 0
+    },
+    // Soft delete: the content is replaced with '[deleted]' but the node stays so replies keep their parent
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    // Admin removal (routes/adminRoutes.js) also sets isDeleted, but keeps the
+    // content so the comment can be restored
+    removedAt: {
+        type: Date,
+        default: null
+    },
+    removedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    removalReason: {
+        type: String,
+        default: ''
+    },
+    // Hidden after several reports until a curator reviews it (utils/reports.js).
+    // Also sets isDeleted, keeping the content for the review.
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: { 
         type: Date, 
         default: Date.now 
     }
 });
 
+// Loading a thread: comments of a link under a given parent, oldest first
+CommentSchema.index({ link: 1, parentComment: 1, createdAt: 1 });
+// A user's comments, newest first (profile pages), and their karma
+CommentSchema.index({ postedBy: 1, createdAt: -1 });
+// Comments per day (GET /api/admin/stats) and the admin content list
+CommentSchema.index({ createdAt: -1 });
+// Full-text search (GET /api/search)
+CommentSchema.index({ content: 'text' }, { name: 'comment_text' });
+
 module.exports = mongoose.model('Comment', CommentSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Something a user follows for their home feed (GET /api/feed/home, utils/homeFeed.js):
+// another user's submissions, a tag (and its subtopics) or a domain (and its subdomains).
+const FollowSchema = new mongoose.Schema({
+    // The follower
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['user', 'tag', 'domain']
+    },
+    // The followed user's id, the tag's slug or the domain
+    target: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One follow per user per target; also lists a user's follows
+FollowSchema.index({ user: 1, type: 1, target: 1 }, { unique: true });
+// Follower counts
+FollowSchema.index({ type: 1, target: 1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
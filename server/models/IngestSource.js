@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An external feed polled by the ingestion scheduler (utils/ingest.js).
+// New items become 'pending' links attributed to the system user.
+const IngestSourceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['rss', 'arxiv', 'github'] // rss covers Atom too
+    },
+    // rss: the feed URL. arxiv/github: optional override of the URL derived below.
+    url: { type: String, default: '' },
+    // arxiv: listing category, e.g. 'cs.AI', 'cs.LG', 'cs.CL'
+    category: { type: String, default: '' },
+    // github: 'owner/repo', polled through its releases Atom feed
+    repo: { type: String, default: '' },
+    // Tag slugs applied to every link from this source (in addition to suggestions)
+    tags: [{ type: String, lowercase: true, trim: true }],
+    enabled: { type: Boolean, default: true },
+    intervalMinutes: { type: Number, default: 60, min: 5 },
+    maxItemsPerRun: { type: Number, default: 30, min: 1, max: 200 },
+
+    // Health / last-run status
+    lastRunAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    lastStatus: {
+        type: String,
+        default: 'never',
+        enum: ['never', 'ok', 'error']
+    },
+    lastError: { type: String, default: '' },
+    lastItemsSeen: { type: Number, default: 0 },
+    lastItemsCreated: { type: Number, default: 0 },
+    totalItemsCreated: { type: Number, default: 0 },
+    consecutiveFailures: { type: Number, default: 0 },
+    nextRunAt: { type: Date, default: Date.now },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The scheduler looks for enabled sources that are due
+IngestSourceSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('IngestSource', IngestSourceSchema);
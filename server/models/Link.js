@@ -7,6 +7,13 @@ const LinkSchema = new mongoose.Schema({
         required: [true, 'URL is required'], 
         unique: true 
     },
+    // Comparison key from utils/canonicalUrl.js (scheme, www, tracking params and
+    // trailing slashes ignored). Sparse so links saved before it existed don't collide.
+    normalizedUrl: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     submittedBy: { 
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'User', 
@@ -16,17 +23,47 @@ const LinkSchema = new mongoose.Schema({
     title: { type: String, default: 'No Title Found' },
     description: { type: String, default: '' },
     imageUrl: { type: String, default: '' }, // The Open Graph image
+    canonicalUrl: { type: String, default: '' }, // rel=canonical / og:url of the fetched page
+    siteName: { type: String, default: '' }, // og:site_name, falling back to the hostname
+    domain: { type: String, default: '' }, // Lowercased hostname without 'www.', for ?domain= filtering
+    tags: [{ type: String, lowercase: true, trim: true }], // Topic slugs
 
     // Voting and Moderation
+    // Net score (upvotes - downvotes). Maintained from the Vote collection, see utils/votes.js
     votes: { 
         type: Number, 
         default: 0 
     },
+    upvotes: { type: Number, default: 0 },
+    downvotes: { type: Number, default: 0 },
+    // Precomputed ranking scores (see utils/ranking.js) so feed sorts can use an index
+    hotScore: { type: Number, default: 0 },
+    risingScore: { type: Number, default: 0 },
     status: { 
         type: String, 
         default: 'pending', 
-        enum: ['pending', 'approved', 'rejected'] // Curators approve links before they appear
+        // Curators approve links before they appear. 'hidden' = approved, but taken down
+        // after several reports until a curator reviews it (utils/reports.js).
+        enum: ['pending', 'approved', 'rejected', 'hidden', 'removed']
+    },
+    hiddenAt: { type: Date, default: null },
+    // Set when an admin removes the link (routes/adminRoutes.js); a restore puts statusBeforeRemoval back
+    removedAt: { type: Date, default: null },
+    removedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     },
+    removalReason: { type: String, default: '' },
+    statusBeforeRemoval: { type: String, default: null },
+    // Moderation audit: who made the last decision, when, and why (for rejections)
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    moderatedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: '' },
     commentsCount: { // Optional: A virtual field could calculate this, but storing it is often faster.
         type: Number,
         default: 0
@@ -37,4 +74,22 @@ const LinkSchema = new mongoose.Schema({
     }
 });
 
+// Moderation queue: pending links, oldest first (also serves ?sort=new, scanned backwards)
+LinkSchema.index({ status: 1, createdAt: 1, _id: 1 });
+// Public feed sorts; _id is the tiebreak used by cursor pagination
+LinkSchema.index({ status: 1, hotScore: -1, _id: -1 });
+LinkSchema.index({ status: 1, votes: -1, _id: -1 });
+LinkSchema.index({ status: 1, risingScore: -1, _id: -1 });
+// Feed filters
+LinkSchema.index({ domain: 1, createdAt: -1 });
+LinkSchema.index({ tags: 1, createdAt: -1 });
+LinkSchema.index({ submittedBy: 1, createdAt: -1 });
+// Submissions per day (GET /api/admin/stats) and the admin content list
+LinkSchema.index({ createdAt: -1 });
+// Full-text search (GET /api/search); titles matter most
+LinkSchema.index(
+    { title: 'text', description: 'text', url: 'text', domain: 'text' },
+    { name: 'link_text', weights: { title: 10, domain: 5, description: 3, url: 2 } }
+);
+
 module.exports = mongoose.model('Link', LinkSchema);
\ No newline at end of file
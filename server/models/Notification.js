@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Something that happened to a user's links or comments (utils/notifications.js).
+// Shown in the app's notification bell and, if the user opted in, in a daily email digest.
+const NotificationSchema = new mongoose.Schema({
+    // The user being notified
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['link_approved', 'link_rejected', 'comment_reply', 'mention', 'content_warning']
+    },
+    // Who caused it: the curator, or the author of the reply/mention
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    link: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link',
+        default: null
+    },
+    // The reply or the comment with the mention
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // The curator's reason, for rejections and warnings
+    reason: { type: String, default: '' },
+    // null = unread
+    readAt: { type: Date, default: null },
+    // Set once it has gone out in an email digest, so it isn't sent twice
+    emailedAt: { type: Date, default: null },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// GET /api/notifications, newest first, and the unread count
+NotificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+// Old notifications are removed by MongoDB after 90 days
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
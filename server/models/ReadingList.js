@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A named collection of a user's saved links (see SavedLink.lists)
+const ReadingListSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: 100
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// List names are unique per user
+ReadingListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadingList', ReadingListSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A member's report of a link or comment (utils/reports.js). Open reports are
+// worked by curators in the report queue (routes/reportRoutes.js), grouped by
+// what was reported; resolving the group closes every open report on it.
+const ReportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: ['Link', 'Comment']
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'targetType'
+    },
+    // Who submitted or wrote the reported content, for warnings
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // One of REPORT_REASONS in utils/reports.js for the target type
+    reason: {
+        type: String,
+        required: true,
+        enum: ['spam', 'broken', 'off_topic', 'abusive', 'other']
+    },
+    note: { type: String, default: '' },
+    status: {
+        type: String,
+        default: 'open',
+        enum: ['open', 'resolved']
+    },
+    // What the curator did: 'dismiss', 'remove' or 'warn'
+    resolution: { type: String, default: '' },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: { type: Date, default: null },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One open report per user per item. They can report it again once it's resolved,
+// unless their report was dismissed (utils/reports.js fileReport)
+ReportSchema.index(
+    { reporter: 1, targetType: 1, target: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// The queue (grouped by target) and the open reports on one item
+ReportSchema.index({ status: 1, targetType: 1, target: 1 });
+// Dismissed reports on one item, whose reporters don't count again
+ReportSchema.index({ targetType: 1, target: 1, resolution: 1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A link a user saved to read later (routes/savedRoutes.js). Saving is private
+// and separate from voting, so it doesn't affect the ranking.
+const SavedLinkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    link: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link',
+        required: true
+    },
+    // The user's reading lists this link is filed under (none = just saved)
+    lists: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReadingList'
+    }],
+    note: { type: String, default: '', maxlength: 1000 },
+    // null = unread
+    readAt: { type: Date, default: null },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One entry per user per link
+SavedLinkSchema.index({ user: 1, link: 1 }, { unique: true });
+// GET /api/users/me/saved, newest save first, optionally within one list
+SavedLinkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+SavedLinkSchema.index({ user: 1, lists: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('SavedLink', SavedLinkSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The browser holds a refresh token '<sessionId>.<secret>'
+// in an httpOnly cookie; only a hash of the current secret is stored here.
+// Every refresh rotates the secret, so presenting an older one means the token
+// was copied and the whole session is revoked (see utils/sessions.js).
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: { type: String, required: true },
+    // The secret this one replaced, accepted briefly so two tabs refreshing at once don't trip reuse detection
+    previousTokenHash: { type: String, default: '' },
+    rotatedAt: { type: Date, default: null },
+
+    userAgent: { type: String, default: '' },
+    device: { type: String, default: '' }, // e.g. 'Firefox on Windows'
+    ip: { type: String, default: '' },
+
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        default: '',
+        enum: ['', 'logout', 'revoked', 'logout-all', 'reuse', 'banned']
+    }
+});
+
+// Listing a user's active sessions
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const TagSchema = new mongoose.Schema({
+    // URL-safe identifier stored on Link.tags, e.g. 'llm' or 'computer-vision'
+    slug: {
+        type: String,
+        required: [true, 'Slug is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    description: { type: String, default: '' },
+    // Alternative spellings that resolve to this tag, e.g. 'large-language-models' -> 'llm'
+    aliases: [{ type: String, lowercase: true, trim: true }],
+    // Extra words that trigger automatic suggestion from page metadata (name and aliases are always used)
+    keywords: [{ type: String, lowercase: true, trim: true }],
+    // Parent topic, e.g. 'llm' under 'nlp'. Topic feeds include links tagged with any descendant.
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+TagSchema.index({ aliases: 1 });
+TagSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Tag', TagSchema);
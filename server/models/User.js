@@ -16,17 +16,65 @@ const UserSchema = new mongoose.Schema({
         type: String, 
         required: [true, 'Email is required'], 
         unique: true,
-        trim: true // Added trim for consistency
+        trim: true, // Added trim for consistency
+        lowercase: true // Lookups are by the lowercased address
     },
     role: { 
         type: String, 
         default: 'member', // Default role is now 'member'
         enum: ['member', 'curator', 'admin'] // Defines allowed roles
     },
-    // Array to store IDs of Links the user has upvoted (for voting integrity)
-    upvotedLinks: [{ 
-        type: mongoose.Schema.Types.ObjectId, 
-        ref: 'Link' 
+    // The account ingested links are attributed to (utils/ingest.js). Looked up by
+    // this flag, never by username, so registering its name gains nothing.
+    isSystem: { type: Boolean, default: false },
+    // Set once the user follows the link in their verification email.
+    // Unverified accounts can log in but not submit or vote (middleware/requireVerified.js).
+    // Accounts from before verification existed are marked verified by scripts/backfillUsers.js.
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Public profile (GET /api/users/:username)
+    bio: { type: String, default: '', maxlength: 500 },
+    avatarUrl: { type: String, default: '' },
+    privacy: {
+        // Whether anyone can see the links this user upvoted. Private by default.
+        showUpvotes: { type: Boolean, default: false }
+    },
+    // Which notifications the user gets (utils/notifications.js), and whether
+    // unread ones are also emailed as a daily digest
+    notifications: {
+        moderation: { type: Boolean, default: true }, // Their links approved or rejected
+        replies: { type: Boolean, default: true },
+        mentions: { type: Boolean, default: true },
+        emailDigest: { type: Boolean, default: false }
+    },
+    lastDigestAt: { type: Date, default: null },
+    // Set by an admin (routes/adminRoutes.js). Suspended users can log in and read
+    // but not post, comment or vote; banned users can't log in at all.
+    // Over once `until` passes (null = until lifted); see utils/suspensions.js.
+    suspension: {
+        type: {
+            _id: false,
+            kind: { type: String, enum: ['suspended', 'banned'], required: true },
+            reason: { type: String, default: '' },
+            until: { type: Date, default: null },
+            by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            at: { type: Date, default: Date.now }
+        },
+        default: null
+    },
+    // External sign-in accounts (utils/oauth.js) linked to this user
+    identities: [{
+        _id: false,
+        provider: { type: String, required: true }, // 'github', 'google', 'oidc'
+        subject: { type: String, required: true }, // The provider's user ID
+        email: { type: String, default: '' },
+        linkedAt: { type: Date, default: Date.now }
     }],
     createdAt: { 
         type: Date, 
@@ -37,4 +85,16 @@ const UserSchema = new mongoose.Schema({
 // Create an index for faster login/lookup by email (if not already present)
 UserSchema.index({ email: 1 });
 
+// Signups per day (GET /api/admin/stats) and the admin user list, newest first
+UserSchema.index({ createdAt: -1 });
+
+// One user per external account. Partial, so users without identities don't collide on null.
+UserSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
+
+// At most one system account
+UserSchema.index({ isSystem: 1 }, { unique: true, partialFilterExpression: { isSystem: true } });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
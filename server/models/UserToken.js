@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (utils/userTokens.js).
+// Only a hash is stored; the raw token only exists in the email.
+const UserTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['verify-email', 'reset-password']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+
+// Finding a user's outstanding tokens of a type (resends, invalidation)
+UserTokenSchema.index({ user: 1, type: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', UserTokenSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One document per (user, target). Changing or retracting a vote updates `value`
+// in place, so a user can never hold more than one vote on the same link or comment.
+const VoteSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: ['Link', 'Comment']
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'targetType' // Populates from Link or Comment depending on targetType
+    },
+    // +1 upvote, -1 downvote, 0 retracted (kept so re-voting stays a single upsert)
+    value: {
+        type: Number,
+        required: true,
+        enum: [-1, 0, 1]
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Voting integrity: exactly one vote per user per target
+VoteSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+// A user's voting history (e.g. upvoted links), newest first
+VoteSchema.index({ user: 1, targetType: 1, value: 1, updatedAt: -1 });
+// Votes per day (GET /api/admin/stats)
+VoteSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Vote', VoteSchema);
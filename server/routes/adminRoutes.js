@@ -0,0 +1,420 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { revokeSessions } = require('../utils/sessions');
+const { activeSuspension } = require('../utils/suspensions');
+const { getSiteStats } = require('../utils/siteStats');
+const { publishComments } = require('../utils/realtime');
+const { ApiError } = require('../utils/errors');
+const { string, integer, oneOf, objectId, date } = require('../utils/validation');
+
+// Every route in this file is admin only, and every change is written to the
+// audit log (models/AuditLog.js)
+router.use(auth, requireRole('admin'));
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+const MAX_STATS_DAYS = 365;
+
+const ROLES = ['member', 'curator', 'admin'];
+const USER_STATUSES = ['active', 'suspended', 'banned'];
+const LINK_STATUSES = ['pending', 'approved', 'rejected', 'hidden', 'removed'];
+const COMMENT_STATUSES = ['live', 'deleted', 'hidden', 'removed'];
+const AUDIT_ACTIONS = AuditLog.schema.path('action').enumValues;
+
+// Request schemas (see utils/validation.js)
+const paging = {
+    page: integer({ default: 1, min: 1, clamp: true }),
+    limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+};
+const search = string({ optional: true, max: 200 });
+const reason = string({ optional: true, max: MAX_REASON_LENGTH });
+const idParams = { id: objectId() };
+
+const statsSchema = { query: { days: integer({ default: 30, min: 1, max: MAX_STATS_DAYS, clamp: true }) } };
+const usersSchema = {
+    query: {
+        q: string({ optional: true, max: 200, description: 'Start of a username or email' }),
+        role: oneOf(ROLES, { optional: true }),
+        status: oneOf(USER_STATUSES, { optional: true }),
+        ...paging,
+    },
+};
+const roleSchema = { params: idParams, body: { role: oneOf(ROLES) } };
+const suspendSchema = {
+    params: idParams,
+    body: {
+        kind: oneOf(['suspended', 'banned']),
+        reason,
+        until: date({ optional: true, nullable: true, description: 'When it ends (ISO date or epoch ms); leave out or null for no end' }),
+    },
+};
+const unsuspendSchema = { params: idParams };
+const linksSchema = { query: { q: search, status: oneOf(LINK_STATUSES, { optional: true }), ...paging } };
+const commentsSchema = { query: { q: search, status: oneOf(COMMENT_STATUSES, { optional: true }), ...paging } };
+const removeSchema = { params: idParams, body: { reason } };
+const restoreSchema = { params: idParams };
+const auditSchema = {
+    query: {
+        action: oneOf(AUDIT_ACTIONS, { optional: true }),
+        actor: objectId({ optional: true }),
+        target: objectId({ optional: true }),
+        ...paging,
+    },
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Runs a paged, newest-first query and builds the page-based response used by
+ * every list in this file (the same shape as GET api/moderation/links).
+ */
+const findPage = async (Model, filter, { page, limit }, build = query => query) => {
+    const [items, total] = await Promise.all([
+        build(Model.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit)),
+        Model.countDocuments(filter),
+    ]);
+    return { items, page, limit, total, totalPages: Math.ceil(total / limit) };
+};
+
+/**
+ * Appends an entry to the audit log for the current request's admin.
+ */
+const audit = (req, action, target, details = {}) => AuditLog.create({
+    actor: req.user.id,
+    action,
+    targetType: target.constructor.modelName,
+    target: target._id,
+    details,
+    ip: req.ip || '',
+});
+
+// Shapes returned to the client
+const toAdminUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    suspension: activeSuspension(user),
+    createdAt: user.createdAt,
+});
+
+const toAdminLink = (link) => ({
+    id: link._id,
+    url: link.url,
+    title: link.title,
+    status: link.status,
+    submittedBy: link.submittedBy,
+    votes: link.votes,
+    commentsCount: link.commentsCount,
+    createdAt: link.createdAt,
+    removedAt: link.removedAt,
+    removedBy: link.removedBy,
+    removalReason: link.removalReason,
+});
+
+const commentStatus = (comment) => (comment.removedAt ? 'removed'
+    : comment.hiddenAt ? 'hidden'
+    : comment.isDeleted ? 'deleted'
+    : 'live');
+
+const toAdminComment = (comment) => ({
+    id: comment._id,
+    // Admins see removed comments' content; the author's own deletions overwrote it
+    content: comment.content,
+    status: commentStatus(comment),
+    link: comment.link,
+    postedBy: comment.postedBy,
+    votes: comment.votes,
+    createdAt: comment.createdAt,
+    removedAt: comment.removedAt,
+    removedBy: comment.removedBy,
+    removalReason: comment.removalReason,
+});
+
+const toAuditEntry = (entry) => ({
+    id: entry._id,
+    actor: entry.actor,
+    action: entry.action,
+    targetType: entry.targetType,
+    target: entry.target,
+    details: entry.details,
+    ip: entry.ip,
+    createdAt: entry.createdAt,
+});
+
+/**
+ * Loads the user an admin is acting on, refusing to act on themselves.
+ * @throws {ApiError} 404, or 400 with `selfCode` for their own account.
+ */
+const targetUser = async (req, selfCode, selfMessage) => {
+    if (req.params.id === req.user.id) {
+        throw new ApiError(400, selfMessage, { code: selfCode });
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    return user;
+};
+
+// @route   GET api/admin/stats
+// @desc    Totals, and signups, submissions, comments and votes per day (UTC) for the last ?days= days
+// @access  Private (admin)
+router.get('/stats', validate(statsSchema), async (req, res) => {
+    res.json({ days: req.query.days, ...(await getSiteStats(req.query.days)) });
+});
+
+// @route   GET api/admin/users
+// @desc    Search users, newest first. Query: q (start of username or email), role, status, page, limit
+// @access  Private (admin)
+router.get('/users', validate(usersSchema), async (req, res) => {
+    const { q, role, status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (q) {
+        const prefix = new RegExp(`^${escapeRegExp(q)}`, 'i');
+        filter.$or = [{ username: prefix }, { email: prefix }];
+    }
+    if (role) filter.role = role;
+    if (status === 'active') {
+        filter.$and = [{ $or: [{ suspension: null }, { 'suspension.until': { $lte: now } }] }];
+    } else if (status) {
+        filter['suspension.kind'] = status;
+        filter.$and = [{ $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: now } }] }];
+    }
+
+    const { items, ...page } = await findPage(User, filter, req.query);
+    res.json({ users: items.map(toAdminUser), ...page });
+});
+
+// @route   PATCH api/admin/users/:id/role
+// @desc    Change a user's role. Body: { role }. Takes effect when their access token is next refreshed.
+// @access  Private (admin)
+router.patch('/users/:id/role', validate(roleSchema), async (req, res) => {
+    const user = await targetUser(req, 'cannot_change_own_role', 'You cannot change your own role');
+    const { role } = req.body;
+
+    if (user.role !== role) {
+        const from = user.role;
+        user.role = role;
+        await user.save();
+        await audit(req, 'user.role', user, { from, to: role });
+    }
+    res.json(toAdminUser(user));
+});
+
+// @route   POST api/admin/users/:id/suspension
+// @desc    Suspend or ban a user. Body: { kind: 'suspended'|'banned', reason?, until? }. Replaces any current suspension.
+// @access  Private (admin)
+router.post('/users/:id/suspension', validate(suspendSchema), async (req, res) => {
+    const user = await targetUser(req, 'cannot_suspend_self', 'You cannot suspend yourself');
+    const { kind, reason: why = '', until = null } = req.body;
+
+    if (user.role === 'admin') {
+        throw new ApiError(400, 'Admins cannot be suspended; change their role first', { code: 'cannot_suspend_admin' });
+    }
+    if (until && until <= new Date()) {
+        throw new ApiError(400, 'until must be in the future', { code: 'invalid_until' });
+    }
+
+    user.suspension = { kind, reason: why, until, by: req.user.id, at: new Date() };
+    await user.save();
+    // A banned user's sessions end now rather than at their next refresh
+    const revoked = kind === 'banned' ? await revokeSessions({ userId: user._id, reason: 'banned' }) : 0;
+    await audit(req, kind === 'banned' ? 'user.ban' : 'user.suspend', user, { reason: why, until, revokedSessions: revoked });
+
+    res.json(toAdminUser(user));
+});
+
+// @route   DELETE api/admin/users/:id/suspension
+// @desc    Lift a user's suspension or ban
+// @access  Private (admin)
+router.delete('/users/:id/suspension', validate(unsuspendSchema), async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    const current = activeSuspension(user);
+    if (!current) {
+        throw new ApiError(409, 'This user is not suspended', { code: 'not_suspended' });
+    }
+
+    user.suspension = null;
+    await user.save();
+    await audit(req, 'user.unsuspend', user, { kind: current.kind, reason: current.reason, until: current.until });
+
+    res.json(toAdminUser(user));
+});
+
+// @route   GET api/admin/links
+// @desc    All links, newest first, including removed ones. Query: q (in the title or URL), status, page, limit
+// @access  Private (admin)
+router.get('/links', validate(linksSchema), async (req, res) => {
+    const { q, status } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        filter.$or = [{ title: pattern }, { url: pattern }];
+    }
+
+    const { items, ...page } = await findPage(Link, filter, req.query, query => query
+        .populate('submittedBy', 'username')
+        .populate('removedBy', 'username'));
+    res.json({ links: items.map(toAdminLink), ...page });
+});
+
+// @route   DELETE api/admin/links/:id
+// @desc    Remove a link from the site. Body: { reason? }. It can be restored with POST .../restore.
+// @access  Private (admin)
+router.delete('/links/:id', validate(removeSchema), async (req, res) => {
+    const link = await Link.findById(req.params.id).select('status');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+    if (link.status === 'removed') {
+        throw new ApiError(409, 'This link is already removed', { code: 'already_removed' });
+    }
+
+    // Conditional on the status read above, so a simultaneous moderation decision isn't lost
+    const removed = await Link.findOneAndUpdate(
+        { _id: link._id, status: link.status },
+        {
+            $set: {
+                status: 'removed',
+                statusBeforeRemoval: link.status,
+                removedAt: new Date(),
+                removedBy: req.user.id,
+                removalReason: req.body.reason || '',
+            },
+        },
+        { new: true }
+    );
+    if (!removed) {
+        throw new ApiError(409, 'The link changed while it was being removed. Please try again.');
+    }
+
+    await audit(req, 'link.remove', removed, { reason: removed.removalReason, previousStatus: link.status });
+    res.json(toAdminLink(removed));
+});
+
+// @route   POST api/admin/links/:id/restore
+// @desc    Put a removed link back with the status it had before
+// @access  Private (admin)
+router.post('/links/:id/restore', validate(restoreSchema), async (req, res) => {
+    const link = await Link.findById(req.params.id).select('status statusBeforeRemoval');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+    if (link.status !== 'removed') {
+        throw new ApiError(409, 'This link is not removed', { code: 'not_removed' });
+    }
+
+    const status = link.statusBeforeRemoval || 'pending';
+    const restored = await Link.findOneAndUpdate(
+        { _id: link._id, status: 'removed' },
+        { $set: { status, statusBeforeRemoval: null, removedAt: null, removedBy: null, removalReason: '' } },
+        { new: true }
+    );
+    if (!restored) {
+        throw new ApiError(409, 'This link is not removed', { code: 'not_removed' });
+    }
+
+    await audit(req, 'link.restore', restored, { status });
+    res.json(toAdminLink(restored));
+});
+
+// @route   GET api/admin/comments
+// @desc    All comments, newest first, including deleted, hidden and removed ones. Query: q (in the content), status, page, limit
+// @access  Private (admin)
+router.get('/comments', validate(commentsSchema), async (req, res) => {
+    const { q, status } = req.query;
+    const filter = {};
+    if (status === 'live') filter.isDeleted = false;
+    if (status === 'deleted') Object.assign(filter, { isDeleted: true, removedAt: null, hiddenAt: null });
+    if (status === 'hidden') filter.hiddenAt = { $ne: null };
+    if (status === 'removed') filter.removedAt = { $ne: null };
+    if (q) filter.content = new RegExp(escapeRegExp(q), 'i');
+
+    const { items, ...page } = await findPage(Comment, filter, req.query, query => query
+        .populate('postedBy', 'username')
+        .populate('removedBy', 'username')
+        .populate('link', 'title'));
+    res.json({ comments: items.map(toAdminComment), ...page });
+});
+
+// @route   DELETE api/admin/comments/:id
+// @desc    Remove a comment. It shows as "[removed]" in its thread and can be restored.
+// @access  Private (admin)
+router.delete('/comments/:id', validate(removeSchema), async (req, res) => {
+    // Live comments, and ones hidden after reports (utils/reports.js), which are already out of the count.
+    // Conditional update so a double-submitted removal only decrements the count once.
+    const before = await Comment.findOneAndUpdate(
+        { _id: req.params.id, removedAt: null, $or: [{ isDeleted: false }, { hiddenAt: { $ne: null } }] },
+        { $set: { isDeleted: true, hiddenAt: null, removedAt: new Date(), removedBy: req.user.id, removalReason: req.body.reason || '' } }
+    );
+    if (!before) {
+        const exists = await Comment.exists({ _id: req.params.id });
+        throw exists
+            ? new ApiError(409, 'This comment is already deleted or removed', { code: 'already_removed' })
+            : new ApiError(404, 'Comment not found');
+    }
+
+    const removed = await Comment.findById(before._id);
+    if (!before.isDeleted) {
+        await Link.updateOne({ _id: removed.link }, { $inc: { commentsCount: -1 } });
+        publishComments(removed.link);
+    }
+    await audit(req, 'comment.remove', removed, { reason: removed.removalReason, link: removed.link });
+    res.json(toAdminComment(removed));
+});
+
+// @route   POST api/admin/comments/:id/restore
+// @desc    Put a removed comment back. Comments their author deleted can't be restored.
+// @access  Private (admin)
+router.post('/comments/:id/restore', validate(restoreSchema), async (req, res) => {
+    const restored = await Comment.findOneAndUpdate(
+        { _id: req.params.id, isDeleted: true, removedAt: { $ne: null } },
+        { $set: { isDeleted: false, removedAt: null, removedBy: null, removalReason: '' } },
+        { new: true }
+    );
+    if (!restored) {
+        const exists = await Comment.exists({ _id: req.params.id });
+        throw exists
+            ? new ApiError(409, 'This comment was not removed by an admin', { code: 'not_removed' })
+            : new ApiError(404, 'Comment not found');
+    }
+
+    await Link.updateOne({ _id: restored.link }, { $inc: { commentsCount: 1 } });
+    publishComments(restored.link);
+    await audit(req, 'comment.restore', restored, { link: restored.link });
+    res.json(toAdminComment(restored));
+});
+
+// @route   GET api/admin/audit-log
+// @desc    Admin actions, newest first. Query: action, actor, target (user, link or comment ID), page, limit
+// @access  Private (admin)
+router.get('/audit-log', validate(auditSchema), async (req, res) => {
+    const { action, actor, target } = req.query;
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (target) filter.target = target;
+
+    const { items, ...page } = await findPage(AuditLog, filter, req.query, query => query
+        .populate('actor', 'username')
+        .lean());
+    res.json({ entries: items.map(toAuditEntry), ...page });
+});
+
+module.exports = router;
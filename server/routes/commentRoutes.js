@@ -0,0 +1,362 @@
+const express = require('express');
+const router = express.Router();
+const Comment = require('../models/Comment');
+const Link = require('../models/Link');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const requireActive = require('../middleware/requireActive');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { castVote, userVotesFor, voteBodySchema } = require('../utils/votes');
+const { publishComments, publishCommentVotes } = require('../utils/realtime');
+const { notifyComment } = require('../utils/notifications');
+const { REPORT_REASONS, fileReport } = require('../utils/reports');
+const { ApiError } = require('../utils/errors');
+const { string, integer, oneOf, objectId } = require('../utils/validation');
+
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_THREAD_DEPTH = 10; // Replies deeper than this are rejected
+
+// Paging: top-level comments are paged with ?page/&limit, each deeper level
+// shows the first ?replyLimit replies per comment and a `moreReplies` count.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_REPLY_LIMIT = 5;
+const MAX_REPLY_LIMIT = 50;
+const DEFAULT_LOAD_DEPTH = 3; // How many levels below the page are loaded in one request
+const MAX_LOAD_DEPTH = 5;
+
+const DELETED_CONTENT = '[deleted]';
+const REMOVED_CONTENT = '[removed]'; // Removed by an admin (routes/adminRoutes.js) or curator
+const HIDDEN_CONTENT = '[hidden pending review]'; // Hidden after reports (utils/reports.js)
+
+const commentLimits = [
+    rateLimit({ name: 'comment-user', max: 10, windowSeconds: 60, by: 'user', message: 'You are commenting too fast. Please slow down.' }),
+    rateLimit({ name: 'comment-ip', max: 30, windowSeconds: 60 }),
+];
+const voteLimit = rateLimit({ name: 'vote-user', max: 60, windowSeconds: 60, by: 'user', message: 'You are voting too fast. Please slow down.' });
+const reportLimit = rateLimit({ name: 'report-user', max: 20, windowSeconds: 60 * 60, by: 'user', message: 'You are reporting too much. Please try again later.' });
+
+// Request schemas (see utils/validation.js)
+const threadQuery = {
+    page: integer({ default: 1, min: 1, clamp: true }),
+    limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+    replyLimit: integer({ default: DEFAULT_REPLY_LIMIT, min: 1, max: MAX_REPLY_LIMIT, clamp: true }),
+    depth: integer({ default: DEFAULT_LOAD_DEPTH, min: 0, max: MAX_LOAD_DEPTH, clamp: true }),
+};
+const commentContent = string({ max: MAX_COMMENT_LENGTH });
+const commentIdParams = { id: objectId() };
+
+const threadSchema = { params: { linkId: objectId() }, query: threadQuery };
+const repliesSchema = { params: commentIdParams, query: threadQuery };
+const postSchema = { params: { linkId: objectId() }, body: { content: commentContent, parentComment: objectId({ optional: true }) } };
+const editSchema = { params: commentIdParams, body: { content: commentContent } };
+const deleteSchema = { params: commentIdParams };
+const voteSchema = { params: commentIdParams, body: voteBodySchema };
+const reportSchema = {
+    params: commentIdParams,
+    body: { reason: oneOf(REPORT_REASONS.Comment), note: string({ optional: true, max: 500 }) },
+};
+
+// What shows in place of a comment's content once it's gone
+const tombstone = (comment) => (comment.removedAt ? REMOVED_CONTENT : comment.hiddenAt ? HIDDEN_CONTENT : DELETED_CONTENT);
+
+/**
+ * Shapes a comment (plain object from aggregate/lean, or a document) for the client.
+ * Deleted, removed and hidden comments keep their place in the tree but hide content and author.
+ */
+const toClientComment = (comment) => ({
+    id: comment._id,
+    link: comment.link,
+    parentComment: comment.parentComment,
+    content: comment.isDeleted ? tombstone(comment) : comment.content,
+    author: comment.isDeleted || !comment.postedBy
+        ? null
+        : { id: comment.postedBy._id || comment.postedBy, username: comment.postedBy.username },
+    depth: comment.depth,
+    isDeleted: comment.isDeleted,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    votes: comment.votes || 0,
+    upvotes: comment.upvotes || 0,
+    downvotes: comment.downvotes || 0,
+    repliesCount: comment.repliesCount,
+    replies: [],
+    moreReplies: 0,
+});
+
+/**
+ * Loads up to `replyLimit` replies (oldest first) for each of `parents`,
+ * then recurses until `levelsLeft` runs out. Mutates the parents' `replies`.
+ * One aggregate query per depth level, regardless of how many parents there are.
+ */
+const attachReplies = async (parents, replyLimit, levelsLeft) => {
+    const withReplies = parents.filter(parent => parent.repliesCount > 0);
+    if (levelsLeft <= 0 || withReplies.length === 0) {
+        parents.forEach(parent => { parent.moreReplies = parent.repliesCount; });
+        return;
+    }
+
+    const groups = await Comment.aggregate([
+        { $match: { parentComment: { $in: withReplies.map(parent => parent.id) } } },
+        // $topN keeps only replyLimit replies per group instead of collecting them all
+        {
+            $group: {
+                _id: '$parentComment',
+                replies: { $topN: { n: replyLimit, sortBy: { createdAt: 1, _id: 1 }, output: '$$ROOT' } },
+            },
+        },
+    ]);
+    await Comment.populate(groups.flatMap(group => group.replies), { path: 'postedBy', select: 'username' });
+
+    const byParent = new Map(groups.map(group => [group._id.toString(), group.replies]));
+    const nextLevel = [];
+
+    parents.forEach(parent => {
+        const replies = (byParent.get(parent.id.toString()) || []).map(toClientComment);
+        parent.replies = replies;
+        parent.moreReplies = Math.max(parent.repliesCount - replies.length, 0);
+        nextLevel.push(...replies);
+    });
+
+    await attachReplies(nextLevel, replyLimit, levelsLeft - 1);
+};
+
+/**
+ * Sets `userVote` on every comment in the given trees (one query for the whole tree).
+ */
+const attachUserVotes = async (comments, userId) => {
+    if (!userId) return;
+
+    const all = [];
+    const collect = (nodes) => nodes.forEach(node => { all.push(node); collect(node.replies); });
+    collect(comments);
+
+    const votes = await userVotesFor(userId, 'Comment', all.map(comment => comment.id));
+    all.forEach(comment => { comment.userVote = votes.get(comment.id.toString()) || 0; });
+};
+
+// @route   GET api/comments/link/:linkId
+// @desc    Get a link's comments as a nested tree. Query: page, limit (top level), replyLimit, depth
+// @access  Public (comments include userVote when logged in)
+router.get('/link/:linkId', optionalAuth, validate(threadSchema), async (req, res) => {
+    const { linkId } = req.params;
+    const { page, limit, replyLimit, depth } = req.query;
+
+    const link = await Link.findById(linkId).select('status commentsCount');
+    if (!link || link.status !== 'approved') {
+        throw new ApiError(404, 'Link not found');
+    }
+
+    const topLevelFilter = { link: linkId, parentComment: null };
+    const [topLevel, totalTopLevel] = await Promise.all([
+        Comment.find(topLevelFilter)
+            .sort({ createdAt: 1, _id: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('postedBy', 'username')
+            .lean(),
+        Comment.countDocuments(topLevelFilter),
+    ]);
+
+    const comments = topLevel.map(toClientComment);
+    await attachReplies(comments, replyLimit, depth);
+    await attachUserVotes(comments, req.user?.id);
+
+    res.json({
+        comments,
+        page,
+        limit,
+        totalTopLevel,
+        totalPages: Math.ceil(totalTopLevel / limit),
+        commentsCount: link.commentsCount,
+    });
+});
+
+// @route   GET api/comments/:id/replies
+// @desc    Page through the direct replies of one comment ("load more replies"). Query: page, limit, replyLimit, depth
+// @access  Public (comments include userVote when logged in)
+router.get('/:id/replies', optionalAuth, validate(repliesSchema), async (req, res) => {
+    const { id } = req.params;
+    const { page, limit, replyLimit, depth } = req.query;
+
+    // Replies are only public while the link is, same as the thread
+    const parent = await Comment.findById(id).select('link repliesCount').populate('link', 'status');
+    if (!parent || !parent.link || parent.link.status !== 'approved') {
+        throw new ApiError(404, 'Comment not found');
+    }
+
+    const replies = await Comment.find({ parentComment: id })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('postedBy', 'username')
+        .lean();
+
+    const comments = replies.map(toClientComment);
+    await attachReplies(comments, replyLimit, depth);
+    await attachUserVotes(comments, req.user?.id);
+
+    res.json({
+        comments,
+        page,
+        limit,
+        total: parent.repliesCount,
+        totalPages: Math.ceil(parent.repliesCount / limit),
+    });
+});
+
+// @route   POST api/comments/link/:linkId
+// @desc    Post a comment on an approved link. Body: { content, parentComment? } — parentComment makes it a reply
+// @access  Private (Requires JWT)
+router.post('/link/:linkId', auth, requireActive, ...commentLimits, validate(postSchema), async (req, res) => {
+    const { linkId } = req.params;
+    const { content, parentComment } = req.body;
+
+    const link = await Link.findById(linkId).select('status');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+    if (link.status !== 'approved') {
+        throw new ApiError(403, 'Only approved links can be commented on');
+    }
+
+    // Replies must point at a comment on the same link
+    let depth = 0;
+    let parent = null;
+    if (parentComment) {
+        parent = await Comment.findById(parentComment).select('link depth postedBy isDeleted');
+        if (!parent || parent.link.toString() !== linkId) {
+            throw new ApiError(404, 'Parent comment not found');
+        }
+        if (parent.depth + 1 > MAX_THREAD_DEPTH) {
+            throw new ApiError(400, 'This thread is nested too deeply to reply to');
+        }
+        depth = parent.depth + 1;
+    }
+
+    const comment = await new Comment({
+        content,
+        postedBy: req.user.id,
+        link: linkId,
+        parentComment: parentComment || null,
+        depth,
+    }).save();
+
+    // Keep the denormalized counters in step with the new comment
+    await Promise.all([
+        Link.updateOne({ _id: linkId }, { $inc: { commentsCount: 1 } }),
+        parentComment
+            ? Comment.updateOne({ _id: parentComment }, { $inc: { repliesCount: 1 } })
+            : Promise.resolve(),
+    ]);
+
+    await comment.populate('postedBy', 'username');
+    const clientComment = toClientComment(comment);
+    publishComments(linkId, clientComment);
+    // Nobody is left to notify when the parent comment was deleted
+    notifyComment(comment, { replyTo: parent && !parent.isDeleted ? parent.postedBy : null });
+    res.status(201).json(clientComment);
+});
+
+// @route   PATCH api/comments/:id
+// @desc    Edit your own comment. Body: { content }
+// @access  Private (author only)
+router.patch('/:id', auth, requireActive, validate(editSchema), async (req, res) => {
+    const { id } = req.params;
+    const { content } = req.body;
+
+    const comment = await Comment.findById(id);
+    if (!comment || comment.isDeleted) {
+        throw new ApiError(404, 'Comment not found');
+    }
+    if (comment.postedBy.toString() !== req.user.id) {
+        throw new ApiError(403, 'You can only edit your own comments');
+    }
+    // Threads under links that were hidden, removed or never approved are frozen
+    if (!await Link.exists({ _id: comment.link, status: 'approved' })) {
+        throw new ApiError(404, 'Comment not found');
+    }
+
+    const previousContent = comment.content;
+    comment.content = content;
+    comment.editedAt = new Date();
+    await comment.save();
+    notifyComment(comment, { previousContent });
+
+    await comment.populate('postedBy', 'username');
+    res.json(toClientComment(comment));
+});
+
+// @route   DELETE api/comments/:id
+// @desc    Delete your own comment. It stays in the thread as a "[deleted]" tombstone so replies keep their place.
+// @access  Private (author only)
+router.delete('/:id', auth, validate(deleteSchema), async (req, res) => {
+    const { id } = req.params;
+
+    const comment = await Comment.findById(id).select('postedBy isDeleted');
+    if (!comment || comment.isDeleted) {
+        throw new ApiError(404, 'Comment not found');
+    }
+    if (comment.postedBy.toString() !== req.user.id) {
+        throw new ApiError(403, 'You can only delete your own comments');
+    }
+
+    // Conditional update so a double-submitted delete only decrements the count once
+    const deleted = await Comment.findOneAndUpdate(
+        { _id: id, isDeleted: false },
+        { $set: { isDeleted: true, content: DELETED_CONTENT } },
+        { new: true }
+    );
+
+    if (deleted) {
+        await Link.updateOne({ _id: deleted.link }, { $inc: { commentsCount: -1 } });
+        publishComments(deleted.link);
+    }
+
+    res.json({ id, isDeleted: true, msg: 'Comment deleted' });
+});
+
+// @route   PATCH api/comments/:id/vote
+// @desc    Set the current user's vote on a comment. Body: { value: 1 | -1 | 0 } (0 retracts, default 1)
+// @access  Private (Requires JWT, verified email)
+router.patch('/:id/vote', auth, requireVerified, requireActive, voteLimit, validate(voteSchema), async (req, res) => {
+    const { id } = req.params;
+    const { value } = req.body;
+
+    // Like the thread itself, only comments on approved links can be voted on
+    const comment = await Comment.findById(id).select('isDeleted link').populate('link', 'status');
+    if (!comment || comment.isDeleted || comment.link?.status !== 'approved') {
+        throw new ApiError(404, 'Comment not found');
+    }
+
+    const { changed, target } = await castVote({ userId: req.user.id, targetType: 'Comment', targetId: id, value });
+    if (changed) publishCommentVotes(target);
+
+    res.json({
+        id: target._id,
+        votes: target.votes,
+        upvotes: target.upvotes,
+        downvotes: target.downvotes,
+        userVote: value,
+        msg: changed ? 'Vote recorded successfully' : 'Vote unchanged'
+    });
+});
+
+// @route   POST api/comments/:id/report
+// @desc    Report a comment to the curators. Body: { reason: 'spam'|'abusive'|'off_topic'|'other', note? }
+//          Enough reports from different members hide it until a curator reviews it.
+// @access  Private (Requires JWT, verified email)
+router.post('/:id/report', auth, requireVerified, requireActive, reportLimit, validate(reportSchema), async (req, res) => {
+    const { hidden } = await fileReport({
+        targetType: 'Comment',
+        targetId: req.params.id,
+        reporterId: req.user.id,
+        reason: req.body.reason,
+        note: req.body.note,
+    });
+    res.status(201).json({ msg: 'Thanks, the curators will take a look.', hidden });
+});
+
+module.exports = router;
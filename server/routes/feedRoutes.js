@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Link = require('../models/Link');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const validate = require('../middleware/validate');
+const { FORMATS } = require('../utils/feedFormats');
+const { slugify, withDescendantSlugs } = require('../utils/tags');
+const { ApiError } = require('../utils/errors');
+const { string } = require('../utils/validation');
+
+// Public URLs: the client app (for comment threads) and this API (for feed self links)
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const FEED_SIZE = 50;
+const FEED_TITLE = 'AI Tech Aggregator';
+
+// The format is checked by sendFeed, which answers an unknown one with a 404
+const formatParam = string({ max: 10 });
+const linksSchema = { params: { format: formatParam } };
+const tagSchema = { params: { slug: string({ max: 100 }), format: formatParam } };
+const userSchema = { params: { username: string({ max: 100 }), format: formatParam } };
+
+/**
+ * Loads the newest approved links for a feed and sends it in the requested format.
+ * Sets ETag/Last-Modified and answers conditional requests with 304 before building the body.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} options
+ * @param {object} options.filter - Extra Mongo filter (tag or submitter).
+ * @param {string} options.title - Feed title.
+ * @param {string} options.description - Feed description.
+ * @param {string} options.path - Feed path without extension, e.g. '/feeds/tags/llm'.
+ */
+const sendFeed = async (req, res, { filter, title, description, path }) => {
+    // Own keys only: '.toString' and friends are unknown formats, not inherited functions
+    const format = Object.hasOwn(FORMATS, req.params.format) ? FORMATS[req.params.format] : null;
+    if (!format) {
+        throw new ApiError(404, 'Unknown feed format. Use .rss, .atom or .json', { code: 'unknown_format' });
+    }
+
+    const links = await Link.find({ status: 'approved', ...filter })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(FEED_SIZE)
+        .populate('submittedBy', 'username')
+        .lean();
+
+    // A link enters the feed when it's approved, so that's its "modified" time
+    const modifiedTimes = links.map(link => new Date(link.moderatedAt || link.createdAt).getTime());
+    const updated = new Date(modifiedTimes.length ? Math.max(...modifiedTimes) : 0);
+
+    // The ETag covers which links are in the feed, their displayed fields and the format
+    const etag = `"${crypto.createHash('sha1')
+        .update(req.params.format)
+        .update(links.map(link => `${link._id}:${link.title}:${link.description}:${link.imageUrl}:${(link.tags || []).join(',')}`).join('|'))
+        .digest('base64url')}"`;
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', updated.toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+
+    // req.fresh compares If-None-Match / If-Modified-Since against the headers set above
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    const body = format.build({
+        title,
+        description,
+        siteUrl: SITE_URL,
+        feedUrl: `${API_URL}${path}.${req.params.format}`,
+        updated,
+        items: links.map(link => ({
+            id: String(link._id),
+            title: link.title,
+            url: link.url,
+            threadUrl: `${SITE_URL}/links/${link._id}`,
+            summary: link.description,
+            imageUrl: link.imageUrl,
+            author: link.submittedBy?.username,
+            tags: link.tags,
+            published: new Date(link.moderatedAt || link.createdAt),
+        })),
+    });
+
+    res.type(format.contentType).send(body);
+};
+
+// @route   GET feeds/links.(rss|atom|json)
+// @desc    Newest approved links as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+// @access  Public
+router.get('/links.:format', validate(linksSchema), async (req, res) => {
+    await sendFeed(req, res, {
+        filter: {},
+        title: FEED_TITLE,
+        description: 'Newest approved links on AI Tech Aggregator',
+        path: '/feeds/links',
+    });
+});
+
+// @route   GET feeds/tags/:slug.(rss|atom|json)
+// @desc    Newest approved links for a topic (including its subtopics)
+// @access  Public
+router.get('/tags/:slug.:format', validate(tagSchema), async (req, res) => {
+    const slug = slugify(req.params.slug);
+    const tag = await Tag.findOne({ $or: [{ slug }, { aliases: slug }] }).select('_id slug name');
+    if (!tag) {
+        throw new ApiError(404, 'Tag not found');
+    }
+
+    const slugs = await withDescendantSlugs(tag);
+    await sendFeed(req, res, {
+        filter: { tags: { $in: slugs } },
+        title: `${FEED_TITLE}: ${tag.name}`,
+        description: `Newest approved links tagged ${tag.name}`,
+        path: `/feeds/tags/${tag.slug}`,
+    });
+});
+
+// @route   GET feeds/users/:username.(rss|atom|json)
+// @desc    Newest approved links submitted by one user
+// @access  Public
+router.get('/users/:username.:format', validate(userSchema), async (req, res) => {
+    const user = await User.findOne({ username: req.params.username }).select('_id username');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    await sendFeed(req, res, {
+        filter: { submittedBy: user._id },
+        title: `${FEED_TITLE}: ${user.username}`,
+        description: `Links submitted by ${user.username}`,
+        path: `/feeds/users/${encodeURIComponent(user.username)}`,
+    });
+});
+
+module.exports = router;
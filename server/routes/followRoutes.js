@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { domainOf } = require('../utils/feed');
+const { slugify } = require('../utils/tags');
+const { clearHomeFeedCache } = require('../utils/homeFeed');
+const { ApiError } = require('../utils/errors');
+const { string, oneOf } = require('../utils/validation');
+
+// Users, tags and domains the current user follows for their home feed
+// (GET api/feed/home). Every route in this file is private.
+router.use(auth);
+
+const FOLLOW_TYPES = ['user', 'tag', 'domain'];
+const MAX_FOLLOWS = 500;
+
+// Request schemas (see utils/validation.js)
+const target = string({ max: 2048, description: 'Username or user id, tag slug (or alias), or domain (a URL is reduced to its domain)' });
+const followSchema = { body: { type: oneOf(FOLLOW_TYPES), target } };
+const unfollowSchema = { params: { type: oneOf(FOLLOW_TYPES), target } };
+
+/**
+ * Resolves what the client sent to the value stored in Follow.target,
+ * plus the name shown for it.
+ * @returns {Promise<{ target: string, name: string }|null>} null if there's no such user or tag.
+ * @throws {ApiError} 400 for a domain that can't be parsed.
+ */
+const resolveTarget = async (type, input) => {
+    if (type === 'user') {
+        const user = mongoose.Types.ObjectId.isValid(input)
+            ? await User.findById(input).select('username')
+            : await User.findOne({ username: input }).select('username');
+        return user && { target: user._id.toString(), name: user.username };
+    }
+    if (type === 'tag') {
+        const slug = slugify(input);
+        const tag = await Tag.findOne({ $or: [{ slug }, { aliases: slug }] }).select('slug name');
+        return tag && { target: tag.slug, name: tag.name };
+    }
+    const domain = input.includes('/') ? domainOf(input) : input.toLowerCase().replace(/^www\./, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        throw new ApiError(400, 'target must be a domain like example.com', { code: 'invalid_domain' });
+    }
+    return { target: domain, name: domain };
+};
+
+/**
+ * Shapes follows for the client, looking up the current usernames and tag names.
+ */
+const toClientFollows = async (follows) => {
+    const ids = (type) => follows.filter(follow => follow.type === type).map(follow => follow.target);
+    const [users, tags] = await Promise.all([
+        User.find({ _id: { $in: ids('user').filter(id => mongoose.Types.ObjectId.isValid(id)) } }).select('username').lean(),
+        Tag.find({ slug: { $in: ids('tag') } }).select('slug name').lean(),
+    ]);
+    const names = new Map([
+        ...users.map(user => [`user:${user._id}`, user.username]),
+        ...tags.map(tag => [`tag:${tag.slug}`, tag.name]),
+    ]);
+
+    return follows.map(follow => ({
+        type: follow.type,
+        target: follow.target,
+        name: follow.type === 'domain' ? follow.target : names.get(`${follow.type}:${follow.target}`) || null,
+        createdAt: follow.createdAt,
+    }));
+};
+
+// @route   GET api/follows
+// @desc    Everything you follow, most recent first
+// @access  Private
+router.get('/', async (req, res) => {
+    const follows = await Follow.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json(await toClientFollows(follows));
+});
+
+// @route   POST api/follows
+// @desc    Follow a user, tag or domain. Body: { type: 'user'|'tag'|'domain', target }
+// @access  Private
+router.post('/', validate(followSchema), async (req, res) => {
+    const { type } = req.body;
+
+    const resolved = await resolveTarget(type, req.body.target);
+    if (!resolved) {
+        throw new ApiError(404, type === 'user' ? 'User not found' : 'Tag not found');
+    }
+    if (type === 'user' && resolved.target === req.user.id) {
+        throw new ApiError(400, 'You cannot follow yourself', { code: 'cannot_follow_self' });
+    }
+
+    const existing = await Follow.findOne({ user: req.user.id, type, target: resolved.target });
+    if (existing) {
+        return res.json((await toClientFollows([existing]))[0]);
+    }
+    if (await Follow.countDocuments({ user: req.user.id }) >= MAX_FOLLOWS) {
+        throw new ApiError(400, `You can follow at most ${MAX_FOLLOWS} users, tags and domains`, { code: 'too_many_follows' });
+    }
+
+    let follow;
+    try {
+        follow = await Follow.create({ user: req.user.id, type, target: resolved.target });
+    } catch (err) {
+        // Followed by a simultaneous request
+        if (err.code !== 11000) throw err;
+        follow = await Follow.findOne({ user: req.user.id, type, target: resolved.target });
+    }
+    clearHomeFeedCache(req.user.id);
+    res.status(201).json({ type, target: follow.target, name: resolved.name, createdAt: follow.createdAt });
+});
+
+// @route   DELETE api/follows/:type/:target
+// @desc    Unfollow. :target is the same value as when following (a username works for users too).
+// @access  Private
+router.delete('/:type/:target', validate(unfollowSchema), async (req, res) => {
+    const { type } = req.params;
+
+    const resolved = await resolveTarget(type, req.params.target);
+    // A deleted user or tag can still be unfollowed by its stored value
+    const stored = resolved ? resolved.target : req.params.target;
+    const result = await Follow.deleteOne({ user: req.user.id, type, target: stored });
+    if (result.deletedCount === 0) {
+        throw new ApiError(404, `You don't follow that ${type}`);
+    }
+
+    clearHomeFeedCache(req.user.id);
+    res.json({ msg: 'Unfollowed', type, target: stored });
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { feedQuerySchema } = require('../utils/feed');
+const { getHomeFeed } = require('../utils/homeFeed');
+
+// @route   GET api/feed/home
+// @desc    Personalized feed: links from the users, tags and domains you follow (see api/follows),
+//          with the same sort, filter and cursor params as GET api/links.
+//          Returns { links, nextCursor, totalEstimate, personalized }; personalized is false
+//          when you follow nothing yet and get the global feed instead.
+// @access  Private
+router.get('/home', auth, validate({ query: feedQuerySchema }), async (req, res) => {
+    res.json(await getHomeFeed(req.user.id, req.query));
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// Every router and the path it's mounted at. server.js mounts them in this
+// order, and docs/openapi.js reads them to build the API spec.
+module.exports = [
+    // e.g. router.post('/login') in userRoutes.js becomes POST /api/users/login
+    { path: '/api/users', router: require('./userRoutes') },
+    // The current user's saved links and reading lists
+    { path: '/api/users/me', router: require('./savedRoutes') },
+    // Public profiles (/api/users/:username) after userRoutes, so its fixed paths match first
+    { path: '/api/users', router: require('./profileRoutes') },
+    { path: '/api/links', router: require('./linkRoutes') },
+    // The personalized home feed, built from what the user follows
+    { path: '/api/feed', router: require('./homeRoutes') },
+    { path: '/api/follows', router: require('./followRoutes') },
+    { path: '/api/moderation', router: require('./moderationRoutes') },
+    // Members' reports of links and comments, for curators to review
+    { path: '/api/reports', router: require('./reportRoutes') },
+    // User management, content removal, site stats and the audit log
+    { path: '/api/admin', router: require('./adminRoutes') },
+    { path: '/api/comments', router: require('./commentRoutes') },
+    { path: '/api/notifications', router: require('./notificationRoutes') },
+    { path: '/api/search', router: require('./searchRoutes') },
+    { path: '/api/tags', router: require('./tagRoutes') },
+    { path: '/api/ingest', router: require('./ingestRoutes') },
+    // RSS/Atom/JSON Feed output lives outside /api so feed readers get short URLs
+    { path: '/feeds', router: require('./feedRoutes') },
+];
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const IngestSource = require('../models/IngestSource');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { sourceFeedUrl, runSource } = require('../utils/ingest');
+const { resolveTags } = require('../utils/tags');
+const { ApiError } = require('../utils/errors');
+const { string, integer, boolean, oneOf, objectId, array } = require('../utils/validation');
+
+// Source configuration is admin only
+router.use(auth, requireRole('admin'));
+
+const EDITABLE_FIELDS = ['name', 'type', 'url', 'category', 'repo', 'enabled', 'intervalMinutes', 'maxItemsPerRun'];
+
+// Request schemas (see utils/validation.js). POST needs name and type; PATCH takes any subset.
+// url, category and repo can be cleared with null or ''.
+const sourceFields = (required) => ({
+    name: string({ optional: !required, max: 100 }),
+    type: oneOf(['rss', 'arxiv', 'github'], { optional: !required }),
+    url: string({ optional: true, nullable: true, max: 2048 }),
+    category: string({ optional: true, nullable: true, max: 50 }),
+    repo: string({ optional: true, nullable: true, max: 200 }),
+    tags: array(string({ max: 100 }), { optional: true, max: 20 }),
+    enabled: boolean({ optional: true }),
+    intervalMinutes: integer({ optional: true, min: 5, max: 7 * 24 * 60 }),
+    maxItemsPerRun: integer({ optional: true, min: 1, max: 200 }),
+});
+const sourceIdParams = { id: objectId() };
+
+const sourceSchema = { params: sourceIdParams };
+const createSchema = { body: sourceFields(true) };
+const updateSchema = { params: sourceIdParams, body: sourceFields(false) };
+
+/**
+ * Copies the editable fields present in a request body onto a source (document or plain object).
+ */
+const applyFields = (source, body) => {
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) source[field] = body[field] === null ? '' : body[field];
+    });
+};
+
+// Shape returned to the client, including the derived feed URL and a health summary
+const toClientSource = (source) => ({
+    id: source._id,
+    name: source.name,
+    type: source.type,
+    url: source.url,
+    category: source.category,
+    repo: source.repo,
+    feedUrl: sourceFeedUrl(source),
+    tags: source.tags,
+    enabled: source.enabled,
+    intervalMinutes: source.intervalMinutes,
+    maxItemsPerRun: source.maxItemsPerRun,
+    health: {
+        status: source.lastStatus,
+        lastRunAt: source.lastRunAt,
+        lastSuccessAt: source.lastSuccessAt,
+        lastError: source.lastError,
+        lastItemsSeen: source.lastItemsSeen,
+        lastItemsCreated: source.lastItemsCreated,
+        totalItemsCreated: source.totalItemsCreated,
+        consecutiveFailures: source.consecutiveFailures,
+        nextRunAt: source.nextRunAt,
+    },
+    createdAt: source.createdAt,
+});
+
+/**
+ * Checks the type-specific fields of a source.
+ * @returns {string|null} An error message, or null if valid.
+ */
+const validateSource = (source) => {
+    if (source.url) {
+        try {
+            const parsed = new URL(source.url);
+            if (!['http:', 'https:'].includes(parsed.protocol)) return 'Feed URL must be http(s)';
+        } catch (e) {
+            return 'Feed URL is not valid';
+        }
+    }
+    if (source.type === 'rss' && !source.url) return 'RSS sources need a url';
+    if (source.type === 'arxiv' && !source.url && !/^[a-z-]+(\.[A-Za-z-]+)?$/.test(source.category || '')) {
+        return "arXiv sources need a category such as 'cs.AI'";
+    }
+    if (source.type === 'github' && !source.url && !/^[\w.-]+\/[\w.-]+$/.test(source.repo || '')) {
+        return "GitHub sources need a repo as 'owner/name'";
+    }
+    return null;
+};
+
+// @route   GET api/ingest/sources
+// @desc    List configured sources with health and last-run status
+// @access  Private (admin)
+router.get('/sources', async (req, res) => {
+    const sources = await IngestSource.find().sort({ name: 1 });
+    res.json(sources.map(toClientSource));
+});
+
+// @route   GET api/ingest/sources/:id
+// @desc    Get one source
+// @access  Private (admin)
+router.get('/sources/:id', validate(sourceSchema), async (req, res) => {
+    const source = await IngestSource.findById(req.params.id);
+    if (!source) {
+        throw new ApiError(404, 'Source not found');
+    }
+    res.json(toClientSource(source));
+});
+
+// @route   POST api/ingest/sources
+// @desc    Add a source. Body: { name, type: 'rss'|'arxiv'|'github', url?, category?, repo?, tags?, enabled?, intervalMinutes?, maxItemsPerRun? }
+// @access  Private (admin)
+router.post('/sources', validate(createSchema), async (req, res) => {
+    const fields = {};
+    applyFields(fields, req.body);
+
+    const error = validateSource(fields);
+    if (error) {
+        throw new ApiError(400, error, { code: 'invalid_source' });
+    }
+
+    const { slugs, unknown } = await resolveTags(req.body.tags);
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown tags: ${unknown.join(', ')}`, { code: 'unknown_tags', tags: unknown });
+    }
+
+    const source = await new IngestSource({ ...fields, tags: slugs, createdBy: req.user.id }).save();
+    res.status(201).json(toClientSource(source));
+});
+
+// @route   PATCH api/ingest/sources/:id
+// @desc    Update a source's configuration (same fields as POST)
+// @access  Private (admin)
+router.patch('/sources/:id', validate(updateSchema), async (req, res) => {
+    const { body } = req;
+
+    const source = await IngestSource.findById(req.params.id);
+    if (!source) {
+        throw new ApiError(404, 'Source not found');
+    }
+
+    applyFields(source, body);
+    const error = validateSource(source);
+    if (error) {
+        throw new ApiError(400, error, { code: 'invalid_source' });
+    }
+
+    if (body.tags !== undefined) {
+        const { slugs, unknown } = await resolveTags(body.tags);
+        if (unknown.length > 0) {
+            throw new ApiError(400, `Unknown tags: ${unknown.join(', ')}`, { code: 'unknown_tags', tags: unknown });
+        }
+        source.tags = slugs;
+    }
+
+    // Re-enabling a source clears its backoff so it runs on the next tick
+    if (body.enabled === true) {
+        source.consecutiveFailures = 0;
+        source.nextRunAt = new Date();
+    }
+
+    await source.save();
+    res.json(toClientSource(source));
+});
+
+// @route   DELETE api/ingest/sources/:id
+// @desc    Remove a source (links it already created are kept)
+// @access  Private (admin)
+router.delete('/sources/:id', validate(sourceSchema), async (req, res) => {
+    const source = await IngestSource.findByIdAndDelete(req.params.id);
+    if (!source) {
+        throw new ApiError(404, 'Source not found');
+    }
+    res.json({ msg: 'Source deleted', id: source._id });
+});
+
+// @route   POST api/ingest/sources/:id/run
+// @desc    Run a source now, regardless of its schedule. Returns the run result and updated health.
+// @access  Private (admin)
+router.post('/sources/:id/run', validate(sourceSchema), async (req, res) => {
+    const source = await IngestSource.findById(req.params.id);
+    if (!source) {
+        throw new ApiError(404, 'Source not found');
+    }
+
+    const result = await runSource(source);
+    const updated = await IngestSource.findById(source._id);
+    res.json({ result, source: toClientSource(updated) });
+});
+
+module.exports = router;
@@ -1,61 +1,215 @@
 const express = require('express');
 const router = express.Router();
 const Link = require('../models/Link');
-const User = require('../models/User'); // Needed to get username/id and update upvotedLinks
+const User = require('../models/User'); // Needed to get the submitter's username
 const auth = require('../middleware/auth'); // For protected routes
-const mongoose = require('mongoose'); // For ObjectId handling
+const optionalAuth = require('../middleware/optionalAuth'); // Public routes that show the user's own votes
+const requireVerified = require('../middleware/requireVerified'); // Submitting and voting need a verified email
+const requireActive = require('../middleware/requireActive'); // ...and an account that isn't suspended
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { fetchMetadata } = require('../utils/fetchMetadata');
+const { rankingFields, refreshLinkRanking } = require('../utils/ranking');
+const { getFeed, domainOf, toFeedLink, withViewerState, feedQuerySchema } = require('../utils/feed');
+const { cleanUrl, urlKey } = require('../utils/canonicalUrl');
+const { castVote, voteBodySchema } = require('../utils/votes');
+const { MAX_TAGS_PER_LINK, resolveTags, suggestTags } = require('../utils/tags');
+const { publishLinkVotes } = require('../utils/realtime');
+const { findBlockedDomain } = require('../utils/blocklist');
+const { REPORT_REASONS, fileReport } = require('../utils/reports');
+const { ApiError } = require('../utils/errors');
+const { string, oneOf, objectId, array } = require('../utils/validation');
+
+// Accounts younger than this may only submit a few links a day
+const NEW_ACCOUNT_DAYS = parseInt(process.env.NEW_ACCOUNT_DAYS, 10) || 3;
+const NEW_ACCOUNT_DAILY_SUBMISSIONS = parseInt(process.env.NEW_ACCOUNT_DAILY_SUBMISSIONS, 10) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const submitLimits = [
+    rateLimit({ name: 'submit-user', max: 10, windowSeconds: 60 * 60, by: 'user', message: 'You are submitting too many links. Please try again later.' }),
+    rateLimit({ name: 'submit-ip', max: 30, windowSeconds: 60 * 60 }),
+];
+const voteLimit = rateLimit({ name: 'vote-user', max: 60, windowSeconds: 60, by: 'user', message: 'You are voting too fast. Please slow down.' });
+const reportLimit = rateLimit({ name: 'report-user', max: 20, windowSeconds: 60 * 60, by: 'user', message: 'You are reporting too much. Please try again later.' });
+
+const submitSchema = {
+    body: {
+        url: string({ max: 2048 }),
+        title: string({ optional: true, max: 300 }),
+        tags: array(string({ max: 100 }), { optional: true, max: 20 }),
+    },
+};
+const linkSchema = { params: { id: objectId() } };
+const voteSchema = { params: { id: objectId() }, body: voteBodySchema };
+const reportSchema = {
+    params: { id: objectId() },
+    body: { reason: oneOf(REPORT_REASONS.Link), note: string({ optional: true, max: 500 }) },
+};
 
 // @route   GET api/links
-// @desc    Get all APPROVED links for the public feed
+// @desc    Get APPROVED links for the public feed, one page at a time
+//          ?sort=hot|top|new|rising (default hot), ?t=day|week|month|all for 'top' (default day)
+//          Filters: ?domain=, ?submitter= (username or id), ?from=&to= (dates), ?tag=
+//          Paging: ?limit= (default 25, max 100), ?cursor= (nextCursor from the previous page)
+//          Returns { links, nextCursor, totalEstimate }; each link has userVote when logged in
 // @access  Public
-router.get('/', async (req, res) => {
-    try {
-        // Fetch only links with 'approved' status
-        const links = await Link.find({ status: 'approved' })
-            .sort({ score: -1, createdAt: -1 }); // Sort by score, then newest first
-
-        // Map the links to include a simple 'id' field for the frontend
-        const responseLinks = links.map(link => ({
-            id: link._id,
-            url: link.url,
-            username: link.username,
-            score: link.score,
-        }));
+router.get('/', optionalAuth, validate({ query: feedQuerySchema }), async (req, res) => {
+    res.json(await getFeed(req.query, {}, req.user?.id));
+});
 
-        res.json(responseLinks);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server Error fetching links');
+// @route   GET api/links/:id
+// @desc    One approved link, in the feed shape, for its comment thread page (/links/:id in the client)
+// @access  Public (includes userVote and saved when logged in)
+router.get('/:id', optionalAuth, validate(linkSchema), async (req, res) => {
+    const link = await Link.findById(req.params.id).populate('submittedBy', 'username');
+    if (!link || link.status !== 'approved') {
+        throw new ApiError(404, 'Link not found');
     }
+    const [feedLink] = await withViewerState([toFeedLink(link)], req.user?.id);
+    res.json(feedLink);
+});
+
+/**
+ * Looks up an existing link by its canonical key (see utils/canonicalUrl.js).
+ * @returns {Promise<object|null>} The link with submittedBy populated, or null.
+ */
+const findDuplicate = (key) => Link.findOne({ normalizedUrl: key }).populate('submittedBy', 'username');
+
+/**
+ * 409 Conflict carrying the existing link, so the client can offer to upvote it instead.
+ */
+const duplicateError = (existing) => new ApiError(409, 'This link has already been submitted', {
+    code: 'duplicate_link',
+    existing: { ...toFeedLink(existing), status: existing.status },
 });
 
+/**
+ * For accounts still inside their first NEW_ACCOUNT_DAYS, how many seconds until
+ * they may submit again, or 0 if they're under their daily quota.
+ */
+const newAccountWait = async (user) => {
+    const now = Date.now();
+    if (!user.createdAt || now - user.createdAt.getTime() >= NEW_ACCOUNT_DAYS * DAY_MS) return 0;
+
+    const recent = await Link.find({ submittedBy: user._id, createdAt: { $gt: new Date(now - DAY_MS) } })
+        .sort({ createdAt: 1 })
+        .select('createdAt')
+        .limit(NEW_ACCOUNT_DAILY_SUBMISSIONS)
+        .lean();
+    if (recent.length < NEW_ACCOUNT_DAILY_SUBMISSIONS) return 0;
+
+    // A slot frees up when the oldest submission in the window turns a day old
+    return Math.max(Math.ceil((recent[0].createdAt.getTime() + DAY_MS - now) / 1000), 1);
+};
+
+/**
+ * Throws a 403 for a URL on a blocked domain.
+ */
+const rejectBlocked = async (url) => {
+    const blocked = await findBlockedDomain(domainOf(url));
+    if (blocked) {
+        throw new ApiError(403, `Links from ${blocked} are not accepted`, { code: 'domain_blocked' });
+    }
+};
+
 // @route   POST api/links
 // @desc    Submit a new link (automatically sets status to 'pending')
-// @access  Private (Requires JWT)
-router.post('/', auth, async (req, res) => {
-    const { url } = req.body;
+//          Body: { url, title?, tags?: [slug|alias, ...] }. Tags are also suggested from the page metadata.
+//          `title` is only used when the page doesn't provide one.
+//          The URL is canonicalized; a duplicate returns 409 with the existing link as `existing`.
+//          Rate limited per user and IP; new accounts have a daily quota (429 with Retry-After).
+//          Links from blocked domains are refused with 403.
+// @access  Private (Requires JWT, verified email)
+router.post('/', auth, requireVerified, requireActive, ...submitLimits, validate(submitSchema), async (req, res) => {
+    const { url, title, tags } = req.body;
     const userId = req.user.id; // User ID comes from the JWT payload
-    
-    // Simple validation
-    if (!url) {
-        return res.status(400).json({ msg: 'URL is required' });
+
+    const submittedUrl = cleanUrl(url);
+    if (!submittedUrl) {
+        throw new ApiError(400, 'URL must be a valid http(s) address', {
+            code: 'validation_failed',
+            details: [{ in: 'body', field: 'url', message: 'url must be a valid http(s) address' }],
+        });
     }
 
     try {
+        await rejectBlocked(submittedUrl);
+
+        // Cheap duplicate check before fetching anything
+        const submittedKey = urlKey(submittedUrl);
+        const existing = await findDuplicate(submittedKey);
+        if (existing) {
+            throw duplicateError(existing);
+        }
+
+        // Tags picked by the submitter must exist in the taxonomy (aliases resolve to their tag)
+        const { slugs: chosenTags, unknown } = await resolveTags(tags);
+        if (unknown.length > 0) {
+            throw new ApiError(400, `Unknown tags: ${unknown.join(', ')}`, { code: 'unknown_tags', tags: unknown });
+        }
+        if (chosenTags.length > MAX_TAGS_PER_LINK) {
+            throw new ApiError(400, `A link can have at most ${MAX_TAGS_PER_LINK} tags`);
+        }
+
         // Get the username from the User model (for caching in the Link document)
-        // We use .select('username') to retrieve only the username field efficiently
-        const user = await User.findById(userId).select('username');
+        // We use .select() to retrieve only the fields we need efficiently
+        const user = await User.findById(userId).select('username createdAt');
         if (!user) {
-            return res.status(404).json({ msg: 'User not found' });
+            throw new ApiError(404, 'User not found');
         }
 
+        const wait = await newAccountWait(user);
+        if (wait > 0) {
+            res.set('Retry-After', String(wait));
+            throw new ApiError(429, `New accounts can submit ${NEW_ACCOUNT_DAILY_SUBMISSIONS} links a day. Please try again later.`, {
+                code: 'new_account_quota',
+                retryAfter: wait,
+            });
+        }
+
+        // Fetch title/description/image from the page itself.
+        // This never throws; missing fields fall back to the schema defaults.
+        const metadata = await fetchMetadata(submittedUrl);
+
+        // Respect rel=canonical, but only within the same site: a page shouldn't be
+        // able to claim some unrelated URL and block it from being submitted.
+        let finalUrl = submittedUrl;
+        const canonical = cleanUrl(metadata.canonicalUrl);
+        if (canonical && domainOf(canonical) === domainOf(submittedUrl)) {
+            finalUrl = canonical;
+        }
+        if (finalUrl !== submittedUrl) {
+            await rejectBlocked(finalUrl);
+        }
+        const finalKey = urlKey(finalUrl);
+        if (finalKey !== submittedKey) {
+            const canonicalDuplicate = await findDuplicate(finalKey);
+            if (canonicalDuplicate) {
+                throw duplicateError(canonicalDuplicate);
+            }
+        }
+
+        // Submitter's picks first, then suggestions from the metadata, up to the limit
+        const suggestedTags = await suggestTags(metadata);
+        const linkTags = [...new Set([...chosenTags, ...suggestedTags])].slice(0, MAX_TAGS_PER_LINK);
+
         // Create the new link with 'pending' status
+        const createdAt = new Date();
         const newLink = new Link({
-            url,
-            user: userId,
-            username: user.username,
+            url: finalUrl,
+            normalizedUrl: finalKey,
+            submittedBy: userId,
+            title: metadata.title || title,
+            description: metadata.description,
+            imageUrl: metadata.imageUrl,
+            canonicalUrl: metadata.canonicalUrl,
+            siteName: metadata.siteName,
+            domain: domainOf(finalUrl),
+            tags: linkTags,
             status: 'pending', // New links are pending by default
-            score: 0,
+            votes: 0,
+            createdAt,
+            ...rankingFields({ votes: 0, createdAt }),
         });
 
         const link = await newLink.save();
@@ -64,85 +218,87 @@ router.post('/', auth, async (req, res) => {
         res.json({
             id: link._id,
             url: link.url,
+            title: link.title,
+            description: link.description,
+            imageUrl: link.imageUrl,
+            siteName: link.siteName,
+            tags: link.tags,
+            suggestedTags,
             status: link.status,
-            username: link.username
+            username: user.username
         });
 
     } catch (err) {
-        console.error(err.message);
-        if (err.kind === 'ObjectId') {
-             return res.status(400).json({ msg: 'Invalid user ID format' });
+        // Lost a race with a concurrent submission of the same URL. Only the key that
+        // collided is looked up: querying an absent one as undefined would match legacy links.
+        if (err.code === 11000) {
+            const [field] = Object.keys(err.keyPattern || err.keyValue || {});
+            const value = err.keyValue?.[field];
+            if (['normalizedUrl', 'url'].includes(field) && value) {
+                const existing = await Link.findOne({ [field]: value }).populate('submittedBy', 'username');
+                if (existing) {
+                    throw duplicateError(existing);
+                }
+            }
         }
-        res.status(500).send('Server Error during link submission');
+        throw err;
     }
 });
 
 // @route   PATCH api/links/:id/vote
-// @desc    Upvote a specific link and update user's upvotedLinks list
-// @access  Private (Requires JWT)
-router.patch('/:id/vote', auth, async (req, res) => {
+// @desc    Set the current user's vote on a link. Body: { value: 1 | -1 | 0 } (0 retracts, default 1)
+//          Idempotent: repeating the same value changes nothing.
+// @access  Private (Requires JWT, verified email)
+router.patch('/:id/vote', auth, requireVerified, requireActive, voteLimit, validate(voteSchema), async (req, res) => {
     const linkId = req.params.id;
     const userId = req.user.id;
+    const { value } = req.body;
 
-    if (!mongoose.Types.ObjectId.isValid(linkId)) {
-        return res.status(400).json({ msg: 'Invalid link ID format' });
+    // 1. Find the link and check if it's approved
+    const link = await Link.findById(linkId).select('status');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+    
+    // Only allow voting on approved links
+    if (link.status !== 'approved') {
+        throw new ApiError(403, 'Only approved links can be voted on');
     }
 
-    try {
-        // 1. Find the link and check if it's approved
-        const link = await Link.findById(linkId);
-        if (!link) {
-            return res.status(404).json({ msg: 'Link not found' });
-        }
-        
-        // Only allow voting on approved links
-        if (link.status !== 'approved') {
-            return res.status(403).json({ msg: 'Only approved links can be voted on' });
-        }
-
-        // 2. Check if the user has already voted
-        const user = await User.findById(userId).select('upvotedLinks');
-        if (!user) {
-             return res.status(404).json({ msg: 'User not found' });
-        }
-        
-        // Convert linkId to string for comparison
-        const linkIdStr = linkId.toString(); 
-
-        // Check if the linkId is present in the user's upvotedLinks array
-        const hasVoted = user.upvotedLinks.some(votedId => votedId.toString() === linkIdStr);
+    // 2. Record the vote and adjust the counters by the difference from the previous vote
+    const { changed } = await castVote({ userId, targetType: 'Link', targetId: linkId, value });
 
-        if (hasVoted) {
-            // 400 Bad Request: The request is valid, but the user has already performed this action.
-            return res.status(400).json({ msg: 'You have already voted for this link' });
-        }
+    // 3. Recompute the precomputed ranking scores from the new vote count
+    const updatedLink = changed ? await refreshLinkRanking(linkId) : await Link.findById(linkId);
 
-        // --- 3. Perform the Atomic Update (Two separate transactions) ---
+    // 4. Push the new counts to everyone watching this link
+    if (changed) publishLinkVotes(updatedLink);
 
-        // A. Update the User: Add linkId to upvotedLinks
-        await User.updateOne(
-            { _id: userId },
-            { $push: { upvotedLinks: linkId } }
-        );
+    // 5. Return the new counts to the client
+    res.json({
+        id: updatedLink._id,
+        score: updatedLink.votes,
+        upvotes: updatedLink.upvotes,
+        downvotes: updatedLink.downvotes,
+        userVote: value,
+        msg: changed ? 'Vote recorded successfully' : 'Vote unchanged'
+    });
 
-        // B. Update the Link: Increment score
-        const updatedLink = await Link.findByIdAndUpdate(
-            linkId,
-            { $inc: { score: 1 } },
-            { new: true } // Return the updated link document
-        );
-
-        // 4. Return the new score to the client
-        res.json({
-            id: updatedLink._id,
-            score: updatedLink.score,
-            msg: 'Vote counted successfully'
-        });
+});
 
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server Error during voting process');
-    }
+// @route   POST api/links/:id/report
+// @desc    Report a link to the curators. Body: { reason: 'spam'|'broken'|'off_topic'|'other', note? }
+//          Enough reports from different members hide it until a curator reviews it.
+// @access  Private (Requires JWT, verified email)
+router.post('/:id/report', auth, requireVerified, requireActive, reportLimit, validate(reportSchema), async (req, res) => {
+    const { hidden } = await fileReport({
+        targetType: 'Link',
+        targetId: req.params.id,
+        reporterId: req.user.id,
+        reason: req.body.reason,
+        note: req.body.note,
+    });
+    res.status(201).json({ msg: 'Thanks, the curators will take a look.', hidden });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const Link = require('../models/Link');
+const BlockedDomain = require('../models/BlockedDomain');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { publishLinksApproved } = require('../utils/realtime');
+const { notifyModeration } = require('../utils/notifications');
+const { clearBlocklistCache } = require('../utils/blocklist');
+const { domainOf } = require('../utils/feed');
+const { ApiError } = require('../utils/errors');
+const { string, integer, oneOf, objectId, array } = require('../utils/validation');
+
+// Every route in this file is curator/admin only
+router.use(auth, requireRole('curator', 'admin'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_IDS = 100;
+const MAX_REASON_LENGTH = 500;
+
+// Maps the action name used by the API to the resulting link status
+const ACTION_STATUS = {
+    approve: 'approved',
+    reject: 'rejected',
+};
+
+/**
+ * Builds the $set update for a moderation decision.
+ * Records who made the decision and when; the reason is only kept for rejections.
+ */
+const buildDecision = (action, userId, reason) => ({
+    status: ACTION_STATUS[action],
+    moderatedBy: userId,
+    moderatedAt: new Date(),
+    rejectionReason: action === 'reject' ? (reason || '').trim().substring(0, MAX_REASON_LENGTH) : '',
+});
+
+// Request schemas (see utils/validation.js)
+const reason = string({ optional: true, max: MAX_REASON_LENGTH });
+const queueSchema = {
+    query: {
+        status: oneOf(['pending', 'approved', 'rejected'], { default: 'pending' }),
+        page: integer({ default: 1, min: 1, clamp: true }),
+        limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+    },
+};
+const decideSchema = { params: { id: objectId() }, body: { reason } };
+const bulkSchema = {
+    body: {
+        ids: array(objectId(), { min: 1, max: MAX_BULK_IDS }),
+        action: oneOf(Object.keys(ACTION_STATUS)),
+        reason,
+    },
+};
+const blockSchema = { body: { domain: string({ max: 2048 }), reason } };
+const unblockSchema = { params: { domain: string({ max: 253, lowercase: true }) } };
+
+// Shape returned to the client for a link in the queue
+const toModerationLink = (link) => ({
+    id: link._id,
+    url: link.url,
+    title: link.title,
+    description: link.description,
+    imageUrl: link.imageUrl,
+    siteName: link.siteName,
+    status: link.status,
+    submittedBy: link.submittedBy,
+    createdAt: link.createdAt,
+    moderatedBy: link.moderatedBy,
+    moderatedAt: link.moderatedAt,
+    rejectionReason: link.rejectionReason,
+});
+
+// @route   GET api/moderation/links
+// @desc    List links awaiting moderation (oldest first), paged. ?status= can show rejected/approved history.
+// @access  Private (curator, admin)
+router.get('/links', validate(queueSchema), async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    // Pending links are worked oldest-first; decided ones are shown most recent decision first
+    const sort = status === 'pending' ? { createdAt: 1 } : { moderatedAt: -1 };
+
+    const [links, total] = await Promise.all([
+        Link.find({ status })
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('submittedBy', 'username')
+            .populate('moderatedBy', 'username'),
+        Link.countDocuments({ status }),
+    ]);
+
+    res.json({
+        links: links.map(toModerationLink),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+    });
+});
+
+/**
+ * Shared handler for approving/rejecting a single pending link.
+ * The status check and update happen in one atomic write, so two curators
+ * acting on the same link can't both "win".
+ */
+const decideOne = (action) => async (req, res) => {
+    const linkId = req.params.id;
+    const { reason } = req.body;
+
+    if (action === 'reject' && !reason) {
+        throw new ApiError(400, 'A reason is required when rejecting a link', { code: 'reason_required' });
+    }
+
+    const link = await Link.findOneAndUpdate(
+        { _id: linkId, status: 'pending' },
+        { $set: buildDecision(action, req.user.id, reason) },
+        { new: true }
+    );
+
+    if (!link) {
+        const exists = await Link.exists({ _id: linkId });
+        if (!exists) {
+            throw new ApiError(404, 'Link not found');
+        }
+        // 409 Conflict: someone already moderated this link
+        throw new ApiError(409, 'Link has already been moderated', { code: 'already_moderated' });
+    }
+
+    if (action === 'approve') publishLinksApproved([link._id]);
+    notifyModeration([link._id], action, req.user.id, link.rejectionReason);
+    res.json(toModerationLink(link));
+};
+
+// @route   PATCH api/moderation/links/:id/approve
+// @desc    Approve a pending link so it appears in the public feed
+// @access  Private (curator, admin)
+router.patch('/links/:id/approve', validate(decideSchema), decideOne('approve'));
+
+// @route   PATCH api/moderation/links/:id/reject
+// @desc    Reject a pending link. Body: { reason }
+// @access  Private (curator, admin)
+router.patch('/links/:id/reject', validate(decideSchema), decideOne('reject'));
+
+// @route   POST api/moderation/links/bulk
+// @desc    Approve or reject many pending links at once. Body: { ids: [...], action: 'approve'|'reject', reason }
+// @access  Private (curator, admin)
+router.post('/links/bulk', validate(bulkSchema), async (req, res) => {
+    const { ids, action, reason } = req.body;
+
+    if (action === 'reject' && !reason) {
+        throw new ApiError(400, 'A reason is required when rejecting links', { code: 'reason_required' });
+    }
+
+    // Only pending links are touched; anything already decided is reported back as skipped
+    const pending = await Link.find({ _id: { $in: ids }, status: 'pending' }).select('_id');
+    const pendingIds = pending.map(link => link._id);
+
+    const decision = buildDecision(action, req.user.id, reason);
+    const result = await Link.updateMany(
+        { _id: { $in: pendingIds }, status: 'pending' },
+        { $set: decision }
+    );
+
+    // Another curator may have decided some of these between the read and the write,
+    // so read back which links carry this exact decision rather than trusting the read
+    const updated = result.modifiedCount === pendingIds.length
+        ? pendingIds
+        : (await Link.find({
+            _id: { $in: pendingIds },
+            status: decision.status,
+            moderatedBy: decision.moderatedBy,
+            moderatedAt: decision.moderatedAt,
+        }).select('_id')).map(link => link._id);
+
+    if (action === 'approve') publishLinksApproved(updated);
+    notifyModeration(updated, action, req.user.id, reason);
+
+    const updatedSet = new Set(updated.map(id => id.toString()));
+    res.json({
+        action,
+        updated: updated.length,
+        updatedIds: updated,
+        skippedIds: ids.filter(id => !updatedSet.has(String(id))),
+    });
+});
+
+// @route   GET api/moderation/blocked-domains
+// @desc    List blocked domains, newest first
+// @access  Private (curator, admin)
+router.get('/blocked-domains', async (req, res) => {
+    const entries = await BlockedDomain.find()
+        .sort({ createdAt: -1 })
+        .populate('createdBy', 'username')
+        .lean();
+    res.json(entries.map(entry => ({
+        domain: entry.domain,
+        reason: entry.reason,
+        createdBy: entry.createdBy?.username,
+        createdAt: entry.createdAt,
+    })));
+});
+
+// @route   POST api/moderation/blocked-domains
+// @desc    Block a domain (and its subdomains) from submissions and ingestion. Body: { domain, reason? }
+//          `domain` may also be a URL; its hostname is used.
+// @access  Private (curator, admin)
+router.post('/blocked-domains', validate(blockSchema), async (req, res) => {
+    const { domain, reason = '' } = req.body;
+    const normalized = domain.includes('/') ? domainOf(domain) : domain.toLowerCase().replace(/^www\./, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+        throw new ApiError(400, 'domain must be a domain like example.com', { code: 'invalid_domain' });
+    }
+
+    try {
+        const entry = await new BlockedDomain({ domain: normalized, reason, createdBy: req.user.id }).save();
+        clearBlocklistCache();
+        res.status(201).json({ domain: entry.domain, reason: entry.reason, createdAt: entry.createdAt });
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new ApiError(409, 'Domain is already blocked', { code: 'already_blocked' });
+        }
+        throw err;
+    }
+});
+
+// @route   DELETE api/moderation/blocked-domains/:domain
+// @desc    Unblock a domain
+// @access  Private (curator, admin)
+router.delete('/blocked-domains/:domain', validate(unblockSchema), async (req, res) => {
+    const entry = await BlockedDomain.findOneAndDelete({ domain: req.params.domain });
+    if (!entry) {
+        throw new ApiError(404, 'Domain is not blocked');
+    }
+    clearBlocklistCache();
+    res.json({ msg: 'Domain unblocked', domain: entry.domain });
+});
+
+module.exports = router;
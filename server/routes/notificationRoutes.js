@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { toClientNotification } = require('../utils/notifications');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+const { string, integer, boolean, objectId } = require('../utils/validation');
+
+// Every route in this file is about the current user's own notifications
+router.use(auth);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Request schemas (see utils/validation.js)
+const listSchema = {
+    query: {
+        unread: boolean({ optional: true }),
+        limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+        cursor: string({ optional: true, max: 500 }),
+    },
+};
+const markSchema = { params: { id: objectId() }, body: { read: boolean({ default: true }) } };
+const preferencesSchema = {
+    body: {
+        moderation: boolean({ optional: true, description: 'Your links approved or rejected' }),
+        replies: boolean({ optional: true, description: 'Replies to your comments' }),
+        mentions: boolean({ optional: true, description: '@mentions of your username' }),
+        emailDigest: boolean({ optional: true, description: 'Email unread notifications once a day' }),
+    },
+};
+
+// Shape returned to the client for the preferences (defaults filled in for older accounts)
+const toPreferences = (user) => ({
+    moderation: user.notifications?.moderation !== false,
+    replies: user.notifications?.replies !== false,
+    mentions: user.notifications?.mentions !== false,
+    emailDigest: !!user.notifications?.emailDigest,
+});
+
+const unreadCountFor = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// @route   GET api/notifications
+// @desc    Your notifications, newest first, with the unread count. Query: unread, limit, cursor
+// @access  Private
+router.get('/', validate(listSchema), async (req, res) => {
+    const { unread, limit, cursor } = req.query;
+    const filter = { user: req.user.id, ...(unread ? { readAt: null } : {}) };
+
+    let pageFilter = filter;
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded || decoded.k !== 'createdAt' || decoded.s !== 'notifications') {
+            throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+        }
+        pageFilter = { $and: [filter, afterCursor(decoded)] };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.find(pageFilter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate('actor', 'username')
+            .populate('link', 'title url')
+            .lean(),
+        unreadCountFor(req.user.id),
+    ]);
+
+    const hasMore = notifications.length > limit;
+    const page = hasMore ? notifications.slice(0, limit) : notifications;
+    res.json({
+        notifications: page.map(toClientNotification),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt', { s: 'notifications' }) : null,
+        unreadCount,
+    });
+});
+
+// @route   GET api/notifications/unread-count
+// @desc    How many notifications are unread (for the bell in the header)
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+    res.json({ unreadCount: await unreadCountFor(req.user.id) });
+});
+
+// @route   POST api/notifications/read-all
+// @desc    Mark every notification read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+    const result = await Notification.updateMany({ user: req.user.id, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ msg: 'All notifications marked read', updated: result.modifiedCount, unreadCount: 0 });
+});
+
+// @route   GET api/notifications/preferences
+// @desc    Which notifications you get, and whether they're emailed as a daily digest
+// @access  Private
+router.get('/preferences', async (req, res) => {
+    const user = await User.findById(req.user.id).select('notifications');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    res.json(toPreferences(user));
+});
+
+// @route   PATCH api/notifications/preferences
+// @desc    Change notification preferences. Body: { moderation?, replies?, mentions?, emailDigest? }
+// @access  Private
+router.patch('/preferences', validate(preferencesSchema), async (req, res) => {
+    // Only the fields sent are changed (validate() drops the rest)
+    const update = Object.fromEntries(Object.entries(req.body).map(([key, value]) => [`notifications.${key}`, value]));
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true }).select('notifications');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    res.json(toPreferences(user));
+});
+
+// @route   PATCH api/notifications/:id
+// @desc    Mark one notification read or unread. Body: { read } (default true)
+// @access  Private
+router.patch('/:id', validate(markSchema), async (req, res) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id },
+        { $set: { readAt: req.body.read ? new Date() : null } },
+        { new: true }
+    )
+        .populate('actor', 'username')
+        .populate('link', 'title url');
+    if (!notification) {
+        throw new ApiError(404, 'Notification not found');
+    }
+
+    res.json({ ...toClientNotification(notification), unreadCount: await unreadCountFor(req.user.id) });
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { fetchFeedPage, toFeedLink } = require('../utils/feed');
+const { userVotesFor } = require('../utils/votes');
+const { savedLinkIdsFor } = require('../utils/bookmarks');
+const { getKarma } = require('../utils/karma');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+const { string, integer, boolean } = require('../utils/validation');
+
+// Public profiles. Mounted at /api/users after userRoutes.js, so its fixed paths
+// (/sessions, /oauth/...) win over /:username.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_BIO_LENGTH = 500;
+
+// Request schemas (see utils/validation.js)
+const username = string({ max: 100 });
+const listQuery = {
+    limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+    cursor: string({ optional: true, max: 500 }),
+};
+const profileSchema = { params: { username } };
+const listSchema = { params: { username }, query: listQuery };
+const updateSchema = {
+    body: {
+        bio: string({ optional: true, nullable: true, max: MAX_BIO_LENGTH }),
+        avatarUrl: string({
+            optional: true,
+            nullable: true,
+            max: 2048,
+            pattern: /^https?:\/\/\S+$/i,
+            patternMessage: 'must be an http(s) URL',
+        }),
+        showUpvotes: boolean({ optional: true }),
+    },
+};
+
+/**
+ * Loads a user by username for a profile route.
+ * @throws {ApiError} 404 if there's no such user.
+ */
+const findUser = async (name) => {
+    const user = await User.findOne({ username: name }).select('username role bio avatarUrl privacy createdAt');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    return user;
+};
+
+/**
+ * Adds "after the cursor" to `filter` for a list sorted by { [key]: -1, _id: -1 }.
+ * @throws {ApiError} 400 'invalid_cursor' for a malformed cursor or one from another list.
+ */
+const withCursor = (filter, cursor, key, scope) => {
+    if (!cursor) return filter;
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.k !== key || decoded.s !== scope) {
+        throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+    }
+    return { $and: [filter, afterCursor(decoded)] };
+};
+
+/**
+ * Karma, activity counts and followers for a profile.
+ * @param {object} user - User document.
+ * @param {string} [viewerId] - The logged-in user, to tell whether they follow this one.
+ */
+const profileStats = async (user, viewerId) => {
+    const target = user._id.toString();
+    const [stats, followersCount, isFollowing] = await Promise.all([
+        getKarma(user._id),
+        Follow.countDocuments({ type: 'user', target }),
+        viewerId ? Follow.exists({ user: viewerId, type: 'user', target }) : null,
+    ]);
+    return { ...stats, followersCount, isFollowing: viewerId ? !!isFollowing : undefined };
+};
+
+// Shape returned to the client for a profile
+const toProfile = (user, { karma, counts, followersCount, isFollowing }) => ({
+    id: user._id,
+    username: user.username,
+    role: user.role,
+    bio: user.bio || '',
+    avatarUrl: user.avatarUrl || '',
+    joinedAt: user.createdAt,
+    karma,
+    submissionsCount: counts.links,
+    commentsCount: counts.comments,
+    showUpvotes: !!user.privacy?.showUpvotes,
+    followersCount,
+    // Only for logged-in viewers
+    ...(isFollowing !== undefined ? { isFollowing } : {}),
+});
+
+// Shape returned to the client for a comment in a user's history
+const toProfileComment = (comment) => ({
+    id: comment._id,
+    link: { id: comment.link._id, title: comment.link.title, url: comment.link.url },
+    parentComment: comment.parentComment,
+    content: comment.content,
+    votes: comment.votes || 0,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+});
+
+// @route   PATCH api/users/profile
+// @desc    Update your own profile. Body: { bio?, avatarUrl?, showUpvotes? } (null clears bio/avatarUrl)
+// @access  Private
+router.patch('/profile', auth, validate(updateSchema), async (req, res) => {
+    const { bio, avatarUrl, showUpvotes } = req.body;
+
+    const update = {};
+    if (bio !== undefined) update.bio = bio || '';
+    if (avatarUrl !== undefined) update.avatarUrl = avatarUrl || '';
+    if (showUpvotes !== undefined) update['privacy.showUpvotes'] = showUpvotes;
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, runValidators: true })
+        .select('username role bio avatarUrl privacy createdAt');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    res.json(toProfile(user, await profileStats(user, req.user.id)));
+});
+
+// @route   GET api/users/:username
+// @desc    Public profile: bio, avatar, join date, karma, activity counts and followers
+//          (plus isFollowing when logged in)
+// @access  Public
+router.get('/:username', optionalAuth, validate(profileSchema), async (req, res) => {
+    const user = await findUser(req.params.username);
+    res.json(toProfile(user, await profileStats(user, req.user?.id)));
+});
+
+// @route   GET api/users/:username/submissions
+// @desc    The user's approved links, newest first. Query: limit, cursor
+// @access  Public
+router.get('/:username/submissions', optionalAuth, validate(listSchema), async (req, res) => {
+    const user = await findUser(req.params.username);
+
+    const page = await fetchFeedPage({
+        filter: { status: 'approved', submittedBy: user._id },
+        key: 'createdAt',
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        scope: 'submissions',
+        userId: req.user?.id,
+    });
+    if (page.error) {
+        throw new ApiError(400, page.error, { code: 'invalid_cursor' });
+    }
+    res.json(page);
+});
+
+// @route   GET api/users/:username/comments
+// @desc    The user's comments, newest first, with the link each is on. Query: limit, cursor
+// @access  Public
+router.get('/:username/comments', validate(listSchema), async (req, res) => {
+    const user = await findUser(req.params.username);
+    const { limit, cursor } = req.query;
+
+    // Comments on links that were taken down later stay hidden. They're filtered out
+    // before the limit, so a page is never short while more comments remain.
+    const comments = await Comment.aggregate([
+        { $match: withCursor({ postedBy: user._id, isDeleted: false }, cursor, 'createdAt', 'comments') },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $lookup: { from: 'links', localField: 'link', foreignField: '_id', as: 'link' } },
+        { $unwind: '$link' },
+        { $match: { 'link.status': 'approved' } },
+        { $limit: limit + 1 },
+    ]);
+
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+    res.json({
+        comments: page.map(toProfileComment),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt', { s: 'comments' }) : null,
+    });
+});
+
+// @route   GET api/users/:username/upvotes
+// @desc    Approved links the user upvoted, most recent vote first. Query: limit, cursor
+// @access  Public if the user shows their upvotes, otherwise only the user themselves
+router.get('/:username/upvotes', optionalAuth, validate(listSchema), async (req, res) => {
+    const user = await findUser(req.params.username);
+    const isSelf = req.user?.id === String(user._id);
+    if (!user.privacy?.showUpvotes && !isSelf) {
+        throw new ApiError(403, `${user.username} keeps their upvotes private`, { code: 'upvotes_private' });
+    }
+
+    const { limit, cursor } = req.query;
+    const votes = await Vote.aggregate([
+        { $match: withCursor({ user: user._id, targetType: 'Link', value: 1 }, cursor, 'updatedAt', 'upvotes') },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        { $lookup: { from: 'links', localField: 'target', foreignField: '_id', as: 'link' } },
+        { $unwind: '$link' },
+        { $match: { 'link.status': 'approved' } },
+        { $limit: limit + 1 },
+    ]);
+
+    const hasMore = votes.length > limit;
+    const page = hasMore ? votes.slice(0, limit) : votes;
+    const links = await Link.populate(page.map(vote => vote.link), { path: 'submittedBy', select: 'username' });
+    const linkIds = links.map(link => link._id);
+    const [viewerVotes, saved] = await Promise.all([
+        userVotesFor(req.user?.id, 'Link', linkIds),
+        savedLinkIdsFor(req.user?.id, linkIds),
+    ]);
+
+    res.json({
+        links: links.map((link, index) => ({
+            ...toFeedLink(link),
+            ...(req.user ? { userVote: viewerVotes.get(link._id.toString()) || 0, saved: saved.has(link._id.toString()) } : {}),
+            upvotedAt: page[index].updatedAt,
+        })),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'updatedAt', { s: 'upvotes' }) : null,
+    });
+});
+
+module.exports = router;
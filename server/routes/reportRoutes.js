@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const Report = require('../models/Report');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { RESOLUTIONS, resolveReports } = require('../utils/reports');
+const { string, integer, boolean, oneOf, objectId } = require('../utils/validation');
+
+// The report queue. Members file reports through POST api/links/:id/report and
+// POST api/comments/:id/report; every route in this file is curator/admin only.
+router.use(auth, requireRole('curator', 'admin'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const REPORTS_SHOWN = 10; // Most recent reports listed per item
+
+// URL segment -> Report.targetType
+const TARGET_TYPES = { link: 'Link', comment: 'Comment' };
+
+// Request schemas (see utils/validation.js)
+const queueSchema = {
+    query: {
+        type: oneOf(Object.keys(TARGET_TYPES), { optional: true }),
+        page: integer({ default: 1, min: 1, clamp: true }),
+        limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+    },
+};
+const resolveSchema = {
+    params: { type: oneOf(Object.keys(TARGET_TYPES)), id: objectId() },
+    body: {
+        action: oneOf(RESOLUTIONS),
+        note: string({ optional: true, max: 500, description: "Sent to the author with a warning; the removal reason when removing" }),
+        warn: boolean({ optional: true, description: "With action 'remove', also warn the author" }),
+    },
+};
+
+/**
+ * The reported links and comments of a queue page, by id.
+ */
+const loadTargets = async (groups) => {
+    const ids = (type) => groups.filter(group => group._id.targetType === type).map(group => group._id.target);
+    const [links, comments] = await Promise.all([
+        Link.find({ _id: { $in: ids('Link') } })
+            .select('url title status submittedBy hiddenAt')
+            .populate('submittedBy', 'username')
+            .lean(),
+        Comment.find({ _id: { $in: ids('Comment') } })
+            .select('content isDeleted hiddenAt removedAt postedBy link')
+            .populate('postedBy', 'username')
+            .populate('link', 'title url')
+            .lean(),
+    ]);
+    return new Map([
+        ...links.map(link => [link._id.toString(), {
+            id: link._id,
+            url: link.url,
+            title: link.title,
+            status: link.status,
+            author: link.submittedBy,
+            hidden: link.status === 'hidden',
+        }]),
+        ...comments.map(comment => [comment._id.toString(), {
+            id: comment._id,
+            content: comment.content,
+            link: comment.link,
+            status: comment.removedAt ? 'removed' : comment.hiddenAt ? 'hidden' : comment.isDeleted ? 'deleted' : 'live',
+            author: comment.postedBy,
+            hidden: !!comment.hiddenAt,
+        }]),
+    ]);
+};
+
+// @route   GET api/reports
+// @desc    Open reports grouped by the link or comment reported, most reported first. Query: type (link|comment), page, limit
+// @access  Private (curator, admin)
+router.get('/', validate(queueSchema), async (req, res) => {
+    const { type, page, limit } = req.query;
+    const match = { status: 'open', ...(type ? { targetType: TARGET_TYPES[type] } : {}) };
+
+    const [result] = await Report.aggregate([
+        { $match: match },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: { targetType: '$targetType', target: '$target' },
+                count: { $sum: 1 },
+                reasons: { $push: '$reason' },
+                reports: { $push: { reporter: '$reporter', reason: '$reason', note: '$note', createdAt: '$createdAt' } },
+                firstReportedAt: { $min: '$createdAt' },
+                lastReportedAt: { $max: '$createdAt' },
+            },
+        },
+        { $sort: { count: -1, firstReportedAt: 1 } },
+        {
+            $facet: {
+                items: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $set: { reports: { $slice: ['$reports', REPORTS_SHOWN] } } },
+                ],
+                total: [{ $count: 'count' }],
+            },
+        },
+    ]);
+    const groups = result.items;
+    const total = result.total[0]?.count || 0;
+
+    const [targets, reporters] = await Promise.all([
+        loadTargets(groups),
+        User.find({ _id: { $in: groups.flatMap(group => group.reports.map(report => report.reporter)) } }).select('username').lean(),
+    ]);
+    const usernames = new Map(reporters.map(user => [user._id.toString(), user.username]));
+
+    res.json({
+        items: groups.map(group => ({
+            type: group._id.targetType === 'Link' ? 'link' : 'comment',
+            target: targets.get(group._id.target.toString()) || { id: group._id.target, status: 'deleted', hidden: false },
+            count: group.count,
+            reasons: group.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {}),
+            firstReportedAt: group.firstReportedAt,
+            lastReportedAt: group.lastReportedAt,
+            reports: group.reports.map(report => ({
+                reporter: { id: report.reporter, username: usernames.get(report.reporter.toString()) || null },
+                reason: report.reason,
+                note: report.note,
+                createdAt: report.createdAt,
+            })),
+        })),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+    });
+});
+
+// @route   POST api/reports/:type/:id/resolve
+// @desc    Close every open report on a link or comment. Body: { action: 'dismiss'|'remove'|'warn', note?, warn? }
+//          dismiss and warn put a hidden item back; remove takes it down (admins can restore it).
+// @access  Private (curator, admin)
+router.post('/:type/:id/resolve', validate(resolveSchema), async (req, res) => {
+    const { action, note, warn } = req.body;
+    const { resolved } = await resolveReports({
+        targetType: TARGET_TYPES[req.params.type],
+        targetId: req.params.id,
+        action,
+        curatorId: req.user.id,
+        note,
+        warn,
+    });
+    res.json({ msg: 'Reports resolved', action, resolved });
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const ReadingList = require('../models/ReadingList');
+const SavedLink = require('../models/SavedLink');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { toFeedLink } = require('../utils/feed');
+const { userVotesFor } = require('../utils/votes');
+const { EXPORT_FORMATS } = require('../utils/bookmarks');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+const { string, integer, boolean, oneOf, objectId, array } = require('../utils/validation');
+
+// The current user's saved links and reading lists, mounted at /api/users/me.
+// Everything here is private to the user. Each route has its own auth rather
+// than router.use(auth), so other /api/users/me... URLs fall through to
+// profileRoutes.js (a user could be called "me").
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_LISTS = 50;
+const MAX_EXPORT = 5000;
+const TOTAL_ESTIMATE_CAP = 1000;
+// Saved links that were removed, or hidden after reports, are left out (populated as null)
+const LIVE_LINK = { status: { $nin: ['hidden', 'removed'] } };
+
+// Request schemas (see utils/validation.js)
+const listIds = array(objectId(), { optional: true, max: MAX_LISTS });
+const listName = string({ max: 100 });
+const savedQuerySchema = {
+    query: {
+        list: objectId({ optional: true }),
+        unread: boolean({ optional: true }),
+        limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+        cursor: string({ optional: true, max: 500 }),
+    },
+};
+const saveSchema = {
+    body: {
+        linkId: objectId(),
+        note: string({ optional: true, max: MAX_NOTE_LENGTH }),
+        lists: listIds,
+    },
+};
+const updateSavedSchema = {
+    params: { linkId: objectId() },
+    body: {
+        note: string({ optional: true, nullable: true, max: MAX_NOTE_LENGTH }),
+        read: boolean({ optional: true }),
+        lists: listIds,
+    },
+};
+const unsaveSchema = { params: { linkId: objectId() } };
+const exportSchema = {
+    query: {
+        format: oneOf(Object.keys(EXPORT_FORMATS), { default: 'json' }),
+        list: objectId({ optional: true }),
+    },
+};
+const createListSchema = { body: { name: listName } };
+const renameListSchema = { params: { id: objectId() }, body: { name: listName } };
+const deleteListSchema = { params: { id: objectId() } };
+
+// Shape returned to the client for the saved state of a link
+const toBookmark = (entry) => ({
+    note: entry.note,
+    readAt: entry.readAt,
+    lists: entry.lists,
+    savedAt: entry.createdAt,
+});
+
+const toClientList = (list, count = 0) => ({
+    id: list._id,
+    name: list.name,
+    count,
+    createdAt: list.createdAt,
+});
+
+/**
+ * Checks that every id in `ids` is one of the user's reading lists.
+ * @throws {ApiError} 400 'unknown_lists' otherwise.
+ */
+const checkLists = async (userId, ids) => {
+    if (!ids || ids.length === 0) return;
+    const found = await ReadingList.countDocuments({ user: userId, _id: { $in: ids } });
+    if (found !== new Set(ids).size) {
+        throw new ApiError(400, 'Some of those reading lists do not exist', { code: 'unknown_lists' });
+    }
+};
+
+/**
+ * Filter for the user's saved entries, optionally within one list and/or unread only.
+ */
+const savedFilter = (userId, { list, unread }) => ({
+    user: new mongoose.Types.ObjectId(String(userId)),
+    ...(list ? { lists: new mongoose.Types.ObjectId(list) } : {}),
+    ...(unread ? { readAt: null } : {}),
+});
+
+// @route   GET api/users/me/saved
+// @desc    Saved links, most recently saved first. Query: list, unread, limit, cursor (as in GET api/links)
+// @access  Private
+router.get('/saved', auth, validate(savedQuerySchema), async (req, res) => {
+    const { limit, cursor } = req.query;
+    const filter = savedFilter(req.user.id, req.query);
+
+    let pageFilter = filter;
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        if (!decoded || decoded.k !== 'createdAt' || decoded.s !== 'saved') {
+            throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+        }
+        pageFilter = { $and: [filter, afterCursor(decoded)] };
+    }
+
+    const [entries, totalEstimate] = await Promise.all([
+        SavedLink.find(pageFilter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate({ path: 'link', match: LIVE_LINK, populate: { path: 'submittedBy', select: 'username' } })
+            .lean(),
+        SavedLink.countDocuments(filter, { limit: TOTAL_ESTIMATE_CAP }),
+    ]);
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+    // A saved link that has since been deleted, hidden or removed drops out of the list
+    const live = page.filter(entry => entry.link);
+    const votes = await userVotesFor(req.user.id, 'Link', live.map(entry => entry.link._id));
+
+    res.json({
+        links: live.map(entry => ({
+            ...toFeedLink(entry.link),
+            userVote: votes.get(entry.link._id.toString()) || 0,
+            saved: true,
+            bookmark: toBookmark(entry),
+        })),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt', { s: 'saved' }) : null,
+        totalEstimate,
+    });
+});
+
+// @route   GET api/users/me/saved/export
+// @desc    Download saved links. Query: format=json|html (Netscape bookmark file), list
+// @access  Private
+router.get('/saved/export', auth, validate(exportSchema), async (req, res) => {
+    const format = EXPORT_FORMATS[req.query.format];
+
+    const [lists, entries] = await Promise.all([
+        ReadingList.find({ user: req.user.id }).sort({ name: 1 }).lean(),
+        SavedLink.find(savedFilter(req.user.id, req.query))
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(MAX_EXPORT)
+            .populate({ path: 'link', match: LIVE_LINK, select: 'url title description tags' })
+            .lean(),
+    ]);
+
+    res.set('Content-Disposition', `attachment; filename="saved-links.${format.extension}"`);
+    res.type(format.contentType).send(format.build({ lists, entries: entries.filter(entry => entry.link) }));
+});
+
+// @route   POST api/users/me/saved
+// @desc    Save a link. Body: { linkId, note?, lists? }. Saving an already saved link updates its note/lists.
+// @access  Private
+router.post('/saved', auth, validate(saveSchema), async (req, res) => {
+    const { linkId, note, lists } = req.body;
+
+    const link = await Link.findById(linkId).select('status');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+    if (link.status !== 'approved') {
+        throw new ApiError(403, 'Only approved links can be saved');
+    }
+    await checkLists(req.user.id, lists);
+
+    const update = {};
+    if (note !== undefined) update.note = note;
+    if (lists !== undefined) update.lists = [...new Set(lists)];
+
+    const result = await SavedLink.findOneAndUpdate(
+        { user: req.user.id, link: linkId },
+        { ...(Object.keys(update).length > 0 ? { $set: update } : {}), $setOnInsert: { createdAt: new Date() } },
+        { upsert: true, new: true, includeResultMetadata: true, runValidators: true }
+    );
+
+    res.status(result.lastErrorObject?.updatedExisting ? 200 : 201).json({ linkId, saved: true, bookmark: toBookmark(result.value) });
+});
+
+// @route   PATCH api/users/me/saved/:linkId
+// @desc    Update a saved link. Body: { note?, read?, lists? } (lists replaces the current ones)
+// @access  Private
+router.patch('/saved/:linkId', auth, validate(updateSavedSchema), async (req, res) => {
+    const { note, read, lists } = req.body;
+    await checkLists(req.user.id, lists);
+
+    const update = {};
+    if (note !== undefined) update.note = note || '';
+    if (read !== undefined) update.readAt = read ? new Date() : null;
+    if (lists !== undefined) update.lists = [...new Set(lists)];
+
+    const entry = await SavedLink.findOneAndUpdate(
+        { user: req.user.id, link: req.params.linkId },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+    if (!entry) {
+        throw new ApiError(404, 'Link is not saved');
+    }
+
+    res.json({ linkId: req.params.linkId, saved: true, bookmark: toBookmark(entry) });
+});
+
+// @route   DELETE api/users/me/saved/:linkId
+// @desc    Unsave a link
+// @access  Private
+router.delete('/saved/:linkId', auth, validate(unsaveSchema), async (req, res) => {
+    const result = await SavedLink.deleteOne({ user: req.user.id, link: req.params.linkId });
+    if (result.deletedCount === 0) {
+        throw new ApiError(404, 'Link is not saved');
+    }
+    res.json({ msg: 'Link removed from saved', linkId: req.params.linkId, saved: false });
+});
+
+// @route   GET api/users/me/lists
+// @desc    The user's reading lists, by name, with how many links each holds
+// @access  Private
+router.get('/lists', auth, async (req, res) => {
+    const userId = new mongoose.Types.ObjectId(String(req.user.id));
+    const [lists, counts] = await Promise.all([
+        ReadingList.find({ user: userId }).sort({ name: 1 }).lean(),
+        SavedLink.aggregate([
+            { $match: { user: userId } },
+            { $unwind: '$lists' },
+            { $group: { _id: '$lists', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const countById = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+    res.json(lists.map(list => toClientList(list, countById.get(list._id.toString()))));
+});
+
+// @route   POST api/users/me/lists
+// @desc    Create a reading list. Body: { name }
+// @access  Private
+router.post('/lists', auth, validate(createListSchema), async (req, res) => {
+    const { name } = req.body;
+
+    const [count, existing] = await Promise.all([
+        ReadingList.countDocuments({ user: req.user.id }),
+        ReadingList.exists({ user: req.user.id, name }),
+    ]);
+    if (existing) {
+        throw new ApiError(409, `You already have a list called '${name}'`, { code: 'list_exists' });
+    }
+    if (count >= MAX_LISTS) {
+        throw new ApiError(400, `You can have at most ${MAX_LISTS} reading lists`, { code: 'too_many_lists' });
+    }
+
+    const list = await ReadingList.create({ user: req.user.id, name });
+    res.status(201).json(toClientList(list));
+});
+
+// @route   PATCH api/users/me/lists/:id
+// @desc    Rename a reading list. Body: { name }
+// @access  Private
+router.patch('/lists/:id', auth, validate(renameListSchema), async (req, res) => {
+    const { name } = req.body;
+
+    const existing = await ReadingList.exists({ user: req.user.id, name, _id: { $ne: req.params.id } });
+    if (existing) {
+        throw new ApiError(409, `You already have a list called '${name}'`, { code: 'list_exists' });
+    }
+
+    const list = await ReadingList.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id },
+        { $set: { name } },
+        { new: true, runValidators: true }
+    );
+    if (!list) {
+        throw new ApiError(404, 'Reading list not found');
+    }
+
+    const count = await SavedLink.countDocuments({ user: req.user.id, lists: list._id });
+    res.json(toClientList(list, count));
+});
+
+// @route   DELETE api/users/me/lists/:id
+// @desc    Delete a reading list. Its links stay saved, just no longer filed under it.
+// @access  Private
+router.delete('/lists/:id', auth, validate(deleteListSchema), async (req, res) => {
+    const list = await ReadingList.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!list) {
+        throw new ApiError(404, 'Reading list not found');
+    }
+
+    await SavedLink.updateMany({ user: req.user.id, lists: list._id }, { $pull: { lists: list._id } });
+    res.json({ msg: 'Reading list deleted', id: list._id });
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const { toFeedLink } = require('../utils/feed');
+const { userVotesFor } = require('../utils/votes');
+const { savedLinkIdsFor } = require('../utils/bookmarks');
+const { parseSearchQuery, buildSnippet, escapeRegExp } = require('../utils/search');
+const { ApiError } = require('../utils/errors');
+const { string, integer, oneOf } = require('../utils/validation');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const searchSchema = {
+    query: {
+        q: string({ max: MAX_QUERY_LENGTH }),
+        type: oneOf(['all', 'links', 'comments'], { default: 'all' }),
+        page: integer({ default: 1, min: 1, clamp: true }),
+        limit: integer({ default: DEFAULT_PAGE_SIZE, min: 1, max: MAX_PAGE_SIZE, clamp: true }),
+    },
+};
+
+/**
+ * createdAt range from before:/after: operators, or undefined.
+ */
+const dateRange = ({ before, after }) => {
+    if (!before && !after) return undefined;
+    const range = {};
+    if (after) range.$gte = after;
+    if (before) range.$lt = before;
+    return range;
+};
+
+// @route   GET api/search
+// @desc    Search approved links (title, description, URL/hostname) and comments.
+//          ?q= supports site:example.com, by:username, before:YYYY-MM-DD, after:YYYY-MM-DD
+//          ?type=all|links|comments (default all), ?page=, ?limit=
+//          Results are ordered by text relevance, with highlighted snippets.
+// @access  Public
+router.get('/', optionalAuth, validate(searchSchema), async (req, res) => {
+    const { q: raw, type, page, limit } = req.query;
+
+    const parsed = parseSearchQuery(raw);
+    if (parsed.error) {
+        throw new ApiError(400, parsed.error, { code: 'invalid_query' });
+    }
+    if (!parsed.text && !parsed.site && !parsed.by && !parsed.before && !parsed.after) {
+        throw new ApiError(400, 'Search query (q) is required', { code: 'invalid_query' });
+    }
+
+    const skip = (page - 1) * limit;
+
+    // by: resolves to a user id; an unknown username simply matches nothing
+    let authorId;
+    if (parsed.by) {
+        const author = await User.findOne({ username: new RegExp(`^${escapeRegExp(parsed.by)}$`, 'i') }).select('_id');
+        authorId = author ? author._id : new mongoose.Types.ObjectId();
+    }
+
+    const createdAt = dateRange(parsed);
+    const siteFilter = parsed.site
+        ? { domain: new RegExp(`(^|\\.)${escapeRegExp(parsed.site)}$`) }
+        : {};
+
+    const results = { query: raw, page, limit };
+
+    if (type !== 'comments') {
+        const filter = { status: 'approved', ...siteFilter };
+        if (parsed.text) filter.$text = { $search: parsed.text };
+        if (authorId) filter.submittedBy = authorId;
+        if (createdAt) filter.createdAt = createdAt;
+
+        // Relevance when there's text to match, otherwise newest first
+        const query = parsed.text
+            ? Link.find(filter, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, votes: -1 })
+            : Link.find(filter).sort({ createdAt: -1, _id: -1 });
+
+        const [links, total] = await Promise.all([
+            query.skip(skip).limit(limit).populate('submittedBy', 'username').lean(),
+            Link.countDocuments(filter),
+        ]);
+
+        const linkIds = links.map(link => link._id);
+        const [userVotes, saved] = await Promise.all([
+            userVotesFor(req.user?.id, 'Link', linkIds),
+            savedLinkIdsFor(req.user?.id, linkIds),
+        ]);
+        results.links = links.map(link => ({
+            ...toFeedLink(link),
+            ...(req.user ? { userVote: userVotes.get(link._id.toString()) || 0, saved: saved.has(link._id.toString()) } : {}),
+            relevance: link.score,
+            snippets: {
+                title: buildSnippet(link.title, parsed.terms),
+                description: buildSnippet(link.description, parsed.terms),
+            },
+        }));
+        results.linksTotal = total;
+    }
+
+    if (type !== 'links') {
+        const match = { isDeleted: false };
+        if (parsed.text) match.$text = { $search: parsed.text };
+        if (authorId) match.postedBy = authorId;
+        if (createdAt) match.createdAt = createdAt;
+
+        // Comments only count if their link is public (and on the requested site)
+        const linkMatch = { 'link.status': 'approved' };
+        if (parsed.site) linkMatch['link.domain'] = siteFilter.domain;
+
+        const pipeline = [
+            { $match: match },
+            ...(parsed.text ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+            { $lookup: { from: 'links', localField: 'link', foreignField: '_id', as: 'link' } },
+            { $unwind: '$link' },
+            { $match: linkMatch },
+            { $sort: parsed.text ? { relevance: -1, createdAt: -1 } : { createdAt: -1, _id: -1 } },
+            {
+                $facet: {
+                    items: [{ $skip: skip }, { $limit: limit }],
+                    total: [{ $count: 'count' }],
+                },
+            },
+        ];
+
+        const [facet] = await Comment.aggregate(pipeline);
+        await Comment.populate(facet.items, { path: 'postedBy', select: 'username' });
+
+        results.comments = facet.items.map(comment => ({
+            id: comment._id,
+            link: { id: comment.link._id, title: comment.link.title, url: comment.link.url },
+            parentComment: comment.parentComment,
+            author: comment.postedBy ? { id: comment.postedBy._id, username: comment.postedBy.username } : null,
+            createdAt: comment.createdAt,
+            relevance: comment.relevance,
+            snippet: buildSnippet(comment.content, parsed.terms),
+        }));
+        results.commentsTotal = facet.total[0]?.count || 0;
+    }
+
+    res.json(results);
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const Link = require('../models/Link');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireRole = require('../middleware/requireRole');
+const validate = require('../middleware/validate');
+const { getFeed, feedQuerySchema } = require('../utils/feed');
+const { ApiError } = require('../utils/errors');
+const { string, objectId, array } = require('../utils/validation');
+const {
+    MAX_TAGS_PER_LINK,
+    slugify,
+    resolveTags,
+    suggestTags,
+    withDescendantSlugs,
+    createsCycle,
+} = require('../utils/tags');
+
+// Request schemas (see utils/validation.js)
+const MAX_LIST_LENGTH = 50;
+const slugParams = { slug: string({ max: 100 }) };
+const termList = array(string({ max: 100 }), { optional: true, max: MAX_LIST_LENGTH });
+const tagFields = {
+    description: string({ nullable: true, optional: true, max: 1000 }),
+    aliases: termList,
+    keywords: termList,
+    parent: string({ nullable: true, optional: true, max: 100 }), // null or '' makes it a top-level tag
+};
+
+const suggestSchema = {
+    body: {
+        title: string({ optional: true, max: 1000 }),
+        description: string({ optional: true, max: 5000 }),
+        siteName: string({ optional: true, max: 200 }),
+    },
+};
+const tagSchema = { params: slugParams };
+const topicFeedSchema = { params: slugParams, query: feedQuerySchema };
+const createSchema = { body: { name: string({ max: 100 }), slug: string({ optional: true, max: 100 }), ...tagFields } };
+const updateSchema = { params: slugParams, body: { name: string({ optional: true, max: 100 }), ...tagFields } };
+const setLinkTagsSchema = { params: { linkId: objectId() }, body: { tags: array(string({ max: 100 }), { max: 20 }) } };
+
+// Shape returned to the client for a tag
+const toClientTag = (tag) => ({
+    id: tag._id,
+    slug: tag.slug,
+    name: tag.name,
+    description: tag.description,
+    aliases: tag.aliases,
+    keywords: tag.keywords,
+    parent: tag.parent && tag.parent.slug ? tag.parent.slug : tag.parent,
+    createdAt: tag.createdAt,
+});
+
+/**
+ * Normalizes aliases/keywords from a request body into a clean, de-duplicated list.
+ */
+const cleanList = (value, normalize = slugify) => [...new Set(
+    (Array.isArray(value) ? value : []).map(normalize).filter(Boolean)
+)];
+
+/**
+ * Resolves a `parent` slug from the body to a Tag id.
+ * @returns {Promise<ObjectId|null|undefined>} undefined = not provided, null = top level.
+ * @throws {ApiError} 400 if there's no such tag.
+ */
+const resolveParent = async (parent) => {
+    if (parent === undefined) return undefined;
+    if (parent === null) return null;
+    const parentTag = await Tag.findOne({ slug: slugify(parent) }).select('_id');
+    if (!parentTag) {
+        throw new ApiError(400, 'Parent tag not found', { code: 'unknown_parent' });
+    }
+    return parentTag._id;
+};
+
+/**
+ * Checks that none of `aliases` is already a slug or alias of another tag.
+ * @returns {Promise<string|null>} The first conflicting alias, or null.
+ */
+const findAliasConflict = async (aliases, excludeId) => {
+    if (aliases.length === 0) return null;
+    const conflict = await Tag.findOne({
+        _id: { $ne: excludeId },
+        $or: [{ slug: { $in: aliases } }, { aliases: { $in: aliases } }],
+    }).select('slug aliases');
+    if (!conflict) return null;
+    return aliases.find(alias => alias === conflict.slug || conflict.aliases.includes(alias));
+};
+
+// @route   GET api/tags
+// @desc    List the whole tag taxonomy (flat, each tag names its parent slug)
+// @access  Public
+router.get('/', async (req, res) => {
+    const tags = await Tag.find().sort({ name: 1 }).populate('parent', 'slug');
+    res.json(tags.map(toClientTag));
+});
+
+// @route   POST api/tags/suggest
+// @desc    Suggest tags for page metadata. Body: { title, description, siteName }
+// @access  Public
+router.post('/suggest', validate(suggestSchema), async (req, res) => {
+    const suggestions = await suggestTags(req.body);
+    res.json({ tags: suggestions });
+});
+
+// @route   GET api/tags/:slug
+// @desc    Get one tag with its direct subtopics. Aliases resolve to the canonical tag.
+// @access  Public
+router.get('/:slug', validate(tagSchema), async (req, res) => {
+    const slug = slugify(req.params.slug);
+
+    const tag = await Tag.findOne({ $or: [{ slug }, { aliases: slug }] }).populate('parent', 'slug');
+    if (!tag) {
+        throw new ApiError(404, 'Tag not found');
+    }
+
+    const children = await Tag.find({ parent: tag._id }).sort({ name: 1 }).select('slug name');
+    res.json({
+        ...toClientTag(tag),
+        children: children.map(child => ({ slug: child.slug, name: child.name })),
+    });
+});
+
+// @route   GET api/tags/:slug/links
+// @desc    Topic feed: approved links tagged with this tag or any subtopic.
+//          Accepts the same sort, filter and cursor params as GET api/links.
+// @access  Public
+router.get('/:slug/links', optionalAuth, validate(topicFeedSchema), async (req, res) => {
+    const slug = slugify(req.params.slug);
+
+    const tag = await Tag.findOne({ $or: [{ slug }, { aliases: slug }] }).select('_id slug name');
+    if (!tag) {
+        throw new ApiError(404, 'Tag not found');
+    }
+
+    const slugs = await withDescendantSlugs(tag);
+    const page = await getFeed(req.query, { tags: { $in: slugs } }, req.user?.id);
+    res.json({ tag: { slug: tag.slug, name: tag.name }, ...page });
+});
+
+// @route   POST api/tags
+// @desc    Create a tag. Body: { name, slug?, description?, aliases?, keywords?, parent? (slug) }
+// @access  Private (curator, admin)
+router.post('/', auth, requireRole('curator', 'admin'), validate(createSchema), async (req, res) => {
+    const { name, description, parent } = req.body;
+
+    const slug = slugify(req.body.slug || name);
+    if (!slug) {
+        throw new ApiError(400, 'Tag slug must contain letters or numbers', {
+            code: 'validation_failed',
+            details: [{ in: 'body', field: 'slug', message: 'slug must contain letters or numbers' }],
+        });
+    }
+    const aliases = cleanList(req.body.aliases).filter(alias => alias !== slug);
+    const keywords = cleanList(req.body.keywords, value => String(value).toLowerCase().trim());
+
+    if (await Tag.exists({ $or: [{ slug }, { aliases: slug }] })) {
+        throw new ApiError(409, `Tag '${slug}' already exists`, { code: 'tag_exists' });
+    }
+    const aliasConflict = await findAliasConflict(aliases);
+    if (aliasConflict) {
+        throw new ApiError(409, `Alias '${aliasConflict}' is already used by another tag`, { code: 'alias_taken' });
+    }
+
+    const parentId = await resolveParent(parent);
+
+    const tag = await new Tag({
+        slug,
+        name,
+        description: description || '',
+        aliases,
+        keywords,
+        parent: parentId || null,
+        createdBy: req.user.id,
+    }).save();
+
+    await tag.populate('parent', 'slug');
+    res.status(201).json(toClientTag(tag));
+});
+
+// @route   PATCH api/tags/:slug
+// @desc    Update a tag's name, description, aliases, keywords or parent. The slug itself is permanent.
+// @access  Private (curator, admin)
+router.patch('/:slug', auth, requireRole('curator', 'admin'), validate(updateSchema), async (req, res) => {
+    const slug = slugify(req.params.slug);
+    const { name, description, parent } = req.body;
+
+    const tag = await Tag.findOne({ slug });
+    if (!tag) {
+        throw new ApiError(404, 'Tag not found');
+    }
+
+    if (name !== undefined) {
+        tag.name = name;
+    }
+    if (description !== undefined) {
+        tag.description = description || '';
+    }
+    if (req.body.aliases !== undefined) {
+        const aliases = cleanList(req.body.aliases).filter(alias => alias !== slug);
+        const aliasConflict = await findAliasConflict(aliases, tag._id);
+        if (aliasConflict) {
+            throw new ApiError(409, `Alias '${aliasConflict}' is already used by another tag`, { code: 'alias_taken' });
+        }
+        tag.aliases = aliases;
+    }
+    if (req.body.keywords !== undefined) {
+        tag.keywords = cleanList(req.body.keywords, value => String(value).toLowerCase().trim());
+    }
+
+    const parentId = await resolveParent(parent);
+    if (parentId !== undefined) {
+        if (parentId && await createsCycle(tag._id, parentId)) {
+            throw new ApiError(400, 'A tag cannot be nested under itself or its subtopics');
+        }
+        tag.parent = parentId;
+    }
+
+    await tag.save();
+    await tag.populate('parent', 'slug');
+    res.json(toClientTag(tag));
+});
+
+// @route   DELETE api/tags/:slug
+// @desc    Delete a tag: removes it from every link and moves its subtopics up to its parent
+// @access  Private (curator, admin)
+router.delete('/:slug', auth, requireRole('curator', 'admin'), validate(tagSchema), async (req, res) => {
+    const slug = slugify(req.params.slug);
+
+    const tag = await Tag.findOne({ slug });
+    if (!tag) {
+        throw new ApiError(404, 'Tag not found');
+    }
+
+    const [links] = await Promise.all([
+        Link.updateMany({ tags: slug }, { $pull: { tags: slug } }),
+        Tag.updateMany({ parent: tag._id }, { $set: { parent: tag.parent } }),
+    ]);
+    await tag.deleteOne();
+
+    res.json({ msg: 'Tag deleted', slug, linksUpdated: links.modifiedCount });
+});
+
+// @route   PUT api/tags/link/:linkId
+// @desc    Replace a link's tags. Body: { tags: [slug|alias, ...] }
+// @access  Private (curator, admin)
+router.put('/link/:linkId', auth, requireRole('curator', 'admin'), validate(setLinkTagsSchema), async (req, res) => {
+    const { linkId } = req.params;
+
+    const { slugs, unknown } = await resolveTags(req.body.tags);
+    if (unknown.length > 0) {
+        throw new ApiError(400, `Unknown tags: ${unknown.join(', ')}`, { code: 'unknown_tags', tags: unknown });
+    }
+    if (slugs.length > MAX_TAGS_PER_LINK) {
+        throw new ApiError(400, `A link can have at most ${MAX_TAGS_PER_LINK} tags`);
+    }
+
+    const link = await Link.findByIdAndUpdate(linkId, { $set: { tags: slugs } }, { new: true }).select('tags');
+    if (!link) {
+        throw new ApiError(404, 'Link not found');
+    }
+
+    res.json({ id: link._id, tags: link.tags });
+});
+
+module.exports = router;
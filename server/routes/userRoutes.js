@@ -1,104 +1,532 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User'); // Import the User model
+const Session = require('../models/Session');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const { ApiError } = require('../utils/errors');
+const { activeSuspension, assertNotBanned } = require('../utils/suspensions');
+const { string, email, objectId } = require('../utils/validation');
+const {
+    signAccessToken,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    endSession,
+    readCookie,
+    readRefreshToken,
+    setRefreshCookie,
+    clearRefreshCookie,
+    sendNewSession,
+} = require('../utils/sessions');
+const {
+    consumeToken,
+    lastIssuedAt,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+} = require('../utils/userTokens');
+const { getProvider, listProviders, buildAuthorizationUrl, fetchProfile } = require('../utils/oauth');
+const { isReservedUsername } = require('../utils/ingest');
 
-// Environment variable for JWT secret key (make sure to add this to your .env)
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_key'; 
+// A user can ask for another verification email once a minute
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+// Brute-force and sign-up flood protection (see middleware/rateLimit.js for overrides)
+const loginLimits = [
+    rateLimit({ name: 'login-ip', max: 20, windowSeconds: 15 * 60, message: 'Too many login attempts. Please try again later.' }),
+    // Per account, so spreading guesses over many IPs doesn't help either
+    rateLimit({
+        name: 'login-email',
+        max: 10,
+        windowSeconds: 15 * 60,
+        by: req => (typeof req.body?.email === 'string' ? `email:${req.body.email.trim().toLowerCase()}` : null),
+        message: 'Too many login attempts for this account. Please try again later.',
+    }),
+];
+const registerLimit = rateLimit({ name: 'register-ip', max: 5, windowSeconds: 60 * 60, message: 'Too many accounts created from this address. Please try again later.' });
+const emailLimit = rateLimit({ name: 'email-ip', max: 5, windowSeconds: 60 * 60 });
+const tokenLimit = rateLimit({ name: 'token-ip', max: 20, windowSeconds: 15 * 60 });
+
+// Request schemas (see utils/validation.js)
+const USERNAME_PATTERN = /^[\w.-]+$/;
+const newPassword = string({ min: 8, max: 128, trim: false });
+const emailToken = string({ max: 200 });
+
+const registerSchema = {
+    body: {
+        username: string({
+            min: 3,
+            max: 30,
+            pattern: USERNAME_PATTERN,
+            patternMessage: 'can only contain letters, numbers, dots, dashes and underscores',
+        }),
+        email: email(),
+        password: newPassword,
+    },
+};
+// Login doesn't check formats: anything that isn't an account is just invalid credentials
+const loginSchema = { body: { email: string({ max: 254, lowercase: true }), password: string({ max: 128, trim: false }) } };
+const sessionIdSchema = { params: { id: objectId() } };
+const verifyEmailSchema = { body: { token: emailToken } };
+const forgotPasswordSchema = { body: { email: email() } };
+const resetPasswordSchema = { body: { token: emailToken, password: newPassword } };
+const providerSchema = { params: { provider: string({ max: 20 }) } };
+const oauthCallbackSchema = {
+    params: providerSchema.params,
+    query: { code: string({ optional: true, max: 2048 }), state: string({ optional: true, max: 200 }), error: string({ optional: true, max: 200 }) },
+};
+
+// Public URLs: this API (OAuth callbacks) and the client app (where sign-in ends up)
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Remembers state/PKCE verifier/nonce between starting an OAuth sign-in and its callback
+const OAUTH_STATE_COOKIE = 'oauthState';
+const OAUTH_COOKIE_PATH = '/api/users/oauth';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+// Shares JWT_SECRET with access tokens, so the audience keeps either from passing for the other
+const OAUTH_STATE_AUDIENCE = 'oauth-state';
+
+/**
+ * A bcrypt hash of a random password, for accounts that sign in through a provider.
+ * They can set a real password later with the forgot-password flow.
+ */
+const randomPasswordHash = () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+/**
+ * A free username based on the provider's, e.g. 'octocat' or 'octocat4821'.
+ */
+const availableUsername = async (wanted) => {
+    const base = String(wanted || '').replace(/[^\w.-]/g, '').substring(0, 24) || 'user';
+    if (!isReservedUsername(base) && !await User.exists({ username: base })) return base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+        if (!await User.exists({ username: candidate })) return candidate;
+    }
+    return `${base}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+/**
+ * Finds the user for an external identity: already linked, linked now through a verified email,
+ * or newly created.
+ * @param {string} providerKey
+ * @param {object} profile - From utils/oauth fetchProfile().
+ * @returns {Promise<{ user?: object, error?: string }>}
+ */
+const findOrCreateOAuthUser = async (providerKey, profile) => {
+    const identity = { provider: providerKey, subject: profile.subject, email: profile.email || '' };
+
+    // 1. Returning user
+    const linked = await User.findOne({ identities: { $elemMatch: { provider: providerKey, subject: profile.subject } } });
+    if (linked) return { user: linked };
+
+    if (!profile.email) {
+        return { error: 'Your account with this provider has no email address' };
+    }
+    const email = profile.email.trim().toLowerCase();
+
+    // 2. Existing account with this email: link it, but only if the provider vouches for the address
+    const existing = await User.findOne({ email });
+    if (existing) {
+        if (!profile.emailVerified) {
+            return { error: 'An account with this email already exists. Log in with your password instead.' };
+        }
+
+        const update = { $push: { identities: identity } };
+        if (!existing.emailVerified) {
+            // The local account never proved it owns this email, and the provider just proved who does.
+            // Whoever registered it (possibly someone else) loses the password and sessions they had.
+            update.$set = { emailVerified: true, emailVerifiedAt: new Date(), password: await randomPasswordHash() };
+            await revokeSessions({ userId: existing._id, reason: 'revoked' });
+        }
+        return { user: await User.findByIdAndUpdate(existing._id, update, { new: true }) };
+    }
+
+    // 3. New account
+    const user = await new User({
+        username: await availableUsername(profile.username || profile.name || email.split('@')[0]),
+        email,
+        password: await randomPasswordHash(),
+        emailVerified: profile.emailVerified,
+        emailVerifiedAt: profile.emailVerified ? new Date() : null,
+        identities: [identity],
+    }).save();
+
+    if (!profile.emailVerified) {
+        sendVerificationEmail(user)
+            .catch(mailErr => console.error(`Verification email to ${user.email} failed: ${mailErr.message}`));
+    }
+    return { user };
+};
+
+/**
+ * Ends an OAuth sign-in on the client's /oauth/callback page, with either an error or the provider name.
+ */
+const redirectToClient = (res, params) => res.redirect(`${SITE_URL}/oauth/callback?${new URLSearchParams(params)}`);
 
 // ------------------------------------------------------------------
 // A. @route   POST /api/users/register
-// @desc    Register a new user
-// @access  Public
+// @desc    Register a new user. Body: { username, email, password (8+ characters) }
+// @access  Public (rate limited per IP)
 // ------------------------------------------------------------------
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, validate(registerSchema), async (req, res) => {
     const { username, email, password } = req.body;
 
+    // 1. Check if user already exists
+    let user = await User.findOne({ email });
+    if (user) {
+        throw new ApiError(400, 'User already exists', { code: 'email_taken' });
+    }
+    if (isReservedUsername(username)) {
+        throw new ApiError(400, 'That username is reserved', { code: 'username_reserved' });
+    }
+
+    // 2. Create new user instance
+    user = new User({ username, email, password });
+
+    // 3. Hash the password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+
+    // 4. Save the user to the database
+    await user.save();
+
+    // 5. Email a verification link. The account works without it (minus submitting
+    //    and voting), so a mail failure is logged rather than failing the registration.
+    try {
+        await sendVerificationEmail(user);
+    } catch (mailErr) {
+        console.error(`Verification email to ${user.email} failed: ${mailErr.message}`);
+    }
+    
+    // 6. Start a session: short-lived access token in the body, refresh token as an httpOnly cookie
+    await sendNewSession(req, res, user);
+});
+
+// ------------------------------------------------------------------
+// B. @route   POST /api/users/login
+// @desc    Authenticate user & get token
+// @access  Public (rate limited per IP and per email)
+// ------------------------------------------------------------------
+router.post('/login', ...loginLimits, validate(loginSchema), async (req, res) => {
+    const { email, password } = req.body;
+
+    // 1. Find the user by email, explicitly requesting the password hash
+    let user = await User.findOne({ email }).select('+password'); 
+    if (!user) {
+        throw new ApiError(400, 'Invalid Credentials', { code: 'invalid_credentials' });
+    }
+
+    // 2. Compare submitted password with hashed password
+    const isMatch = await bcrypt.compare(password, user.password);
+
+    if (!isMatch) {
+        throw new ApiError(400, 'Invalid Credentials', { code: 'invalid_credentials' });
+    }
+    assertNotBanned(user);
+
+    // 3. Start a session (same as registration)
+    await sendNewSession(req, res, user);
+});
+
+// ------------------------------------------------------------------
+// C. @route   POST /api/users/refresh
+// @desc    Exchange the refresh token cookie for a new access token (and a rotated refresh token)
+// @access  Public (refresh token cookie)
+// ------------------------------------------------------------------
+router.post('/refresh', async (req, res) => {
+    const token = readRefreshToken(req);
+    if (!token) {
+        throw new ApiError(401, 'No refresh token', { code: 'invalid_refresh_token' });
+    }
+
+    const result = await rotateSession(token, req);
+    if (result.status !== 'ok') {
+        clearRefreshCookie(res);
+        throw result.status === 'reused'
+            ? new ApiError(401, 'Refresh token was reused; the session has been revoked', { code: 'refresh_token_reused' })
+            : new ApiError(401, 'Session expired or revoked', { code: 'invalid_refresh_token' });
+    }
+
+    const user = await User.findById(result.session.user).select('username role emailVerified suspension');
+    if (!user) {
+        clearRefreshCookie(res);
+        throw new ApiError(401, 'User not found');
+    }
     try {
-        // 1. Check if user already exists
-        let user = await User.findOne({ email });
-        if (user) {
-            return res.status(400).json({ msg: 'User already exists' });
+        assertNotBanned(user);
+    } catch (err) {
+        // Banning revokes sessions, but one rotated in the meantime would still get here
+        await revokeSessions({ userId: user._id, sessionId: result.session._id, reason: 'banned' });
+        clearRefreshCookie(res);
+        throw err;
+    }
+
+    if (result.refreshToken) setRefreshCookie(res, result.refreshToken);
+    res.json({
+        token: signAccessToken(user, result.session._id),
+        role: user.role,
+        username: user.username,
+        emailVerified: user.emailVerified,
+    });
+});
+
+// ------------------------------------------------------------------
+// D. @route   POST /api/users/logout
+// @desc    End the current session (the one in the refresh token cookie)
+// @access  Public (refresh token cookie)
+// ------------------------------------------------------------------
+router.post('/logout', async (req, res) => {
+    await endSession(readRefreshToken(req));
+    clearRefreshCookie(res);
+    res.json({ msg: 'Logged out' });
+});
+
+// ------------------------------------------------------------------
+// E. @route   GET /api/users/sessions
+// @desc    List the current user's active sessions, most recently used first
+// @access  Private
+// ------------------------------------------------------------------
+router.get('/sessions', auth, async (req, res) => {
+    const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    res.json(sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === req.user.sid,
+    })));
+});
+
+// ------------------------------------------------------------------
+// F. @route   DELETE /api/users/sessions/:id
+// @desc    Revoke one of the current user's sessions (e.g. a lost device)
+// @access  Private
+// ------------------------------------------------------------------
+router.delete('/sessions/:id', auth, validate(sessionIdSchema), async (req, res) => {
+    const revoked = await revokeSessions({ userId: req.user.id, sessionId: req.params.id, reason: 'revoked' });
+    if (revoked === 0) {
+        throw new ApiError(404, 'Session not found');
+    }
+    if (req.params.id === req.user.sid) {
+        clearRefreshCookie(res);
+    }
+    res.json({ msg: 'Session revoked', id: req.params.id });
+});
+
+// ------------------------------------------------------------------
+// G. @route   DELETE /api/users/sessions
+// @desc    Log out everywhere: revoke all of the current user's sessions, including this one
+// @access  Private
+// ------------------------------------------------------------------
+router.delete('/sessions', auth, async (req, res) => {
+    const revoked = await revokeSessions({ userId: req.user.id, reason: 'logout-all' });
+    clearRefreshCookie(res);
+    res.json({ msg: 'All sessions revoked', revoked });
+});
+
+// ------------------------------------------------------------------
+// H. @route   POST /api/users/verify-email
+// @desc    Confirm an email address with the token from the verification email. Body: { token }
+//          Clients holding an access token should refresh it afterwards to pick up emailVerified.
+// @access  Public (token)
+// ------------------------------------------------------------------
+router.post('/verify-email', tokenLimit, validate(verifyEmailSchema), async (req, res) => {
+    const { token } = req.body;
+    const used = await consumeToken(token, 'verify-email');
+    if (!used) {
+        throw new ApiError(400, 'This verification link is invalid or has expired', { code: 'invalid_token' });
+    }
+
+    await User.updateOne(
+        { _id: used.user, emailVerified: false },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    res.json({ msg: 'Email verified' });
+});
+
+// ------------------------------------------------------------------
+// I. @route   POST /api/users/verify-email/resend
+// @desc    Send a new verification email to the current user (earlier links stop working)
+// @access  Private
+// ------------------------------------------------------------------
+router.post('/verify-email/resend', auth, async (req, res) => {
+    const user = await User.findById(req.user.id).select('username email emailVerified');
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+    if (user.emailVerified) {
+        throw new ApiError(400, 'Email is already verified', { code: 'already_verified' });
+    }
+
+    const last = await lastIssuedAt(user._id, 'verify-email');
+    if (last && Date.now() - last.getTime() < RESEND_INTERVAL_MS) {
+        const retryAfter = Math.ceil((last.getTime() + RESEND_INTERVAL_MS - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        throw new ApiError(429, 'Please wait a minute before asking for another email', { code: 'rate_limited', retryAfter });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ msg: 'Verification email sent' });
+});
+
+// ------------------------------------------------------------------
+// J. @route   POST /api/users/forgot-password
+// @desc    Email a password reset link. Body: { email }
+//          Always answers the same way, so it can't be used to find out which emails have accounts.
+// @access  Public
+// ------------------------------------------------------------------
+router.post('/forgot-password', emailLimit, validate(forgotPasswordSchema), async (req, res) => {
+    const { email } = req.body;
+    const user = await User.findOne({ email }).select('username email');
+    if (user) {
+        const last = await lastIssuedAt(user._id, 'reset-password');
+        // Quietly skip repeats within the resend interval instead of flooding the inbox
+        if (!last || Date.now() - last.getTime() >= RESEND_INTERVAL_MS) {
+            await sendPasswordResetEmail(user);
         }
+    }
+    res.json({ msg: 'If an account exists for that email, a reset link has been sent' });
+});
+
+// ------------------------------------------------------------------
+// K. @route   POST /api/users/reset-password
+// @desc    Set a new password with the token from the reset email. Body: { token, password (8+ characters) }
+//          Every existing session is revoked, so a stolen session ends with the reset.
+// @access  Public (token)
+// ------------------------------------------------------------------
+router.post('/reset-password', tokenLimit, validate(resetPasswordSchema), async (req, res) => {
+    const { token, password } = req.body;
+    const used = await consumeToken(token, 'reset-password');
+    if (!used) {
+        throw new ApiError(400, 'This reset link is invalid or has expired', { code: 'invalid_token' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hash = await bcrypt.hash(password, salt);
+
+    const user = await User.findByIdAndUpdate(used.user, { $set: { password: hash } });
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    // Getting the email proves the address is theirs, so it also counts as verification
+    await User.updateOne(
+        { _id: user._id, emailVerified: false },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    await revokeSessions({ userId: user._id, reason: 'revoked' });
+    clearRefreshCookie(res);
+    res.json({ msg: 'Password updated. Please log in with your new password.' });
+});
+
+// ------------------------------------------------------------------
+// L. @route   GET /api/users/oauth/providers
+// @desc    List the configured sign-in providers: [{ id, name }]
+// @access  Public
+// ------------------------------------------------------------------
+router.get('/oauth/providers', (req, res) => {
+    res.json(listProviders());
+});
+
+// ------------------------------------------------------------------
+// M. @route   GET /api/users/oauth/:provider
+// @desc    Start signing in with a provider: redirects the browser to it.
+//          Open this as a page (not with fetch); the provider sends the browser back to the callback below.
+// @access  Public
+// ------------------------------------------------------------------
+router.get('/oauth/:provider', validate(providerSchema), async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        throw new ApiError(404, 'Unknown or unconfigured sign-in provider');
+    }
 
-        // 2. Create new user instance
-        user = new User({ username, email, password });
-
-        // 3. Hash the password
-        const salt = await bcrypt.genSalt(10);
-        user.password = await bcrypt.hash(password, salt);
-
-        // 4. Save the user to the database
-        await user.save();
-        
-        // 5. Create JWT payload
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role
-            }
-        };
-
-        // 6. Sign the token and send it back
-        jwt.sign(
-            payload,
-            JWT_SECRET,
-            { expiresIn: '5d' }, // Token expires in 5 days
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token, role: user.role });
-            }
+    try {
+        const redirectUri = `${API_URL}/api/users/oauth/${req.params.provider}/callback`;
+        const { url, state, verifier, nonce } = await buildAuthorizationUrl(provider, redirectUri);
+
+        // Signed so the callback can trust it; httpOnly so page scripts can't read the verifier
+        const stateToken = jwt.sign(
+            { provider: req.params.provider, state, verifier, nonce },
+            process.env.JWT_SECRET,
+            { expiresIn: OAUTH_STATE_TTL_SECONDS, audience: OAUTH_STATE_AUDIENCE }
         );
+        res.cookie(OAUTH_STATE_COOKIE, stateToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'lax', // Sent on the provider's top-level redirect back to us
+            path: OAUTH_COOKIE_PATH,
+            maxAge: OAUTH_STATE_TTL_SECONDS * 1000,
+        });
+        res.redirect(url);
     } catch (err) {
         console.error(err.message);
-        res.status(500).send('Server error');
+        redirectToClient(res, { error: 'Could not reach the sign-in provider' });
     }
 });
 
 // ------------------------------------------------------------------
-// B. @route   POST /api/users/login
-// @desc    Authenticate user & get token
+// N. @route   GET /api/users/oauth/:provider/callback
+// @desc    Where the provider sends the browser back. Links or creates the user, starts a session
+//          (refresh token cookie) and redirects to the client, which then calls POST /refresh.
 // @access  Public
 // ------------------------------------------------------------------
-router.post('/login', async (req, res) => {
-    const { email, password } = req.body;
+router.get('/oauth/:provider/callback', validate(oauthCallbackSchema), async (req, res) => {
+    const providerKey = req.params.provider;
+    const provider = getProvider(providerKey);
+    if (!provider) {
+        throw new ApiError(404, 'Unknown or unconfigured sign-in provider');
+    }
+
+    const stateToken = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_COOKIE_PATH });
+
+    if (req.query.error) {
+        return redirectToClient(res, { error: 'Sign-in was cancelled' });
+    }
 
+    let saved;
     try {
-        // 1. Find the user by email, explicitly requesting the password hash
-        let user = await User.findOne({ email }).select('+password'); 
-        if (!user) {
-            return res.status(400).json({ msg: 'Invalid Credentials' });
-        }
+        saved = jwt.verify(stateToken || '', process.env.JWT_SECRET, { audience: OAUTH_STATE_AUDIENCE });
+    } catch (e) {
+        return redirectToClient(res, { error: 'Sign-in expired. Please try again.' });
+    }
+    if (saved.provider !== providerKey || !req.query.state || saved.state !== req.query.state || !req.query.code) {
+        return redirectToClient(res, { error: 'Sign-in could not be verified. Please try again.' });
+    }
 
-        // 2. Compare submitted password with hashed password
-        const isMatch = await bcrypt.compare(password, user.password);
+    try {
+        const profile = await fetchProfile(provider, {
+            code: req.query.code,
+            redirectUri: `${API_URL}/api/users/oauth/${providerKey}/callback`,
+            verifier: saved.verifier,
+            nonce: saved.nonce,
+        });
 
-        if (!isMatch) {
-            return res.status(400).json({ msg: 'Invalid Credentials' });
+        const { user, error } = await findOrCreateOAuthUser(providerKey, profile);
+        if (error) {
+            return redirectToClient(res, { error });
+        }
+        if (activeSuspension(user)?.kind === 'banned') {
+            return redirectToClient(res, { error: 'This account is banned.' });
         }
 
-        // 3. Create JWT payload (same as registration)
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role
-            }
-        };
-
-        // 4. Sign the token and send it back
-        jwt.sign(
-            payload,
-            JWT_SECRET,
-            { expiresIn: '5d' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token, role: user.role, username: user.username });
-            }
-        );
+        const { refreshToken } = await createSession(user, req);
+        setRefreshCookie(res, refreshToken);
+        redirectToClient(res, { provider: providerKey });
     } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error');
+        console.error(`OAuth sign-in with ${providerKey} failed: ${err.message}`);
+        redirectToClient(res, { error: 'Sign-in failed. Please try again.' });
     }
 });
 
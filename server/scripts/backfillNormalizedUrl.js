@@ -0,0 +1,48 @@
+// One-off backfill of Link.normalizedUrl for links saved before duplicate
+// detection existed. Without the key, POST /api/links can't see them as duplicates.
+//
+// Run with `npm run backfill:normalized-url` (uses MONGO_URI). Safe to run again:
+// only links without a key are touched. When several legacy links share a key,
+// the oldest gets it and the others are listed so a curator can merge or remove them.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const { urlKey } = require('../utils/canonicalUrl');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ai_tech_db';
+
+const backfill = async () => {
+    let updated = 0;
+    const unparsable = [];
+    const conflicts = [];
+
+    const legacy = Link.find({ normalizedUrl: null }).sort({ createdAt: 1, _id: 1 }).select('url').cursor();
+    for await (const link of legacy) {
+        const key = urlKey(link.url);
+        if (!key) {
+            unparsable.push(link._id);
+            continue;
+        }
+        try {
+            await Link.updateOne({ _id: link._id, normalizedUrl: null }, { $set: { normalizedUrl: key } });
+            updated += 1;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            const holder = await Link.findOne({ normalizedUrl: key }).select('_id');
+            conflicts.push({ id: link._id, url: link.url, duplicateOf: holder?._id });
+        }
+    }
+
+    console.log(`Set normalizedUrl on ${updated} link(s)`);
+    unparsable.forEach(id => console.warn(`Skipped ${id}: url is not a valid http(s) address`));
+    conflicts.forEach(({ id, url, duplicateOf }) => console.warn(`Skipped ${id} (${url}): duplicate of ${duplicateOf}`));
+};
+
+mongoose.connect(MONGO_URI)
+    .then(backfill)
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
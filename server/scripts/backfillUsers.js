@@ -0,0 +1,60 @@
+// One-off backfill for accounts created before email verification and email
+// normalization existed.
+//
+// - Accounts saved before User.emailVerified existed have no such field. They are
+//   marked verified, so requireVerified doesn't lock long-standing members out of
+//   submitting and voting.
+// - Emails were stored as typed, but lookups are now by the lowercased address.
+//   Stored emails are lowercased; when two accounts differ only by case, neither
+//   is changed and both are listed for an admin to sort out.
+// - The ingest account was found by username before User.isSystem existed. The
+//   one created by the ingester (its name and its unregistrable email) is flagged.
+//
+// Run with `npm run backfill:users` (uses MONGO_URI). Safe to run again.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { SYSTEM_USERNAME, SYSTEM_EMAIL } = require('../utils/ingest');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ai_tech_db';
+
+const backfill = async () => {
+    // Raw collection: through the model, the schema default would make the field look set
+    const verified = await User.collection.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${verified.modifiedCount} pre-existing account(s) as verified`);
+
+    let lowercased = 0;
+    const conflicts = [];
+    const mixedCase = User.collection.find({ email: /[A-Z]/ }, { projection: { email: 1 } });
+    for await (const user of mixedCase) {
+        const email = user.email.toLowerCase();
+        try {
+            await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+            lowercased += 1;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            const other = await User.collection.findOne({ email }, { projection: { _id: 1 } });
+            conflicts.push({ id: user._id, email: user.email, conflictsWith: other?._id });
+        }
+    }
+
+    console.log(`Lowercased ${lowercased} email(s)`);
+    conflicts.forEach(({ id, email, conflictsWith }) => console.warn(`Skipped ${id} (${email}): same address as ${conflictsWith}`));
+
+    if (!await User.exists({ isSystem: true })) {
+        const system = await User.updateOne({ username: SYSTEM_USERNAME, email: SYSTEM_EMAIL }, { $set: { isSystem: true } });
+        console.log(system.modifiedCount ? `Flagged ${SYSTEM_USERNAME} as the system account` : 'No ingest account to flag');
+    }
+};
+
+mongoose.connect(MONGO_URI)
+    .then(backfill)
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,84 @@
+// One-off backfill of upvotes cast before votes moved to the Vote collection.
+// Those were only recorded in User.upvotedLinks, so without a Vote document the
+// same members could upvote those links a second time.
+//
+// - Each entry of a user's upvotedLinks becomes a Vote with value 1, unless the
+//   user already has a Vote on that link (voted again since; that one wins).
+// - The votes/upvotes/downvotes counters and ranking scores of every link
+//   touched are recomputed from its Vote documents.
+// - upvotedLinks is then removed from the user.
+//
+// Run with `npm run backfill:votes` (uses MONGO_URI). Safe to run again: users
+// without upvotedLinks are skipped.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Vote = require('../models/Vote');
+const { refreshLinkRanking } = require('../utils/ranking');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ai_tech_db';
+
+/**
+ * Sets a link's counters to what its Vote documents add up to.
+ */
+const recountLink = async (linkId) => {
+    const [counts] = await Vote.aggregate([
+        { $match: { targetType: 'Link', target: linkId } },
+        {
+            $group: {
+                _id: null,
+                upvotes: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+                downvotes: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } },
+            },
+        },
+    ]);
+    const upvotes = counts?.upvotes || 0;
+    const downvotes = counts?.downvotes || 0;
+    await Link.updateOne({ _id: linkId }, { $set: { votes: upvotes - downvotes, upvotes, downvotes } });
+    await refreshLinkRanking(linkId);
+};
+
+const backfill = async () => {
+    let users = 0;
+    let created = 0;
+    const touched = new Set();
+
+    // Raw collection: the field is no longer in the schema
+    const voters = User.collection.find({ upvotedLinks: { $exists: true } }, { projection: { upvotedLinks: 1 } });
+    for await (const user of voters) {
+        const linkIds = [...new Set((user.upvotedLinks || []).map(String))];
+        const existing = await Link.distinct('_id', { _id: { $in: linkIds } });
+
+        if (existing.length > 0) {
+            const now = new Date();
+            const result = await Vote.bulkWrite(existing.map(linkId => ({
+                updateOne: {
+                    filter: { user: user._id, targetType: 'Link', target: linkId },
+                    update: { $setOnInsert: { value: 1, createdAt: now, updatedAt: now } },
+                    upsert: true,
+                },
+            })), { ordered: false });
+            created += result.upsertedCount;
+            existing.forEach(linkId => touched.add(String(linkId)));
+        }
+
+        await User.collection.updateOne({ _id: user._id }, { $unset: { upvotedLinks: '' } });
+        users += 1;
+    }
+    console.log(`Created ${created} vote(s) from the upvotedLinks of ${users} user(s)`);
+
+    for (const linkId of touched) {
+        await recountLink(new mongoose.Types.ObjectId(linkId));
+    }
+    console.log(`Recounted votes on ${touched.size} link(s)`);
+};
+
+mongoose.connect(MONGO_URI)
+    .then(backfill)
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -1,43 +1,39 @@
 // server/server.js
 
-const express = require('express');
-const mongoose = require('mongoose');
+// Load environment variables from .env file.
+// This runs before the route modules are required, since some read settings at load time.
 const dotenv = require('dotenv');
-const cors = require('cors');
-
-
-// 💡 NEW STEP 1: Import the user routes file 
-const userRoutes = require('./routes/userRoutes'); 
-const linkRoutes = require('./routes/linkRoutes'); 
-
-// Load environment variables from .env file
 dotenv.config();
 
-// Initialize Express App
-const app = express();
+const http = require('http');
+const mongoose = require('mongoose');
 
-// Middleware
-app.use(cors()); // Enables cross-origin requests
-app.use(express.json()); // Allows parsing of JSON request bodies 
-                         // IMPORTANT: This must be before any route handlers!
+// The Express app with its middleware and routes (app.js)
+const app = require('./app');
+const { startRankingRefresh } = require('./utils/ranking');
+const { startIngestScheduler } = require('./utils/ingest');
+const { startDigestScheduler } = require('./utils/notifications');
+const { initRealtime } = require('./utils/realtime');
 
 // --- Database Connection ---
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ai_tech_db';
 
 mongoose.connect(MONGO_URI)
-  .then(() => console.log('✅ MongoDB Connected Successfully'))
+  .then(() => {
+    console.log('✅ MongoDB Connected Successfully');
+    // Keep "rising" scores fresh as links age
+    startRankingRefresh();
+    // Poll external sources (RSS, arXiv, GitHub releases) into the pending queue
+    startIngestScheduler();
+    // Email daily notification digests to users who opted in
+    startDigestScheduler();
+  })
   .catch(err => console.error('❌ MongoDB Connection Error:', err));
 
-// 💡 NEW STEP 2: Use the imported router at the base path
-// This mounts userRoutes.js, meaning router.post('/login') becomes POST /api/users/login
-app.use('/api/users', userRoutes); 
-app.use('/api/links', linkRoutes);
-
-// --- Basic Route ---
-app.get('/', (req, res) => {
-    res.send('AITechAggregator Backend Active');
-});
-
 // --- Server Listener ---
+// socket.io shares the HTTP server with Express for live feed updates
+const server = http.createServer(app);
+initRealtime(server);
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`));
\ No newline at end of file
+server.listen(PORT, () => console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`));
@@ -0,0 +1,369 @@
+const { before, after, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { describeWithDb } = require('./helpers/db');
+const { startApi } = require('./helpers/api');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const checkSchema = require('../docs/checkSchema');
+const { setTransport } = require('../utils/mailer');
+const { issueToken } = require('../utils/userTokens');
+const { rankingFields } = require('../utils/ranking');
+// Loads every model before describeWithDb connects, so all their indexes get built
+require('../routes');
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Notification = require('../models/Notification');
+
+// Every test calls documented routes through the running app and checks each
+// response's status, media type and body against the OpenAPI spec the app serves.
+// The last test fails for any documented route nothing here called.
+
+const PASSWORD = 'correct horse battery';
+
+// Redirects to OAuth providers, covered by oauth.test.js
+const NOT_COVERED_HERE = new Set([
+    'GET /api/users/oauth/{provider}',
+    'GET /api/users/oauth/{provider}/callback',
+]);
+
+describeWithDb('API contract', () => {
+    let api;
+    let spec;
+    let passwordHash;
+    const covered = new Set();
+
+    before(async () => {
+        // Many calls from one IP in a few seconds; limits have tests of their own
+        process.env.RATE_LIMIT_ENABLED = 'false';
+        api = await startApi();
+        spec = await (await fetch(`${api.url}/api/openapi.json`)).json();
+        passwordHash = await bcrypt.hash(PASSWORD, 4);
+        setTransport({ sendMail: async () => ({}) });
+    });
+    after(() => api.close());
+
+    /**
+     * Calls a documented route and checks the response against its docs.
+     * @param {string} route - Method and spec path, e.g. 'GET /api/links/{id}'.
+     * @param {object} [options]
+     * @param {object} [options.params] - Values for the path's {placeholders}.
+     * @param {object} [options.query]
+     * @param {object} [options.body] - Sent as JSON.
+     * @param {string} [options.token] - Access token.
+     * @param {string} [options.cookie]
+     * @param {number} [options.status] - Expected status (200).
+     * @returns {Promise<{ data: *, response: Response }>} `data` is the parsed JSON body, or the text.
+     */
+    const call = async (route, { params = {}, query, body, token, cookie, status = 200 } = {}) => {
+        const [method, template] = route.split(' ');
+        const operation = spec.paths[template]?.[method.toLowerCase()];
+        assert.ok(operation, `${route} is not documented`);
+
+        const path = template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (cookie) headers.Cookie = cookie;
+        const response = await fetch(`${api.url}${path}${query ? `?${new URLSearchParams(query)}` : ''}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual',
+        });
+        const text = await response.text();
+        assert.equal(response.status, status, `${route}: ${text.substring(0, 500)}`);
+
+        const documented = operation.responses[status] || operation.responses.default;
+        assert.ok(documented, `${route}: ${status} is not documented`);
+        const mediaType = (response.headers.get('content-type') || '').split(';')[0];
+        let data = text;
+        if (documented.content) {
+            assert.ok(documented.content[mediaType], `${route} ${status}: ${mediaType} is not documented`);
+            if (/json$/.test(mediaType)) data = JSON.parse(text);
+            assert.deepEqual(checkSchema(documented.content[mediaType].schema, data, spec), [], `${route} ${status}`);
+        }
+
+        covered.add(`${method} ${template}`);
+        return { data, response };
+    };
+
+    const refreshCookieOf = response => response.headers.getSetCookie()
+        .map(cookie => cookie.split(';')[0])
+        .find(cookie => /^refreshToken=./.test(cookie));
+
+    const createUser = (username, fields = {}) => User.create({
+        username,
+        email: `${username}@example.com`,
+        password: passwordHash,
+        emailVerified: true,
+        ...fields,
+    });
+
+    const login = async (user) => {
+        const { data, response } = await call('POST /api/users/login', { body: { email: user.email, password: PASSWORD } });
+        return { token: data.token, cookie: refreshCookieOf(response) };
+    };
+
+    const createLink = (submittedBy, fields = {}) => {
+        const createdAt = new Date();
+        const url = fields.url || `https://example.com/${Math.random().toString(36).slice(2)}`;
+        return Link.create({
+            url,
+            normalizedUrl: url,
+            submittedBy: submittedBy._id,
+            title: 'Scaling laws for sparse models',
+            domain: 'example.com',
+            status: 'approved',
+            createdAt,
+            ...rankingFields({ votes: 0, createdAt }),
+            ...fields,
+        });
+    };
+
+    /**
+     * A member, a curator and an admin (logged in), a tag, an approved link by
+     * the member and a comment on it.
+     */
+    const seed = async () => {
+        const [member, curator, admin] = await Promise.all([
+            createUser('alice'),
+            createUser('carol', { role: 'curator' }),
+            createUser('dave', { role: 'admin' }),
+        ]);
+        const tag = await Tag.create({ slug: 'llm', name: 'LLM', keywords: ['language model'] });
+        const link = await createLink(member, { tags: ['llm'], commentsCount: 1 });
+        const comment = await Comment.create({ link: link._id, postedBy: member._id, content: 'First!' });
+        return {
+            member, curator, admin, tag, link, comment,
+            memberToken: (await login(member)).token,
+            curatorToken: (await login(curator)).token,
+            adminToken: (await login(admin)).token,
+        };
+    };
+
+    it('registers, verifies, refreshes and ends sessions, and resets passwords', async () => {
+        const { data: registered } = await call('POST /api/users/register', {
+            body: { username: 'newbie', email: 'Newbie@Example.com', password: PASSWORD },
+        });
+        assert.equal(registered.emailVerified, false);
+        await call('POST /api/users/register', { body: { username: 'newbie2', email: 'newbie@example.com', password: PASSWORD }, status: 400 });
+        await call('POST /api/users/register', { body: { username: 'Ingest-Bot', email: 'bot@example.com', password: PASSWORD }, status: 400 });
+        const newbie = await User.findOne({ username: 'newbie' });
+        await call('POST /api/users/verify-email', { body: { token: await issueToken(newbie._id, 'verify-email') } });
+        await call('POST /api/users/verify-email', { body: { token: 'used-or-made-up' }, status: 400 });
+
+        // Resending waits a minute after the last email, so this account never got one
+        const unverified = await createUser('quiet', { emailVerified: false });
+        const { token } = await login(unverified);
+        await call('POST /api/users/verify-email/resend', { token });
+
+        const first = await login(newbie);
+        const second = await login(newbie);
+        await call('POST /api/users/login', { body: { email: newbie.email, password: 'wrong password' }, status: 400 });
+        const { data: refreshed, response } = await call('POST /api/users/refresh', { cookie: first.cookie });
+        const { data: sessions } = await call('GET /api/users/sessions', { token: refreshed.token });
+        assert.equal(sessions.length, 2);
+        const other = sessions.find(session => !session.current);
+        await call('DELETE /api/users/sessions/{id}', { params: { id: other.id }, token: refreshed.token });
+        await call('DELETE /api/users/sessions/{id}', { params: { id: other.id }, token: refreshed.token, status: 404 });
+        await call('POST /api/users/refresh', { cookie: second.cookie, status: 401 });
+        await call('POST /api/users/logout', { cookie: refreshCookieOf(response) });
+        await call('DELETE /api/users/sessions', { token: refreshed.token });
+        await call('GET /api/users/sessions', { status: 401 });
+
+        await call('POST /api/users/forgot-password', { body: { email: 'NEWBIE@example.com' } });
+        await call('POST /api/users/reset-password', {
+            body: { token: await issueToken(newbie._id, 'reset-password'), password: 'another long password' },
+        });
+        await call('GET /api/users/oauth/providers');
+    });
+
+    it('serves profiles, saved links, reading lists, follows and the home feed', async () => {
+        const { member, curator, tag, link, memberToken, curatorToken } = await seed();
+
+        await call('PATCH /api/users/profile', { token: memberToken, body: { bio: 'Reads papers.', showUpvotes: true } });
+        await call('GET /api/users/{username}', { params: { username: 'alice' } });
+        await call('GET /api/users/{username}', { params: { username: 'nobody' }, status: 404 });
+        await call('GET /api/users/{username}/submissions', { params: { username: 'alice' }, token: curatorToken });
+        // A newer comment on a removed link doesn't use up the page
+        const removed = await createLink(member, { status: 'removed' });
+        await Comment.create({ link: removed._id, postedBy: member._id, content: 'Gone with the link' });
+        const { data: history } = await call('GET /api/users/{username}/comments', { params: { username: 'alice' }, query: { limit: 1 } });
+        assert.deepEqual(history.comments.map(entry => entry.content), ['First!']);
+        assert.equal(history.nextCursor, null);
+        await call('GET /api/users/{username}/upvotes', { params: { username: 'alice' } });
+        await call('GET /api/users/{username}/upvotes', { params: { username: 'carol' }, status: 403 });
+
+        const { data: list } = await call('POST /api/users/me/lists', { token: memberToken, body: { name: 'To read' } });
+        await call('POST /api/users/me/lists', { token: memberToken, body: { name: 'To read' }, status: 409 });
+        await call('PATCH /api/users/me/lists/{id}', { params: { id: list.id }, token: memberToken, body: { name: 'Later' } });
+        await call('POST /api/users/me/saved', { token: memberToken, body: { linkId: String(link._id), lists: [list.id] }, status: 201 });
+        await call('POST /api/users/me/saved', { token: memberToken, body: { linkId: String(link._id), note: 'Section 3' } });
+        await call('PATCH /api/users/me/saved/{linkId}', { params: { linkId: link._id }, token: memberToken, body: { read: true } });
+        await call('GET /api/users/me/saved', { token: memberToken });
+        await call('GET /api/users/me/lists', { token: memberToken });
+        await call('GET /api/users/me/saved/export', { token: memberToken });
+        await call('GET /api/users/me/saved/export', { token: memberToken, query: { format: 'html' } });
+        await call('DELETE /api/users/me/lists/{id}', { params: { id: list.id }, token: memberToken });
+        await call('DELETE /api/users/me/saved/{linkId}', { params: { linkId: link._id }, token: memberToken });
+        await call('DELETE /api/users/me/saved/{linkId}', { params: { linkId: link._id }, token: memberToken, status: 404 });
+
+        await call('POST /api/follows', { token: curatorToken, body: { type: 'user', target: member.username }, status: 201 });
+        await call('POST /api/follows', { token: curatorToken, body: { type: 'tag', target: tag.slug }, status: 201 });
+        await call('POST /api/follows', { token: curatorToken, body: { type: 'domain', target: 'https://www.example.com/about' }, status: 201 });
+        await call('POST /api/follows', { token: curatorToken, body: { type: 'user', target: curator.username }, status: 400 });
+        await call('GET /api/follows', { token: curatorToken });
+        const { data: home } = await call('GET /api/feed/home', { token: curatorToken });
+        assert.equal(home.links.length, 1);
+        await call('DELETE /api/follows/{type}/{target}', { params: { type: 'domain', target: 'example.com' }, token: curatorToken });
+    });
+
+    it('serves links, comments, votes, reports, search and notifications', async () => {
+        const { member, curator, link, comment, memberToken, curatorToken } = await seed();
+
+        await call('GET /api/links', { query: { sort: 'new' } });
+        const { data: submitted } = await call('POST /api/links', {
+            token: memberToken,
+            // A private address, so nothing is fetched and the submitted title is kept
+            body: { url: 'http://127.0.0.1:9/paper?utm_source=feed', title: 'A local paper', tags: ['llm'] },
+        });
+        assert.equal(submitted.status, 'pending');
+        await call('POST /api/links', { token: memberToken, body: { url: 'http://127.0.0.1:9/paper' }, status: 409 });
+        await call('GET /api/links/{id}', { params: { id: link._id }, token: memberToken });
+        await call('GET /api/links/{id}', { params: { id: submitted.id }, status: 404 });
+        await call('PATCH /api/links/{id}/vote', { params: { id: link._id }, token: curatorToken, body: { value: 1 } });
+        await call('PATCH /api/links/{id}/vote', { params: { id: submitted.id }, token: curatorToken, body: { value: 1 }, status: 403 });
+        await call('POST /api/links/{id}/report', { params: { id: link._id }, token: curatorToken, body: { reason: 'off_topic' }, status: 201 });
+
+        await call('GET /api/comments/link/{linkId}', { params: { linkId: link._id } });
+        const { data: reply } = await call('POST /api/comments/link/{linkId}', {
+            params: { linkId: link._id },
+            token: curatorToken,
+            body: { content: 'Which benchmark, @alice?', parentComment: String(comment._id) },
+            status: 201,
+        });
+        await call('GET /api/comments/{id}/replies', { params: { id: comment._id } });
+        await call('PATCH /api/comments/{id}', { params: { id: reply.id }, token: curatorToken, body: { content: 'Which benchmark?' } });
+        await call('PATCH /api/comments/{id}', { params: { id: reply.id }, token: memberToken, body: { content: 'Mine now' }, status: 403 });
+        await call('PATCH /api/comments/{id}/vote', { params: { id: comment._id }, token: curatorToken, body: { value: -1 } });
+        const pending = await createLink(member, { status: 'pending' });
+        const onPending = await Comment.create({ link: pending._id, postedBy: member._id, content: 'Early' });
+        await call('PATCH /api/comments/{id}/vote', { params: { id: onPending._id }, token: curatorToken, body: { value: 1 }, status: 404 });
+        await call('PATCH /api/comments/{id}', { params: { id: onPending._id }, token: memberToken, body: { content: 'Edited' }, status: 404 });
+        await call('POST /api/comments/{id}/report', { params: { id: reply.id }, token: memberToken, body: { reason: 'abusive' }, status: 201 });
+        await call('POST /api/comments/{id}/report', { params: { id: reply.id }, token: memberToken, body: { reason: 'abusive' }, status: 409 });
+        await call('DELETE /api/comments/{id}', { params: { id: reply.id }, token: curatorToken });
+
+        await call('GET /api/search', { query: { q: 'sparse' } });
+        await call('GET /api/search', { query: { q: 'first', type: 'comments' }, token: memberToken });
+        await call('GET /api/search', { status: 400 });
+
+        const notification = await Notification.create({ user: member._id, type: 'comment_reply', actor: curator._id, link: link._id, comment: comment._id });
+        await call('GET /api/notifications', { token: memberToken });
+        await call('GET /api/notifications/unread-count', { token: memberToken });
+        await call('PATCH /api/notifications/{id}', { params: { id: notification._id }, token: memberToken, body: { read: true } });
+        await call('PATCH /api/notifications/{id}', { params: { id: notification._id }, token: curatorToken, body: { read: true }, status: 404 });
+        await call('POST /api/notifications/read-all', { token: memberToken });
+        await call('GET /api/notifications/preferences', { token: memberToken });
+        await call('PATCH /api/notifications/preferences', { token: memberToken, body: { mentions: false, emailDigest: true } });
+    });
+
+    it('serves moderation, reports and admin tools', async () => {
+        const { member, link, comment, memberToken, curatorToken, adminToken } = await seed();
+        const [first, second, third] = await Promise.all([1, 2, 3].map(() => createLink(member, { status: 'pending' })));
+
+        await call('GET /api/moderation/links', { token: curatorToken });
+        await call('GET /api/moderation/links', { token: memberToken, status: 403 });
+        await call('PATCH /api/moderation/links/{id}/approve', { params: { id: first._id }, token: curatorToken, body: {} });
+        await call('PATCH /api/moderation/links/{id}/approve', { params: { id: first._id }, token: curatorToken, body: {}, status: 409 });
+        await call('PATCH /api/moderation/links/{id}/reject', { params: { id: second._id }, token: curatorToken, body: { reason: 'Duplicate' } });
+        const { data: bulk } = await call('POST /api/moderation/links/bulk', {
+            token: curatorToken,
+            body: { ids: [String(first._id), String(third._id)], action: 'approve' },
+        });
+        assert.deepEqual(bulk.updatedIds.map(String), [String(third._id)]);
+        assert.deepEqual(bulk.skippedIds, [String(first._id)]);
+        await call('POST /api/moderation/blocked-domains', { token: curatorToken, body: { domain: 'spam.example', reason: 'Spam' }, status: 201 });
+        await call('POST /api/moderation/blocked-domains', { token: curatorToken, body: { domain: 'spam.example' }, status: 409 });
+        await call('POST /api/moderation/blocked-domains', { token: curatorToken, body: { domain: 'http://' }, status: 400 });
+        await call('GET /api/moderation/blocked-domains', { token: curatorToken });
+        await call('DELETE /api/moderation/blocked-domains/{domain}', { params: { domain: 'spam.example' }, token: curatorToken });
+
+        await call('POST /api/links/{id}/report', { params: { id: link._id }, token: adminToken, body: { reason: 'spam' }, status: 201 });
+        await call('GET /api/reports', { token: curatorToken });
+        await call('POST /api/reports/{type}/{id}/resolve', { params: { type: 'link', id: link._id }, token: curatorToken, body: { action: 'dismiss' } });
+        await call('POST /api/reports/{type}/{id}/resolve', { params: { type: 'link', id: link._id }, token: curatorToken, body: { action: 'dismiss' }, status: 404 });
+        // Dismissed reporters can't report the same link again
+        await call('POST /api/links/{id}/report', { params: { id: link._id }, token: adminToken, body: { reason: 'spam' }, status: 409 });
+
+        await call('GET /api/admin/stats', { token: adminToken, query: { days: 7 } });
+        await call('GET /api/admin/stats', { token: curatorToken, status: 403 });
+        await call('GET /api/admin/users', { token: adminToken, query: { q: 'al' } });
+        await call('PATCH /api/admin/users/{id}/role', { params: { id: member._id }, token: adminToken, body: { role: 'curator' } });
+        await call('POST /api/admin/users/{id}/suspension', {
+            params: { id: member._id },
+            token: adminToken,
+            body: { kind: 'suspended', reason: 'Cool off', until: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() },
+        });
+        await call('DELETE /api/admin/users/{id}/suspension', { params: { id: member._id }, token: adminToken });
+        await call('DELETE /api/admin/users/{id}/suspension', { params: { id: member._id }, token: adminToken, status: 409 });
+        await call('GET /api/admin/links', { token: adminToken, query: { status: 'approved' } });
+        await call('DELETE /api/admin/links/{id}', { params: { id: link._id }, token: adminToken, body: { reason: 'Off topic' } });
+        await call('POST /api/admin/links/{id}/restore', { params: { id: link._id }, token: adminToken });
+        await call('GET /api/admin/comments', { token: adminToken });
+        await call('DELETE /api/admin/comments/{id}', { params: { id: comment._id }, token: adminToken, body: { reason: 'Rude' } });
+        await call('POST /api/admin/comments/{id}/restore', { params: { id: comment._id }, token: adminToken });
+        await call('GET /api/admin/audit-log', { token: adminToken });
+    });
+
+    it('serves tags, ingest sources and feeds', async () => {
+        const fixtures = await startFixtureServer();
+        try {
+            const { link, curatorToken, adminToken } = await seed();
+
+            await call('GET /api/tags');
+            await call('POST /api/tags', { token: curatorToken, body: { name: 'Agents', aliases: ['ai-agents'], parent: 'llm' }, status: 201 });
+            await call('POST /api/tags', { token: curatorToken, body: { name: 'Agents' }, status: 409 });
+            await call('POST /api/tags/suggest', { body: { title: 'A small language model for agents' } });
+            await call('GET /api/tags/{slug}', { params: { slug: 'ai-agents' } });
+            await call('PATCH /api/tags/{slug}', { params: { slug: 'agents' }, token: curatorToken, body: { description: 'Tool use and planning' } });
+            await call('PUT /api/tags/link/{linkId}', { params: { linkId: link._id }, token: curatorToken, body: { tags: ['agents', 'llm'] } });
+            await call('PUT /api/tags/link/{linkId}', { params: { linkId: link._id }, token: curatorToken, body: { tags: ['nope'] }, status: 400 });
+            await call('GET /api/tags/{slug}/links', { params: { slug: 'llm' } });
+            await call('DELETE /api/tags/{slug}', { params: { slug: 'agents' }, token: curatorToken });
+            await call('GET /api/tags/{slug}', { params: { slug: 'agents' }, status: 404 });
+
+            const { data: source } = await call('POST /api/ingest/sources', {
+                token: adminToken,
+                body: { name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss') },
+                status: 201,
+            });
+            await call('POST /api/ingest/sources', { token: curatorToken, body: { name: 'Nope', type: 'rss' }, status: 403 });
+            await call('GET /api/ingest/sources', { token: adminToken });
+            await call('PATCH /api/ingest/sources/{id}', { params: { id: source.id }, token: adminToken, body: { maxItemsPerRun: 2 } });
+            const { data: run } = await call('POST /api/ingest/sources/{id}/run', { params: { id: source.id }, token: adminToken });
+            assert.equal(run.result.created, 2);
+            await call('GET /api/ingest/sources/{id}', { params: { id: source.id }, token: adminToken });
+            await call('DELETE /api/ingest/sources/{id}', { params: { id: source.id }, token: adminToken });
+            await call('GET /api/ingest/sources/{id}', { params: { id: source.id }, token: adminToken, status: 404 });
+
+            await call('GET /feeds/links.{format}', { params: { format: 'rss' } });
+            await call('GET /feeds/links.{format}', { params: { format: 'toString' }, status: 404 });
+            await call('GET /feeds/tags/{slug}.{format}', { params: { slug: 'llm', format: 'atom' } });
+            const { data: feed } = await call('GET /feeds/users/{username}.{format}', { params: { username: 'alice', format: 'json' } });
+            assert.equal(feed.items.length, 1);
+            await call('GET /feeds/users/{username}.{format}', { params: { username: 'nobody', format: 'json' }, status: 404 });
+        } finally {
+            await fixtures.close();
+        }
+    });
+
+    it('covers every documented route', () => {
+        const documented = Object.entries(spec.paths)
+            .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+        const missed = documented.filter(route => !covered.has(route) && !NOT_COVERED_HERE.has(route));
+        assert.deepEqual(missed, []);
+    });
+});
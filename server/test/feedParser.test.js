@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../utils/feedParser');
+
+const fixture = (file) => fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8');
+
+describe('parseFeed', () => {
+    it('reads RSS 2.0 items, with HTML descriptions reduced to text', () => {
+        const feed = parseFeed(fixture('blog.rss'));
+
+        assert.equal(feed.title, 'The Gradient Descent Blog');
+        assert.equal(feed.items.length, 3);
+        assert.deepEqual(feed.items[0], {
+            id: 'https://blog.example.com/?p=1842',
+            title: 'Scaling Sparse Mixture-of-Experts Inference',
+            url: 'https://blog.example.com/2024/10/sparse-moe-inference/?utm_source=rss&utm_medium=feed',
+            summary: 'How we cut p99 latency by routing tokens to experts in batches.',
+            published: new Date('2024-10-15T09:00:00Z'),
+        });
+        // <description> wins over <content:encoded>
+        assert.equal(feed.items[2].summary, 'Post-training quantization to 4 bits, step by step.');
+    });
+
+    it('reads arXiv RSS 1.0 (RDF) listings', () => {
+        const feed = parseFeed(fixture('arxiv-cs.AI.rdf'));
+
+        assert.equal(feed.title, 'cs.AI updates on arXiv.org');
+        assert.deepEqual(feed.items.map(item => item.url), [
+            'http://arxiv.org/abs/2410.10001',
+            'http://arxiv.org/abs/2410.10002',
+        ]);
+        // No <guid> in RDF: the link is the id
+        assert.equal(feed.items[0].id, 'http://arxiv.org/abs/2410.10001');
+        assert.match(feed.items[1].summary, /^Language models that call tools are overconfident/);
+        assert.equal(feed.items[0].published, null);
+    });
+
+    it('reads GitHub release Atom feeds', () => {
+        const feed = parseFeed(fixture('github-releases.atom'));
+
+        assert.equal(feed.title, 'Release notes from tiny-llm');
+        assert.deepEqual(feed.items[0], {
+            id: 'tag:github.com,2008:Repository/712345678/v0.9.0',
+            title: 'v0.9.0',
+            url: 'https://github.com/example-org/tiny-llm/releases/tag/v0.9.0',
+            summary: 'Highlights Speculative decoding on CPU New tokenizer cache',
+            published: new Date('2024-10-14T17:02:11Z'),
+        });
+        assert.equal(feed.items[1].summary, 'Fixes a crash when loading sharded checkpoints.');
+    });
+
+    it('throws for documents that are not feeds', () => {
+        assert.throws(() => parseFeed(fixture('not-a-feed.html')), /Not an RSS or Atom feed/);
+    });
+});
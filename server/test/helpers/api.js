@@ -0,0 +1,25 @@
+// Runs the Express app (app.js) on a random local port.
+//
+// Route modules read settings such as API_URL and provider credentials when
+// they're first required, so set process.env before calling startApi().
+
+const http = require('http');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+/**
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+const startApi = () => new Promise((resolve) => {
+    let app;
+    const server = http.createServer((req, res) => app(req, res));
+    server.listen(0, '127.0.0.1', () => {
+        const url = `http://127.0.0.1:${server.address().port}`;
+        // OAuth callbacks are built from API_URL, so it must point here before app.js loads
+        process.env.API_URL = url;
+        app = require('../../app');
+        resolve({ url, close: () => new Promise(done => server.close(done)) });
+    });
+});
+
+module.exports = { startApi };
@@ -0,0 +1,56 @@
+// A MongoDB database for tests that need one.
+//
+// Uses MONGO_TEST_URI, or a local mongod at mongodb://127.0.0.1:27017/ai_tech_test.
+// Every collection is emptied before each test, so the database name must end
+// in "test" and never be one that holds real data. When no server answers, the
+// suite is reported as skipped instead of failing.
+
+const { describe, it, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI || 'mongodb://127.0.0.1:27017/ai_tech_test';
+const CONNECT_TIMEOUT_MS = 3000;
+
+/**
+ * Connects mongoose to the test database and builds every model's indexes
+ * (unique indexes are part of what's under test).
+ * @returns {Promise<string|null>} Why the database can't be used, or null once connected.
+ */
+const connectTestDb = async () => {
+    if (mongoose.connection.readyState === 1) return null;
+    try {
+        await mongoose.connect(MONGO_TEST_URI, { serverSelectionTimeoutMS: CONNECT_TIMEOUT_MS });
+    } catch (err) {
+        return `no MongoDB at ${MONGO_TEST_URI} (${err.message}); set MONGO_TEST_URI to run`;
+    }
+    if (!/test$/i.test(mongoose.connection.name)) {
+        await mongoose.disconnect();
+        throw new Error(`Refusing to empty "${mongoose.connection.name}": test database names must end in "test"`);
+    }
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+    return null;
+};
+
+const clearTestDb = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * describe() for tests that need the database: connects first, empties it before
+ * each test and disconnects at the end. Without a database the suite is skipped.
+ * @param {string} name
+ * @param {function} defineTests - Registers the suite's tests and hooks.
+ */
+const describeWithDb = (name, defineTests) => describe(name, async () => {
+    const unavailable = await connectTestDb();
+    if (unavailable) {
+        it('needs MongoDB', { skip: unavailable }, () => {});
+        return;
+    }
+    beforeEach(clearTestDb);
+    after(() => mongoose.disconnect());
+    defineTests();
+});
+
+module.exports = { describeWithDb, clearTestDb };
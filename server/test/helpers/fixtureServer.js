@@ -0,0 +1,47 @@
+// Serves the recorded responses in test/fixtures over HTTP on a random local port,
+// so code that fetches feeds can be tested without the network.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+    '.rss': 'application/rss+xml; charset=utf-8',
+    '.atom': 'application/atom+xml; charset=utf-8',
+    '.rdf': 'application/rdf+xml; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+};
+
+/**
+ * Starts the server. GET /<file> returns test/fixtures/<file>; anything else is a 404.
+ * @returns {Promise<{ url: (file: string) => string, requests: string[], close: () => Promise<void> }>}
+ * `requests` lists the paths requested so far.
+ */
+const startFixtureServer = () => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const file = path.join(FIXTURES_DIR, path.basename(decodeURIComponent(req.url.split('?')[0])));
+        fs.readFile(file, (err, body) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end('Not found');
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+            res.end(body);
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+            url: (file) => `http://127.0.0.1:${port}/${file}`,
+            requests,
+            close: () => new Promise(done => server.close(done)),
+        });
+    });
+});
+
+module.exports = { startFixtureServer };
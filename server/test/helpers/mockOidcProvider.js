@@ -0,0 +1,91 @@
+// A minimal OpenID Connect provider on a random local port, for testing sign-in
+// end to end: discovery, an authorization endpoint that signs the user straight
+// in, and a token endpoint that checks the client, redirect URI and PKCE verifier.
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Starts the provider.
+ * @param {object} client - { clientId, clientSecret } the app is configured with.
+ * @returns {Promise<{ issuer: string, user: object, idTokenClaims: object, close: () => Promise<void> }>}
+ * Set `user` to the claims of whoever signs in next (sub, email, email_verified, ...),
+ * and `idTokenClaims` to override claims of the ID tokens issued (e.g. a wrong nonce).
+ */
+const startMockOidcProvider = ({ clientId, clientSecret }) => new Promise((resolve) => {
+    const codes = new Map();
+    const provider = { issuer: '', user: {}, idTokenClaims: {} };
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const readForm = req => new Promise((done) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => done(new URLSearchParams(body)));
+    });
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, provider.issuer);
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+            });
+        }
+
+        // The user "signs in" at once and is sent back with a one-time code
+        if (url.pathname === '/authorize') {
+            const params = url.searchParams;
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, {
+                redirectUri: params.get('redirect_uri'),
+                challenge: params.get('code_challenge'),
+                nonce: params.get('nonce'),
+                user: provider.user,
+            });
+            const callback = new URL(params.get('redirect_uri'));
+            callback.searchParams.set('code', code);
+            callback.searchParams.set('state', params.get('state'));
+            res.writeHead(302, { Location: callback.href });
+            return res.end();
+        }
+
+        if (url.pathname === '/token' && req.method === 'POST') {
+            const form = await readForm(req);
+            const grant = codes.get(form.get('code'));
+            codes.delete(form.get('code'));
+            if (form.get('client_id') !== clientId || form.get('client_secret') !== clientSecret) {
+                return sendJson(res, 401, { error: 'invalid_client' });
+            }
+            const verifierHash = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+            if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.challenge !== verifierHash) {
+                return sendJson(res, 400, { error: 'invalid_grant' });
+            }
+            const idToken = jwt.sign({
+                iss: provider.issuer,
+                aud: clientId,
+                nonce: grant.nonce,
+                exp: Math.floor(Date.now() / 1000) + 300,
+                ...grant.user,
+                ...provider.idTokenClaims,
+            }, 'mock-provider-key', { noTimestamp: true });
+            return sendJson(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+        }
+
+        sendJson(res, 404, { error: 'not_found' });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        provider.issuer = `http://127.0.0.1:${server.address().port}`;
+        provider.close = () => new Promise(done => server.close(done));
+        resolve(provider);
+    });
+});
+
+module.exports = { startMockOidcProvider };
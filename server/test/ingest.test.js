@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeWithDb } = require('./helpers/db');
+const { startFixtureServer } = require('./helpers/fixtureServer');
+const IngestSource = require('../models/IngestSource');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const BlockedDomain = require('../models/BlockedDomain');
+const { sourceFeedUrl, runSource } = require('../utils/ingest');
+const { clearBlocklistCache } = require('../utils/blocklist');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('sourceFeedUrl', () => {
+    it('derives arXiv and GitHub feed URLs, and prefers an explicit url', () => {
+        assert.equal(sourceFeedUrl({ type: 'arxiv', category: 'cs.AI' }), 'https://rss.arxiv.org/rss/cs.AI');
+        assert.equal(sourceFeedUrl({ type: 'github', repo: 'example-org/tiny-llm' }), 'https://github.com/example-org/tiny-llm/releases.atom');
+        assert.equal(sourceFeedUrl({ type: 'arxiv', category: 'cs.AI', url: 'http://mirror.test/cs.AI' }), 'http://mirror.test/cs.AI');
+    });
+});
+
+describeWithDb('runSource', () => {
+    let fixtures;
+
+    before(async () => { fixtures = await startFixtureServer(); });
+    after(() => fixtures.close());
+
+    const createSource = (fields) => IngestSource.create({ intervalMinutes: 60, ...fields });
+    const member = () => User.create({ username: 'alice', email: 'alice@example.com', password: 'x' });
+
+    it('queues new RSS items as pending links from the ingest user', async () => {
+        const source = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss'), tags: ['mlops'] });
+
+        const result = await runSource(source);
+
+        assert.deepEqual(result, { seen: 3, created: 3 });
+        const links = await Link.find().populate('submittedBy', 'username');
+        assert.equal(links.length, 3);
+        links.forEach((link) => {
+            assert.equal(link.status, 'pending');
+            assert.equal(link.submittedBy.username, 'ingest-bot');
+            assert.equal(link.siteName, 'Gradient Descent');
+            assert.ok(link.tags.includes('mlops'));
+        });
+        // Tracking params are dropped before storing
+        assert.ok(links.some(link => link.url === 'https://blog.example.com/2024/10/sparse-moe-inference'));
+    });
+
+    it('finds the ingest user by its flag, not by a username anyone could register', async () => {
+        const system = await User.create({ username: 'feeds', email: 'feeds@localhost', password: 'x', isSystem: true });
+        await User.create({ username: 'ingest-bot', email: 'squatter@example.com', password: 'x' });
+        const source = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss') });
+
+        await runSource(source);
+
+        const submitters = await Link.distinct('submittedBy');
+        assert.deepEqual(submitters.map(String), [String(system._id)]);
+    });
+
+    it('refuses to run while a regular account holds the system username', async () => {
+        await User.create({ username: 'ingest-bot', email: 'squatter@example.com', password: 'x' });
+        const source = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss') });
+
+        const result = await runSource(source);
+
+        assert.match(result.error, /taken by a regular account/);
+        assert.equal(await Link.countDocuments(), 0);
+        assert.equal(await User.countDocuments({ isSystem: true }), 0);
+    });
+
+    it('skips items whose URL is already a link, by normalized key or by legacy url', async () => {
+        const user = await member();
+        // Same page as an item, submitted as http://www. with a trailing slash
+        await Link.create({
+            url: 'http://www.blog.example.com/2024/10/evaluating-llm-agents/',
+            normalizedUrl: 'https://blog.example.com/2024/10/evaluating-llm-agents',
+            submittedBy: user._id,
+        });
+        // Saved before normalizedUrl existed
+        await Link.create({ url: 'https://blog.example.com/2024/10/quantization-without-tears', submittedBy: user._id });
+        const source = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss') });
+
+        assert.deepEqual(await runSource(source), { seen: 3, created: 1 });
+        assert.equal(await Link.countDocuments(), 3);
+
+        // A second run finds everything already there
+        assert.deepEqual(await runSource(await IngestSource.findById(source._id)), { seen: 3, created: 0 });
+        assert.equal(await Link.countDocuments(), 3);
+    });
+
+    it('ingests arXiv listings and prefixes GitHub release titles with the repo', async () => {
+        const arxiv = await createSource({ name: 'arXiv cs.AI', type: 'arxiv', category: 'cs.AI', url: fixtures.url('arxiv-cs.AI.rdf') });
+        const github = await createSource({ name: 'tiny-llm', type: 'github', repo: 'example-org/tiny-llm', url: fixtures.url('github-releases.atom') });
+
+        assert.deepEqual(await runSource(arxiv), { seen: 2, created: 2 });
+        assert.deepEqual(await runSource(github), { seen: 2, created: 2 });
+
+        const paper = await Link.findOne({ url: 'http://arxiv.org/abs/2410.10001' });
+        assert.match(paper.title, /^Planning with Learned World Models/);
+        assert.match(paper.description, /model-predictive search/);
+        const release = await Link.findOne({ url: 'https://github.com/example-org/tiny-llm/releases/tag/v0.9.0' });
+        assert.equal(release.title, 'example-org/tiny-llm v0.9.0');
+    });
+
+    it('takes at most maxItemsPerRun items and skips blocked domains', async () => {
+        await BlockedDomain.create({ domain: 'arxiv.org' });
+        clearBlocklistCache();
+        const blocked = await createSource({ name: 'arXiv cs.AI', type: 'arxiv', url: fixtures.url('arxiv-cs.AI.rdf') });
+        const limited = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss'), maxItemsPerRun: 1 });
+
+        assert.deepEqual(await runSource(blocked), { seen: 2, created: 0 });
+        assert.deepEqual(await runSource(limited), { seen: 1, created: 1 });
+        clearBlocklistCache();
+    });
+
+    it('records health after a successful run', async () => {
+        const source = await createSource({ name: 'Gradient Descent', type: 'rss', url: fixtures.url('blog.rss'), consecutiveFailures: 2 });
+        const before = Date.now();
+
+        await runSource(source);
+
+        const health = await IngestSource.findById(source._id);
+        assert.equal(health.lastStatus, 'ok');
+        assert.equal(health.lastError, '');
+        assert.equal(health.lastItemsSeen, 3);
+        assert.equal(health.lastItemsCreated, 3);
+        assert.equal(health.totalItemsCreated, 3);
+        assert.equal(health.consecutiveFailures, 0);
+        assert.ok(health.lastSuccessAt.getTime() >= before);
+        assert.ok(health.nextRunAt.getTime() >= before + 60 * MINUTE_MS);
+    });
+
+    it('records failures and backs off exponentially until a run succeeds', async () => {
+        const source = await createSource({ name: 'Moved blog', type: 'rss', url: fixtures.url('not-a-feed.html'), intervalMinutes: 30 });
+
+        const first = await runSource(source);
+        assert.equal(first.error, 'Not an RSS or Atom feed');
+        let health = await IngestSource.findById(source._id);
+        assert.equal(health.lastStatus, 'error');
+        assert.equal(health.lastError, 'Not an RSS or Atom feed');
+        assert.equal(health.consecutiveFailures, 1);
+        assert.equal(health.lastSuccessAt, null);
+        assert.ok(Math.abs(health.nextRunAt.getTime() - (Date.now() + 30 * MINUTE_MS)) < MINUTE_MS);
+
+        // A missing feed (404) counts as a failure too, and doubles the wait
+        await IngestSource.updateOne({ _id: source._id }, { url: fixtures.url('gone.rss') });
+        await runSource(await IngestSource.findById(source._id));
+        health = await IngestSource.findById(source._id);
+        assert.equal(health.consecutiveFailures, 2);
+        assert.match(health.lastError, /404/);
+        assert.ok(Math.abs(health.nextRunAt.getTime() - (Date.now() + 60 * MINUTE_MS)) < MINUTE_MS);
+
+        await IngestSource.updateOne({ _id: source._id }, { url: fixtures.url('blog.rss') });
+        await runSource(await IngestSource.findById(source._id));
+        health = await IngestSource.findById(source._id);
+        assert.equal(health.lastStatus, 'ok');
+        assert.equal(health.consecutiveFailures, 0);
+    });
+});
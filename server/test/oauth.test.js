@@ -0,0 +1,190 @@
+const { before, after, beforeEach, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { describeWithDb } = require('./helpers/db');
+const { startApi } = require('./helpers/api');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { setTransport } = require('../utils/mailer');
+
+const CLIENT = { clientId: 'aggregator-test', clientSecret: 'aggregator-test-secret' };
+
+describeWithDb('OIDC sign-in', () => {
+    let provider;
+    let api;
+    const mail = [];
+
+    before(async () => {
+        provider = await startMockOidcProvider(CLIENT);
+        process.env.OIDC_ISSUER = provider.issuer;
+        process.env.OIDC_CLIENT_ID = CLIENT.clientId;
+        process.env.OIDC_CLIENT_SECRET = CLIENT.clientSecret;
+        api = await startApi();
+        setTransport({ sendMail: async (message) => { mail.push(message); } });
+    });
+    after(async () => {
+        await api.close();
+        await provider.close();
+    });
+    beforeEach(() => {
+        provider.user = { sub: 'oidc-alice', email: 'Alice@Example.com', email_verified: true, preferred_username: 'alice' };
+        provider.idTokenClaims = {};
+        mail.length = 0;
+    });
+
+    const cookieFrom = (response, name) => response.headers.getSetCookie()
+        .map(cookie => cookie.split(';')[0])
+        .find(cookie => cookie.startsWith(`${name}=`) && cookie.length > name.length + 1);
+
+    /**
+     * Plays the browser: start the sign-in, let the provider redirect back, and
+     * follow the callback. `tamper` can change the callback URL and state cookie first.
+     * @returns {Promise<{ params: URLSearchParams, refreshCookie: string|undefined }>}
+     * `params` are those of the redirect to the client's /oauth/callback page.
+     */
+    const signIn = async (tamper = {}) => {
+        const start = await fetch(`${api.url}/api/users/oauth/oidc`, { redirect: 'manual' });
+        assert.equal(start.status, 302);
+        let stateCookie = cookieFrom(start, 'oauthState');
+
+        const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+        let callback = new URL(authorize.headers.get('location'));
+        assert.ok(callback.href.startsWith(`${api.url}/api/users/oauth/oidc/callback`));
+
+        if (tamper.callback) callback = tamper.callback(callback);
+        if (tamper.stateCookie) stateCookie = tamper.stateCookie(stateCookie);
+
+        const done = await fetch(callback, { redirect: 'manual', headers: stateCookie ? { Cookie: stateCookie } : {} });
+        assert.equal(done.status, 302);
+        const location = new URL(done.headers.get('location'));
+        assert.equal(location.pathname, '/oauth/callback');
+        return { params: location.searchParams, refreshCookie: cookieFrom(done, 'refreshToken') };
+    };
+
+    it('creates an account with the lowercased email on first sign-in', async () => {
+        const { params, refreshCookie } = await signIn();
+
+        assert.equal(params.get('provider'), 'oidc');
+        assert.ok(refreshCookie);
+        const user = await User.findOne({ username: 'alice' });
+        assert.equal(user.email, 'alice@example.com');
+        assert.equal(user.emailVerified, true);
+        assert.deepEqual(user.identities.map(({ provider: key, subject }) => ({ key, subject })), [{ key: 'oidc', subject: 'oidc-alice' }]);
+
+        // Signing in again finds the same account through the linked identity
+        await signIn();
+        assert.equal(await User.countDocuments(), 1);
+        assert.equal(await Session.countDocuments({ user: user._id }), 2);
+    });
+
+    it('links a verified provider email to an existing account, whatever its case', async () => {
+        const existing = await User.create({ username: 'alice-local', email: 'alice@example.com', password: 'x', emailVerified: true });
+
+        const { params, refreshCookie } = await signIn();
+
+        assert.equal(params.get('provider'), 'oidc');
+        assert.ok(refreshCookie);
+        assert.equal(await User.countDocuments(), 1);
+        const linked = await User.findById(existing._id);
+        assert.equal(linked.identities[0].subject, 'oidc-alice');
+        assert.equal(linked.identities[0].email, 'alice@example.com');
+    });
+
+    it('takes over an unverified local account, revoking its sessions', async () => {
+        const squatter = await User.create({ username: 'squatter', email: 'alice@example.com', password: 'x' });
+        await Session.create({ user: squatter._id, tokenHash: 'old', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+        await signIn();
+
+        const taken = await User.findById(squatter._id);
+        assert.equal(taken.emailVerified, true);
+        assert.equal(await Session.countDocuments({ user: squatter._id, revokedAt: null }), 1); // Only the new one
+    });
+
+    it('refuses to link when the provider has not verified the email', async () => {
+        await User.create({ username: 'alice-local', email: 'alice@example.com', password: 'x', emailVerified: true });
+        provider.user = { ...provider.user, email_verified: false };
+
+        const { params, refreshCookie } = await signIn();
+
+        assert.match(params.get('error'), /already exists/);
+        assert.equal(refreshCookie, undefined);
+        assert.equal((await User.findOne({ username: 'alice-local' })).identities.length, 0);
+    });
+
+    it('sends banned users back with an error and no session', async () => {
+        const banned = await User.create({
+            username: 'alice-local',
+            email: 'alice@example.com',
+            password: 'x',
+            emailVerified: true,
+            identities: [{ provider: 'oidc', subject: 'oidc-alice' }],
+            suspension: { kind: 'banned', reason: 'spam' },
+        });
+
+        const { params, refreshCookie } = await signIn();
+
+        assert.equal(params.get('error'), 'This account is banned.');
+        assert.equal(refreshCookie, undefined);
+        assert.equal(await Session.countDocuments({ user: banned._id }), 0);
+    });
+
+    it('rejects a callback whose state does not match the cookie', async () => {
+        const { params, refreshCookie } = await signIn({
+            callback: (url) => { url.searchParams.set('state', 'forged'); return url; },
+        });
+
+        assert.equal(params.get('error'), 'Sign-in could not be verified. Please try again.');
+        assert.equal(refreshCookie, undefined);
+        assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('rejects a callback without the state cookie', async () => {
+        const { params } = await signIn({ stateCookie: () => null });
+
+        assert.equal(params.get('error'), 'Sign-in expired. Please try again.');
+        assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('does not accept the state cookie as an access token, or an access token as state', async () => {
+        const start = await fetch(`${api.url}/api/users/oauth/oidc`, { redirect: 'manual' });
+        const stateToken = cookieFrom(start, 'oauthState').split('=')[1];
+        for (const path of ['/api/users/sessions', '/api/users/me/saved', '/api/follows', '/api/notifications']) {
+            const response = await fetch(`${api.url}${path}`, { headers: { Authorization: `Bearer ${stateToken}` } });
+            assert.equal(response.status, 401, path);
+        }
+
+        const accessToken = jwt.sign({ user: { id: 'someone' }, state: 'x' }, process.env.JWT_SECRET);
+        const { params } = await signIn({ stateCookie: () => `oauthState=${accessToken}` });
+        assert.equal(params.get('error'), 'Sign-in expired. Please try again.');
+    });
+
+    it('fails when the PKCE verifier does not match the challenge', async () => {
+        const { params, refreshCookie } = await signIn({
+            stateCookie: (cookie) => {
+                const saved = jwt.verify(cookie.split('=')[1], process.env.JWT_SECRET, { audience: 'oauth-state' });
+                const forged = jwt.sign(
+                    { provider: saved.provider, state: saved.state, verifier: 'not-the-verifier', nonce: saved.nonce },
+                    process.env.JWT_SECRET,
+                    { audience: 'oauth-state' }
+                );
+                return `oauthState=${forged}`;
+            },
+        });
+
+        assert.equal(params.get('error'), 'Sign-in failed. Please try again.');
+        assert.equal(refreshCookie, undefined);
+        assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('fails when the ID token nonce does not match', async () => {
+        provider.idTokenClaims = { nonce: 'replayed-nonce' };
+
+        const { params, refreshCookie } = await signIn();
+
+        assert.equal(params.get('error'), 'Sign-in failed. Please try again.');
+        assert.equal(refreshCookie, undefined);
+        assert.equal(await User.countDocuments(), 0);
+    });
+});
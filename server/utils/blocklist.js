@@ -0,0 +1,43 @@
+// Domain blocklist checks for submissions and ingestion.
+// The list is small and read on every submission, so it's cached briefly.
+
+const BlockedDomain = require('../models/BlockedDomain');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+const loadBlocked = async () => {
+    if (!cache || Date.now() - cachedAt > CACHE_TTL_MS) {
+        const entries = await BlockedDomain.find().select('domain').lean();
+        cache = new Set(entries.map(entry => entry.domain));
+        cachedAt = Date.now();
+    }
+    return cache;
+};
+
+/**
+ * Forgets the cached list, after it's edited.
+ */
+const clearBlocklistCache = () => {
+    cache = null;
+};
+
+/**
+ * The blocklist entry matching a domain or one of its parent domains.
+ * @param {string} domain - e.g. 'spam.example.com' (as returned by domainOf).
+ * @returns {Promise<string|null>} The blocked entry ('example.com'), or null if allowed.
+ */
+const findBlockedDomain = async (domain) => {
+    if (!domain) return null;
+    const blocked = await loadBlocked();
+    const labels = domain.toLowerCase().split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (blocked.has(candidate)) return candidate;
+    }
+    return null;
+};
+
+module.exports = { findBlockedDomain, clearBlocklistCache };
@@ -0,0 +1,87 @@
+// Saved links: lookups for the feeds, and the export formats of
+// GET /api/users/me/saved/export.
+
+const SavedLink = require('../models/SavedLink');
+const { escapeXml } = require('./feedFormats');
+
+/**
+ * Which of `linkIds` the user has saved.
+ * @param {string} userId
+ * @param {Array<string|ObjectId>} linkIds
+ * @returns {Promise<Set<string>>} Saved link ids
+ */
+const savedLinkIdsFor = async (userId, linkIds) => {
+    if (!userId || linkIds.length === 0) return new Set();
+    const saved = await SavedLink.find({ user: userId, link: { $in: linkIds } }).select('link').lean();
+    return new Set(saved.map(entry => entry.link.toString()));
+};
+
+/**
+ * JSON export: every saved link with its note, read state and list names.
+ * @param {{ lists: object[], entries: object[] }} data - Reading lists and saved entries with `link` populated.
+ */
+const buildBookmarksJson = ({ lists, entries }) => {
+    const listNames = new Map(lists.map(list => [list._id.toString(), list.name]));
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        lists: lists.map(list => list.name),
+        links: entries.map(entry => ({
+            url: entry.link.url,
+            title: entry.link.title,
+            description: entry.link.description,
+            tags: entry.link.tags,
+            note: entry.note,
+            lists: entry.lists.map(id => listNames.get(id.toString())).filter(Boolean),
+            savedAt: entry.createdAt,
+            readAt: entry.readAt,
+        })),
+    }, null, 2);
+};
+
+/**
+ * Netscape bookmark file, the format browsers and bookmark services import.
+ * Each reading list becomes a folder; links in several lists appear in each,
+ * and links in none are listed at the top level.
+ */
+const buildBookmarksHtml = ({ lists, entries }) => {
+    const bookmark = (entry, indent) => {
+        const attributes = [
+            `HREF="${escapeXml(entry.link.url)}"`,
+            `ADD_DATE="${Math.floor(new Date(entry.createdAt).getTime() / 1000)}"`,
+            ...(entry.link.tags?.length ? [`TAGS="${escapeXml(entry.link.tags.join(','))}"`] : []),
+        ];
+        const lines = [`${indent}<DT><A ${attributes.join(' ')}>${escapeXml(entry.link.title)}</A>`];
+        if (entry.note) lines.push(`${indent}<DD>${escapeXml(entry.note)}`);
+        return lines.join('\n');
+    };
+
+    const folders = lists.map(list => {
+        const inList = entries.filter(entry => entry.lists.some(id => id.toString() === list._id.toString()));
+        return [
+            `    <DT><H3 ADD_DATE="${Math.floor(new Date(list.createdAt).getTime() / 1000)}">${escapeXml(list.name)}</H3>`,
+            '    <DL><p>',
+            ...inList.map(entry => bookmark(entry, '        ')),
+            '    </DL><p>',
+        ].join('\n');
+    });
+    const unfiled = entries.filter(entry => entry.lists.length === 0).map(entry => bookmark(entry, '    '));
+
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>AI Tech Aggregator saved links</H1>',
+        '<DL><p>',
+        ...folders,
+        ...unfiled,
+        '</DL><p>',
+        '',
+    ].join('\n');
+};
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json', build: buildBookmarksJson },
+    html: { contentType: 'text/html', extension: 'html', build: buildBookmarksHtml },
+};
+
+module.exports = { savedLinkIdsFor, buildBookmarksJson, buildBookmarksHtml, EXPORT_FORMATS };
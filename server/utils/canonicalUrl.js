@@ -0,0 +1,70 @@
+// URL canonicalization for duplicate detection.
+//
+// cleanUrl() produces the URL we store and display: lowercase scheme and host,
+// no default port, fragment, tracking params or trailing slash, sorted query.
+// urlKey() goes one step further for comparison only: http/https and a leading
+// 'www.' are ignored, so http://www.x.com/a/ and https://x.com/a share a key.
+
+// Query params that only identify where a click came from
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'gclsrc', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', '_openstat',
+    'ref_src', 'ref_url', 'spm', 'vero_id', 'wt_mc', 'oly_enc_id', 'oly_anon_id',
+]);
+const TRACKING_PREFIXES = ['utm_', 'hsa_', 'pk_', 'mtm_'];
+
+const isTrackingParam = (name) => {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+};
+
+/**
+ * Normalizes a URL for storage.
+ * @param {string} raw - User-submitted or fetched URL.
+ * @returns {string|null} The cleaned URL, or null if it isn't a valid http(s) URL.
+ */
+const cleanUrl = (raw) => {
+    let parsed;
+    try {
+        parsed = new URL(String(raw || '').trim());
+    } catch (e) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+    }
+
+    // URL already lowercases the scheme and host and drops default ports
+    parsed.hash = '';
+    parsed.username = '';
+    parsed.password = '';
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = '';
+    params.forEach(([name, value]) => parsed.searchParams.append(name, value));
+
+    // '/a/' and '/a' are the same page; the root path stays '/'
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+    const href = parsed.href;
+    // new URL('https://x.com').href is 'https://x.com/'; drop the bare root slash for a stable form
+    return parsed.pathname === '/' && !parsed.search ? href.replace(/\/$/, '') : href;
+};
+
+/**
+ * Comparison key for duplicate detection. Not meant for display.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+const urlKey = (raw) => {
+    const cleaned = cleanUrl(raw);
+    if (!cleaned) return null;
+    const parsed = new URL(cleaned);
+    parsed.protocol = 'https:';
+    parsed.hostname = parsed.hostname.replace(/^www\./, '');
+    return parsed.href.replace(/\/$/, '');
+};
+
+module.exports = { cleanUrl, urlKey, isTrackingParam };
@@ -0,0 +1,60 @@
+// The API's error format. Every error response has the same shape:
+//
+//   { error: { code, message, details? } }
+//
+// `code` is a stable machine-readable string ('validation_failed', 'not_found', ...),
+// `message` is meant for people, and `details` lists per-field problems on
+// validation errors: [{ in: 'body', field: 'password', message }].
+// A few errors carry extra fields next to these, e.g. `existing` on a duplicate
+// link (409) or `retryAfter` on a rate limit (429).
+//
+// Route handlers throw an ApiError (or pass it to next); middleware/errorHandler.js
+// turns it, and any unexpected error, into a response.
+
+const CODES_BY_STATUS = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'unavailable',
+};
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code.
+     * @param {string} message - Human-readable message.
+     * @param {object} [options]
+     * @param {string} [options.code] - Defaults to a generic code for the status.
+     * @param {Array<{ in: string, field: string, message: string }>} [options.details]
+     * Any other option is sent as an extra field on the error.
+     */
+    constructor(status, message, { code, details, ...extra } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || CODES_BY_STATUS[status] || 'error';
+        this.details = details;
+        this.extra = extra;
+    }
+
+    /**
+     * The response body for this error.
+     */
+    toJSON() {
+        return {
+            error: {
+                code: this.code,
+                message: this.message,
+                ...(this.details ? { details: this.details } : {}),
+                ...this.extra,
+            },
+        };
+    }
+}
+
+module.exports = { ApiError };
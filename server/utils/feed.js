@@ -0,0 +1,210 @@
+// Shared building blocks for endpoints that return a ranked, cursor-paged list of links.
+
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const { SORTS, TOP_WINDOWS, feedQuery } = require('./ranking');
+const { encodeCursor, decodeCursor, afterCursor } = require('./pagination');
+const { userVotesFor } = require('./votes');
+const { savedLinkIdsFor } = require('./bookmarks');
+const { ApiError } = require('./errors');
+const { string, integer, oneOf, date } = require('./validation');
+
+// countDocuments stops counting here; above it the total is reported as "at least"
+const TOTAL_ESTIMATE_CAP = 10000;
+
+// Query params of every feed endpoint, for middleware/validate.js
+const feedQuerySchema = {
+    sort: oneOf(SORTS, { default: 'hot' }),
+    t: oneOf(TOP_WINDOWS, { default: 'day' }),
+    domain: string({ optional: true, max: 253 }),
+    submitter: string({ optional: true, max: 100 }),
+    tag: string({ optional: true, max: 100, lowercase: true }),
+    from: date({ optional: true }),
+    to: date({ optional: true }),
+    limit: integer({ default: 25, min: 1, max: 100, clamp: true }),
+    cursor: string({ optional: true, max: 500 }),
+};
+
+/**
+ * Lowercased hostname without a leading 'www.', used for the Link.domain field and ?domain= filter.
+ * @param {string} url
+ * @returns {string} The domain, or '' if the URL can't be parsed.
+ */
+const domainOf = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * Parses a date query param (ISO string or epoch ms), unless validation already did.
+ * @returns {Date|null|undefined} undefined when absent, null when invalid.
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    if (value instanceof Date) return value;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Builds the Mongo filter for the feed filters: ?domain=, ?submitter= (username or user id),
+ * ?from= / ?to= (createdAt range) and ?tag=.
+ * @param {object} query - req.query
+ * @returns {Promise<{ filter: object, error?: string }>}
+ */
+const parseFeedFilters = async (query) => {
+    const filter = {};
+
+    if (query.domain) {
+        filter.domain = String(query.domain).toLowerCase().replace(/^www\./, '');
+    }
+
+    if (query.tag) {
+        filter.tags = String(query.tag).toLowerCase();
+    }
+
+    if (query.submitter) {
+        const submitter = String(query.submitter);
+        // isValid() also accepts any 12-character string, which would swallow usernames
+        const user = /^[a-f0-9]{24}$/i.test(submitter)
+            ? { _id: submitter }
+            : await User.findOne({ username: submitter }).select('_id');
+        // An unknown username filters everything out rather than being ignored
+        filter.submittedBy = user ? user._id : new mongoose.Types.ObjectId();
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === null || to === null) {
+        return { filter, error: 'from/to must be ISO dates or epoch milliseconds' };
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    return { filter };
+};
+
+/**
+ * Shape of a link in every feed response.
+ * Expects submittedBy to be populated with at least 'username'.
+ */
+const toFeedLink = (link) => ({
+    id: link._id,
+    url: link.url,
+    title: link.title,
+    description: link.description,
+    imageUrl: link.imageUrl,
+    siteName: link.siteName,
+    domain: link.domain,
+    tags: link.tags,
+    username: link.submittedBy?.username,
+    submittedBy: link.submittedBy?._id,
+    score: link.votes,
+    upvotes: link.upvotes,
+    downvotes: link.downvotes,
+    commentsCount: link.commentsCount,
+    createdAt: link.createdAt,
+});
+
+/**
+ * Adds the user's vote (`userVote`) and saved state (`saved`) to feed links.
+ * Without a user the links are returned unchanged.
+ * @param {object[]} links - Links in their feed shape (see toFeedLink).
+ * @param {string} [userId]
+ * @returns {Promise<object[]>}
+ */
+const withViewerState = async (links, userId) => {
+    if (!userId) return links;
+    const ids = links.map(link => link.id);
+    const [votes, saved] = await Promise.all([userVotesFor(userId, 'Link', ids), savedLinkIdsFor(userId, ids)]);
+    return links.map(link => ({
+        ...link,
+        userVote: votes.get(link.id.toString()) || 0,
+        saved: saved.has(link.id.toString()),
+    }));
+};
+
+/**
+ * Runs one page of a feed query.
+ * @param {object} options
+ * @param {object} options.filter - Base Mongo filter (status, filters...). Combined with the cursor via $and.
+ * @param {string} options.key - Sort key; the sort is { [key]: -1, _id: -1 }.
+ * @param {string} [options.cursor] - Opaque cursor from a previous page's nextCursor.
+ * @param {number} options.limit - Page size.
+ * @param {string} [options.scope] - Identifies the sort/window the cursor belongs to.
+ * @param {string} [options.userId] - When set, each link gets the user's vote as `userVote`
+ * and whether they saved it as `saved`.
+ * @returns {Promise<{ links: object[], nextCursor: string|null, totalEstimate: number, error?: string }>}
+ */
+const fetchFeedPage = async ({ filter, key, cursor, limit, scope = key, userId }) => {
+    let pageFilter = filter;
+
+    if (cursor) {
+        const decoded = decodeCursor(cursor);
+        // A cursor from a different sort would silently return the wrong page
+        if (!decoded || decoded.k !== key || decoded.s !== scope) {
+            return { links: [], nextCursor: null, totalEstimate: 0, error: 'Invalid cursor' };
+        }
+        pageFilter = { $and: [filter, afterCursor(decoded)] };
+    }
+
+    const [docs, totalEstimate] = await Promise.all([
+        Link.find(pageFilter)
+            .sort({ [key]: -1, _id: -1 })
+            .limit(limit + 1) // One extra to know whether there's a next page
+            .populate('submittedBy', 'username'),
+        Link.countDocuments(filter, { limit: TOTAL_ESTIMATE_CAP }),
+    ]);
+
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        links: await withViewerState(page.map(toFeedLink), userId),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], key, { s: scope }) : null,
+        totalEstimate,
+    };
+};
+
+/**
+ * Runs a feed query from the ranking, filter and paging params shared by feed endpoints.
+ * `query` is req.query after validate({ query: feedQuerySchema }).
+ * `baseFilter` is merged in (e.g. { tags: 'llm' } for a topic feed).
+ * `userId` (optional) adds the user's own vote and saved state to each link.
+ * @returns {Promise<{ links: object[], nextCursor: string|null, totalEstimate: number }>}
+ * @throws {ApiError} 400 for a cursor from another sort.
+ */
+const getFeed = async (query, baseFilter = {}, userId) => {
+    const { sort: sortParam, t: windowParam } = query;
+
+    const { filter: userFilter, error } = await parseFeedFilters(query);
+    if (error) {
+        throw new ApiError(400, error);
+    }
+
+    const { filter: rankFilter, key } = feedQuery(sortParam, windowParam);
+    const filter = { $and: [rankFilter, userFilter, baseFilter].filter(part => Object.keys(part).length > 0) };
+
+    const page = await fetchFeedPage({
+        filter,
+        key,
+        cursor: query.cursor,
+        limit: query.limit,
+        scope: `${sortParam}:${windowParam}`,
+        userId,
+    });
+    if (page.error) {
+        throw new ApiError(400, page.error, { code: 'invalid_cursor' });
+    }
+
+    return page;
+};
+
+module.exports = { domainOf, parseFeedFilters, toFeedLink, withViewerState, fetchFeedPage, getFeed, feedQuerySchema };
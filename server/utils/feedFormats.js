@@ -0,0 +1,133 @@
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+//
+// Each takes the same feed description:
+//   { title, description, siteUrl, feedUrl, updated: Date, items: [...] }
+// where every item is
+//   { id, title, url, threadUrl, summary, imageUrl, author, tags, published: Date }
+
+/**
+ * Escapes text for XML element content and attribute values.
+ */
+const escapeXml = (value) => String(value ?? '')
+    // Strip characters that are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Best-effort MIME type for an image enclosure, from its file extension.
+ */
+const imageType = (url) => {
+    const match = String(url).toLowerCase().match(/\.(png|gif|webp|svg|avif|jpe?g)(?:$|[?#])/);
+    if (!match) return 'image/jpeg';
+    const ext = match[1];
+    if (ext === 'jpg' || ext === 'jpeg') return 'image/jpeg';
+    if (ext === 'svg') return 'image/svg+xml';
+    return `image/${ext}`;
+};
+
+/**
+ * RSS 2.0 with Atom self link. The enclosure length is unknown, so 0 is used (common practice).
+ */
+const buildRss = (feed) => {
+    const items = feed.items.map(item => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `      <comments>${escapeXml(item.threadUrl)}</comments>`,
+        `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+        item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+        item.summary ? `      <description>${escapeXml(item.summary)}</description>` : null,
+        ...(item.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+        item.imageUrl
+            ? `      <enclosure url="${escapeXml(item.imageUrl)}" length="0" type="${imageType(item.imageUrl)}" />`
+            : null,
+        '    </item>',
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.siteUrl)}</link>`,
+        `    <description>${escapeXml(feed.description)}</description>`,
+        `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+        `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+};
+
+/**
+ * Atom 1.0. The comment thread is linked with rel="replies" (RFC 4685).
+ */
+const buildAtom = (feed) => {
+    const entries = feed.items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(item.threadUrl)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" href="${escapeXml(item.url)}" />`,
+        `    <link rel="replies" type="text/html" href="${escapeXml(item.threadUrl)}" />`,
+        item.imageUrl
+            ? `    <link rel="enclosure" type="${imageType(item.imageUrl)}" href="${escapeXml(item.imageUrl)}" />`
+            : null,
+        `    <published>${item.published.toISOString()}</published>`,
+        `    <updated>${item.published.toISOString()}</updated>`,
+        item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+        ...(item.tags || []).map(tag => `    <category term="${escapeXml(tag)}" />`),
+        item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+        '  </entry>',
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(feed.feedUrl)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `  <link rel="self" href="${escapeXml(feed.feedUrl)}" />`,
+        `  <link rel="alternate" href="${escapeXml(feed.siteUrl)}" />`,
+        `  <updated>${feed.updated.toISOString()}</updated>`,
+        ...entries,
+        '</feed>',
+        '',
+    ].join('\n');
+};
+
+/**
+ * JSON Feed 1.1 (https://jsonfeed.org/version/1.1). Returns a string, like the XML builders.
+ */
+const buildJsonFeed = (feed) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: feed.items.map(item => ({
+        id: item.id,
+        url: item.threadUrl,
+        external_url: item.url,
+        title: item.title,
+        ...(item.summary ? { summary: item.summary, content_text: item.summary } : { content_text: '' }),
+        ...(item.imageUrl ? { image: item.imageUrl } : {}),
+        date_published: item.published.toISOString(),
+        ...(item.author ? { authors: [{ name: item.author }] } : {}),
+        ...(item.tags && item.tags.length ? { tags: item.tags } : {}),
+    })),
+}, null, 2);
+
+// Format name -> serializer and Content-Type
+const FORMATS = {
+    rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+    json: { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' },
+};
+
+module.exports = { FORMATS, buildRss, buildAtom, buildJsonFeed, escapeXml };
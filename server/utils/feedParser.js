@@ -0,0 +1,71 @@
+// Minimal RSS 2.0 / RSS 1.0 (RDF, used by arXiv) / Atom parser built on cheerio.
+// Only the fields the ingester needs are extracted.
+
+const cheerio = require('cheerio');
+
+/**
+ * Strips tags and collapses whitespace from an HTML fragment (feed descriptions are often HTML).
+ */
+const toText = (html) => {
+    if (!html) return '';
+    return cheerio.load(`<div>${html}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Parses a date string, returning null if it's missing or invalid.
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value.trim());
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parses feed XML into a list of items.
+ * @param {string} xml
+ * @returns {{ title: string, items: Array<{ id: string, title: string, url: string, summary: string, published: Date|null }> }}
+ * @throws {Error} If the document isn't a recognizable feed.
+ */
+const parseFeed = (xml) => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    // Atom: <feed><entry>
+    if ($('feed').length > 0) {
+        const items = $('feed > entry').map((i, el) => {
+            const entry = $(el);
+            const alternate = entry.children('link[rel="alternate"]').attr('href')
+                || entry.children('link:not([rel])').attr('href')
+                || entry.children('link').first().attr('href')
+                || '';
+            return {
+                id: entry.children('id').text().trim() || alternate,
+                title: toText(entry.children('title').text()),
+                url: alternate.trim(),
+                summary: toText(entry.children('summary').text() || entry.children('content').text()),
+                published: toDate(entry.children('published').text() || entry.children('updated').text()),
+            };
+        }).get();
+        return { title: toText($('feed > title').first().text()), items };
+    }
+
+    // RSS 2.0 (<rss><channel><item>) and RSS 1.0/RDF (<rdf:RDF><item>)
+    const itemNodes = $('item');
+    if ($('rss').length > 0 || $('rdf\\:RDF').length > 0 || itemNodes.length > 0) {
+        const items = itemNodes.map((i, el) => {
+            const item = $(el);
+            const link = item.children('link').text().trim() || item.attr('rdf:about') || '';
+            return {
+                id: item.children('guid').text().trim() || link,
+                title: toText(item.children('title').text()),
+                url: link,
+                summary: toText(item.children('description').text() || item.children('content\\:encoded').text()),
+                published: toDate(item.children('pubDate').text() || item.children('dc\\:date').text()),
+            };
+        }).get();
+        return { title: toText($('channel > title').first().text()), items };
+    }
+
+    throw new Error('Not an RSS or Atom feed');
+};
+
+module.exports = { parseFeed };
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { assertPublicHost, publicLookup } = require('./privateNetwork');
+
+// Limits for fetching a submitted page. We only need the <head>, so a couple of
+// megabytes is plenty, and a slow site should never hold up a submission.
+const FETCH_TIMEOUT_MS = parseInt(process.env.METADATA_TIMEOUT_MS, 10) || 5000;
+const MAX_CONTENT_LENGTH = 2 * 1024 * 1024; // 2 MB
+const MAX_REDIRECTS = 5;
+
+// Cap stored strings so a misbehaving page can't bloat the Link document
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const USER_AGENT = 'AITechAggregatorBot/1.0 (+metadata fetcher)';
+
+/**
+ * Collapses whitespace and trims a string to a maximum length.
+ * @param {string} value - Raw text from the page.
+ * @param {number} maxLength - Maximum number of characters to keep.
+ * @returns {string} Cleaned text, or '' when empty.
+ */
+const clean = (value, maxLength) => {
+    if (!value) return '';
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * Resolves a possibly relative URL against the page URL.
+ * @param {string} value - href/src/content value from the page.
+ * @param {string} baseUrl - The final URL of the fetched page.
+ * @returns {string} Absolute http(s) URL, or '' if it can't be resolved.
+ */
+const absolutize = (value, baseUrl) => {
+    if (!value) return '';
+    try {
+        const resolved = new URL(value.trim(), baseUrl);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * Returns the first non-empty value from a list of candidates.
+ * This is the fallback chain: OG tags first, then Twitter cards, then plain HTML.
+ */
+const firstOf = (...candidates) => candidates.find(value => value && value.trim()) || '';
+
+/**
+ * Extracts metadata from an HTML document.
+ * @param {string} html - Raw HTML of the page.
+ * @param {string} pageUrl - The final URL of the page (after redirects).
+ * @returns {{ title: string, description: string, imageUrl: string, canonicalUrl: string, siteName: string }}
+ */
+const extractMetadata = (html, pageUrl) => {
+    const $ = cheerio.load(html);
+    const meta = (key) => (
+        $(`meta[property="${key}"]`).attr('content') ||
+        $(`meta[name="${key}"]`).attr('content') ||
+        ''
+    );
+
+    const title = firstOf(
+        meta('og:title'),
+        meta('twitter:title'),
+        $('title').first().text(),
+        $('h1').first().text()
+    );
+
+    const description = firstOf(
+        meta('og:description'),
+        meta('twitter:description'),
+        meta('description')
+    );
+
+    const imageUrl = absolutize(firstOf(
+        meta('og:image:secure_url'),
+        meta('og:image'),
+        meta('og:image:url'),
+        meta('twitter:image'),
+        meta('twitter:image:src'),
+        $('link[rel="image_src"]').attr('href')
+    ), pageUrl);
+
+    const canonicalUrl = absolutize(firstOf(
+        $('link[rel="canonical"]').attr('href'),
+        meta('og:url')
+    ), pageUrl) || pageUrl;
+
+    let hostname = '';
+    try {
+        hostname = new URL(pageUrl).hostname.replace(/^www\./, '');
+    } catch (e) {
+        hostname = '';
+    }
+
+    const siteName = firstOf(
+        meta('og:site_name'),
+        meta('application-name'),
+        meta('twitter:site') && meta('twitter:site').replace(/^@/, ''),
+        hostname
+    );
+
+    return {
+        title: clean(title, MAX_TITLE_LENGTH),
+        description: clean(description, MAX_DESCRIPTION_LENGTH),
+        imageUrl,
+        canonicalUrl,
+        siteName: clean(siteName, MAX_TITLE_LENGTH),
+    };
+};
+
+/**
+ * Fetches a page and extracts its Open Graph / Twitter / HTML metadata.
+ * Never throws: if the page can't be fetched or isn't HTML, an object with
+ * empty fields is returned so the submission can still go through.
+ * @param {string} url - The submitted URL.
+ * @returns {Promise<{ title: string, description: string, imageUrl: string, canonicalUrl: string, siteName: string }>}
+ */
+const fetchMetadata = async (url) => {
+    const empty = { title: '', description: '', imageUrl: '', canonicalUrl: '', siteName: '' };
+
+    try {
+        // Submitted URLs are untrusted: refuse private addresses, both as IP literals
+        // here and on redirects, and as DNS answers through publicLookup on every hop.
+        assertPublicHost(new URL(url).hostname);
+
+        const response = await axios.get(url, {
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: MAX_CONTENT_LENGTH,
+            maxBodyLength: MAX_CONTENT_LENGTH,
+            maxRedirects: MAX_REDIRECTS,
+            beforeRedirect: options => assertPublicHost(options.hostname),
+            lookup: publicLookup,
+            // An environment proxy would do the resolving itself, bypassing the lookup
+            proxy: false,
+            responseType: 'text',
+            headers: {
+                'User-Agent': USER_AGENT,
+                Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+            },
+            // Treat anything other than 2xx as "no metadata"
+            validateStatus: status => status >= 200 && status < 300,
+        });
+
+        const contentType = response.headers['content-type'] || '';
+        if (!contentType.includes('html')) {
+            return empty;
+        }
+
+        // Follow redirects: relative URLs should resolve against the final location
+        const finalUrl = response.request?.res?.responseUrl || url;
+        return extractMetadata(response.data, finalUrl);
+    } catch (err) {
+        console.error(`Metadata fetch failed for ${url}: ${err.message}`);
+        return empty;
+    }
+};
+
+module.exports = { fetchMetadata, extractMetadata };
@@ -0,0 +1,102 @@
+// The personalized home feed (GET /api/feed/home): links from the users, tags
+// and domains someone follows, ranked exactly like the public feed.
+//
+// Per user, two things are cached in this process's memory:
+//   - the Mongo filter built from their follows (tag follows expand to
+//     subtopics), until they follow or unfollow something
+//   - each feed page they load, for PAGE_TTL_MS, without their votes and saved
+//     state, which are added fresh on every request
+// Users without follows get the global feed instead.
+
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const Tag = require('../models/Tag');
+const { getFeed, withViewerState } = require('./feed');
+const { withDescendantSlugs } = require('./tags');
+
+const FILTER_TTL_MS = 10 * 60 * 1000;
+const PAGE_TTL_MS = 30 * 1000;
+const MAX_CACHED_USERS = 1000;
+const MAX_CACHED_PAGES = 20; // Per user
+
+// userId -> { filter, builtAt, pages: Map(pageKey -> { page, cachedAt }) }
+const cache = new Map();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the filter matching links from everything the user follows.
+ * @returns {Promise<object|null>} null when they follow nothing.
+ */
+const buildFollowFilter = async (userId) => {
+    const follows = await Follow.find({ user: userId }).select('type target').lean();
+    if (follows.length === 0) return null;
+
+    const targets = (type) => follows.filter(follow => follow.type === type).map(follow => follow.target);
+    const userIds = targets('user').filter(id => mongoose.Types.ObjectId.isValid(id));
+    const tags = await Tag.find({ slug: { $in: targets('tag') } }).select('_id slug').lean();
+    const slugs = (await Promise.all(tags.map(withDescendantSlugs))).flat();
+    // A followed domain includes its subdomains, as in the blocklist
+    const domains = targets('domain').flatMap(domain => [domain, new RegExp(`\\.${escapeRegExp(domain)}$`)]);
+
+    const sources = [
+        userIds.length > 0 ? { submittedBy: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) } } : null,
+        slugs.length > 0 ? { tags: { $in: [...new Set(slugs)] } } : null,
+        domains.length > 0 ? { domain: { $in: domains } } : null,
+    ].filter(Boolean);
+
+    // Follows whose tags were deleted since match nothing, rather than everything
+    return sources.length > 0 ? { $or: sources } : { _id: null };
+};
+
+/**
+ * The cache entry for a user, building their filter if needed.
+ * Least recently used users are dropped past MAX_CACHED_USERS.
+ */
+const entryFor = async (userId) => {
+    let entry = cache.get(userId);
+    if (!entry || Date.now() - entry.builtAt > FILTER_TTL_MS) {
+        entry = { filter: await buildFollowFilter(userId), builtAt: Date.now(), pages: new Map() };
+    }
+    cache.delete(userId);
+    cache.set(userId, entry);
+    if (cache.size > MAX_CACHED_USERS) cache.delete(cache.keys().next().value);
+    return entry;
+};
+
+/**
+ * Forgets a user's cached filter and pages, after they follow or unfollow something.
+ * @param {string} userId
+ */
+const clearHomeFeedCache = (userId) => {
+    cache.delete(String(userId));
+};
+
+/**
+ * One page of the user's home feed.
+ * @param {string} userId
+ * @param {object} query - req.query after validate({ query: feedQuerySchema }).
+ * @returns {Promise<{ links: object[], nextCursor: string|null, totalEstimate: number, personalized: boolean }>}
+ *          `personalized` is false when the user follows nothing and got the global feed.
+ * @throws {ApiError} 400 for a bad cursor or date filter (see getFeed).
+ */
+const getHomeFeed = async (userId, query) => {
+    const entry = await entryFor(String(userId));
+    const pageKey = JSON.stringify(query);
+
+    let cached = entry.pages.get(pageKey);
+    if (!cached || Date.now() - cached.cachedAt > PAGE_TTL_MS) {
+        cached = { page: await getFeed(query, entry.filter || {}), cachedAt: Date.now() };
+        entry.pages.delete(pageKey);
+        entry.pages.set(pageKey, cached);
+        if (entry.pages.size > MAX_CACHED_PAGES) entry.pages.delete(entry.pages.keys().next().value);
+    }
+
+    return {
+        ...cached.page,
+        links: await withViewerState(cached.page.links, userId),
+        personalized: entry.filter !== null,
+    };
+};
+
+module.exports = { getHomeFeed, clearHomeFeedCache };
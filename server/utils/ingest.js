@@ -0,0 +1,220 @@
+// Scheduled ingestion of external AI news sources into the moderation queue.
+//
+// Every minute the scheduler picks enabled IngestSource documents whose
+// nextRunAt has passed, fetches their feed, and creates a 'pending' Link for
+// each item whose URL isn't already known. Links are attributed to a system
+// user so curators can tell them apart from member submissions.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const IngestSource = require('../models/IngestSource');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const { parseFeed } = require('./feedParser');
+const { cleanUrl, urlKey } = require('./canonicalUrl');
+const { domainOf } = require('./feed');
+const { rankingFields } = require('./ranking');
+const { suggestTags, MAX_TAGS_PER_LINK } = require('./tags');
+const { findBlockedDomain } = require('./blocklist');
+
+const SYSTEM_USERNAME = process.env.INGEST_USERNAME || 'ingest-bot';
+const SYSTEM_EMAIL = process.env.INGEST_EMAIL || 'ingest-bot@localhost';
+
+const TICK_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+// Failing sources back off: interval * 2^failures, capped at one day
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+/**
+ * The URL polled for a source.
+ * @param {object} source - IngestSource document.
+ * @returns {string}
+ */
+const sourceFeedUrl = (source) => {
+    if (source.url) return source.url;
+    if (source.type === 'arxiv') return `https://rss.arxiv.org/rss/${encodeURIComponent(source.category)}`;
+    if (source.type === 'github') return `https://github.com/${source.repo}/releases.atom`;
+    return '';
+};
+
+/**
+ * Whether a username is kept for the system account, whatever its case.
+ * @param {string} username
+ * @returns {boolean}
+ */
+const isReservedUsername = username => String(username).toLowerCase() === SYSTEM_USERNAME.toLowerCase();
+
+/**
+ * Finds (or creates on first use) the user that ingested links are attributed to.
+ * Its password is random and never stored in plain text, so nobody can log in as it.
+ * @returns {Promise<object>} The system User document.
+ * @throws {Error} When a regular account already has the system username.
+ */
+const getSystemUser = async () => {
+    const existing = await User.findOne({ isSystem: true });
+    if (existing) return existing;
+
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    try {
+        return await new User({ username: SYSTEM_USERNAME, email: SYSTEM_EMAIL, password, emailVerified: true, isSystem: true }).save();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        // Another process created it first, or the name belongs to someone else
+        const created = await User.findOne({ isSystem: true });
+        if (created) return created;
+        throw new Error(`Username '${SYSTEM_USERNAME}' is taken by a regular account; set INGEST_USERNAME to another name`);
+    }
+};
+
+const truncate = (value, max) => (value.length > max ? `${value.substring(0, max - 1)}…` : value);
+
+/**
+ * Fetches and ingests one source, then records its health.
+ * @param {object} source - IngestSource document.
+ * @returns {Promise<{ seen: number, created: number, error?: string }>}
+ */
+const runSource = async (source) => {
+    const startedAt = new Date();
+    let seen = 0;
+    let created = 0;
+
+    try {
+        const response = await axios.get(sourceFeedUrl(source), {
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: MAX_FEED_BYTES,
+            responseType: 'text',
+            headers: {
+                'User-Agent': 'AITechAggregatorBot/1.0 (+feed ingestion)',
+                Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.5',
+            },
+        });
+
+        const { items } = parseFeed(response.data);
+        const systemUser = await getSystemUser();
+        const candidates = items.slice(0, source.maxItemsPerRun);
+        seen = candidates.length;
+
+        for (const item of candidates) {
+            const url = cleanUrl(item.url);
+            if (!url || !item.title) continue;
+            if (await findBlockedDomain(domainOf(url))) continue;
+
+            const key = urlKey(url);
+            if (await Link.exists({ $or: [{ normalizedUrl: key }, { url }] })) continue;
+
+            // GitHub release titles are just the version; prefix the repo so they make sense in the feed
+            const title = truncate(source.type === 'github' && source.repo
+                ? `${source.repo} ${item.title}`
+                : item.title, MAX_TITLE_LENGTH);
+            const description = truncate(item.summary || '', MAX_DESCRIPTION_LENGTH);
+
+            const suggested = await suggestTags({ title, description });
+            const tags = [...new Set([...(source.tags || []), ...suggested])].slice(0, MAX_TAGS_PER_LINK);
+
+            const createdAt = new Date();
+            try {
+                await new Link({
+                    url,
+                    normalizedUrl: key,
+                    submittedBy: systemUser._id,
+                    title,
+                    description,
+                    siteName: source.name,
+                    domain: domainOf(url),
+                    tags,
+                    status: 'pending',
+                    votes: 0,
+                    createdAt,
+                    ...rankingFields({ votes: 0, createdAt }),
+                }).save();
+                created += 1;
+            } catch (err) {
+                // Submitted by someone else between the check and the insert
+                if (err.code !== 11000) throw err;
+            }
+        }
+
+        await IngestSource.updateOne({ _id: source._id }, {
+            $set: {
+                lastRunAt: startedAt,
+                lastSuccessAt: new Date(),
+                lastStatus: 'ok',
+                lastError: '',
+                lastItemsSeen: seen,
+                lastItemsCreated: created,
+                consecutiveFailures: 0,
+                nextRunAt: new Date(Date.now() + source.intervalMinutes * 60 * 1000),
+            },
+            $inc: { totalItemsCreated: created },
+        });
+
+        return { seen, created };
+    } catch (err) {
+        const failures = (source.consecutiveFailures || 0) + 1;
+        const backoffMinutes = Math.min(source.intervalMinutes * Math.pow(2, failures - 1), MAX_BACKOFF_MINUTES);
+
+        await IngestSource.updateOne({ _id: source._id }, {
+            $set: {
+                lastRunAt: startedAt,
+                lastStatus: 'error',
+                lastError: err.message.substring(0, 500),
+                lastItemsSeen: seen,
+                lastItemsCreated: created,
+                consecutiveFailures: failures,
+                nextRunAt: new Date(Date.now() + backoffMinutes * 60 * 1000),
+            },
+            $inc: { totalItemsCreated: created },
+        });
+
+        console.error(`Ingestion failed for source "${source.name}": ${err.message}`);
+        return { seen, created, error: err.message };
+    }
+};
+
+let running = false;
+
+/**
+ * Runs every due source once, one at a time. Skips if the previous tick is still running.
+ */
+const runDueSources = async () => {
+    if (running) return;
+    running = true;
+    try {
+        const due = await IngestSource.find({ enabled: true, nextRunAt: { $lte: new Date() } }).sort({ nextRunAt: 1 });
+        for (const source of due) {
+            await runSource(source);
+        }
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts the ingestion scheduler. Set INGEST_ENABLED=false to turn it off (e.g. on secondary instances).
+ * @returns {object|null} The interval handle, or null when disabled.
+ */
+const startIngestScheduler = () => {
+    if (process.env.INGEST_ENABLED === 'false') return null;
+
+    const tick = () => runDueSources()
+        .catch(err => console.error('Ingestion scheduler error:', err.message));
+    const handle = setInterval(tick, TICK_MS);
+    handle.unref();
+    tick();
+    return handle;
+};
+
+module.exports = {
+    SYSTEM_USERNAME,
+    SYSTEM_EMAIL,
+    isReservedUsername,
+    sourceFeedUrl,
+    getSystemUser,
+    runSource,
+    runDueSources,
+    startIngestScheduler,
+};
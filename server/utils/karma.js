@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+
+/**
+ * A user's karma: the net votes (upvotes minus downvotes) on their approved
+ * links and on their comments, computed from the stored counts. Comments that
+ * were later deleted still count, so deleting doesn't undo downvotes.
+ * Also returns how many approved links and live comments the user has.
+ * @param {ObjectId|string} userId
+ * @returns {Promise<{ karma: { links: number, comments: number, total: number }, counts: { links: number, comments: number } }>}
+ */
+const getKarma = async (userId) => {
+    const id = new mongoose.Types.ObjectId(String(userId));
+    const [[links], [comments]] = await Promise.all([
+        Link.aggregate([
+            { $match: { submittedBy: id, status: 'approved' } },
+            { $group: { _id: null, karma: { $sum: '$votes' }, count: { $sum: 1 } } },
+        ]),
+        Comment.aggregate([
+            { $match: { postedBy: id } },
+            {
+                $group: {
+                    _id: null,
+                    karma: { $sum: '$votes' },
+                    count: { $sum: { $cond: ['$isDeleted', 0, 1] } },
+                },
+            },
+        ]),
+    ]);
+
+    const linkKarma = links?.karma || 0;
+    const commentKarma = comments?.karma || 0;
+    return {
+        karma: { links: linkKarma, comments: commentKarma, total: linkKarma + commentKarma },
+        counts: { links: links?.count || 0, comments: comments?.count || 0 },
+    };
+};
+
+module.exports = { getKarma };
@@ -0,0 +1,82 @@
+// Outgoing mail through a pluggable transport, chosen with MAIL_TRANSPORT:
+//
+//   smtp     SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for port 465), SMTP_USER, SMTP_PASS.
+//            Point it at a local fake SMTP server (e.g. MailHog on port 1025) to test the flows.
+//   file     Writes each message as an .eml file to MAIL_DIR (default ./mail).
+//   console  Logs each message (the default outside production).
+//
+// Anything else with a nodemailer-style sendMail(message) can be installed with setTransport().
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'AI Tech Aggregator <no-reply@localhost>';
+
+/**
+ * Builds the transport named by MAIL_TRANSPORT.
+ * @returns {{ sendMail: function(object): Promise<object> }}
+ */
+const createTransport = () => {
+    const type = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (type === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+
+    if (type === 'file') {
+        const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+        const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return {
+            sendMail: async (message) => {
+                const info = await stream.sendMail(message);
+                await fs.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+                await fs.writeFile(file, info.message);
+                return { ...info, file };
+            },
+        };
+    }
+
+    if (type === 'console') {
+        return {
+            sendMail: async (message) => {
+                console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+                return { messageId: `console-${Date.now()}` };
+            },
+        };
+    }
+
+    throw new Error(`Unknown MAIL_TRANSPORT '${type}'. Use smtp, file or console.`);
+};
+
+let transport = null;
+
+/**
+ * Replaces the transport, e.g. with a stub in a script or another nodemailer transport.
+ * @param {{ sendMail: function(object): Promise<object> }} customTransport
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Sends a message. Errors propagate, so callers decide whether a failed send matters.
+ * @param {object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ * @returns {Promise<object>} The transport's result.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!transport) transport = createTransport();
+    return transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport };
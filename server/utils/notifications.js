@@ -0,0 +1,265 @@
+// Notifications: creating them when something happens to a user's content,
+// their client shape, and the daily email digest.
+//
+// Generated by:
+//   routes/moderationRoutes.js  link_approved / link_rejected, to the submitter
+//   routes/commentRoutes.js     comment_reply, to the parent comment's author, and
+//                               mention, to each @username in a new or edited comment
+//   utils/reports.js            content_warning, to the author of reported content a curator warned
+//
+// Nobody is notified about their own actions, and each type except warnings can
+// be turned off in the user's preferences (User.notifications). Users who turn on
+// emailDigest get their unread, not yet emailed notifications once a day
+// through utils/mailer.js.
+
+const Notification = require('../models/Notification');
+const Link = require('../models/Link');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// The User.notifications preference that controls each type
+const TYPE_PREFERENCE = {
+    link_approved: 'moderation',
+    link_rejected: 'moderation',
+    comment_reply: 'replies',
+    mention: 'mentions',
+    // content_warning has no preference: it's always sent
+};
+
+// Same characters as usernames (routes/userRoutes.js), not preceded by a word
+// character so email addresses don't count
+const MENTION_PATTERN = /(?<![\w.@-])@([\w.-]{3,30})/g;
+const MAX_MENTIONS = 10;
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DIGEST_TICK_MS = 60 * 60 * 1000; // How often to look for users due a digest
+const DIGEST_BATCH_SIZE = 200;
+const MAX_DIGEST_ITEMS = 20;
+
+/**
+ * Usernames @mentioned in a comment, without duplicates.
+ * @param {string} content
+ * @returns {string[]}
+ */
+const mentionedUsernames = (content) => [...new Set(
+    [...(content || '').matchAll(MENTION_PATTERN)].map(match => match[1].replace(/[.-]+$/, ''))
+)].slice(0, MAX_MENTIONS);
+
+/**
+ * Saves notifications, leaving out self-notifications and types the recipient turned off.
+ * @param {Array<object>} entries - Notification fields (user, type, actor, link, comment, reason).
+ * @returns {Promise<Array<object>>} The notifications created.
+ */
+const createNotifications = async (entries) => {
+    const wanted = entries.filter(entry => !entry.actor || String(entry.actor) !== String(entry.user));
+    if (wanted.length === 0) return [];
+
+    const recipients = await User.find({ _id: { $in: wanted.map(entry => entry.user) } }).select('notifications').lean();
+    const preferences = new Map(recipients.map(user => [user._id.toString(), user.notifications || {}]));
+
+    const allowed = wanted.filter(entry => {
+        const prefs = preferences.get(String(entry.user));
+        return prefs && (!TYPE_PREFERENCE[entry.type] || prefs[TYPE_PREFERENCE[entry.type]] !== false);
+    });
+    return allowed.length > 0 ? Notification.insertMany(allowed) : [];
+};
+
+/**
+ * Runs a notification job without blocking or failing the request that triggered it.
+ */
+const dispatch = (job) => {
+    job().catch(err => console.error('Notification error:', err.message));
+};
+
+/**
+ * Tells submitters that their links were approved or rejected.
+ * @param {Array<string|object>} linkIds
+ * @param {'approve'|'reject'} action
+ * @param {string} curatorId
+ * @param {string} [reason] - The rejection reason.
+ */
+const notifyModeration = (linkIds, action, curatorId, reason = '') => dispatch(async () => {
+    const links = await Link.find({ _id: { $in: linkIds } }).select('submittedBy').lean();
+    await createNotifications(links.filter(link => link.submittedBy).map(link => ({
+        user: link.submittedBy,
+        type: action === 'approve' ? 'link_approved' : 'link_rejected',
+        actor: curatorId,
+        link: link._id,
+        reason: action === 'reject' ? reason : '',
+    })));
+});
+
+/**
+ * Tells the parent comment's author about a reply, and anyone @mentioned about the mention.
+ * On an edit, only usernames that weren't already mentioned are notified.
+ * @param {object} comment - The saved comment (_id, link, postedBy, content).
+ * @param {object} [options]
+ * @param {string|object} [options.replyTo] - Author of the parent comment, for a new reply.
+ * @param {string} [options.previousContent] - The content before an edit.
+ */
+const notifyComment = (comment, { replyTo, previousContent } = {}) => dispatch(async () => {
+    const base = { actor: comment.postedBy._id || comment.postedBy, link: comment.link, comment: comment._id };
+    const entries = replyTo ? [{ ...base, user: replyTo, type: 'comment_reply' }] : [];
+
+    const alreadyMentioned = new Set(mentionedUsernames(previousContent));
+    const usernames = mentionedUsernames(comment.content).filter(name => !alreadyMentioned.has(name));
+    if (usernames.length > 0) {
+        const users = await User.find({ username: { $in: usernames } }).select('_id').lean();
+        users
+            // The reply notification already covers the parent's author
+            .filter(user => !replyTo || user._id.toString() !== String(replyTo))
+            .forEach(user => entries.push({ ...base, user: user._id, type: 'mention' }));
+    }
+
+    await createNotifications(entries);
+});
+
+/**
+ * Warns the author of reported content after a curator reviewed the reports.
+ * @param {object} warning
+ * @param {string|object} warning.user - The author.
+ * @param {string} warning.curatorId
+ * @param {string|object} [warning.link] - The link, or the link the comment is on.
+ * @param {string|object} [warning.comment]
+ * @param {string} [warning.reason] - The curator's note.
+ */
+const notifyWarning = ({ user, curatorId, link = null, comment = null, reason = '' }) => dispatch(async () => {
+    await createNotifications([{ user, type: 'content_warning', actor: curatorId, link, comment, reason }]);
+});
+
+/**
+ * One-line description of a notification, for the client and the digest.
+ * @param {object} notification - With actor and link populated.
+ */
+const describeNotification = (notification) => {
+    const actor = notification.actor?.username || 'Someone';
+    const title = notification.link?.title ? `"${notification.link.title}"` : 'a link';
+    const yourLink = notification.link?.title ? `Your link ${title}` : 'Your link';
+    switch (notification.type) {
+        case 'link_approved':
+            return `${yourLink} was approved`;
+        case 'link_rejected':
+            return `${yourLink} was rejected${notification.reason ? `: ${notification.reason}` : ''}`;
+        case 'comment_reply':
+            return `${actor} replied to your comment on ${title}`;
+        case 'mention':
+            return `${actor} mentioned you in a comment on ${title}`;
+        case 'content_warning': {
+            const what = notification.comment ? `your comment on ${title}` : yourLink.replace('Your', 'your');
+            return `A curator warned you about ${what}${notification.reason ? `: ${notification.reason}` : ''}`;
+        }
+        default:
+            return 'New notification';
+    }
+};
+
+// Shape returned to the client for a notification (actor and link populated)
+const toClientNotification = (notification) => ({
+    id: notification._id,
+    type: notification.type,
+    message: describeNotification(notification),
+    actor: notification.actor ? { id: notification.actor._id, username: notification.actor.username } : null,
+    link: notification.link ? { id: notification.link._id, title: notification.link.title, url: notification.link.url } : null,
+    comment: notification.comment,
+    reason: notification.reason,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt,
+});
+
+/**
+ * Emails one user their unread notifications that haven't been emailed yet.
+ * The user is claimed first, so two server instances never send the same digest.
+ * @param {object} user - User document (_id, username, email, lastDigestAt).
+ * @returns {Promise<boolean>} Whether an email was sent.
+ */
+const sendDigest = async (user) => {
+    const now = new Date();
+    const claimed = await User.updateOne({ _id: user._id, lastDigestAt: user.lastDigestAt }, { $set: { lastDigestAt: now } });
+    if (claimed.modifiedCount === 0) return false;
+
+    const notifications = await Notification.find({ user: user._id, readAt: null, emailedAt: null })
+        .sort({ createdAt: -1 })
+        .limit(MAX_DIGEST_ITEMS + 1)
+        .populate('actor', 'username')
+        .populate('link', 'title')
+        .lean();
+    if (notifications.length === 0) return false;
+
+    const shown = notifications.slice(0, MAX_DIGEST_ITEMS);
+    const more = notifications.length > MAX_DIGEST_ITEMS ? '\nAnd more.\n' : '';
+    await sendMail({
+        to: user.email,
+        subject: shown.length === 1 ? 'You have a new notification' : `You have ${shown.length}${more ? '+' : ''} new notifications`,
+        text: `Hi ${user.username},\n\n`
+            + 'Here\'s what happened since your last digest:\n\n'
+            + shown.map(notification => `- ${describeNotification(notification)}`).join('\n') + '\n'
+            + more
+            + `\nSee them all at ${SITE_URL}/\n\n`
+            + 'You get this email because you turned on the daily digest. You can turn it off in your notification settings.\n',
+    });
+
+    // Everything up to the newest one sent counts as emailed, including the ones past the limit
+    await Notification.updateMany(
+        { user: user._id, readAt: null, emailedAt: null, createdAt: { $lte: notifications[0].createdAt } },
+        { $set: { emailedAt: now } }
+    );
+    return true;
+};
+
+/**
+ * Sends the digest to every verified user who opted in and hasn't had one in the last day.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const sendDueDigests = async () => {
+    const due = new Date(Date.now() - DIGEST_INTERVAL_MS);
+    const users = await User.find({
+        'notifications.emailDigest': true,
+        emailVerified: true,
+        $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: due } }],
+    })
+        .select('username email lastDigestAt')
+        .limit(DIGEST_BATCH_SIZE);
+
+    let sent = 0;
+    let failed = 0;
+    for (const user of users) {
+        try {
+            if (await sendDigest(user)) sent++;
+        } catch (err) {
+            failed++;
+            console.error(`Digest for ${user.username} failed:`, err.message);
+        }
+    }
+    return { sent, failed };
+};
+
+/**
+ * Starts the hourly check for digests that are due. Returns the interval handle,
+ * or null when NOTIFICATION_DIGEST_ENABLED is 'false'.
+ */
+const startDigestScheduler = () => {
+    if (process.env.NOTIFICATION_DIGEST_ENABLED === 'false') return null;
+
+    const tick = () => sendDueDigests()
+        .catch(err => console.error('Digest scheduler error:', err.message));
+    const handle = setInterval(tick, DIGEST_TICK_MS);
+    handle.unref();
+    tick();
+    return handle;
+};
+
+module.exports = {
+    TYPE_PREFERENCE,
+    mentionedUsernames,
+    createNotifications,
+    notifyModeration,
+    notifyComment,
+    notifyWarning,
+    describeNotification,
+    toClientNotification,
+    sendDigest,
+    sendDueDigests,
+    startDigestScheduler,
+};
@@ -0,0 +1,197 @@
+// OAuth2 / OpenID Connect sign-in (authorization code flow with PKCE).
+//
+// Providers are enabled by configuring their client credentials:
+//   github   GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET (plain OAuth2; email from the API)
+//   google   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET (OIDC, issuer https://accounts.google.com)
+//   oidc     OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_NAME
+//            Any other OIDC provider, e.g. a local mock provider for tests.
+//
+// ID tokens come straight from the token endpoint over TLS, so (as OIDC Core
+// 3.1.3.7 allows) their signature isn't checked; iss, aud, exp and nonce are.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const PROVIDERS = {
+    github: {
+        name: 'GitHub',
+        type: 'oauth2',
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        authorizeUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        scope: 'read:user user:email',
+    },
+    google: {
+        name: 'Google',
+        type: 'oidc',
+        issuer: 'https://accounts.google.com',
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        scope: 'openid email profile',
+    },
+    oidc: {
+        name: process.env.OIDC_NAME || 'Single sign-on',
+        type: 'oidc',
+        issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scope: 'openid email profile',
+    },
+};
+
+/**
+ * The provider config for a key, or null if unknown or not configured.
+ */
+const getProvider = (key) => {
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, key) ? PROVIDERS[key] : null;
+    if (!provider || !provider.clientId || !provider.clientSecret) return null;
+    if (provider.type === 'oidc' && !provider.issuer) return null;
+    return provider;
+};
+
+/**
+ * Providers that are configured, for the login page.
+ * @returns {Array<{ id: string, name: string }>}
+ */
+const listProviders = () => Object.keys(PROVIDERS)
+    .filter(key => getProvider(key))
+    .map(key => ({ id: key, name: PROVIDERS[key].name }));
+
+// OIDC discovery documents, fetched once per issuer
+const discoveryCache = new Map();
+
+const discover = async (issuer) => {
+    if (!discoveryCache.has(issuer)) {
+        const request = axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS })
+            .then(response => response.data)
+            .catch((err) => {
+                discoveryCache.delete(issuer); // Retry on the next sign-in
+                throw err;
+            });
+        discoveryCache.set(issuer, request);
+    }
+    return discoveryCache.get(issuer);
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Providers keep the case the address was registered with; User.email is stored lowercased
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+/**
+ * Starts a sign-in: the URL to send the browser to, and the values to remember until the callback.
+ * @param {object} provider - From getProvider().
+ * @param {string} redirectUri - This server's callback URL for the provider.
+ * @returns {Promise<{ url: string, state: string, verifier: string, nonce: string }>}
+ */
+const buildAuthorizationUrl = async (provider, redirectUri) => {
+    const authorizeUrl = provider.type === 'oidc'
+        ? (await discover(provider.issuer)).authorization_endpoint
+        : provider.authorizeUrl;
+
+    const state = randomToken();
+    const verifier = randomToken();
+    const nonce = randomToken();
+    const params = new URLSearchParams({
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: provider.scope,
+        state,
+        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+        code_challenge_method: 'S256',
+    });
+    if (provider.type === 'oidc') params.set('nonce', nonce);
+
+    return { url: `${authorizeUrl}?${params}`, state, verifier, nonce };
+};
+
+/**
+ * Exchanges the authorization code at the token endpoint.
+ */
+const exchangeCode = async (tokenUrl, provider, { code, redirectUri, verifier }) => {
+    const response = await axios.post(tokenUrl, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: verifier,
+    }).toString(), {
+        timeout: HTTP_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    });
+
+    // GitHub reports errors with a 200 and an `error` field
+    if (response.data.error) {
+        throw new Error(response.data.error_description || response.data.error);
+    }
+    return response.data;
+};
+
+const fetchGitHubProfile = async (accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+    const [{ data: profile }, { data: emails }] = await Promise.all([
+        axios.get('https://api.github.com/user', { headers, timeout: HTTP_TIMEOUT_MS }),
+        axios.get('https://api.github.com/user/emails', { headers, timeout: HTTP_TIMEOUT_MS }),
+    ]);
+    const primary = (emails || []).find(email => email.primary) || (emails || [])[0];
+
+    return {
+        subject: String(profile.id),
+        email: normalizeEmail(primary ? primary.email : profile.email),
+        emailVerified: !!(primary && primary.verified),
+        username: profile.login,
+        name: profile.name || profile.login,
+    };
+};
+
+const profileFromIdToken = (provider, idToken, nonce) => {
+    const claims = jwt.decode(idToken);
+    if (!claims) throw new Error('Provider returned no ID token');
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    // Google issues both forms of its issuer
+    const issuers = [provider.issuer, provider.issuer.replace(/^https:\/\//, '')];
+    if (!issuers.includes(claims.iss)) throw new Error('ID token has the wrong issuer');
+    if (!audiences.includes(provider.clientId)) throw new Error('ID token is for another client');
+    if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('ID token has expired');
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+
+    return {
+        subject: String(claims.sub),
+        email: normalizeEmail(claims.email),
+        // Some providers send the claim as a string
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        username: claims.preferred_username || (claims.email || '').split('@')[0],
+        name: claims.name,
+    };
+};
+
+/**
+ * Completes a sign-in from the provider's callback.
+ * @param {object} provider - From getProvider().
+ * @param {object} options
+ * @param {string} options.code - The authorization code from the callback.
+ * @param {string} options.redirectUri - Must match the one used to start the sign-in.
+ * @param {string} options.verifier - PKCE verifier saved when the sign-in started.
+ * @param {string} options.nonce - Nonce saved when the sign-in started.
+ * @returns {Promise<{ subject: string, email: string, emailVerified: boolean, username: string, name: string }>}
+ *          `email` is trimmed and lowercased ('' when the provider has none).
+ */
+const fetchProfile = async (provider, { code, redirectUri, verifier, nonce }) => {
+    if (provider.type === 'oidc') {
+        const config = await discover(provider.issuer);
+        const tokens = await exchangeCode(config.token_endpoint, provider, { code, redirectUri, verifier });
+        return profileFromIdToken(provider, tokens.id_token, nonce);
+    }
+
+    const tokens = await exchangeCode(provider.tokenUrl, provider, { code, redirectUri, verifier });
+    return fetchGitHubProfile(tokens.access_token);
+};
+
+module.exports = { getProvider, listProviders, buildAuthorizationUrl, fetchProfile };
@@ -0,0 +1,62 @@
+// Keyset (cursor) pagination helpers.
+//
+// A cursor is an opaque base64url string holding the sort value and _id of the
+// last item on the previous page. The next page starts strictly after that
+// (value, _id) pair, so inserts and vote changes elsewhere in the list don't
+// shift pages the way skip/limit does. Only an item whose own sort value
+// changes can move across a page boundary; clients dedupe by id.
+
+const mongoose = require('mongoose');
+
+/**
+ * Encodes the position after `item` for a sort on `key` (descending, _id tiebreak).
+ * @param {object} item - The last document on the page.
+ * @param {string} key - Sort field name, e.g. 'hotScore' or 'createdAt'.
+ * @param {object} [extra] - Extra values to carry (e.g. the sort name, for validation).
+ * @returns {string}
+ */
+const encodeCursor = (item, key, extra = {}) => {
+    const value = item[key];
+    const payload = {
+        ...extra,
+        k: key,
+        v: value instanceof Date ? value.getTime() : value,
+        d: value instanceof Date,
+        id: item._id.toString(),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @returns {object|null} The payload with `v` revived, or null if the cursor is malformed.
+ */
+const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!payload.k || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+        return {
+            ...payload,
+            v: payload.d ? new Date(payload.v) : payload.v,
+            id: new mongoose.Types.ObjectId(payload.id),
+        };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Mongo filter for "everything after the cursor" on a { key: -1, _id: -1 } sort.
+ * @param {object} cursor - Decoded cursor.
+ * @returns {object}
+ */
+const afterCursor = (cursor) => ({
+    $or: [
+        { [cursor.k]: { $lt: cursor.v } },
+        { [cursor.k]: cursor.v, _id: { $lt: cursor.id } },
+    ],
+});
+
+module.exports = { encodeCursor, decodeCursor, afterCursor };
@@ -0,0 +1,74 @@
+// Guards for fetching user-submitted URLs (SSRF): the server must not be made to
+// request loopback, private-network or cloud metadata addresses.
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, carrier-grade NAT, link-local (including cloud metadata at
+// 169.254.169.254), documentation, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are blocked as a whole rather than unwrapped. The families get
+// separate lists because a BlockList matches IPv4 addresses against IPv4-mapped
+// IPv6 rules too.
+const blockedV4 = new net.BlockList();
+const blockedV6 = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => blockedV4.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64],
+    ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => blockedV6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is in a loopback, private, link-local or reserved range.
+ * @param {string} address - IPv4 or IPv6 address (IPv6 may be wrapped in brackets).
+ * @returns {boolean} false for public addresses and for anything that isn't an IP.
+ */
+const isPrivateAddress = (address) => {
+    const ip = String(address).replace(/^\[|\]$/g, '');
+    const family = net.isIP(ip);
+    if (family === 0) return false;
+    return family === 4 ? blockedV4.check(ip, 'ipv4') : blockedV6.check(ip, 'ipv6');
+};
+
+const privateAddressError = (hostname) => {
+    const err = new Error(`Refusing to connect to private address for ${hostname}`);
+    err.code = 'EPRIVATEADDRESS';
+    return err;
+};
+
+/**
+ * Throws when a URL's host is an IP literal in a private range. Hostnames are
+ * left to publicLookup, since they are only known once resolved.
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets are fine).
+ */
+const assertPublicHost = (hostname) => {
+    if (isPrivateAddress(hostname)) {
+        throw privateAddressError(hostname);
+    }
+};
+
+/**
+ * Drop-in replacement for dns.lookup that fails when any resolved address is private.
+ * Used as the connection lookup, so it applies to every redirect hop and can't be
+ * raced by a DNS answer that changes between a check and the connect.
+ */
+const publicLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(privateAddressError(hostname));
+        }
+        callback(null, address, family);
+    });
+};
+
+module.exports = { isPrivateAddress, assertPublicHost, publicLookup };
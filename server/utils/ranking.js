@@ -0,0 +1,160 @@
+// Ranking scores for the public feed.
+//
+// "hot" uses the Reddit formula: log10 of the net votes plus the submission time
+// divided by a decay constant. Because it only depends on the votes and the
+// creation time, it never goes stale and is recomputed only when votes change.
+//
+// "rising" is HN-style velocity (votes per hour, with gravity). It decays with
+// age, so it's refreshed periodically for recent links by startRankingRefresh().
+
+const Link = require('../models/Link');
+
+// Epoch for hot scores (Dec 2025); keeps the numbers small
+const HOT_EPOCH_SECONDS = 1764547200;
+// Seconds of age that equal a 10x vote difference (12.5 hours, same as Reddit)
+const HOT_DECAY_SECONDS = 45000;
+
+const RISING_GRAVITY = 1.8;
+const RISING_WINDOW_HOURS = 48; // Links older than this aren't "rising"
+const RISING_REFRESH_MS = 10 * 60 * 1000; // Recompute rising scores every 10 minutes
+
+// Windows for ?sort=top&t=
+const TOP_WINDOWS_MS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null,
+};
+
+const SORTS = ['hot', 'top', 'new', 'rising'];
+
+/**
+ * Reddit-style hot score.
+ * @param {number} votes - Net votes on the link.
+ * @param {Date} createdAt - When the link was submitted.
+ * @returns {number}
+ */
+const hotScore = (votes, createdAt) => {
+    const order = Math.log10(Math.max(Math.abs(votes), 1));
+    const sign = votes > 0 ? 1 : votes < 0 ? -1 : 0;
+    const seconds = new Date(createdAt).getTime() / 1000 - HOT_EPOCH_SECONDS;
+    return Number((sign * order + seconds / HOT_DECAY_SECONDS).toFixed(7));
+};
+
+/**
+ * HN-style velocity score. Returns 0 once the link is outside the rising window.
+ * @param {number} votes - Net votes on the link.
+ * @param {Date} createdAt - When the link was submitted.
+ * @param {Date} [now] - Reference time (defaults to now).
+ * @returns {number}
+ */
+const risingScore = (votes, createdAt, now = new Date()) => {
+    const ageHours = (now.getTime() - new Date(createdAt).getTime()) / (60 * 60 * 1000);
+    if (ageHours > RISING_WINDOW_HOURS || votes <= 0) return 0;
+    return votes / Math.pow(Math.max(ageHours, 0) + 2, RISING_GRAVITY);
+};
+
+/**
+ * Both precomputed scores for a link, ready for $set.
+ * @param {{ votes: number, createdAt: Date }} link
+ */
+const rankingFields = (link) => ({
+    hotScore: hotScore(link.votes || 0, link.createdAt),
+    risingScore: risingScore(link.votes || 0, link.createdAt),
+});
+
+/**
+ * Recomputes and stores the ranking scores of one link (after a vote).
+ * @param {string|ObjectId} linkId
+ * @returns {Promise<object|null>} The updated link, or null if it doesn't exist.
+ */
+const refreshLinkRanking = async (linkId) => {
+    const link = await Link.findById(linkId).select('votes createdAt');
+    if (!link) return null;
+    return Link.findByIdAndUpdate(linkId, { $set: rankingFields(link) }, { new: true });
+};
+
+/**
+ * Recomputes rising scores for every approved link still inside the rising window,
+ * and zeroes out links that just left it.
+ */
+const refreshRisingScores = async () => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - RISING_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const recent = await Link.find({ status: 'approved', createdAt: { $gte: windowStart } })
+        .select('votes createdAt');
+
+    if (recent.length > 0) {
+        await Link.bulkWrite(recent.map(link => ({
+            updateOne: {
+                filter: { _id: link._id },
+                update: { $set: { risingScore: risingScore(link.votes, link.createdAt, now) } },
+            },
+        })));
+    }
+
+    await Link.updateMany(
+        { createdAt: { $lt: windowStart }, risingScore: { $ne: 0 } },
+        { $set: { risingScore: 0 } }
+    );
+};
+
+/**
+ * Starts the periodic rising-score refresh. Returns the interval handle.
+ */
+const startRankingRefresh = () => {
+    const run = () => refreshRisingScores()
+        .catch(err => console.error('Rising score refresh failed:', err.message));
+    run();
+    const handle = setInterval(run, RISING_REFRESH_MS);
+    handle.unref();
+    return handle;
+};
+
+/**
+ * Translates ?sort= and ?t= into a Mongo filter and sort for approved links.
+ * Every sort is { key: -1, _id: -1 } so it can be cursor-paged (see utils/pagination.js).
+ * @param {string} sort - One of SORTS (defaults to 'hot').
+ * @param {string} window - One of the TOP_WINDOWS_MS keys, only used for 'top' (defaults to 'day').
+ * @returns {{ filter: object, sort: object, key: string }}
+ */
+const feedQuery = (sort = 'hot', window = 'day') => {
+    const filter = { status: 'approved' };
+    let key;
+
+    switch (sort) {
+        case 'new':
+            key = 'createdAt';
+            break;
+        case 'top': {
+            const windowMs = TOP_WINDOWS_MS[window];
+            if (windowMs) {
+                filter.createdAt = { $gte: new Date(Date.now() - windowMs) };
+            }
+            key = 'votes';
+            break;
+        }
+        case 'rising':
+            filter.risingScore = { $gt: 0 };
+            key = 'risingScore';
+            break;
+        case 'hot':
+        default:
+            key = 'hotScore';
+    }
+
+    return { filter, sort: { [key]: -1, _id: -1 }, key };
+};
+
+module.exports = {
+    SORTS,
+    TOP_WINDOWS: Object.keys(TOP_WINDOWS_MS),
+    hotScore,
+    risingScore,
+    rankingFields,
+    refreshLinkRanking,
+    refreshRisingScores,
+    startRankingRefresh,
+    feedQuery,
+};
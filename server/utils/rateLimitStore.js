@@ -0,0 +1,93 @@
+// Counter stores for middleware/rateLimit.js.
+//
+// A store counts hits per key in fixed windows:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//
+// The in-memory store is the default; it only counts requests handled by this
+// process. Set REDIS_URL (and `npm install redis`) to share counts between
+// instances. If Redis can't be loaded, the memory store is used with a warning.
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+    constructor() {
+        this.windows = new Map();
+        // Drop finished windows so the map doesn't grow with every IP ever seen
+        this.cleanup = setInterval(() => {
+            const now = Date.now();
+            this.windows.forEach((entry, key) => {
+                if (entry.resetAt <= now) this.windows.delete(key);
+            });
+        }, CLEANUP_INTERVAL_MS);
+        this.cleanup.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, entry);
+        }
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+}
+
+class RedisStore {
+    /**
+     * @param {object} client - A connected node-redis v4+ client.
+     * @param {string} [prefix]
+     */
+    constructor(client, prefix = 'ratelimit:') {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async increment(key, windowMs) {
+        const redisKey = `${this.prefix}${key}`;
+        const [count, ttl] = await this.client.multi().incr(redisKey).pTTL(redisKey).exec();
+        // First hit in the window (or a key left without expiry): start the window now
+        if (Number(ttl) < 0) {
+            await this.client.pExpire(redisKey, windowMs);
+            return { count: Number(count), resetAt: Date.now() + windowMs };
+        }
+        return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    }
+}
+
+let store = null;
+
+/**
+ * The shared store, created on first use from REDIS_URL.
+ */
+const getStore = () => {
+    if (store) return store;
+
+    if (process.env.REDIS_URL) {
+        try {
+            // Optional dependency: only needed when REDIS_URL is set
+            const { createClient } = require('redis');
+            const client = createClient({ url: process.env.REDIS_URL });
+            client.on('error', err => console.error('Rate limit Redis error:', err.message));
+            client.connect().catch(err => console.error('Rate limit Redis connection failed:', err.message));
+            store = new RedisStore(client);
+            return store;
+        } catch (err) {
+            console.warn(`REDIS_URL is set but Redis is unavailable (${err.message}); rate limits are per process.`);
+        }
+    }
+
+    store = new MemoryStore();
+    return store;
+};
+
+/**
+ * Replaces the shared store, e.g. with a custom implementation.
+ * @param {{ increment: function(string, number): Promise<{ count: number, resetAt: number }> }} customStore
+ */
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+module.exports = { MemoryStore, RedisStore, getStore, setStore };
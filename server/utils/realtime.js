@@ -0,0 +1,149 @@
+// Live updates pushed to browsers over socket.io.
+//
+// Clients subscribe to rooms for what they're looking at:
+//   'links'        the main feed
+//   'tag:<slug>'   a topic feed (events for its subtopics are delivered too)
+//   'link:<id>'    one link's comment thread
+//
+// Events:
+//   'link:approved'  { link }                                   -> feed rooms
+//   'link:votes'     { id, score, upvotes, downvotes }          -> feed rooms and the link's room
+//   'link:comments'  { id, commentsCount }                      -> feed rooms and the link's room
+//   'comment:new'    { linkId, comment }                        -> the link's room
+//   'comment:votes'  { id, linkId, votes, upvotes, downvotes }  -> the link's room
+//
+// Connection state recovery lets a client that drops for less than
+// RECOVERY_WINDOW_MS rejoin its rooms and receive the events it missed.
+// After a longer gap `socket.recovered` is false and the client refetches.
+// Rooms live in this process's memory, so every instance only reaches its
+// own clients; running several instances needs a shared socket.io adapter.
+
+const { Server } = require('socket.io');
+const Link = require('../models/Link');
+const { toFeedLink } = require('./feed');
+const { withAncestorSlugs } = require('./tags');
+
+const RECOVERY_WINDOW_MS = 2 * 60 * 1000;
+const MAX_ROOMS_PER_SOCKET = 20;
+const ROOM_PATTERN = /^(links|tag:[a-z0-9]+(?:-[a-z0-9]+)*|link:[a-f0-9]{24})$/;
+
+let io = null;
+
+/**
+ * Accepts a room name or a list of them, keeping only valid names.
+ */
+const parseRooms = (input) => (Array.isArray(input) ? input : [input])
+    .filter(room => typeof room === 'string' && ROOM_PATTERN.test(room));
+
+/**
+ * Attaches socket.io to the HTTP server. Until this runs the publish functions do nothing.
+ * @param {object} httpServer - The server returned by http.createServer(app).
+ * @returns {object} The socket.io Server.
+ */
+const initRealtime = (httpServer) => {
+    io = new Server(httpServer, {
+        cors: { origin: '*' }, // Same policy as the REST API's cors()
+        connectionStateRecovery: { maxDisconnectionDuration: RECOVERY_WINDOW_MS },
+    });
+
+    io.on('connection', (socket) => {
+        // Payload: a room name or an array of them. The optional ack receives { rooms } actually joined.
+        socket.on('subscribe', (input, ack) => {
+            const joined = [];
+            parseRooms(input).forEach(room => {
+                // socket.rooms always contains the socket's own id
+                if (socket.rooms.size > MAX_ROOMS_PER_SOCKET) return;
+                socket.join(room);
+                joined.push(room);
+            });
+            if (typeof ack === 'function') ack({ rooms: joined });
+        });
+
+        socket.on('unsubscribe', (input) => {
+            parseRooms(input).forEach(room => socket.leave(room));
+        });
+    });
+
+    return io;
+};
+
+/**
+ * Rooms showing a link in a feed: the main feed and the topic feeds for its tags and their parents.
+ */
+const feedRooms = async (link) => {
+    const slugs = await withAncestorSlugs(link.tags || []);
+    return ['links', ...slugs.map(slug => `tag:${slug}`)];
+};
+
+/**
+ * Runs a publish job without blocking or failing the request that triggered it.
+ */
+const publish = (job) => {
+    if (!io) return;
+    job().catch(err => console.error('Realtime publish error:', err.message));
+};
+
+/**
+ * Announces newly approved links to the feeds they appear in.
+ * @param {Array<string|object>} linkIds
+ */
+const publishLinksApproved = (linkIds) => publish(async () => {
+    const links = await Link.find({ _id: { $in: linkIds }, status: 'approved' })
+        .populate('submittedBy', 'username')
+        .lean();
+    for (const link of links) {
+        io.to(await feedRooms(link)).emit('link:approved', { link: toFeedLink(link) });
+    }
+});
+
+/**
+ * Broadcasts a link's new vote counts.
+ * @param {object} link - Link document after the vote (needs _id, tags and the counters).
+ */
+const publishLinkVotes = (link) => publish(async () => {
+    const rooms = [...await feedRooms(link), `link:${link._id}`];
+    io.to(rooms).emit('link:votes', {
+        id: link._id,
+        score: link.votes,
+        upvotes: link.upvotes,
+        downvotes: link.downvotes,
+    });
+});
+
+/**
+ * Broadcasts a link's comment count, and the new comment itself to the link's thread.
+ * @param {string|object} linkId
+ * @param {object} [comment] - The new comment in its client shape; omitted when a comment was deleted.
+ */
+const publishComments = (linkId, comment) => publish(async () => {
+    const link = await Link.findById(linkId).select('tags commentsCount').lean();
+    if (!link) return;
+
+    if (comment) {
+        io.to(`link:${link._id}`).emit('comment:new', { linkId: link._id, comment });
+    }
+    const rooms = [...await feedRooms(link), `link:${link._id}`];
+    io.to(rooms).emit('link:comments', { id: link._id, commentsCount: link.commentsCount });
+});
+
+/**
+ * Broadcasts a comment's new vote counts to its thread.
+ * @param {object} comment - Comment document after the vote.
+ */
+const publishCommentVotes = (comment) => publish(async () => {
+    io.to(`link:${comment.link}`).emit('comment:votes', {
+        id: comment._id,
+        linkId: comment.link,
+        votes: comment.votes,
+        upvotes: comment.upvotes,
+        downvotes: comment.downvotes,
+    });
+});
+
+module.exports = {
+    initRealtime,
+    publishLinksApproved,
+    publishLinkVotes,
+    publishComments,
+    publishCommentVotes,
+};
@@ -0,0 +1,218 @@
+// Reporting links and comments, auto-hiding what enough members report, and
+// the curator decisions that close reports (routes/reportRoutes.js).
+//
+// Members report through POST /api/links/:id/report and
+// POST /api/comments/:id/report. Once REPORT_HIDE_THRESHOLD different members
+// have open reports on an item, it's hidden until a curator reviews it:
+//   - a link goes from 'approved' to 'hidden', which every public query leaves out
+//   - a comment is tombstoned like a deleted one (isDeleted + hiddenAt), keeping its content
+// The curator then dismisses the reports (unhiding the item), removes the item,
+// or warns its author (also unhiding it).
+
+const Report = require('../models/Report');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const { publishComments } = require('./realtime');
+const { notifyWarning } = require('./notifications');
+const { ApiError } = require('./errors');
+
+// Reason categories members can pick, per kind of content
+const REPORT_REASONS = {
+    Link: ['spam', 'broken', 'off_topic', 'other'],
+    Comment: ['spam', 'abusive', 'off_topic', 'other'],
+};
+
+const HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+const RESOLUTIONS = ['dismiss', 'remove', 'warn'];
+
+/**
+ * Loads a reported item with what's needed to check and act on it.
+ * @returns {Promise<object|null>}
+ */
+const loadTarget = (targetType, id) => (targetType === 'Link'
+    ? Link.findById(id).select('status submittedBy')
+    : Comment.findById(id).select('link postedBy isDeleted hiddenAt removedAt'));
+
+const authorOf = (targetType, item) => (targetType === 'Link' ? item.submittedBy : item.postedBy);
+
+/**
+ * Whether members can see, and so report, the item. Hidden items still take reports.
+ */
+const isReportable = (targetType, item) => (targetType === 'Link'
+    ? ['approved', 'hidden'].includes(item.status)
+    : !item.isDeleted || (!!item.hiddenAt && !item.removedAt));
+
+/**
+ * Hides an item pending review. Only approved links and live comments are hidden.
+ * @returns {Promise<boolean>} Whether it was hidden by this call.
+ */
+const hideContent = async (targetType, id) => {
+    if (targetType === 'Link') {
+        const result = await Link.updateOne({ _id: id, status: 'approved' }, { $set: { status: 'hidden', hiddenAt: new Date() } });
+        return result.modifiedCount > 0;
+    }
+    const hidden = await Comment.findOneAndUpdate(
+        { _id: id, isDeleted: false },
+        { $set: { isDeleted: true, hiddenAt: new Date() } },
+        { new: true }
+    );
+    if (!hidden) return false;
+    await Link.updateOne({ _id: hidden.link }, { $inc: { commentsCount: -1 } });
+    publishComments(hidden.link);
+    return true;
+};
+
+/**
+ * Puts a hidden item back, once a curator decided it can stay.
+ * @returns {Promise<boolean>} Whether it was hidden.
+ */
+const unhideContent = async (targetType, id) => {
+    if (targetType === 'Link') {
+        const result = await Link.updateOne({ _id: id, status: 'hidden' }, { $set: { status: 'approved', hiddenAt: null } });
+        return result.modifiedCount > 0;
+    }
+    const shown = await Comment.findOneAndUpdate(
+        { _id: id, hiddenAt: { $ne: null }, removedAt: null },
+        { $set: { isDeleted: false, hiddenAt: null } },
+        { new: true }
+    );
+    if (!shown) return false;
+    await Link.updateOne({ _id: shown.link }, { $inc: { commentsCount: 1 } });
+    publishComments(shown.link);
+    return true;
+};
+
+/**
+ * Removes an item the way an admin would (routes/adminRoutes.js), so admins can restore it.
+ * A hidden link is restored as approved.
+ */
+const removeContent = async (targetType, id, curatorId, reason) => {
+    const removal = { removedAt: new Date(), removedBy: curatorId, removalReason: reason || '', hiddenAt: null };
+
+    if (targetType === 'Link') {
+        const link = await Link.findById(id).select('status');
+        if (!link || link.status === 'removed') return;
+        await Link.updateOne(
+            { _id: id, status: link.status },
+            { $set: { ...removal, status: 'removed', statusBeforeRemoval: link.status === 'hidden' ? 'approved' : link.status } }
+        );
+        return;
+    }
+
+    // Live or hidden comments; one the author deleted has nothing left to remove
+    const before = await Comment.findOneAndUpdate(
+        { _id: id, removedAt: null, $or: [{ isDeleted: false }, { hiddenAt: { $ne: null } }] },
+        { $set: { ...removal, isDeleted: true } }
+    );
+    if (before && !before.isDeleted) {
+        await Link.updateOne({ _id: before.link }, { $inc: { commentsCount: -1 } });
+        publishComments(before.link);
+    }
+};
+
+/**
+ * Files a member's report, and hides the item once enough members reported it.
+ * @param {object} options
+ * @param {'Link'|'Comment'} options.targetType
+ * @param {string} options.targetId
+ * @param {string} options.reporterId
+ * @param {string} options.reason - One of REPORT_REASONS[targetType].
+ * @param {string} [options.note]
+ * @returns {Promise<{ report: object, hidden: boolean }>} `hidden` is whether the item is now hidden.
+ * @throws {ApiError} 404 if the item isn't visible, 400 'cannot_report_own', 409 'already_reported'
+ * (also when a curator dismissed the member's earlier report on it).
+ */
+const fileReport = async ({ targetType, targetId, reporterId, reason, note = '' }) => {
+    const item = await loadTarget(targetType, targetId);
+    if (!item || !isReportable(targetType, item)) {
+        throw new ApiError(404, `${targetType} not found`);
+    }
+    const author = authorOf(targetType, item);
+    if (author && author.toString() === reporterId) {
+        throw new ApiError(400, `You cannot report your own ${targetType.toLowerCase()}`, { code: 'cannot_report_own' });
+    }
+
+    // A member whose report a curator dismissed can't bring the item back by reporting it again
+    const dismissed = await Report.exists({ reporter: reporterId, targetType, target: targetId, resolution: 'dismiss' });
+    if (dismissed) {
+        throw new ApiError(409, `A curator already reviewed your report on this ${targetType.toLowerCase()}`, { code: 'already_reported' });
+    }
+
+    let report;
+    try {
+        report = await Report.create({ reporter: reporterId, targetType, target: targetId, author, reason, note });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        throw new ApiError(409, `You already reported this ${targetType.toLowerCase()}`, { code: 'already_reported' });
+    }
+
+    // Open reports are unique per reporter, so this counts distinct members,
+    // leaving out any whose earlier report on the item was dismissed
+    const [openReporters, dismissedReporters] = await Promise.all([
+        Report.distinct('reporter', { status: 'open', targetType, target: targetId }),
+        Report.distinct('reporter', { targetType, target: targetId, resolution: 'dismiss' }),
+    ]);
+    const dismissedIds = new Set(dismissedReporters.map(String));
+    const reporters = openReporters.filter(id => !dismissedIds.has(String(id))).length;
+    if (reporters >= HIDE_THRESHOLD) {
+        await hideContent(targetType, targetId);
+    }
+    const current = await loadTarget(targetType, targetId);
+    const hidden = targetType === 'Link' ? current?.status === 'hidden' : !!current?.hiddenAt;
+    return { report, hidden };
+};
+
+/**
+ * Closes every open report on an item with a curator's decision.
+ * @param {object} options
+ * @param {'Link'|'Comment'} options.targetType
+ * @param {string} options.targetId
+ * @param {'dismiss'|'remove'|'warn'} options.action - dismiss and warn unhide the item; remove takes it down.
+ * @param {string} options.curatorId
+ * @param {string} [options.note] - Sent to the author with a warning, and kept as the removal reason.
+ * @param {boolean} [options.warn] - With 'remove', also warn the author.
+ * @returns {Promise<{ resolved: number }>} How many reports were closed.
+ * @throws {ApiError} 404 'no_open_reports'.
+ */
+const resolveReports = async ({ targetType, targetId, action, curatorId, note = '', warn = false }) => {
+    const filter = { status: 'open', targetType, target: targetId };
+    const open = await Report.find(filter).select('author').lean();
+    if (open.length === 0) {
+        throw new ApiError(404, 'There are no open reports on this item', { code: 'no_open_reports' });
+    }
+
+    if (action === 'remove') {
+        await removeContent(targetType, targetId, curatorId, note);
+    } else {
+        await unhideContent(targetType, targetId);
+    }
+
+    const result = await Report.updateMany(filter, {
+        $set: { status: 'resolved', resolution: action, resolvedBy: curatorId, resolvedAt: new Date() },
+    });
+
+    const author = open.find(report => report.author)?.author;
+    if (author && (action === 'warn' || (action === 'remove' && warn))) {
+        const item = await loadTarget(targetType, targetId);
+        notifyWarning({
+            user: author,
+            curatorId,
+            link: targetType === 'Link' ? targetId : item?.link,
+            comment: targetType === 'Comment' ? targetId : null,
+            reason: note,
+        });
+    }
+
+    return { resolved: result.modifiedCount };
+};
+
+module.exports = {
+    REPORT_REASONS,
+    HIDE_THRESHOLD,
+    RESOLUTIONS,
+    fileReport,
+    resolveReports,
+    hideContent,
+    unhideContent,
+};
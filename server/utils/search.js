@@ -0,0 +1,98 @@
+// Helpers for GET /api/search: query-operator parsing and highlighted snippets.
+
+const SNIPPET_LENGTH = 200;
+const OPERATORS = ['site', 'by', 'before', 'after'];
+
+/**
+ * Splits a raw search string into free-text terms and operators.
+ * Supports site:example.com, by:username, before:2025-01-31, after:2025-01-01.
+ * Quoted phrases ("large language model") are kept together for $text.
+ * @param {string} raw - The ?q= value.
+ * @returns {{ text: string, terms: string[], site?: string, by?: string, before?: Date, after?: Date, error?: string }}
+ */
+const parseSearchQuery = (raw) => {
+    const result = { text: '', terms: [] };
+    const textParts = [];
+
+    // Tokens: operator:value, "quoted phrase", or bare word
+    const tokens = String(raw || '').match(/\w+:"[^"]*"|\w+:\S+|"[^"]*"|\S+/g) || [];
+
+    for (const token of tokens) {
+        const operatorMatch = token.match(/^(\w+):(.+)$/);
+        const operator = operatorMatch && operatorMatch[1].toLowerCase();
+
+        if (operator && OPERATORS.includes(operator)) {
+            const value = operatorMatch[2].replace(/^"|"$/g, '').trim();
+            if (operator === 'before' || operator === 'after') {
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) {
+                    return { ...result, error: `Invalid date for ${operator}: ${value}` };
+                }
+                result[operator] = date;
+            } else {
+                result[operator] = value.toLowerCase();
+            }
+            continue;
+        }
+
+        textParts.push(token);
+        // Words to highlight: phrases are split, quotes and negated terms dropped
+        if (!token.startsWith('-')) {
+            result.terms.push(...token.replace(/"/g, '').split(/\s+/).filter(Boolean));
+        }
+    }
+
+    result.text = textParts.join(' ');
+    result.site = result.site && result.site.replace(/^www\./, '');
+    return result;
+};
+
+/**
+ * Escapes a string for use inside a RegExp.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a short excerpt of `text` around the first matching term, with the
+ * character ranges of every term occurrence inside the excerpt. Ranges are
+ * returned instead of markup so the client can render <mark> safely.
+ * @param {string} text - Field content (title, description, comment body).
+ * @param {string[]} terms - Search words.
+ * @returns {{ text: string, highlights: Array<[number, number]> }}
+ */
+const buildSnippet = (text, terms) => {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!source) return { text: '', highlights: [] };
+
+    const words = terms.filter(term => term.length > 1);
+    const pattern = words.length
+        ? new RegExp(words.map(escapeRegExp).join('|'), 'gi')
+        : null;
+
+    // Centre the window on the first match
+    let start = 0;
+    if (pattern) {
+        const first = pattern.exec(source);
+        pattern.lastIndex = 0;
+        if (first && first.index > SNIPPET_LENGTH / 3) {
+            start = source.lastIndexOf(' ', first.index - Math.floor(SNIPPET_LENGTH / 3)) + 1;
+        }
+    }
+
+    let excerpt = source.substring(start, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = start + SNIPPET_LENGTH < source.length ? '…' : '';
+    excerpt = `${prefix}${excerpt}${suffix}`;
+
+    const highlights = [];
+    if (pattern) {
+        let match;
+        while ((match = pattern.exec(excerpt)) !== null) {
+            highlights.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    return { text: excerpt, highlights };
+};
+
+module.exports = { parseSearchQuery, buildSnippet, escapeRegExp };
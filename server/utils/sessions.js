@@ -0,0 +1,246 @@
+// Access/refresh token handling.
+//
+// Access tokens are short-lived JWTs sent as "Authorization: Bearer". They
+// carry the session id, so a user can see which device they're on, but they
+// aren't checked against the database: revoking a session stops it from
+// refreshing, and its last access token expires within ACCESS_TOKEN_TTL.
+//
+// Refresh tokens are '<sessionId>.<secret>' in an httpOnly cookie scoped to
+// /api/users. Each refresh replaces the secret. Presenting the secret that was
+// just replaced means the token leaked, so the session is revoked for everyone
+// holding it. Any other wrong secret is simply refused: session ids also appear
+// in access tokens, so knowing one mustn't be enough to end someone's session.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+const REUSE_GRACE_MS = 30 * 1000;
+
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/users';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * A short human-readable label for a User-Agent, e.g. 'Chrome on macOS'.
+ */
+const describeDevice = (userAgent = '') => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\//.test(userAgent) ? 'Opera'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : '';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Android/.test(userAgent) ? 'Android'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : '';
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+};
+
+/**
+ * Signs an access token for a user in a session.
+ * @param {object} user - User document (id, role, username, emailVerified).
+ * @param {string|object} sessionId
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        user: {
+            id: user.id,
+            role: user.role,
+            username: user.username,
+            emailVerified: !!user.emailVerified,
+            sid: String(sessionId),
+        },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Starts a session for a user who just logged in or registered.
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+const createSession = async (user, req) => {
+    const secret = newSecret();
+    const userAgent = (req.get('User-Agent') || '').substring(0, 500);
+    const session = await new Session({
+        user: user._id,
+        tokenHash: hashSecret(secret),
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: req.ip || '',
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    }).save();
+
+    return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Splits a refresh token into its session id and secret, or null if malformed.
+ */
+const parseRefreshToken = (token) => {
+    const [sessionId, secret] = String(token || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+/**
+ * Exchanges a refresh token for a new one.
+ * @param {string} token - The refresh token from the cookie.
+ * @param {object} req - Used to record the IP and last use.
+ * @returns {Promise<{ status: 'ok', session: object, refreshToken: string|null }
+ *          | { status: 'invalid'|'reused' }>}
+ *          refreshToken is null during the reuse grace period: the caller keeps the cookie
+ *          it already has (set by the concurrent refresh that won).
+ */
+const rotateSession = async (token, req) => {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return { status: 'invalid' };
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { status: 'invalid' };
+    }
+
+    const presentedHash = hashSecret(parsed.secret);
+    const activity = { lastUsedAt: new Date(), ip: req.ip || session.ip };
+
+    if (presentedHash !== session.tokenHash) {
+        if (presentedHash !== session.previousTokenHash) {
+            return { status: 'invalid' };
+        }
+        const withinGrace = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS;
+        if (withinGrace) {
+            return { status: 'ok', session, refreshToken: null };
+        }
+
+        await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date(), revokedReason: 'reuse' } });
+        return { status: 'reused' };
+    }
+
+    // Conditional on the hash so only one of two simultaneous refreshes rotates
+    const secret = newSecret();
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: hashSecret(secret),
+                previousTokenHash: presentedHash,
+                rotatedAt: new Date(),
+                ...activity,
+            },
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        return { status: 'ok', session, refreshToken: null };
+    }
+
+    return { status: 'ok', session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+/**
+ * Ends the session a refresh token belongs to (logout). Only its current secret
+ * can do that; a malformed, stale or guessed token is ignored.
+ * @param {string} token - The refresh token from the cookie.
+ * @returns {Promise<boolean>} Whether a session was revoked.
+ */
+const endSession = async (token) => {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return false;
+    const result = await Session.updateOne(
+        { _id: parsed.sessionId, tokenHash: hashSecret(parsed.secret), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes one session (or all of a user's sessions when sessionId is omitted).
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+const revokeSessions = async ({ userId, sessionId, reason }) => {
+    const filter = { user: userId, revokedAt: null };
+    if (sessionId) filter._id = sessionId;
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Reads one cookie from the request. Parsed by hand to avoid a cookie-parser dependency for two values.
+ * @returns {string|null}
+ */
+const readCookie = (req, name) => {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > -1 && part.substring(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.substring(index + 1).trim());
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+const readRefreshToken = (req) => readCookie(req, REFRESH_COOKIE);
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Use COOKIE_SAMESITE=none (over HTTPS) when the API is on a different site from the client
+    sameSite: process.env.COOKIE_SAMESITE || 'lax',
+    path: REFRESH_COOKIE_PATH,
+});
+
+const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...cookieOptions(),
+        maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+    });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+/**
+ * Starts a session and sends the login response: the access token in the body, the refresh token as a cookie.
+ */
+const sendNewSession = async (req, res, user) => {
+    const { session, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+    res.json({
+        token: signAccessToken(user, session._id),
+        role: user.role,
+        username: user.username,
+        emailVerified: !!user.emailVerified,
+    });
+};
+
+module.exports = {
+    describeDevice,
+    signAccessToken,
+    createSession,
+    rotateSession,
+    endSession,
+    revokeSessions,
+    parseRefreshToken,
+    readCookie,
+    readRefreshToken,
+    setRefreshCookie,
+    clearRefreshCookie,
+    sendNewSession,
+};
@@ -0,0 +1,66 @@
+// Site-wide numbers for the admin dashboard (GET /api/admin/stats): totals,
+// and signups, submissions, comments and votes per day (UTC).
+
+const User = require('../models/User');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts documents created since `since`, per UTC day.
+ * @returns {Promise<Map<string, number>>} 'YYYY-MM-DD' -> count.
+ */
+const countPerDay = async (Model, since, match = {}) => {
+    const rows = await Model.aggregate([
+        { $match: { ...match, createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+    ]);
+    return new Map(rows.map(row => [row._id, row.count]));
+};
+
+/**
+ * Totals, and daily counts for the last `days` days including today.
+ * Votes are counted when first cast; changing a vote doesn't count again.
+ * @param {number} days
+ * @returns {Promise<{ totals: object, daily: Array<{ date: string, signups: number, submissions: number, comments: number, votes: number }> }>}
+ */
+const getSiteStats = async (days) => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+    const [users, linksByStatus, comments, votes, signups, submissions, commentsPerDay, votesPerDay] = await Promise.all([
+        User.estimatedDocumentCount(),
+        Link.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Comment.countDocuments({ isDeleted: false }),
+        Vote.countDocuments({ value: { $ne: 0 } }),
+        countPerDay(User, since),
+        countPerDay(Link, since),
+        countPerDay(Comment, since),
+        countPerDay(Vote, since),
+    ]);
+
+    const links = Object.fromEntries(['pending', 'approved', 'rejected', 'hidden', 'removed'].map(status => [status, 0]));
+    for (const { _id, count } of linksByStatus) links[_id] = count;
+
+    const daily = [];
+    for (let time = since.getTime(); time <= today.getTime(); time += DAY_MS) {
+        const date = new Date(time).toISOString().substring(0, 10);
+        daily.push({
+            date,
+            signups: signups.get(date) || 0,
+            submissions: submissions.get(date) || 0,
+            comments: commentsPerDay.get(date) || 0,
+            votes: votesPerDay.get(date) || 0,
+        });
+    }
+
+    return {
+        totals: { users, links, comments, votes },
+        daily,
+    };
+};
+
+module.exports = { getSiteStats };
@@ -0,0 +1,53 @@
+// Account suspensions and bans, set by admins (routes/adminRoutes.js) and
+// stored on User.suspension.
+//
+//   suspended  can log in and read, but not submit, comment or vote
+//              (middleware/requireActive.js)
+//   banned     the same, and can't log in or refresh a session either;
+//              banning also revokes every session the user has
+//
+// Both end on their own once `until` passes; a null `until` lasts until an
+// admin lifts it.
+
+const { ApiError } = require('./errors');
+
+/**
+ * The user's suspension if it's still in effect, or null.
+ * @param {object} user - User document or plain object with `suspension`.
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+const activeSuspension = (user, now = new Date()) => {
+    const suspension = user && user.suspension;
+    if (!suspension || !suspension.kind) return null;
+    if (suspension.until && suspension.until <= now) return null;
+    return suspension;
+};
+
+/**
+ * The 403 for a suspended or banned user, with when it ends.
+ * @param {object} suspension - An active suspension (see activeSuspension).
+ * @returns {ApiError}
+ */
+const suspensionError = (suspension) => {
+    const banned = suspension.kind === 'banned';
+    const until = suspension.until ? ` until ${suspension.until.toISOString()}` : '';
+    const reason = suspension.reason ? `: ${suspension.reason}` : '';
+    return new ApiError(403, `Your account is ${banned ? 'banned' : 'suspended'}${until}${reason}`, {
+        code: banned ? 'account_banned' : 'account_suspended',
+        until: suspension.until,
+    });
+};
+
+/**
+ * Throws if the user is banned. Used where sessions start or refresh.
+ * @throws {ApiError} 403 'account_banned'.
+ */
+const assertNotBanned = (user) => {
+    const suspension = activeSuspension(user);
+    if (suspension && suspension.kind === 'banned') {
+        throw suspensionError(suspension);
+    }
+};
+
+module.exports = { activeSuspension, suspensionError, assertNotBanned };
@@ -0,0 +1,157 @@
+// Tag taxonomy helpers: slug normalization, alias resolution, automatic
+// suggestion from page metadata and parent/child expansion for topic feeds.
+
+const Tag = require('../models/Tag');
+const { escapeRegExp } = require('./search');
+
+const MAX_TAGS_PER_LINK = 5;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Turns a display name or user input into a slug: 'Computer Vision' -> 'computer-vision'.
+ * @param {string} value
+ * @returns {string}
+ */
+const slugify = (value) => String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Maps submitted tag names/slugs/aliases to canonical tag slugs.
+ * Unknown tags are returned separately so the caller can report them.
+ * @param {string[]} input
+ * @returns {Promise<{ slugs: string[], unknown: string[] }>}
+ */
+const resolveTags = async (input) => {
+    const wanted = [...new Set((Array.isArray(input) ? input : []).map(slugify).filter(Boolean))];
+    if (wanted.length === 0) return { slugs: [], unknown: [] };
+
+    const tags = await Tag.find({ $or: [{ slug: { $in: wanted } }, { aliases: { $in: wanted } }] })
+        .select('slug aliases')
+        .lean();
+
+    const lookup = new Map();
+    tags.forEach(tag => {
+        lookup.set(tag.slug, tag.slug);
+        (tag.aliases || []).forEach(alias => lookup.set(alias, tag.slug));
+    });
+
+    return {
+        slugs: [...new Set(wanted.filter(value => lookup.has(value)).map(value => lookup.get(value)))],
+        unknown: wanted.filter(value => !lookup.has(value)),
+    };
+};
+
+/**
+ * Suggests tags whose name, aliases or keywords appear as whole words in the
+ * page's title/description. Title matches rank above description-only matches.
+ * @param {{ title?: string, description?: string, siteName?: string }} metadata
+ * @returns {Promise<string[]>} Up to MAX_SUGGESTIONS slugs.
+ */
+const suggestTags = async (metadata) => {
+    const title = (metadata.title || '').toLowerCase();
+    const body = `${metadata.description || ''} ${metadata.siteName || ''}`.toLowerCase();
+    if (!title.trim() && !body.trim()) return [];
+
+    const tags = await Tag.find().select('slug name aliases keywords').lean();
+
+    const scored = tags.map(tag => {
+        // 'computer-vision' should match "computer vision" in prose
+        const phrases = [tag.name, tag.slug, ...(tag.aliases || []), ...(tag.keywords || [])]
+            .map(phrase => String(phrase).toLowerCase().replace(/-/g, ' ').trim())
+            .filter(phrase => phrase.length > 1);
+
+        let score = 0;
+        phrases.forEach(phrase => {
+            const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}([^a-z0-9]|$)`);
+            if (pattern.test(title)) score += 2;
+            else if (pattern.test(body)) score += 1;
+        });
+        return { slug: tag.slug, score };
+    });
+
+    return scored
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(entry => entry.slug);
+};
+
+/**
+ * A tag's slug plus the slugs of all its descendants, so a parent topic's feed
+ * includes links tagged with any subtopic.
+ * @param {object} tag - Tag document (needs _id and slug).
+ * @returns {Promise<string[]>}
+ */
+const withDescendantSlugs = async (tag) => {
+    const slugs = [tag.slug];
+    let frontier = [tag._id];
+    const seen = new Set([tag._id.toString()]);
+
+    while (frontier.length > 0) {
+        const children = await Tag.find({ parent: { $in: frontier } }).select('_id slug').lean();
+        frontier = [];
+        children.forEach(child => {
+            if (seen.has(child._id.toString())) return; // Guard against cycles
+            seen.add(child._id.toString());
+            slugs.push(child.slug);
+            frontier.push(child._id);
+        });
+    }
+
+    return slugs;
+};
+
+/**
+ * The given slugs plus the slugs of all their ancestors, so an event for a
+ * subtopic also reaches the parent topic's live feed.
+ * @param {string[]} slugs
+ * @returns {Promise<string[]>}
+ */
+const withAncestorSlugs = async (slugs) => {
+    const result = new Set(slugs);
+    const seen = new Set();
+    let frontier = await Tag.find({ slug: { $in: slugs } }).select('parent').lean();
+
+    while (frontier.length > 0) {
+        const parentIds = frontier
+            .map(tag => tag.parent)
+            .filter(id => id && !seen.has(id.toString())); // Guard against cycles
+        parentIds.forEach(id => seen.add(id.toString()));
+        if (parentIds.length === 0) break;
+
+        frontier = await Tag.find({ _id: { $in: parentIds } }).select('slug parent').lean();
+        frontier.forEach(tag => result.add(tag.slug));
+    }
+
+    return [...result];
+};
+
+/**
+ * True if making `parentId` the parent of `tagId` would create a cycle.
+ */
+const createsCycle = async (tagId, parentId) => {
+    let current = parentId;
+    const seen = new Set();
+    while (current) {
+        const key = current.toString();
+        if (key === tagId.toString()) return true;
+        if (seen.has(key)) return true;
+        seen.add(key);
+        const node = await Tag.findById(current).select('parent').lean();
+        current = node ? node.parent : null;
+    }
+    return false;
+};
+
+module.exports = {
+    MAX_TAGS_PER_LINK,
+    slugify,
+    resolveTags,
+    suggestTags,
+    withDescendantSlugs,
+    withAncestorSlugs,
+    createsCycle,
+};
@@ -0,0 +1,89 @@
+// Email verification and password reset tokens, and the emails that carry them.
+
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+
+// Links in emails point at the client app
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Creates a token for a user, invalidating any unused ones of the same type,
+ * so only the most recent email works.
+ * @param {string|object} userId
+ * @param {'verify-email'|'reset-password'} type
+ * @returns {Promise<string>} The raw token, to be put in the email.
+ */
+const issueToken = async (userId, type) => {
+    await UserToken.deleteMany({ user: userId, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await new UserToken({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+    }).save();
+    return token;
+};
+
+/**
+ * Marks a token used, if it's valid. The check and the update are one atomic
+ * write, so a token can't be used twice even by simultaneous requests.
+ * @returns {Promise<object|null>} The token document (with `user`), or null if unknown, used or expired.
+ */
+const consumeToken = (token, type) => UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+);
+
+/**
+ * When the user's most recent token of a type was issued, or null.
+ */
+const lastIssuedAt = async (userId, type) => {
+    const latest = await UserToken.findOne({ user: userId, type }).sort({ createdAt: -1 }).select('createdAt').lean();
+    return latest ? latest.createdAt : null;
+};
+
+/**
+ * Emails a fresh verification link to the user.
+ * @param {object} user - User document (_id, username, email).
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user._id, 'verify-email');
+    const link = `${SITE_URL}/verify-email?token=${token}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email for AI Tech Aggregator',
+        text: `Hi ${user.username},\n\n`
+            + `Confirm your email address to start submitting and voting on links:\n${link}\n\n`
+            + 'The link expires in 24 hours. If you didn\'t create an account, you can ignore this email.\n',
+    });
+};
+
+/**
+ * Emails a password reset link to the user.
+ * @param {object} user - User document (_id, username, email).
+ */
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user._id, 'reset-password');
+    const link = `${SITE_URL}/reset-password?token=${token}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your AI Tech Aggregator password',
+        text: `Hi ${user.username},\n\n`
+            + `Someone asked to reset the password for your account. To choose a new one, open:\n${link}\n\n`
+            + 'The link expires in 1 hour and can only be used once. If it wasn\'t you, you can ignore this email; '
+            + 'your password hasn\'t changed.\n',
+    });
+};
+
+module.exports = { issueToken, consumeToken, lastIssuedAt, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,183 @@
+// Rules for validating request input with middleware/validate.js.
+//
+// A schema maps each field of req.params, req.query and req.body to a rule.
+// A rule takes the raw value and returns the parsed one, or throws a
+// FieldError whose message completes "<field> ..." (e.g. 'must be a string').
+// Query and route params always arrive as strings, so the number, boolean and
+// date rules also accept their string forms.
+//
+//   const registerSchema = {
+//       body: {
+//           username: string({ min: 3, max: 30 }),
+//           email: email(),
+//           password: string({ min: 8, max: 128, trim: false }),
+//       },
+//   };
+//   router.post('/register', validate(registerSchema), handler)
+//
+// Every rule takes { optional, default, nullable, description }. A missing value
+// (undefined, null or an empty string) is an error unless the rule is optional
+// or has a default. With nullable, null and '' come through as null, for fields
+// where "clear this" differs from "leave it alone".
+//
+// Each rule also carries its JSON Schema (`jsonSchema`) and whether it's
+// `required`, which docs/openapi.js uses to document request parameters.
+
+const mongoose = require('mongoose');
+
+class FieldError extends Error {
+    /**
+     * @param {string} message - Completes "<field> ...".
+     * @param {string} [subpath] - Position inside the field, e.g. '[2]' for an array item.
+     */
+    constructor(message, subpath = '') {
+        super(message);
+        this.subpath = subpath;
+    }
+}
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Wraps a parser with the shared missing/optional/default handling.
+ * @param {function(*, object): *} parse - Gets a present value and the rule's options.
+ * @param {function(object): object} describe - The JSON Schema for the rule's options.
+ */
+const rule = (parse, describe) => (options = {}) => {
+    const check = (value) => {
+        if (options.nullable && (value === null || value === '')) return null;
+        if (!isMissing(value)) {
+            const parsed = parse(value, options);
+            if (!isMissing(parsed)) return parsed;
+        }
+        if (options.default !== undefined) return options.default;
+        if (options.optional) return undefined;
+        throw new FieldError('is required');
+    };
+
+    const schema = describe(options);
+    if (options.nullable) schema.type = [schema.type, 'null'];
+    if (options.default !== undefined) schema.default = options.default;
+    if (options.description) schema.description = options.description;
+    check.jsonSchema = schema;
+    check.required = !options.optional && options.default === undefined;
+    return check;
+};
+
+/**
+ * Copies the keys of `values` that are set, for building JSON Schemas.
+ */
+const defined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+/**
+ * A string, trimmed unless { trim: false }.
+ * Options: min, max (length), pattern (RegExp) with patternMessage, lowercase.
+ */
+const string = rule((value, { min, max, pattern, patternMessage, lowercase, trim = true }) => {
+    if (typeof value !== 'string') throw new FieldError('must be a string');
+    let parsed = trim ? value.trim() : value;
+    if (lowercase) parsed = parsed.toLowerCase();
+    if (parsed === '') return parsed;
+    if (min !== undefined && parsed.length < min) throw new FieldError(`must be at least ${min} characters`);
+    if (max !== undefined && parsed.length > max) throw new FieldError(`must be at most ${max} characters`);
+    if (pattern && !pattern.test(parsed)) throw new FieldError(patternMessage || 'has an invalid format');
+    return parsed;
+}, ({ min, max, pattern, format }) => defined({
+    type: 'string',
+    minLength: min,
+    maxLength: max,
+    pattern: pattern?.source,
+    format,
+}));
+
+// Deliberately loose: the verification email is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * An email address, trimmed and lowercased like User.email (scripts/backfillUsers.js
+ * lowercased the accounts stored as typed).
+ */
+const email = (options = {}) => string({
+    max: 254,
+    lowercase: true,
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'must be a valid email address',
+    format: 'email',
+    ...options,
+});
+
+/**
+ * A whole number. Options: min, max, and clamp (pull out-of-range values into
+ * range instead of rejecting them, for paging params).
+ */
+const integer = rule((value, { min, max, clamp }) => {
+    const parsed = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(parsed)) throw new FieldError('must be a whole number');
+    if (min !== undefined && parsed < min) {
+        if (clamp) return min;
+        throw new FieldError(`must be at least ${min}`);
+    }
+    if (max !== undefined && parsed > max) {
+        if (clamp) return max;
+        throw new FieldError(`must be at most ${max}`);
+    }
+    return parsed;
+}, ({ min, max }) => defined({ type: 'integer', minimum: min, maximum: max }));
+
+/**
+ * true/false, also as 'true'/'false' or '1'/'0'.
+ */
+const boolean = rule((value) => {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new FieldError('must be true or false');
+}, () => ({ type: 'boolean' }));
+
+/**
+ * One of a fixed list of values.
+ */
+const oneOf = (values, options = {}) => rule((value) => {
+    if (!values.includes(value)) throw new FieldError(`must be one of: ${values.join(', ')}`);
+    return value;
+}, () => ({ type: typeof values[0], enum: values }))(options);
+
+/**
+ * A MongoDB ObjectId, as its 24-character hex string.
+ */
+const objectId = rule((value) => {
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value) || !mongoose.Types.ObjectId.isValid(value)) {
+        throw new FieldError('must be a valid ID');
+    }
+    return value;
+}, () => ({ type: 'string', pattern: '^[0-9a-fA-F]{24}$' }));
+
+/**
+ * A date, as an ISO string or epoch milliseconds.
+ */
+const date = rule((value) => {
+    const parsed = value instanceof Date
+        ? value
+        : new Date(typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : String(value));
+    if (Number.isNaN(parsed.getTime())) throw new FieldError('must be an ISO date or epoch milliseconds');
+    return parsed;
+}, () => ({ type: 'string', description: 'ISO date or epoch milliseconds' }));
+
+/**
+ * An array whose items all pass `item`. Options: min, max (items).
+ * Errors name the offending position, e.g. "tags[2] must be a string".
+ */
+const array = (item, options = {}) => rule((value, { min, max }) => {
+    if (!Array.isArray(value)) throw new FieldError('must be an array');
+    if (min !== undefined && value.length < min) throw new FieldError(`must have at least ${min} item${min === 1 ? '' : 's'}`);
+    if (max !== undefined && value.length > max) throw new FieldError(`can have at most ${max} item${max === 1 ? '' : 's'}`);
+    return value.map((entry, index) => {
+        try {
+            return item(entry);
+        } catch (err) {
+            if (err instanceof FieldError) throw new FieldError(err.message, `[${index}]${err.subpath}`);
+            throw err;
+        }
+    });
+}, ({ min, max }) => defined({ type: 'array', items: item.jsonSchema, minItems: min, maxItems: max }))(options);
+
+module.exports = { FieldError, string, email, integer, boolean, oneOf, objectId, date, array };
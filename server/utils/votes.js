@@ -0,0 +1,91 @@
+// Vote casting shared by links and comments.
+//
+// The Vote document is the source of truth. Setting a vote is a single atomic
+// upsert that returns the previous value; the target's counters are then
+// adjusted by the difference. Repeating the same vote is a no-op, so the
+// operation is idempotent and counters can't drift from double submissions.
+
+const Vote = require('../models/Vote');
+const Link = require('../models/Link');
+const Comment = require('../models/Comment');
+const { integer } = require('./validation');
+
+const MODELS = { Link, Comment };
+
+/**
+ * Counter increments for moving from one vote value to another.
+ * @param {number} previous - -1, 0 or 1
+ * @param {number} value - -1, 0 or 1
+ * @returns {{ votes: number, upvotes: number, downvotes: number }}
+ */
+const voteDelta = (previous, value) => ({
+    votes: value - previous,
+    upvotes: (value === 1 ? 1 : 0) - (previous === 1 ? 1 : 0),
+    downvotes: (value === -1 ? 1 : 0) - (previous === -1 ? 1 : 0),
+});
+
+/**
+ * Sets a user's vote on a link or comment.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {'Link'|'Comment'} options.targetType
+ * @param {string} options.targetId
+ * @param {number} options.value - 1, -1 or 0 (retract)
+ * @returns {Promise<{ previous: number, value: number, changed: boolean, target: object }>}
+ *          `target` is the target document after the counters were updated.
+ */
+const castVote = async ({ userId, targetType, targetId, value }) => {
+    const Model = MODELS[targetType];
+    const key = { user: userId, targetType, target: targetId };
+
+    let previousVote;
+    try {
+        previousVote = await Vote.findOneAndUpdate(
+            key,
+            { $set: { value, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+            { upsert: true, new: false }
+        );
+    } catch (err) {
+        // Two first votes racing on the upsert: the loser retries as a plain update
+        if (err.code !== 11000) throw err;
+        previousVote = await Vote.findOneAndUpdate(key, { $set: { value, updatedAt: new Date() } }, { new: false });
+    }
+
+    const previous = previousVote ? previousVote.value : 0;
+    if (previous === value) {
+        return { previous, value, changed: false, target: await Model.findById(targetId) };
+    }
+
+    const target = await Model.findByIdAndUpdate(
+        targetId,
+        { $inc: voteDelta(previous, value) },
+        { new: true }
+    );
+
+    return { previous, value, changed: true, target };
+};
+
+/**
+ * Looks up a user's votes on a set of targets.
+ * @param {string} userId
+ * @param {'Link'|'Comment'} targetType
+ * @param {Array<string|ObjectId>} targetIds
+ * @returns {Promise<Map<string, number>>} target id -> vote value (only non-zero votes)
+ */
+const userVotesFor = async (userId, targetType, targetIds) => {
+    if (!userId || targetIds.length === 0) return new Map();
+    const votes = await Vote.find({ user: userId, targetType, target: { $in: targetIds }, value: { $ne: 0 } })
+        .select('target value')
+        .lean();
+    return new Map(votes.map(vote => [vote.target.toString(), vote.value]));
+};
+
+/**
+ * Request body of the vote endpoints, for middleware/validate.js. A missing
+ * value means upvote, for the original upvote-only clients.
+ */
+const voteBodySchema = {
+    value: integer({ default: 1, min: -1, max: 1 }),
+};
+
+module.exports = { castVote, userVotesFor, voteBodySchema, voteDelta };